@@ -27,7 +27,7 @@ const AppState = {
         priority: 'all',    // 'all', 'high', 'medium', 'low'
         searchTerm: ''
     },
-    sortBy: 'date',         // 'date', 'priority', 'title'
+    sortBy: 'date',         // 'date', 'priority', 'title', 'created', 'completed'
     currentEditingTaskId: null
 };
 
@@ -200,6 +200,53 @@ function clearCompletedTasks() {
     saveTasks();
 }
 
+// ============================================
+// DATE HELPERS
+// ============================================
+// Due dates are 'YYYY-MM-DD' strings with an optional 'HH:MM' dueTime,
+// both in the user's local time. new Date('2024-12-25') would parse as
+// UTC midnight - the previous day for anyone west of UTC - so we build
+// local dates from the parts instead.
+
+const DATE_FORMAT = { month: 'short', day: 'numeric', year: 'numeric' };
+
+/**
+ * Turn a due date (and optional time) into a local Date
+ * @param {string} dueDate - 'YYYY-MM-DD'
+ * @param {string} [dueTime] - 'HH:MM'
+ * @returns {Date}
+ */
+function parseLocalDate(dueDate, dueTime = '') {
+    const [year, month, day] = dueDate.split('-').map(Number);
+    const [hours, minutes] = dueTime ? dueTime.split(':').map(Number) : [0, 0];
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * Format a Date as a local 'YYYY-MM-DD' string
+ * @param {Date} date
+ * @returns {string}
+ */
+function toLocalDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a task's due date for display, e.g. "Dec 25, 2024, 2:30 PM"
+ * @param {Object} task - Task data
+ * @returns {string} Formatted date, or 'No due date'
+ */
+function formatDueDate(task) {
+    if (!task.dueDate) return 'No due date';
+
+    const date = parseLocalDate(task.dueDate, task.dueTime);
+    const formatted = date.toLocaleDateString(undefined, DATE_FORMAT);
+    return task.dueTime
+        ? `${formatted}, ${date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`
+        : formatted;
+}
+
 // ============================================
 // DATA FILTERING & SORTING
 // ============================================
@@ -239,36 +286,15 @@ function getFilteredTasks() {
 
 /**
  * Sort tasks based on criteria
+ * Uses the shared sort engine (../shared/taskSort.js, loaded before this
+ * file) - the React version sorts with exactly the same code
  * @param {Array} tasks - Tasks to sort
- * @param {string} sortBy - Sort criteria
- * @returns {Array} Sorted tasks
+ * @param {string} sortBy - A preset ('date', 'priority', 'title', 'created',
+ *   'completed') or a multi-key spec such as 'priority:desc,dueDate:asc'
+ * @returns {Array} Sorted copy - ties are broken by the next key
  */
 function sortTasks(tasks, sortBy) {
-    const sorted = [...tasks]; // Create a copy
-
-    switch (sortBy) {
-        case 'priority':
-            // Custom sort: high > medium > low
-            const priorityOrder = { high: 3, medium: 2, low: 1 };
-            sorted.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
-            break;
-
-        case 'title':
-            // Alphabetical sort
-            sorted.sort((a, b) => a.title.localeCompare(b.title));
-            break;
-
-        case 'date':
-        default:
-            // Sort by due date (newest first)
-            sorted.sort((a, b) => {
-                if (!a.dueDate) return 1;
-                if (!b.dueDate) return -1;
-                return new Date(a.dueDate) - new Date(b.dueDate);
-            });
-    }
-
-    return sorted;
+    return TaskSort.sortTasks(tasks, sortBy);
 }
 
 /**
@@ -406,15 +432,11 @@ function createTaskCard(task) {
     card.className = `task-card fade-in ${task.status === 'completed' ? 'completed' : ''}`;
     card.dataset.taskId = task.id; // data attributes for easy reference
 
-    // Format the due date nicely
-    const dueDate = task.dueDate
-        ? new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-        : 'No due date';
-
     // Determine date label (Due vs Completed)
+    // completedAt is a full timestamp, so it is safe to hand to new Date()
     const dateLabel = task.status === 'completed'
-        ? `📅 Completed: ${new Date(task.completedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
-        : `📅 Due: ${dueDate}`;
+        ? `📅 Completed: ${new Date(task.completedAt).toLocaleDateString(undefined, DATE_FORMAT)}`
+        : `📅 Due: ${formatDueDate(task)}`;
 
     // Set the HTML content
     card.innerHTML = `
@@ -546,6 +568,7 @@ function openTaskModal(taskId = null) {
         document.getElementById('task-description-input').value = task.description;
         document.getElementById('task-priority-input').value = task.priority;
         document.getElementById('task-due-date-input').value = task.dueDate || '';
+        document.getElementById('task-due-time-input').value = task.dueTime || '';
     } else {
         // Create mode
         modalTitle.textContent = 'Create New Task';
@@ -587,7 +610,9 @@ function handleTaskFormSubmit(e) {
         title: formData.get('title'),
         description: formData.get('description'),
         priority: formData.get('priority'),
-        dueDate: formData.get('dueDate')
+        dueDate: formData.get('dueDate'),
+        // A time only makes sense with a date
+        dueTime: formData.get('dueDate') ? formData.get('dueTime') : ''
     };
 
     if (AppState.currentEditingTaskId) {
@@ -717,7 +742,7 @@ async function fetchTasksFromAPI() {
             description: 'Fetched from API',
             priority: 'medium',
             status: todo.completed ? 'completed' : 'pending',
-            dueDate: new Date(Date.now() + Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            dueDate: toLocalDateKey(new Date(Date.now() + Math.random() * 7 * 24 * 60 * 60 * 1000)),
             createdAt: new Date().toISOString(),
             completedAt: todo.completed ? new Date().toISOString() : null
         }));
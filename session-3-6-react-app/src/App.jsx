@@ -8,33 +8,86 @@
  * - SESSION 6: Styling, Loading States, Polish
  */
 
+import { useMemo } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { TaskProvider } from './context/TaskContext';
+import { TaskProvider, useTasks } from './context/TaskContext';
+import { SettingsProvider } from './context/SettingsContext';
+import { useSettings } from './context/useSettings';
+import { ProjectProvider } from './context/ProjectContext';
+import { CommandProvider } from './context/CommandContext';
+import { createStorageAdapter } from './services/storage';
+import { useDueReminders } from './hooks/useDueReminders';
 import NavbarTailwind from './components/layout/NavbarTailwind';
+import QuickAdd from './components/features/QuickAdd';
+import CommandPalette from './components/features/CommandPalette';
+import AppCommands from './components/features/AppCommands';
+import UndoToast from './components/features/UndoToast';
+import DataRecovery from './components/features/DataRecovery';
 import DashboardTailwind from './pages/DashboardTailwind';
 import AllTasks from './pages/AllTasks';
 import TaskDetail from './pages/TaskDetail';
+import Projects from './pages/Projects';
+import Board from './pages/Board';
+import Calendar from './pages/Calendar';
 import Settings from './pages/Settings';
 import NotFound from './pages/NotFound';
 
+// Hands TaskProvider the storage backend and board workflow chosen on the Settings page
+function ConfiguredTaskProvider({ children }) {
+  const { settings } = useSettings();
+  const storage = useMemo(() => createStorageAdapter(settings.storage), [settings.storage]);
+
+  return (
+    <TaskProvider storage={storage} columns={settings.board.columns}>
+      {children}
+    </TaskProvider>
+  );
+}
+
+// Due date notifications, scheduled while the app is open
+function DueReminders() {
+  const { tasks } = useTasks();
+  const { settings } = useSettings();
+  useDueReminders(tasks, settings.reminders);
+  return null;
+}
+
 function App() {
   return (
     <Router>
-      <TaskProvider>
-        <div className="min-h-screen bg-gray-50">
-          <NavbarTailwind />
-          <main>
-            <Routes>
-              <Route path="/" element={<DashboardTailwind />} />
-              <Route path="/tasks" element={<AllTasks />} />
-              <Route path="/tasks/:id" element={<TaskDetail />} />
-              <Route path="/settings" element={<Settings />} />
-              <Route path="/404" element={<NotFound />} />
-              <Route path="*" element={<Navigate to="/404" replace />} />
-            </Routes>
-          </main>
-        </div>
-      </TaskProvider>
+      <SettingsProvider>
+        <ProjectProvider>
+          <ConfiguredTaskProvider>
+            <CommandProvider>
+              <div className="min-h-screen bg-gray-50">
+                <NavbarTailwind />
+                <QuickAdd />
+                <main>
+                  <Routes>
+                    {/* Task pages wait behind the recovery screen if loading failed */}
+                    <Route element={<DataRecovery />}>
+                      <Route path="/" element={<DashboardTailwind />} />
+                      <Route path="/tasks" element={<AllTasks />} />
+                      <Route path="/tasks/:id" element={<TaskDetail />} />
+                      <Route path="/board" element={<Board />} />
+                      <Route path="/calendar" element={<Calendar />} />
+                      <Route path="/projects" element={<Projects />} />
+                      <Route path="/projects/:projectId/tasks" element={<AllTasks />} />
+                    </Route>
+                    <Route path="/settings" element={<Settings />} />
+                    <Route path="/404" element={<NotFound />} />
+                    <Route path="*" element={<Navigate to="/404" replace />} />
+                  </Routes>
+                </main>
+                <UndoToast />
+                <DueReminders />
+                <AppCommands />
+                <CommandPalette />
+              </div>
+            </CommandProvider>
+          </ConfiguredTaskProvider>
+        </ProjectProvider>
+      </SettingsProvider>
     </Router>
   );
 }
@@ -0,0 +1,109 @@
+/**
+ * APP COMMANDS (SESSIONS 4 & 5)
+ *
+ * Demonstrates:
+ * - SESSION 4: Dialog state owned by the component that opens it
+ * - SESSION 5: Registering commands with useRegisterCommands
+ *
+ * The palette's built-in commands: pages to go to, task list filters
+ * (which navigate to /tasks with the filter in the URL) and app-wide
+ * actions. Renders the dialogs those actions need; other components
+ * register their own commands the same way (see QuickAdd).
+ */
+
+import { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTasks } from '../../context/TaskContext';
+import { useRegisterCommands } from '../../context/commandRegistry';
+import TaskModal from './TaskModal';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { buildFilterParams } from '../../utils/filterParams';
+import { downloadFile } from '../../utils/download';
+import { EXPORT_FORMATS, exportFilename } from '../../utils/taskTransfer';
+
+const PAGES = [
+  { path: '/', title: 'Dashboard', keywords: ['home', 'overview'] },
+  { path: '/tasks', title: 'All Tasks', keywords: ['list'] },
+  { path: '/board', title: 'Board', keywords: ['kanban', 'columns'] },
+  { path: '/calendar', title: 'Calendar', keywords: ['month', 'week', 'schedule'] },
+  { path: '/projects', title: 'Projects' },
+  { path: '/settings', title: 'Settings', keywords: ['preferences', 'storage', 'reminders'] },
+];
+
+const FILTERS = [
+  { id: 'pending', title: 'Show pending tasks', filters: { status: 'pending' } },
+  { id: 'completed', title: 'Show completed tasks', filters: { status: 'completed' } },
+  { id: 'high', title: 'Show high priority tasks', filters: { priority: 'high' } },
+  { id: 'reset', title: 'Clear task filters', filters: {}, keywords: ['reset', 'all tasks'] },
+];
+
+export default function AppCommands() {
+  const { tasks, clearCompleted } = useTasks();
+  const navigate = useNavigate();
+  const [isTaskModalOpen, setIsTaskModalOpen] = useState(false);
+  const [isClearConfirmOpen, setIsClearConfirmOpen] = useState(false);
+
+  const completedCount = tasks.filter(task => task.status === 'completed').length;
+
+  const commands = useMemo(() => [
+    ...PAGES.map(page => ({
+      id: `go-${page.path}`,
+      title: `Go to ${page.title}`,
+      group: 'Navigation',
+      keywords: page.keywords,
+      run: () => navigate(page.path)
+    })),
+    {
+      id: 'new-task',
+      title: 'New task',
+      group: 'Action',
+      keywords: ['create', 'add'],
+      run: () => setIsTaskModalOpen(true)
+    },
+    {
+      id: 'clear-completed',
+      title: 'Clear completed tasks',
+      group: 'Action',
+      keywords: ['delete', 'remove', 'done'],
+      run: () => setIsClearConfirmOpen(true)
+    },
+    ...FILTERS.map(filter => ({
+      id: `filter-${filter.id}`,
+      title: filter.title,
+      group: 'Filter',
+      keywords: filter.keywords,
+      run: () => {
+        const params = buildFilterParams(filter.filters).toString();
+        navigate(params ? `/tasks?${params}` : '/tasks');
+      }
+    })),
+    ...EXPORT_FORMATS.map(format => ({
+      id: `export-${format.value}`,
+      title: `Export all tasks as ${format.label}`,
+      group: 'Action',
+      keywords: ['download', 'backup'],
+      run: () => downloadFile(exportFilename(format.value), format.serialize(tasks), format.type)
+    })),
+  ], [navigate, tasks]);
+
+  useRegisterCommands(commands);
+
+  return (
+    <>
+      <TaskModal isOpen={isTaskModalOpen} onClose={() => setIsTaskModalOpen(false)} />
+      <ConfirmDialog
+        isOpen={isClearConfirmOpen}
+        title="Clear Completed Tasks?"
+        message={completedCount === 0
+          ? 'There are no completed tasks to clear.'
+          : `This will remove ${completedCount} completed task${completedCount === 1 ? '' : 's'}.`}
+        confirmLabel="Clear"
+        onConfirm={() => {
+          clearCompleted();
+          setIsClearConfirmOpen(false);
+        }}
+        onCancel={() => setIsClearConfirmOpen(false)}
+      />
+    </>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * BULK ACTION BAR (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Toolbar composed from Button and ConfirmDialog
+ * - SESSION 4: Form state for the value to apply, batch reducer actions
+ * - SESSION 6: Tailwind sticky toolbar
+ *
+ * Shown above a task list while tasks are selected (see useSelection).
+ * Every action is one dispatch for the whole selection - one undo step
+ * and one save, however many tasks are selected.
+ */
+
+import { useState } from 'react';
+import { useTasks } from '../../context/TaskContext';
+import { useProjects } from '../../context/useProjects';
+import Button from '../ui/Button';
+import ConfirmDialog from '../ui/ConfirmDialog';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+// Select value for "No project" (projectId null)
+const NO_PROJECT = 'none';
+
+const fieldClasses = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+export default function BulkActionBar({ selectedIds, totalCount, onSelectAll, onClear }) {
+  const { updateTasks, deleteTasks, addTagsToTasks } = useTasks();
+  const { activeProjects } = useProjects();
+  const [dueDate, setDueDate] = useState('');
+  const [tag, setTag] = useState('');
+  const [isDeleteConfirmOpen, setIsDeleteConfirmOpen] = useState(false);
+
+  const count = selectedIds.length;
+  if (count === 0) return null;
+
+  const handleSetDueDate = (e) => {
+    e.preventDefault();
+    updateTasks(selectedIds, { dueDate });
+    setDueDate('');
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    addTagsToTasks(selectedIds, [tag]);
+    setTag('');
+  };
+
+  const handleDelete = () => {
+    deleteTasks(selectedIds);
+    setIsDeleteConfirmOpen(false);
+    onClear();
+  };
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Bulk actions"
+      className="sticky top-0 z-10 bg-white border border-blue-200 rounded-xl shadow-sm p-3 flex flex-wrap items-center gap-2"
+    >
+      <span className="text-sm font-semibold text-gray-900 mr-2" aria-live="polite">
+        {count} selected
+      </span>
+      {count < totalCount && (
+        <Button size="sm" variant="ghost" onClick={onSelectAll}>Select all ({totalCount})</Button>
+      )}
+      <Button size="sm" variant="ghost" onClick={onClear}>Clear selection</Button>
+
+      <span className="w-px h-6 bg-gray-200 mx-1" aria-hidden="true" />
+
+      <Button size="sm" variant="success" onClick={() => updateTasks(selectedIds, { status: 'completed' })}>
+        Complete
+      </Button>
+      <Button size="sm" variant="secondary" onClick={() => updateTasks(selectedIds, { status: 'pending' })}>
+        Reopen
+      </Button>
+
+      <label className="sr-only" htmlFor="bulk-priority">Set priority</label>
+      <select
+        id="bulk-priority"
+        value=""
+        onChange={(e) => updateTasks(selectedIds, { priority: e.target.value })}
+        className={fieldClasses}
+      >
+        <option value="" disabled>Priority…</option>
+        {PRIORITIES.map(priority => (
+          <option key={priority} value={priority}>
+            {priority.charAt(0).toUpperCase() + priority.slice(1)}
+          </option>
+        ))}
+      </select>
+
+      <label className="sr-only" htmlFor="bulk-project">Move to project</label>
+      <select
+        id="bulk-project"
+        value=""
+        onChange={(e) => updateTasks(selectedIds, { projectId: e.target.value === NO_PROJECT ? null : e.target.value })}
+        className={fieldClasses}
+      >
+        <option value="" disabled>Move to…</option>
+        <option value={NO_PROJECT}>No project</option>
+        {activeProjects.map(project => (
+          <option key={project.id} value={project.id}>{project.name}</option>
+        ))}
+      </select>
+
+      <form onSubmit={handleSetDueDate} className="flex items-center gap-1">
+        <label className="sr-only" htmlFor="bulk-due-date">Due date for selected tasks</label>
+        <input
+          id="bulk-due-date"
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          className={fieldClasses}
+        />
+        <Button size="sm" variant="secondary" type="submit" disabled={!dueDate}>Set date</Button>
+      </form>
+
+      <form onSubmit={handleAddTag} className="flex items-center gap-1">
+        <label className="sr-only" htmlFor="bulk-tag">Tag for selected tasks</label>
+        <input
+          id="bulk-tag"
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="Tag"
+          className={`${fieldClasses} w-28`}
+        />
+        <Button size="sm" variant="secondary" type="submit" disabled={!tag.trim()}>Add tag</Button>
+      </form>
+
+      <Button size="sm" variant="danger" className="ml-auto" onClick={() => setIsDeleteConfirmOpen(true)}>
+        Delete
+      </Button>
+
+      <ConfirmDialog
+        isOpen={isDeleteConfirmOpen}
+        title={`Delete ${count} task${count === 1 ? '' : 's'}?`}
+        message="You can undo this right after."
+        confirmLabel="Delete"
+        onConfirm={handleDelete}
+        onCancel={() => setIsDeleteConfirmOpen(false)}
+      />
+    </div>
+  );
+}
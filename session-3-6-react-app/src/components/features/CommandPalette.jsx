@@ -0,0 +1,178 @@
+/**
+ * COMMAND PALETTE (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: A dialog composed of an input and a result list
+ * - SESSION 4: Keyboard-driven selection state (active index)
+ * - SESSION 5: Registered commands from CommandContext, keyboard shortcut hook
+ * - SESSION 6: Tailwind overlay and highlighted matches
+ *
+ * Ctrl/Cmd + K opens it from anywhere. Typing fuzzy-searches the
+ * registered commands (see AppCommands) and every task; Arrow keys move,
+ * Enter runs, Escape closes. Follows the ARIA combobox pattern, so focus
+ * stays in the input while the active option is announced.
+ */
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTasks } from '../../context/TaskContext';
+import { useCommands } from '../../context/commandRegistry';
+import useKeyboardShortcut from '../../hooks/useKeyboardShortcut';
+import { fuzzyMatch, splitMatches } from '../../utils/fuzzy';
+
+const MAX_RESULTS = 50;
+// Keyword matches rank below title matches and are not highlighted
+const KEYWORD_PENALTY = 10;
+
+function rankCommand(command, query) {
+  const titleMatch = fuzzyMatch(query, command.title);
+  if (titleMatch) return { command, ...titleMatch };
+
+  const keywordScores = (command.keywords || [])
+    .map(keyword => fuzzyMatch(query, keyword)?.score)
+    .filter(score => score !== undefined);
+  return keywordScores.length > 0
+    ? { command, score: Math.max(...keywordScores) - KEYWORD_PENALTY, indices: [] }
+    : null;
+}
+
+export default function CommandPalette() {
+  const { isOpen, openPalette, closePalette } = useCommands();
+
+  useKeyboardShortcut('mod+k', isOpen ? closePalette : openPalette, { allowInInputs: true });
+
+  return isOpen ? <PaletteDialog onClose={closePalette} /> : null;
+}
+
+function PaletteDialog({ onClose }) {
+  const { commands } = useCommands();
+  const { tasks } = useTasks();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [previousFocus] = useState(() => document.activeElement);
+
+  // Tasks are searched too, but only once something is typed
+  const taskCommands = tasks.map(task => ({
+    id: `task-${task.id}`,
+    title: task.title,
+    group: task.status === 'completed' ? 'Completed task' : 'Task',
+    keywords: task.tags,
+    run: () => navigate(`/tasks/${task.id}`)
+  }));
+
+  const results = query.trim()
+    ? [...commands, ...taskCommands]
+      .map(command => rankCommand(command, query))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+    : commands.map(command => ({ command, score: 0, indices: [] }));
+
+  const activeResult = results[Math.min(activeIndex, results.length - 1)];
+  const optionId = (command) => `command-${command.id}`;
+  const activeId = activeResult ? optionId(activeResult.command) : undefined;
+
+  useEffect(() => {
+    if (activeId) document.getElementById(activeId)?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeId]);
+
+  // Dismissing puts focus back; a command may move it somewhere else
+  const dismiss = () => {
+    onClose();
+    previousFocus?.focus?.();
+  };
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    const last = results.length - 1;
+    const moves = {
+      ArrowDown: (index) => (index >= last ? 0 : index + 1),
+      ArrowUp: (index) => (index <= 0 ? last : index - 1),
+      Home: () => 0,
+      End: () => last,
+    };
+
+    if (moves[e.key] && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => moves[e.key](Math.min(index, last)));
+    } else if (e.key === 'Enter' && activeResult) {
+      e.preventDefault();
+      run(activeResult.command);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      dismiss();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/40 px-4 pt-[15vh]" onClick={dismiss}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-xl overflow-hidden rounded-xl bg-white shadow-2xl"
+      >
+        <input
+          type="text"
+          role="combobox"
+          aria-label="Search commands and tasks"
+          aria-expanded="true"
+          aria-controls="command-results"
+          aria-activedescendant={activeId}
+          aria-autocomplete="list"
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type a command or search tasks…"
+          className="w-full border-b border-gray-200 px-4 py-3 text-base focus:outline-none"
+        />
+
+        <ul id="command-results" role="listbox" aria-label="Commands" className="max-h-80 overflow-y-auto py-2">
+          {results.map(result => {
+            const { command } = result;
+            const isActive = result === activeResult;
+            return (
+              <li
+                key={command.id}
+                id={optionId(command)}
+                role="option"
+                aria-selected={isActive}
+                onMouseMove={() => !isActive && setActiveIndex(results.indexOf(result))}
+                onClick={() => run(command)}
+                className={`flex cursor-pointer items-center justify-between gap-4 px-4 py-2 text-sm ${
+                  isActive ? 'bg-blue-50 text-blue-900' : 'text-gray-700'
+                }`}
+              >
+                <span className="truncate">
+                  {splitMatches(command.title, result.indices).map((part, index) => (
+                    part.match
+                      ? <mark key={index} className="bg-transparent font-semibold text-blue-600">{part.text}</mark>
+                      : <span key={index}>{part.text}</span>
+                  ))}
+                </span>
+                <span className="flex shrink-0 items-center gap-2 text-xs text-gray-400">
+                  {command.shortcut && <kbd className="rounded border border-gray-200 px-1.5 py-0.5">{command.shortcut}</kbd>}
+                  {command.group}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+
+        {results.length === 0 && (
+          <p className="px-4 py-6 text-center text-sm text-gray-500">No commands or tasks match "{query}"</p>
+        )}
+      </div>
+    </div>
+  );
+}
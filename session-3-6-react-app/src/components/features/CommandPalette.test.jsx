@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useMemo } from 'react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import { SettingsProvider } from '../../context/SettingsContext';
+import { ProjectProvider } from '../../context/ProjectContext';
+import { TaskProvider } from '../../context/TaskContext';
+import { CommandProvider } from '../../context/CommandContext';
+import { useRegisterCommands } from '../../context/commandRegistry';
+import AppCommands from './AppCommands';
+import CommandPalette from './CommandPalette';
+import { seedStoredTasks } from '../../test/seedTasks';
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}{location.search}</div>;
+}
+
+function CustomCommand({ onRun }) {
+  useRegisterCommands(useMemo(() => [
+    { id: 'say-hello', title: 'Say hello', group: 'Custom', run: onRun }
+  ], [onRun]));
+  return null;
+}
+
+const paletteTree = (extra = null) => (
+  <MemoryRouter initialEntries={['/']}>
+    <SettingsProvider>
+      <ProjectProvider>
+        <TaskProvider>
+          <CommandProvider>
+            <AppCommands />
+            <CommandPalette />
+            <LocationDisplay />
+            {extra}
+          </CommandProvider>
+        </TaskProvider>
+      </ProjectProvider>
+    </SettingsProvider>
+  </MemoryRouter>
+);
+
+const renderPalette = (extra) => render(paletteTree(extra));
+
+const openPalette = () => fireEvent.keyDown(document.body, { key: 'k', ctrlKey: true });
+
+describe('CommandPalette (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+  });
+
+  it('opens on Ctrl/Cmd + K and closes on Escape', async () => {
+    const user = userEvent.setup();
+    renderPalette();
+    expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+
+    openPalette();
+    const input = screen.getByRole('combobox', { name: 'Search commands and tasks' });
+    expect(input).toHaveFocus();
+    expect(screen.getByRole('option', { name: /Go to Dashboard/ })).toBeInTheDocument();
+
+    await user.keyboard('{Escape}');
+    expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+  });
+
+  it('fuzzy-searches tasks and jumps to the selected one', async () => {
+    const user = userEvent.setup();
+    renderPalette();
+    openPalette();
+
+    await user.type(screen.getByRole('combobox'), 'auth bug');
+    const options = screen.getAllByRole('option');
+    expect(options[0]).toHaveTextContent('Fix authentication bug in login flow');
+    expect(options[0]).toHaveAttribute('aria-selected', 'true');
+
+    await user.keyboard('{Enter}');
+    expect(screen.getByTestId('location')).toHaveTextContent('/tasks/1');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('moves the active option with the arrow keys', async () => {
+    const user = userEvent.setup();
+    renderPalette();
+    openPalette();
+    const input = screen.getByRole('combobox');
+    const options = screen.getAllByRole('option');
+
+    await user.keyboard('{ArrowDown}');
+    expect(options[1]).toHaveAttribute('aria-selected', 'true');
+    expect(input).toHaveAttribute('aria-activedescendant', options[1].id);
+
+    await user.keyboard('{ArrowUp}{ArrowUp}');
+    expect(options[options.length - 1]).toHaveAttribute('aria-selected', 'true');
+  });
+
+  it('applies filters by navigating to the task list', async () => {
+    const user = userEvent.setup();
+    renderPalette();
+    openPalette();
+
+    await user.type(screen.getByRole('combobox'), 'show pending');
+    await user.click(screen.getByRole('option', { name: /Show pending tasks/ }));
+
+    expect(screen.getByTestId('location')).toHaveTextContent('/tasks?status=pending');
+  });
+
+  it('shows an empty state when nothing matches', async () => {
+    const user = userEvent.setup();
+    renderPalette();
+    openPalette();
+
+    await user.type(screen.getByRole('combobox'), 'zzzz');
+
+    expect(screen.queryAllByRole('option')).toHaveLength(0);
+    expect(screen.getByText('No commands or tasks match "zzzz"')).toBeInTheDocument();
+  });
+
+  it('lists commands registered by other components while they are mounted', async () => {
+    const user = userEvent.setup();
+    let runs = 0;
+    const onRun = () => { runs += 1; };
+    const { rerender } = renderPalette(<CustomCommand onRun={onRun} />);
+    openPalette();
+
+    const listbox = screen.getByRole('listbox', { name: 'Commands' });
+    await user.click(within(listbox).getByRole('option', { name: /Say hello/ }));
+    expect(runs).toBe(1);
+
+    openPalette();
+    rerender(paletteTree());
+    expect(screen.getByRole('option', { name: /Go to Dashboard/ })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: /Say hello/ })).not.toBeInTheDocument();
+  });
+});
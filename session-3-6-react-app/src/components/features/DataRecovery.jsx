@@ -0,0 +1,101 @@
+/**
+ * DATA RECOVERY (SESSIONS 5 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 5: Layout route with <Outlet /> acting as a gate
+ * - SESSION 6: Error states that keep the user's data safe
+ *
+ * When stored tasks can't be loaded (corrupted or from a newer version,
+ * or the server is unreachable) the task pages are replaced by this
+ * screen. Nothing is saved until the user picks a way forward, so the
+ * raw data can always be downloaded first.
+ */
+
+import { useState } from 'react';
+import { Link, Outlet } from 'react-router-dom';
+import { useTasks } from '../../context/TaskContext';
+import { StorageCorruptionError } from '../../services/storage';
+import { downloadFile } from '../../utils/download';
+import Button from '../ui/Button';
+import ConfirmDialog from '../ui/ConfirmDialog';
+
+export default function DataRecovery() {
+  const { loadError, retryLoad, recoverWithTasks } = useTasks();
+  const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+
+  if (!loadError) return <Outlet />;
+
+  const isCorrupted = loadError instanceof StorageCorruptionError;
+  const validTasks = isCorrupted ? loadError.validTasks : [];
+
+  const handleDownload = () => {
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`taskmaster-backup-${timestamp}.json`, loadError.raw, 'application/json');
+  };
+
+  const handleReset = () => {
+    setIsConfirmingReset(false);
+    recoverWithTasks([]);
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 py-16">
+      <div className="bg-white rounded-xl shadow-md p-8" role="alert">
+        <div className="text-5xl mb-4">⚠️</div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">
+          {isCorrupted ? 'Your saved tasks could not be read' : 'Your tasks could not be loaded'}
+        </h1>
+        <p className="text-gray-600 mb-4">{loadError.message}</p>
+
+        {loadError.issues?.length > 0 && (
+          <ul className="list-disc list-inside text-sm text-gray-600 bg-gray-50 rounded-lg p-4 mb-4 max-h-40 overflow-y-auto">
+            {loadError.issues.map(issue => (
+              <li key={issue}>{issue}</li>
+            ))}
+          </ul>
+        )}
+
+        <p className="text-sm text-gray-500 mb-6">
+          Nothing has been changed. Download a copy before choosing how to continue.
+        </p>
+
+        <div className="flex flex-wrap gap-3">
+          {isCorrupted && (
+            <Button variant="outline" onClick={handleDownload}>
+              Download raw data
+            </Button>
+          )}
+          {validTasks.length > 0 && (
+            <Button onClick={() => recoverWithTasks(validTasks)}>
+              Keep {validTasks.length} valid task{validTasks.length === 1 ? '' : 's'}
+            </Button>
+          )}
+          <Button variant="secondary" onClick={retryLoad}>
+            Try again
+          </Button>
+          {isCorrupted && (
+            <Button variant="danger" onClick={() => setIsConfirmingReset(true)}>
+              Start with an empty workspace
+            </Button>
+          )}
+        </div>
+
+        <p className="text-sm text-gray-500 mt-6">
+          Using the wrong backend?{' '}
+          <Link to="/settings" className="text-blue-600 hover:underline">
+            Change storage settings
+          </Link>
+        </p>
+      </div>
+
+      <ConfirmDialog
+        isOpen={isConfirmingReset}
+        title="Start Over"
+        message="This replaces the stored data with an empty task list. Make sure you've downloaded a copy."
+        confirmLabel="Start Over"
+        onConfirm={handleReset}
+        onCancel={() => setIsConfirmingReset(false)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { TaskProvider, useTasks } from '../../context/TaskContext';
+import DataRecovery from './DataRecovery';
+
+const STORAGE_KEY = 'taskmaster-react-tasks';
+
+function TaskList() {
+  const { tasks } = useTasks();
+  return (
+    <ul aria-label="Tasks">
+      {tasks.map(task => <li key={task.id}>{task.title}</li>)}
+    </ul>
+  );
+}
+
+const renderApp = () => {
+  return render(
+    <MemoryRouter>
+      <TaskProvider>
+        <Routes>
+          <Route element={<DataRecovery />}>
+            <Route path="/" element={<TaskList />} />
+          </Route>
+        </Routes>
+      </TaskProvider>
+    </MemoryRouter>
+  );
+};
+
+const storeRaw = (value) => localStorage.setItem(STORAGE_KEY, value);
+
+describe('DataRecovery (Sessions 5-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('renders the page when data loads', () => {
+    storeRaw(JSON.stringify({ version: 2, tasks: [{ id: 1, title: 'Fine' }] }));
+    renderApp();
+
+    expect(screen.getByText('Fine')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('shows the recovery screen without touching corrupted data', () => {
+    storeRaw('{not json');
+    renderApp();
+
+    expect(screen.getByRole('heading', { name: /could not be read/i })).toBeInTheDocument();
+    expect(screen.getByText(/not valid JSON/i)).toBeInTheDocument();
+    expect(screen.queryByRole('list', { name: 'Tasks' })).not.toBeInTheDocument();
+    expect(localStorage.getItem(STORAGE_KEY)).toBe('{not json');
+  });
+
+  it('downloads the raw data', async () => {
+    const user = userEvent.setup();
+    const createObjectURL = vi.fn(() => 'blob:backup');
+    vi.stubGlobal('URL', { ...URL, createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    try {
+      storeRaw('{not json');
+      renderApp();
+
+      await user.click(screen.getByRole('button', { name: /download raw data/i }));
+
+      const blob = createObjectURL.mock.calls[0][0];
+      expect(await blob.text()).toBe('{not json');
+      expect(click).toHaveBeenCalled();
+    } finally {
+      vi.unstubAllGlobals();
+      click.mockRestore();
+    }
+  });
+
+  it('keeps the valid tasks and saves them', async () => {
+    const user = userEvent.setup();
+    storeRaw(JSON.stringify([{ id: 1, title: 'Good' }, { id: 2 }]));
+    renderApp();
+
+    expect(screen.getByText('Task #2 has no title')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /keep 1 valid task/i }));
+
+    expect(screen.getByText('Good')).toBeInTheDocument();
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    expect(stored.version).toBe(2);
+    expect(stored.tasks.map(task => task.title)).toEqual(['Good']);
+  });
+
+  it('starts over with an empty workspace after confirming', async () => {
+    const user = userEvent.setup();
+    storeRaw(JSON.stringify({ version: 99, tasks: [] }));
+    renderApp();
+
+    expect(screen.getByText(/newer version/i)).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /start with an empty workspace/i }));
+    await user.click(screen.getByRole('button', { name: 'Start Over' }));
+
+    expect(screen.getByRole('list', { name: 'Tasks' })).toBeEmptyDOMElement();
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).tasks).toEqual([]);
+  });
+});
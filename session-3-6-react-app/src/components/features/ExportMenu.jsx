@@ -0,0 +1,83 @@
+/**
+ * EXPORT MENU (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Props for the data to export (parent decides what "filtered" means)
+ * - SESSION 4: Toggle state for a dropdown panel
+ * - SESSION 6: Tailwind popover styling
+ */
+
+import { useState } from 'react';
+import Button from '../ui/Button';
+import { downloadFile } from '../../utils/download';
+import { EXPORT_FORMATS, exportFilename } from '../../utils/taskTransfer';
+
+export default function ExportMenu({ allTasks, filteredTasks }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scope, setScope] = useState('filtered');
+
+  const tasks = scope === 'all' ? allTasks : filteredTasks;
+
+  const handleExport = (format) => {
+    downloadFile(exportFilename(format.value), format.serialize(tasks), format.type);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <Button
+        variant="secondary"
+        size="lg"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Export
+      </Button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 mt-2 w-72 bg-white rounded-xl shadow-lg border border-gray-200 p-4 z-30"
+          role="group"
+          aria-label="Export tasks"
+        >
+          <fieldset className="space-y-2 mb-4">
+            <legend className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Tasks</legend>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'filtered'}
+                onChange={() => setScope('filtered')}
+              />
+              Current view ({filteredTasks.length})
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'all'}
+                onChange={() => setScope('all')}
+              />
+              All tasks ({allTasks.length})
+            </label>
+          </fieldset>
+
+          <div className="space-y-2">
+            {EXPORT_FORMATS.map(format => (
+              <button
+                key={format.value}
+                type="button"
+                onClick={() => handleExport(format)}
+                disabled={tasks.length === 0}
+                className="w-full text-left px-3 py-2 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <span className="block text-sm font-medium text-gray-900">Download {format.label}</span>
+                <span className="block text-xs text-gray-500">{format.description}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+/**
+ * IMPORT TASKS MODAL (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Table rendering, composition of small sections
+ * - SESSION 4: Multi-step form state (file -> mapping -> preview -> import)
+ * - SESSION 5: Reading files with the File API (async/await)
+ * - SESSION 6: Tailwind modal and validation feedback
+ *
+ * Mounted only while open, so every import starts from a clean slate.
+ * Rows with errors are listed with their line number and skipped; the
+ * valid ones go through the reducer (importTasks) and can be undone.
+ * Calendar (.ics) items are always added as new tasks.
+ */
+
+import { useState } from 'react';
+import { useTasks } from '../../context/TaskContext';
+import Button from '../ui/Button';
+import {
+  IMPORT_FIELDS,
+  readJsonImport,
+  readCsvImport,
+  guessCsvMapping,
+  mapCsvRecords,
+} from '../../utils/taskTransfer';
+import { parseIcs, taskUid } from '../../utils/ical';
+import { formatDueDate } from '../../utils/dates';
+
+const PREVIEW_LIMIT = 50;
+
+const IMPORT_MODES = [
+  { value: 'merge', label: 'Merge', description: 'Add new tasks and update tasks with the same ID' },
+  { value: 'replace', label: 'Replace', description: 'Remove all current tasks first' },
+];
+
+function detectFormat(file, text) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.ics') || /^\s*BEGIN:VCALENDAR/i.test(text)) return 'ics';
+  if (name.endsWith('.csv') || !/^\s*[[{]/.test(text)) return 'csv';
+  return 'json';
+}
+
+export default function ImportTasksModal({ onClose }) {
+  const { tasks, importTasks } = useTasks();
+
+  // SESSION 4: Parsed file state
+  const [fileName, setFileName] = useState('');
+  const [readError, setReadError] = useState('');
+  const [format, setFormat] = useState(null);
+  const [parsedRows, setParsedRows] = useState(null); // JSON and .ics
+  const [csv, setCsv] = useState(null); // { headers, records }
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('merge');
+
+  // Rows are derived - changing the CSV mapping re-validates instantly
+  const rows = csv ? mapCsvRecords(csv.records, mapping) : parsedRows;
+  const validTasks = rows ? rows.filter(row => row.task).map(row => row.task) : [];
+  const invalidRows = rows ? rows.filter(row => !row.task) : [];
+
+  // SESSION 5: Async file reading
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setReadError('');
+    setParsedRows(null);
+    setCsv(null);
+
+    try {
+      const text = await file.text();
+      const fileFormat = detectFormat(file, text);
+      setFormat(fileFormat);
+
+      if (fileFormat === 'csv') {
+        const parsed = readCsvImport(text);
+        setCsv(parsed);
+        setMapping(guessCsvMapping(parsed.headers));
+      } else if (fileFormat === 'ics') {
+        setParsedRows(markExportedItems(parseIcs(text), tasks));
+      } else {
+        setParsedRows(readJsonImport(text));
+      }
+    } catch (error) {
+      setReadError(error.message);
+    }
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping(prev => ({ ...prev, [field]: Number(column) }));
+  };
+
+  // One dispatch, so the whole import is a single undo step. Calendar
+  // items have no ids, so merging always adds them as new tasks.
+  const handleImport = () => {
+    importTasks(validTasks, format === 'ics' ? 'merge' : mode);
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-40 animate-fadeIn" onClick={onClose} />
+
+      <div className="fixed inset-0 flex items-center justify-center z-50 p-4">
+        <div
+          className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-slideUp"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="import-tasks-title"
+        >
+          {/* Header */}
+          <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between rounded-t-xl">
+            <h2 id="import-tasks-title" className="text-xl font-semibold text-gray-900">Import Tasks</h2>
+            <button
+              onClick={onClose}
+              aria-label="Close"
+              className="text-gray-400 hover:text-gray-600 transition-colors p-1 hover:bg-gray-100 rounded-lg"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {/* Step 1: File */}
+            <div>
+              <label htmlFor="import-file" className="block text-sm font-medium text-gray-700 mb-1">
+                JSON, CSV or iCalendar (.ics) file
+              </label>
+              <input
+                type="file"
+                id="import-file"
+                accept=".json,.csv,.ics,application/json,text/csv,text/calendar"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+              />
+              {readError && (
+                <p className="mt-2 text-sm text-red-600" role="alert">
+                  Could not read {fileName}: {readError}
+                </p>
+              )}
+            </div>
+
+            {/* Step 2: CSV column mapping */}
+            {csv && (
+              <fieldset>
+                <legend className="text-sm font-medium text-gray-700 mb-2">Map CSV columns</legend>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {IMPORT_FIELDS.map(({ field, label, required }) => (
+                    <div key={field}>
+                      <label htmlFor={`map-${field}`} className="block text-xs text-gray-600 mb-1">
+                        {label}{required && <span className="text-red-500"> *</span>}
+                      </label>
+                      <select
+                        id={`map-${field}`}
+                        value={mapping[field] ?? -1}
+                        onChange={(e) => handleMappingChange(field, e.target.value)}
+                        className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value={-1}>— Not imported —</option>
+                        {csv.headers.map((header, index) => (
+                          <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </fieldset>
+            )}
+
+            {/* Step 3: Preview */}
+            {rows && (
+              <ImportPreview rows={rows} validCount={validTasks.length} invalidCount={invalidRows.length} />
+            )}
+
+            {/* Step 4: Mode */}
+            {rows && format === 'ics' && (
+              <p className="text-sm text-gray-600">Calendar items are added as new tasks.</p>
+            )}
+            {rows && format !== 'ics' && (
+              <fieldset className="space-y-2">
+                <legend className="text-sm font-medium text-gray-700 mb-2">Import mode</legend>
+                {IMPORT_MODES.map(option => (
+                  <label key={option.value} className="flex items-start gap-3 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="import-mode"
+                      value={option.value}
+                      checked={mode === option.value}
+                      onChange={() => setMode(option.value)}
+                      className="mt-0.5"
+                    />
+                    <span>
+                      <span className="font-medium">{option.label}</span>
+                      <span className="block text-xs text-gray-500">{option.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex gap-3 justify-end px-6 py-4 border-t border-gray-200">
+            <Button variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button onClick={handleImport} disabled={validTasks.length === 0}>
+              Import {validTasks.length} task{validTasks.length === 1 ? '' : 's'}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Items from our own .ics export that still exist here would be duplicates
+function markExportedItems(rows, tasks) {
+  const existingUids = new Set(tasks.map(taskUid));
+  return rows.map(row => (
+    row.task && existingUids.has(row.uid)
+      ? { ...row, task: null, errors: ['Already in TaskMaster'] }
+      : row
+  ));
+}
+
+function ImportPreview({ rows, validCount, invalidCount }) {
+  const shownRows = rows.slice(0, PREVIEW_LIMIT);
+
+  return (
+    <div>
+      <p className="text-sm text-gray-700 mb-2">
+        <span className="font-medium text-green-700">{validCount} ready to import</span>
+        {invalidCount > 0 && (
+          <span className="font-medium text-red-600">, {invalidCount} with errors (skipped)</span>
+        )}
+      </p>
+
+      <div className="border border-gray-200 rounded-lg overflow-x-auto">
+        <table className="min-w-full text-sm" aria-label="Import preview">
+          <thead className="bg-gray-50 text-left text-xs uppercase tracking-wide text-gray-500">
+            <tr>
+              <th className="px-3 py-2">Line</th>
+              <th className="px-3 py-2">Title</th>
+              <th className="px-3 py-2">Priority</th>
+              <th className="px-3 py-2">Status</th>
+              <th className="px-3 py-2">Due</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {shownRows.map(row => (
+              <tr key={row.line} className={row.task ? '' : 'bg-red-50'}>
+                <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                {row.task ? (
+                  <>
+                    <td className="px-3 py-2 text-gray-900">{row.task.title}</td>
+                    <td className="px-3 py-2 capitalize">{row.task.priority}</td>
+                    <td className="px-3 py-2 capitalize">{row.task.status}</td>
+                    <td className="px-3 py-2">{formatDueDate(row.task, '—')}</td>
+                  </>
+                ) : (
+                  <td colSpan={4} className="px-3 py-2 text-red-700">{row.errors.join('; ')}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {rows.length > PREVIEW_LIMIT && (
+        <p className="mt-2 text-xs text-gray-500">Showing the first {PREVIEW_LIMIT} of {rows.length} rows.</p>
+      )}
+    </div>
+  );
+}
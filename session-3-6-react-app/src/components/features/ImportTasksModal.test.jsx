@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TaskProvider, useTasks } from '../../context/TaskContext';
+import { seedStoredTasks } from '../../test/seedTasks';
+import ImportTasksModal from './ImportTasksModal';
+
+function TaskTitles() {
+  const { tasks, undoLabel } = useTasks();
+  return (
+    <>
+      <ul aria-label="Tasks">{tasks.map(task => <li key={task.id}>{task.title}</li>)}</ul>
+      <output data-testid="undo-label">{undoLabel}</output>
+    </>
+  );
+}
+
+const renderModal = () => {
+  const onClose = vi.fn();
+  render(
+    <TaskProvider>
+      <TaskTitles />
+      <ImportTasksModal onClose={onClose} />
+    </TaskProvider>
+  );
+  return { onClose };
+};
+
+const upload = (user, name, content, type) =>
+  user.upload(screen.getByLabelText(/json, csv or icalendar/i), new File([content], name, { type }));
+
+const taskTitles = () => within(screen.getByRole('list', { name: 'Tasks' })).getAllByRole('listitem').map(li => li.textContent);
+
+describe('ImportTasksModal (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks([{ id: 1, title: 'Existing', description: '', priority: 'low', status: 'pending' }]);
+  });
+
+  it('previews a CSV file with per-row errors', async () => {
+    const user = userEvent.setup();
+    renderModal();
+
+    await upload(user, 'tasks.csv', 'Title,Priority\nBuy milk,high\nBroken,urgent\n', 'text/csv');
+
+    const preview = screen.getByRole('table', { name: /import preview/i });
+    expect(within(preview).getByText('Buy milk')).toBeInTheDocument();
+    expect(within(preview).getByText('Priority "urgent" must be high, medium or low')).toBeInTheDocument();
+    expect(screen.getByText(/1 ready to import/i)).toBeInTheDocument();
+    expect(screen.getByText(/1 with errors/i)).toBeInTheDocument();
+  });
+
+  it('lets the user map CSV columns', async () => {
+    const user = userEvent.setup();
+    renderModal();
+
+    await upload(user, 'tasks.csv', 'What,Extra\nCall Ann,notes here\n', 'text/csv');
+    expect(screen.getByRole('button', { name: /import 0 tasks/i })).toBeDisabled();
+
+    await user.selectOptions(screen.getByLabelText(/^title/i), 'What');
+    await user.selectOptions(screen.getByLabelText(/^description/i), 'Extra');
+
+    expect(screen.getByRole('button', { name: /import 1 task$/i })).toBeEnabled();
+  });
+
+  it('merges valid rows into the existing tasks', async () => {
+    const user = userEvent.setup();
+    const { onClose } = renderModal();
+
+    await upload(user, 'tasks.csv', 'id,title\n1,Existing (renamed)\n,Brand new\n', 'text/csv');
+    await user.click(screen.getByRole('button', { name: /import 2 tasks/i }));
+
+    expect(taskTitles()).toEqual(['Existing (renamed)', 'Brand new']);
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('replaces all tasks from a JSON export', async () => {
+    const user = userEvent.setup();
+    renderModal();
+
+    const json = JSON.stringify({ version: 2, tasks: [{ id: 5, title: 'From backup' }] });
+    await upload(user, 'backup.json', json, 'application/json');
+    await user.click(screen.getByLabelText(/replace/i));
+    await user.click(screen.getByRole('button', { name: /import 1 task$/i }));
+
+    expect(taskTitles()).toEqual(['From backup']);
+  });
+
+  it('adds calendar items as new tasks and skips ones exported from here', async () => {
+    const user = userEvent.setup();
+    renderModal();
+
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:task-1@taskmaster',
+      'SUMMARY:Existing',
+      'END:VTODO',
+      'BEGIN:VEVENT',
+      'UID:dentist@example.com',
+      'SUMMARY:Dentist',
+      'DTSTART:20250301T100000',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    await upload(user, 'calendar.ics', ics, 'text/calendar');
+
+    expect(screen.getByText('Already in TaskMaster')).toBeInTheDocument();
+    expect(screen.queryByText(/import mode/i)).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /import 1 task$/i }));
+
+    expect(taskTitles()).toEqual(['Existing', 'Dentist']);
+    expect(screen.getByTestId('undo-label')).toHaveTextContent('1 task imported');
+  });
+
+  it('explains files it cannot read', async () => {
+    const user = userEvent.setup();
+    renderModal();
+
+    await upload(user, 'backup.json', '{"oops":', 'application/json');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not read backup.json: The file is not valid JSON');
+  });
+});
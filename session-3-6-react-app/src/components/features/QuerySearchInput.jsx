@@ -0,0 +1,81 @@
+/**
+ * QUERY SEARCH INPUT (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Controlled component - the parent owns the text
+ * - SESSION 4: Derived data - highlighting and hints come from parsing
+ *   the current value on every render, nothing extra in state
+ * - SESSION 6: Tailwind layering - coloured text behind a transparent input
+ *
+ * A search box for the query language in utils/taskQuery
+ * (priority:high due:<2025-01-01 -excluded). Filters, operators and
+ * phrases are coloured as you type, and terms that can't be read are
+ * underlined in red with a hint below saying what is wrong.
+ */
+
+import { useState } from 'react';
+import { parseQuery, splitQueryTokens } from '../../utils/taskQuery';
+
+const TOKEN_CLASSES = {
+  negation: 'text-red-600',
+  field: 'text-purple-700',
+  operator: 'text-orange-600',
+  value: 'text-blue-700',
+  phrase: 'text-green-700',
+  text: 'text-gray-900',
+  error: 'text-red-600 underline decoration-wavy decoration-red-500',
+};
+
+// Shared by the input and the highlight layer so the text lines up exactly
+const textClasses = 'px-3 py-2 text-base font-normal whitespace-pre';
+
+export default function QuerySearchInput({ id, value, onChange, label = 'Search tasks' }) {
+  const [scrollLeft, setScrollLeft] = useState(0);
+  const { tokens, errors } = parseQuery(value);
+  const hintId = `${id}-hint`;
+
+  return (
+    <div>
+      <label htmlFor={id} className="sr-only">{label}</label>
+      <div className="relative">
+        <div
+          aria-hidden="true"
+          data-testid="query-highlight"
+          className="absolute inset-0 overflow-hidden border border-transparent rounded-lg pointer-events-none"
+        >
+          <div className={textClasses} style={{ transform: `translateX(${-scrollLeft}px)` }}>
+            {splitQueryTokens(value, tokens).map((part, index) => (
+              <span key={index} data-kind={part.kind ?? undefined} className={TOKEN_CLASSES[part.kind] ?? ''}>
+                {part.text}
+              </span>
+            ))}
+          </div>
+        </div>
+        <input
+          type="search"
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={(e) => setScrollLeft(e.currentTarget.scrollLeft)}
+          placeholder="Search tasks... try priority:high due:<today"
+          spellCheck={false}
+          aria-invalid={errors.length > 0}
+          aria-describedby={errors.length > 0 ? hintId : undefined}
+          className={`relative w-full bg-transparent text-transparent caret-gray-900 ${textClasses} border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+            errors.length > 0 ? 'border-red-300' : 'border-gray-300'
+          }`}
+        />
+      </div>
+      {errors.length > 0 && (
+        <ul id={hintId} className="mt-2 space-y-1 text-sm text-red-600">
+          {errors.map(error => (
+            <li key={error.start}>
+              <code className="font-mono bg-red-50 px-1 rounded">{value.slice(error.start, error.end)}</code>
+              {' '}{error.message}. Other terms still apply.
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
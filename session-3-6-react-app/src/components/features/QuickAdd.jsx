@@ -0,0 +1,135 @@
+/**
+ * QUICK ADD BAR (SESSIONS 4, 5 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 4: Deriving state - the preview is computed from the input on every render
+ * - SESSION 5: Keyboard shortcut hook, useMatch for the current project
+ * - SESSION 6: Tailwind preview chips
+ *
+ * Mounted once at app level. Type "Fix login bug tomorrow !high #auth"
+ * and press Enter to create the task without opening TaskModal (see
+ * utils/quickAdd for the syntax). Ctrl/Cmd + N, or "Quick add task" in
+ * the command palette, focuses the input.
+ * On a project's task list, new tasks go into that project.
+ */
+
+import { useMemo, useRef, useState } from 'react';
+import { useMatch } from 'react-router-dom';
+import { useTasks } from '../../context/TaskContext';
+import { useProjects } from '../../context/useProjects';
+import { useRegisterCommands } from '../../context/commandRegistry';
+import useKeyboardShortcut from '../../hooks/useKeyboardShortcut';
+import TagChip from '../ui/TagChip';
+import { parseQuickAdd } from '../../utils/quickAdd';
+import { formatDueDate } from '../../utils/dates';
+
+const priorityStyles = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700',
+};
+
+export default function QuickAdd() {
+  const { addTask } = useTasks();
+  const { getProject } = useProjects();
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  const projectMatch = useMatch('/projects/:projectId/tasks');
+  const project = projectMatch ? getProject(projectMatch.params.projectId) : null;
+
+  useKeyboardShortcut('mod+n', () => inputRef.current.focus(), { allowInInputs: true });
+  useRegisterCommands(useMemo(() => [{
+    id: 'quick-add',
+    title: 'Quick add task',
+    group: 'Action',
+    keywords: ['new', 'create'],
+    shortcut: 'Ctrl/Cmd + N',
+    run: () => inputRef.current.focus()
+  }], []));
+
+  const parsed = parseQuickAdd(text);
+  const hasText = text.trim() !== '';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!hasText) return;
+    if (!parsed.title) {
+      setError('Add a title as well as the date, priority or tags');
+      return;
+    }
+    // Same rule as the TaskModal form
+    if (parsed.title.length < 3) {
+      setError('Title must be at least 3 characters');
+      return;
+    }
+
+    addTask({
+      title: parsed.title,
+      description: '',
+      priority: parsed.priority ?? 'medium',
+      dueDate: parsed.dueDate,
+      dueTime: parsed.dueTime,
+      tags: parsed.tags,
+      projectId: project?.id ?? null,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+    setText('');
+    setMessage(`Added "${parsed.title}"`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setText('');
+      setMessage('');
+      setError('');
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div className="bg-white border-b border-gray-200">
+      <form onSubmit={handleSubmit} className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3">
+        <label htmlFor="quick-add" className="sr-only">Quick add task</label>
+        <input
+          ref={inputRef}
+          id="quick-add"
+          type="text"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setMessage('');
+            setError('');
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={`Quick add${project ? ` to ${project.name}` : ''}: "Fix login bug tomorrow !high #auth" (Ctrl/Cmd + N)`}
+          aria-describedby="quick-add-hint"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+        />
+
+        <div id="quick-add-hint" className="mt-2 text-xs text-gray-500 min-h-[1.5rem]">
+          {hasText && (
+            // Live preview of what Enter will create
+            <ul aria-label="Quick add preview" className="flex flex-wrap items-center gap-2">
+              <li className="font-medium text-gray-900">
+                {parsed.title || <span className="italic text-gray-400">No title</span>}
+              </li>
+              {parsed.dueDate && <li>📅 {formatDueDate(parsed)}</li>}
+              {parsed.priority && (
+                <li className={`px-2 py-0.5 rounded-full font-medium ${priorityStyles[parsed.priority]}`}>
+                  {parsed.priority.charAt(0).toUpperCase() + parsed.priority.slice(1)}
+                </li>
+              )}
+              {parsed.tags.map(tag => <li key={tag}><TagChip name={tag} /></li>)}
+              {project && <li>📁 {project.name}</li>}
+            </ul>
+          )}
+          <p role="status" className={error ? 'text-red-600' : ''}>{error || message}</p>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { SettingsProvider } from '../../context/SettingsContext';
+import { ProjectProvider } from '../../context/ProjectContext';
+import { TaskProvider } from '../../context/TaskContext';
+import { CommandProvider } from '../../context/CommandContext';
+import QuickAdd from './QuickAdd';
+import { formatDueDate } from '../../utils/dates';
+
+const PROJECTS_KEY = 'taskmaster-react-projects';
+
+const renderAt = (path = '/') => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <SettingsProvider>
+        <ProjectProvider>
+          <TaskProvider>
+            <CommandProvider>
+              <QuickAdd />
+            </CommandProvider>
+          </TaskProvider>
+        </ProjectProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+const storedTasks = () => JSON.parse(localStorage.getItem('taskmaster-react-tasks'))?.tasks ?? [];
+
+describe('QuickAdd (Sessions 4-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify([{ id: 'web', name: 'Website', archived: false }]));
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 0, 5, 10, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('previews the parsed fields while typing', async () => {
+    const user = userEvent.setup();
+    renderAt();
+
+    await user.type(screen.getByLabelText('Quick add task'), 'Fix login bug tomorrow !high #auth');
+
+    const preview = screen.getByRole('list', { name: 'Quick add preview' });
+    expect(preview).toHaveTextContent('Fix login bug');
+    expect(preview).toHaveTextContent(formatDueDate({ dueDate: '2025-01-06' }));
+    expect(preview).toHaveTextContent('High');
+    expect(preview).toHaveTextContent('#auth');
+  });
+
+  it('creates the task on Enter and clears the input', async () => {
+    const user = userEvent.setup();
+    renderAt();
+
+    await user.type(screen.getByLabelText('Quick add task'), 'Fix login bug tomorrow at 3pm !high #auth{Enter}');
+
+    expect(storedTasks()).toEqual([expect.objectContaining({
+      title: 'Fix login bug',
+      priority: 'high',
+      dueDate: '2025-01-06',
+      dueTime: '15:00',
+      tags: ['auth'],
+      projectId: null,
+      status: 'pending',
+    })]);
+    expect(screen.getByLabelText('Quick add task')).toHaveValue('');
+    expect(screen.getByRole('status')).toHaveTextContent('Added "Fix login bug"');
+  });
+
+  it('asks for a title instead of creating an empty task', async () => {
+    const user = userEvent.setup();
+    renderAt();
+
+    await user.type(screen.getByLabelText('Quick add task'), 'tomorrow !high{Enter}');
+
+    expect(storedTasks()).toEqual([]);
+    expect(screen.getByRole('status')).toHaveTextContent(/add a title/i);
+  });
+
+  it('rejects titles shorter than TaskModal allows', async () => {
+    const user = userEvent.setup();
+    renderAt();
+
+    await user.type(screen.getByLabelText('Quick add task'), 'Go tomorrow{Enter}');
+
+    expect(storedTasks()).toEqual([]);
+    expect(screen.getByRole('status')).toHaveTextContent('Title must be at least 3 characters');
+  });
+
+  it('adds to the project being viewed', async () => {
+    const user = userEvent.setup();
+    renderAt('/projects/web/tasks');
+
+    await user.type(screen.getByLabelText('Quick add task'), 'Update footer{Enter}');
+
+    expect(storedTasks()[0]).toMatchObject({ title: 'Update footer', projectId: 'web', priority: 'medium' });
+  });
+
+  it('focuses on Ctrl/Cmd + N and clears on Escape', async () => {
+    const user = userEvent.setup();
+    renderAt();
+    const input = screen.getByLabelText('Quick add task');
+
+    fireEvent.keyDown(document.body, { key: 'n', ctrlKey: true });
+    expect(input).toHaveFocus();
+
+    await user.type(input, 'Draft{Escape}');
+    expect(input).toHaveValue('');
+    expect(input).not.toHaveFocus();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * RECURRENCE EDITOR (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Controlled component - the parent owns the rule (onChange)
+ * - SESSION 4: Fields that appear depending on other fields
+ * - SESSION 6: Tailwind toggle buttons and inline inputs
+ *
+ * Used by TaskModal and TaskDetail. `value` is a rule from utils/recurrence
+ * or null for "does not repeat"; every change produces a complete rule.
+ */
+
+import { toDateKey, parseDateKey, addMonths } from '../../utils/dates';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_NAMES,
+  createRecurrence,
+  describeRecurrence,
+} from '../../utils/recurrence';
+
+const inputClasses = 'px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Number inputs fall back to the minimum while being cleared
+const toInteger = (value, min, max = Infinity) => Math.min(max, Math.max(min, parseInt(value, 10) || min));
+
+export default function RecurrenceEditor({ value, onChange, dueDate = '', idPrefix = 'recurrence' }) {
+  const anchor = dueDate || toDateKey(new Date());
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  // Switching frequency keeps the end condition the user already chose
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    const rule = createRecurrence(frequency, anchor);
+    onChange(value ? { ...rule, ends: value.ends, count: value.count, until: value.until } : rule);
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(other => other !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    update({ weekdays });
+  };
+
+  const handleEndsChange = (ends) => {
+    const until = ends === 'on' && !value.until ? toDateKey(addMonths(parseDateKey(anchor), 1)) : value.until;
+    update({ ends, until });
+  };
+
+  const unit = value && RECURRENCE_FREQUENCIES.find(f => f.value === value.frequency).unit;
+
+  return (
+    <div className="space-y-3">
+      <select
+        id={`${idPrefix}-frequency`}
+        aria-label="Repeat"
+        value={value?.frequency ?? ''}
+        onChange={(e) => handleFrequencyChange(e.target.value)}
+        className={`w-full ${inputClasses} py-2`}
+      >
+        <option value="">Does not repeat</option>
+        {RECURRENCE_FREQUENCIES.map(frequency => (
+          <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+        ))}
+      </select>
+
+      {value && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <label htmlFor={`${idPrefix}-interval`}>Every</label>
+            <input
+              type="number"
+              id={`${idPrefix}-interval`}
+              min={1}
+              value={value.interval}
+              onChange={(e) => update({ interval: toInteger(e.target.value, 1) })}
+              className={`w-16 ${inputClasses}`}
+            />
+            <span>{unit}{value.interval === 1 ? '' : 's'}</span>
+
+            {value.frequency === 'monthly' && (
+              <>
+                <label htmlFor={`${idPrefix}-month-day`}>on day</label>
+                <input
+                  type="number"
+                  id={`${idPrefix}-month-day`}
+                  min={1}
+                  max={31}
+                  value={value.monthDay}
+                  onChange={(e) => update({ monthDay: toInteger(e.target.value, 1, 31) })}
+                  className={`w-16 ${inputClasses}`}
+                />
+              </>
+            )}
+          </div>
+
+          {value.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-1" role="group" aria-label="Repeat on">
+              {WEEKDAY_NAMES.map((name, day) => {
+                const isSelected = value.weekdays.includes(day);
+                return (
+                  <button
+                    key={name}
+                    type="button"
+                    aria-pressed={isSelected}
+                    // At least one weekday stays selected
+                    disabled={isSelected && value.weekdays.length === 1}
+                    onClick={() => toggleWeekday(day)}
+                    className={`px-2 py-1 rounded-lg text-xs font-medium border transition-colors ${
+                      isSelected ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          <fieldset className="space-y-2 text-sm text-gray-700">
+            <legend className="font-medium mb-1">Ends</legend>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name={`${idPrefix}-ends`}
+                checked={value.ends === 'never'}
+                onChange={() => handleEndsChange('never')}
+              />
+              Never
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="radio"
+                id={`${idPrefix}-ends-after`}
+                name={`${idPrefix}-ends`}
+                checked={value.ends === 'after'}
+                onChange={() => handleEndsChange('after')}
+              />
+              <label htmlFor={`${idPrefix}-ends-after`}>After</label>
+              <input
+                type="number"
+                aria-label="Number of occurrences"
+                min={1}
+                value={value.count}
+                disabled={value.ends !== 'after'}
+                onChange={(e) => update({ count: toInteger(e.target.value, 1) })}
+                className={`w-16 ${inputClasses} disabled:opacity-50`}
+              />
+              <span>occurrences</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="radio"
+                id={`${idPrefix}-ends-on`}
+                name={`${idPrefix}-ends`}
+                checked={value.ends === 'on'}
+                onChange={() => handleEndsChange('on')}
+              />
+              <label htmlFor={`${idPrefix}-ends-on`}>On</label>
+              <input
+                type="date"
+                aria-label="End date"
+                value={value.until}
+                min={anchor}
+                disabled={value.ends !== 'on'}
+                onChange={(e) => e.target.value && update({ until: e.target.value })}
+                className={`${inputClasses} disabled:opacity-50`}
+              />
+            </div>
+          </fieldset>
+
+          <p className="text-xs text-gray-500">🔁 {describeRecurrence(value)}</p>
+        </>
+      )}
+    </div>
+  );
+}
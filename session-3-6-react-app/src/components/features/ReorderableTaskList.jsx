@@ -0,0 +1,197 @@
+/**
+ * REORDERABLE TASK LIST (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Render props - the page decides how each task is drawn
+ * - SESSION 4: HTML5 drag and drop, pointer and keyboard event handling
+ * - SESSION 5: Moves reported to the parent, which dispatches them
+ * - SESSION 6: Tailwind grid with a lifted "picked up" card
+ *
+ * The task list's "Manual" sort. Cards can be dragged with the mouse,
+ * dragged by their handle on touch screens (pointer events - HTML5 drag
+ * and drop does not fire for touch), or moved with the keyboard like on
+ * the Board: Space picks the card up, the arrow keys move it, Space drops
+ * it and Escape cancels.
+ *
+ * `onMove(id, index)` receives the position among the other tasks; the
+ * parent turns it into an order key with getReorderUpdates (utils/board).
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+// The list as it would look with `move` ({ id, index }) applied
+function applyPreview(tasks, move) {
+  if (!move) return tasks;
+  const preview = tasks.filter(task => task.id !== move.id);
+  preview.splice(move.index, 0, tasks.find(task => task.id === move.id));
+  return preview;
+}
+
+export default function ReorderableTaskList({ tasks, onMove, renderTask }) {
+  const [draggedId, setDraggedId] = useState(null);
+  // Touch or keyboard move in progress: { id, index, source: 'pointer' | 'keyboard' }
+  const [move, setMove] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const handleRefs = useRef(new Map());
+  const focusIdRef = useRef(null);
+
+  useEffect(() => {
+    if (focusIdRef.current === null) return;
+    handleRefs.current.get(focusIdRef.current)?.focus();
+    focusIdRef.current = null;
+  });
+
+  // A move for a task that has since been filtered out or deleted is dropped
+  const activeMove = move && tasks.some(task => task.id === move.id) ? move : null;
+  const visibleTasks = applyPreview(tasks, activeMove);
+
+  const describePosition = (task, index) => `"${task.title}": position ${index + 1} of ${tasks.length}.`;
+
+  // Dispatches the move unless the task ends up where it started
+  const commitMove = (task, index) => {
+    if (tasks.indexOf(task) === index) return false;
+    onMove(task.id, index);
+    setAnnouncement(`Moved "${task.title}" to position ${index + 1} of ${tasks.length}.`);
+    return true;
+  };
+
+  // ---- Mouse: HTML5 drag and drop ----
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDraggedId(task.id);
+  };
+
+  const handleDragOver = (e) => {
+    if (draggedId === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  // Dropping on a card takes its place; dropping on the gaps puts it last
+  const handleDrop = (e, targetId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggedId === null) return;
+
+    const task = tasks.find(item => item.id === draggedId);
+    const index = targetId === null ? tasks.length - 1 : tasks.findIndex(item => item.id === targetId);
+    if (task) commitMove(task, index);
+    setDraggedId(null);
+  };
+
+  // ---- Touch and pen: pointer events on the handle ----
+
+  const handlePointerDown = (e, task) => {
+    if (e.pointerType === 'mouse') return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setMove({ id: task.id, index: tasks.indexOf(task), source: 'pointer' });
+  };
+
+  // The card under the finger gives up its place in the preview
+  const handlePointerMove = (e) => {
+    if (activeMove?.source !== 'pointer') return;
+    const card = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-reorder-id]');
+    const index = card ? visibleTasks.findIndex(task => String(task.id) === card.dataset.reorderId) : -1;
+    if (index !== -1 && index !== activeMove.index) setMove({ ...activeMove, index });
+  };
+
+  const handlePointerUp = (task) => {
+    if (activeMove?.source !== 'pointer') return;
+    commitMove(task, activeMove.index);
+    setMove(null);
+  };
+
+  // ---- Keyboard ----
+
+  const handleKeyDown = (e, task) => {
+    const isSelectKey = e.key === ' ' || e.key === 'Enter';
+
+    if (activeMove?.source !== 'keyboard' || activeMove.id !== task.id) {
+      if (!isSelectKey) return;
+      e.preventDefault();
+      setMove({ id: task.id, index: tasks.indexOf(task), source: 'keyboard' });
+      setAnnouncement(`Picked up "${task.title}". Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+      return;
+    }
+
+    e.preventDefault();
+    focusIdRef.current = task.id;
+
+    if (isSelectKey) {
+      if (!commitMove(task, activeMove.index)) setAnnouncement(`"${task.title}" was not moved.`);
+      setMove(null);
+      return;
+    }
+
+    const steps = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 };
+    if (e.key === 'Escape') {
+      setMove(null);
+      setAnnouncement(`Move cancelled. "${task.title}" is back where it was.`);
+    } else if (steps[e.key]) {
+      const index = activeMove.index + steps[e.key];
+      if (index < 0 || index >= tasks.length) return;
+      setMove({ ...activeMove, index });
+      setAnnouncement(describePosition(task, index));
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-3">
+        Drag cards into your own order, or focus a card&apos;s handle and press Space to move it with the arrow keys.
+      </p>
+      <ul
+        aria-label="Tasks in manual order"
+        onDragOver={handleDragOver}
+        onDrop={(e) => handleDrop(e)}
+        className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4"
+      >
+        {visibleTasks.map(task => {
+          const isPickedUp = activeMove?.id === task.id;
+          const handle = (
+            <button
+              ref={(node) => {
+                if (node) handleRefs.current.set(task.id, node);
+                else handleRefs.current.delete(task.id);
+              }}
+              type="button"
+              aria-label={`Move "${task.title}"`}
+              aria-pressed={isPickedUp}
+              onKeyDown={(e) => handleKeyDown(e, task)}
+              onPointerDown={(e) => handlePointerDown(e, task)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={() => handlePointerUp(task)}
+              onPointerCancel={() => setMove(null)}
+              className="touch-none cursor-grab text-gray-400 hover:text-gray-600 px-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              ⠿
+            </button>
+          );
+
+          return (
+            <li
+              key={task.id}
+              draggable
+              data-reorder-id={task.id}
+              onDragStart={(e) => handleDragStart(e, task)}
+              onDragEnd={() => setDraggedId(null)}
+              onDragOver={handleDragOver}
+              onDrop={(e) => handleDrop(e, task.id)}
+              className={`rounded-xl ${draggedId === task.id ? 'opacity-50' : ''} ${
+                isPickedUp ? 'ring-2 ring-blue-500 shadow-lg' : ''
+              }`}
+            >
+              {renderTask(task, handle)}
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Screen reader announcements for moves */}
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * SORT CONTROLS (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Controlled component - the parent owns the sort value
+ * - SESSION 4: Editing a list of objects immutably (the sort keys)
+ * - SESSION 6: Tailwind button group
+ *
+ * Pick a preset, then fine-tune it: flip a key between ascending and
+ * descending, choose where tasks without a value go, reorder or remove
+ * keys and add more tie-breakers. The value is the string form used in
+ * the URL (?sort=priority:desc,title:asc), see utils/sorting. "Best match"
+ * ranks search results by relevance (see utils/searchIndex).
+ */
+
+import { SORT_KEYS, SORT_PRESETS, SPECIAL_SORTS, parseSortSpec, formatSortSpec } from '../../utils/sorting';
+
+const PRESET_OPTIONS = [
+  { value: 'date', label: 'Due Date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'title', label: 'Title' },
+  { value: 'created', label: 'Created' },
+  { value: 'updated', label: 'Updated' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'relevance', label: 'Best match' },
+  { value: 'manual', label: 'Manual' },
+];
+
+// Keys some tasks have no value for
+const OPTIONAL_KEYS = ['dueDate', 'updatedAt', 'completedAt'];
+
+const controlClasses = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+const chipButtonClasses = 'px-1.5 py-0.5 rounded text-xs font-medium text-gray-600 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent';
+
+export default function SortControls({ value, onChange }) {
+  // Manual and best match have no keys to fine-tune
+  const isSpecial = SPECIAL_SORTS.includes(value);
+  const isPreset = isSpecial || value in SORT_PRESETS;
+  const spec = isSpecial ? [] : parseSortSpec(value) ?? parseSortSpec('date');
+  const unusedKeys = Object.keys(SORT_KEYS).filter(key => !spec.some(item => item.key === key));
+
+  const updateSpec = (next) => onChange(formatSortSpec(next));
+  const updateKey = (index, changes) => updateSpec(spec.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+  const moveUp = (index) => {
+    const next = [...spec];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    updateSpec(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label htmlFor="task-sort" className="text-sm font-medium text-gray-700 whitespace-nowrap">
+        Sort by
+      </label>
+      <select id="task-sort" value={value} onChange={(e) => onChange(e.target.value)} className={controlClasses}>
+        {PRESET_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+        {!isPreset && <option value={value}>Custom</option>}
+      </select>
+
+      {!isSpecial && (
+        <ol className="flex flex-wrap items-center gap-2" aria-label="Sort keys">
+          {spec.map((item, index) => {
+            const { label } = SORT_KEYS[item.key];
+            const isAscending = item.direction === 'asc';
+            return (
+              <li key={item.key} className="flex items-center gap-1 bg-gray-100 rounded-lg pl-2 pr-1 py-1 text-sm text-gray-800">
+                {index > 0 && <span className="text-gray-400">then</span>}
+                <span className="font-medium">{label}</span>
+                <button
+                  type="button"
+                  onClick={() => updateKey(index, { direction: isAscending ? 'desc' : 'asc' })}
+                  aria-label={`${label} ${isAscending ? 'ascending' : 'descending'}`}
+                  title="Switch between ascending and descending"
+                  className={chipButtonClasses}
+                >
+                  {isAscending ? '↑' : '↓'}
+                </button>
+                {OPTIONAL_KEYS.includes(item.key) && (
+                  <button
+                    type="button"
+                    onClick={() => updateKey(index, { empty: item.empty === 'first' ? 'last' : 'first' })}
+                    aria-label={`Tasks without ${label.toLowerCase()} ${item.empty === 'first' ? 'first' : 'last'}`}
+                    title="Where tasks without a value go"
+                    className={chipButtonClasses}
+                  >
+                    {item.empty === 'first' ? 'empty first' : 'empty last'}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => moveUp(index)}
+                  disabled={index === 0}
+                  aria-label={`Move ${label} before ${SORT_KEYS[spec[index - 1]?.key]?.label ?? 'the others'}`}
+                  className={chipButtonClasses}
+                >
+                  ←
+                </button>
+                <button
+                  type="button"
+                  onClick={() => updateSpec(spec.filter((_, i) => i !== index))}
+                  disabled={spec.length === 1}
+                  aria-label={`Remove ${label} from the sort`}
+                  className={chipButtonClasses}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+          {unusedKeys.length > 0 && (
+            <li>
+              <label htmlFor="task-sort-add" className="sr-only">Add a sort key</label>
+              <select
+                id="task-sort-add"
+                value=""
+                onChange={(e) => updateSpec([
+                  ...spec,
+                  { key: e.target.value, direction: SORT_KEYS[e.target.value].defaultDirection, empty: 'last' }
+                ])}
+                className={`${controlClasses} py-1 text-sm`}
+              >
+                <option value="" disabled>Then by…</option>
+                {unusedKeys.map(key => (
+                  <option key={key} value={key}>{SORT_KEYS[key].label}</option>
+                ))}
+              </select>
+            </li>
+          )}
+        </ol>
+      )}
+    </div>
+  );
+}
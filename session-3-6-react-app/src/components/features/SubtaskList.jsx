@@ -0,0 +1,126 @@
+/**
+ * SUBTASK LIST (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Controlled component - the parent owns the list (onChange)
+ * - SESSION 4: Immutable list updates (add, edit, check off, reorder, remove)
+ * - SESSION 6: Tailwind progress bar and hover actions
+ *
+ * Used by TaskModal (editing a draft) and TaskDetail (saving straight to
+ * the task), so it never talks to the context itself.
+ */
+
+import { useState } from 'react';
+import InlineEdit from '../ui/InlineEdit';
+import Button from '../ui/Button';
+import {
+  createSubtask,
+  updateSubtask,
+  moveSubtask,
+  getSubtaskProgress,
+} from '../../utils/subtasks';
+
+const iconButtonClasses = 'p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const validateSubtaskTitle = (value) => (value.trim() ? '' : 'Subtask cannot be empty');
+
+export default function SubtaskList({ subtasks = [], onChange, inputId = 'new-subtask' }) {
+  const [newTitle, setNewTitle] = useState('');
+  const { done, total } = getSubtaskProgress({ subtasks });
+
+  const handleAdd = () => {
+    if (!newTitle.trim()) return;
+    onChange([...subtasks, createSubtask(newTitle)]);
+    setNewTitle('');
+  };
+
+  // Enter adds a subtask instead of submitting a surrounding form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {total > 0 && (
+        <div className="flex items-center gap-3">
+          <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all"
+              style={{ width: `${(done / total) * 100}%` }}
+            />
+          </div>
+          <span className="text-xs font-medium text-gray-600">{done}/{total} done</span>
+        </div>
+      )}
+
+      {total > 0 && (
+        <ul className="space-y-1">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask.id} className="group flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={subtask.done}
+                onChange={() => onChange(updateSubtask(subtasks, subtask.id, { done: !subtask.done }))}
+                aria-label={subtask.title}
+                className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+              />
+              <div className={`flex-1 text-sm ${subtask.done ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                <InlineEdit
+                  label={`subtask "${subtask.title}"`}
+                  value={subtask.title}
+                  validate={validateSubtaskTitle}
+                  onSave={(title) => onChange(updateSubtask(subtasks, subtask.id, { title: title.trim() }))}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(moveSubtask(subtasks, index, index - 1))}
+                disabled={index === 0}
+                aria-label={`Move "${subtask.title}" up`}
+                className={iconButtonClasses}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(moveSubtask(subtasks, index, index + 1))}
+                disabled={index === total - 1}
+                aria-label={`Move "${subtask.title}" down`}
+                className={iconButtonClasses}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(subtasks.filter(item => item.id !== subtask.id))}
+                aria-label={`Remove "${subtask.title}"`}
+                className={`${iconButtonClasses} hover:text-red-600`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <label htmlFor={inputId} className="sr-only">Add subtask</label>
+        <input
+          type="text"
+          id={inputId}
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Add a subtask..."
+          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+        />
+        <Button type="button" size="sm" variant="secondary" onClick={handleAdd} disabled={!newTitle.trim()}>
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * TAG PICKER (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Controlled component - the parent owns the tag list
+ * - SESSION 4: Derived suggestions, keyboard handling (combobox pattern)
+ * - SESSION 6: Tailwind dropdown styling
+ *
+ * Type to filter existing tags; Enter or comma adds the highlighted
+ * suggestion (or the typed text as a new tag), Backspace on an empty
+ * input removes the last tag.
+ */
+
+import { useState } from 'react';
+import TagChip from '../ui/TagChip';
+import { normalizeTag, normalizeTags } from '../../utils/tags';
+
+const MAX_SUGGESTIONS = 8;
+
+export default function TagPicker({ tags = [], onChange, suggestions = [], inputId = 'tag-input' }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const search = normalizeTag(query);
+  const matches = suggestions
+    .filter(name => !tags.includes(name) && name.includes(search))
+    // Tags starting with the typed text first
+    .sort((a, b) => Number(b.startsWith(search)) - Number(a.startsWith(search)))
+    .slice(0, MAX_SUGGESTIONS);
+  const showList = isOpen && search !== '' && matches.length > 0;
+  const listId = `${inputId}-suggestions`;
+
+  const addTag = (name) => {
+    const next = normalizeTags([...tags, name]);
+    if (next.length !== tags.length) onChange(next);
+    setQuery('');
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      // Never submit the surrounding form from here
+      e.preventDefault();
+      if (showList) addTag(matches[activeIndex] ?? search);
+      else if (search) addTag(search);
+    } else if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (index + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index - 1 + matches.length) % matches.length);
+    } else if (e.key === 'Escape' && showList) {
+      e.preventDefault();
+      setIsOpen(false);
+    } else if (e.key === 'Backspace' && query === '' && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1.5 px-2 py-1.5 border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-blue-500">
+        {tags.map(tag => (
+          <TagChip
+            key={tag}
+            name={tag}
+            onRemove={() => onChange(tags.filter(item => item !== tag))}
+          />
+        ))}
+        <input
+          type="text"
+          id={inputId}
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={showList ? `${listId}-${activeIndex}` : undefined}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+            setIsOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setIsOpen(false)}
+          placeholder={tags.length === 0 ? 'Add tags...' : ''}
+          className="flex-1 min-w-[6rem] px-1 py-0.5 text-sm border-0 focus:outline-none focus:ring-0"
+        />
+      </div>
+
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label="Tag suggestions"
+          className="absolute left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg py-1 z-10 max-h-48 overflow-y-auto"
+        >
+          {matches.map((name, index) => (
+            <li
+              key={name}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown, so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(name);
+              }}
+              className={`px-3 py-1.5 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              #{name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+/**
+ * TASK CARD COMPONENT (SESSIONS 3 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Reusable presentational component driven by props
+ * - SESSION 5: Linking to a detail route with React Router
+ * - SESSION 6: Tailwind CSS styling, conditional classes
+ *
+ * Pass `onSelect` to show a selection checkbox; it receives
+ * `{ range: true }` when shift-clicked (see useSelection). `dragHandle`
+ * is shown at the top left (see ReorderableTaskList). `highlightWords`
+ * marks search matches in the title, description and subtasks (see
+ * utils/searchIndex).
+ */
+
+import { Link } from 'react-router-dom';
+import Button from '../ui/Button';
+import TagChip from '../ui/TagChip';
+import { getSubtaskProgress } from '../../utils/subtasks';
+import { describeRecurrence } from '../../utils/recurrence';
+import { isOverdue } from '../../utils/calendar';
+import { formatDueDate } from '../../utils/dates';
+import { getHighlightIndices } from '../../utils/searchIndex';
+import { splitMatches } from '../../utils/fuzzy';
+
+const priorityStyles = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700',
+};
+
+function HighlightedText({ text, words }) {
+  const indices = getHighlightIndices(text, words);
+  if (indices.length === 0) return text;
+  return splitMatches(text, indices).map((part, index) => (
+    part.match
+      ? <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+      : <span key={index}>{part.text}</span>
+  ));
+}
+
+export default function TaskCard({
+  task, onEdit, onDelete, onToggle, isSelected = false, onSelect, dragHandle = null, highlightWords = null
+}) {
+  const progress = getSubtaskProgress(task);
+  const overdue = isOverdue(task);
+  // A subtask the search found, shown since the card only has its count
+  const matchedSubtask = highlightWords?.size
+    ? (task.subtasks || []).find(subtask => getHighlightIndices(subtask.title, highlightWords).length > 0)
+    : null;
+
+  return (
+    <div className={`bg-white border rounded-xl p-4 hover:shadow-lg transition-all ${
+      task.status === 'completed' ? 'opacity-60' : ''
+    } ${overdue ? 'border-red-300 ring-1 ring-red-200' : ''} ${isSelected ? 'border-blue-500 ring-2 ring-blue-300' : ''}`}>
+      {/* Header */}
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex items-center gap-2">
+          {dragHandle}
+          {onSelect && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              // Shift-click selects everything since the last checkbox clicked
+              onChange={(e) => onSelect({ range: e.nativeEvent.shiftKey })}
+              aria-label={`Select "${task.title}"`}
+              className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+          )}
+          <span className={`px-3 py-1 rounded-full text-xs font-semibold ${priorityStyles[task.priority]}`}>
+            {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)}
+          </span>
+        </div>
+        <div className="relative group">
+          <button className="text-gray-400 hover:text-gray-600 p-1">
+            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+              <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Title - links to the detail page (SESSION 5) */}
+      <h3 className={`text-lg font-semibold mb-2 ${
+        task.status === 'completed' ? 'line-through text-gray-500' : 'text-gray-900'
+      }`}>
+        <Link to={`/tasks/${task.id}`} className="hover:text-blue-600">
+          <HighlightedText text={task.title} words={highlightWords} />
+        </Link>
+      </h3>
+
+      {/* Description */}
+      <p className="text-gray-600 text-sm mb-4 line-clamp-2">
+        <HighlightedText text={task.description} words={highlightWords} />
+      </p>
+
+      {/* Tags */}
+      {task.tags?.length > 0 && (
+        <ul className="flex flex-wrap gap-1.5 mb-4" aria-label="Tags">
+          {task.tags.map(tag => (
+            <li key={tag}><TagChip name={tag} /></li>
+          ))}
+        </ul>
+      )}
+
+      {/* Checklist progress */}
+      {progress.total > 0 && (
+        <div className="flex items-center gap-2 mb-4" title="Subtasks done">
+          <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-green-500"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+          <span className="text-xs font-medium text-gray-600" aria-label={`${progress.done} of ${progress.total} subtasks done`}>
+            ☑ {progress.done}/{progress.total}
+          </span>
+        </div>
+      )}
+      {matchedSubtask && (
+        <p className="text-xs text-gray-600 -mt-2 mb-4 truncate">
+          Subtask: <HighlightedText text={matchedSubtask.title} words={highlightWords} />
+        </p>
+      )}
+
+      {/* Meta */}
+      <div className="flex items-center justify-between text-sm mb-4 pt-4 border-t">
+        <span className={overdue ? 'text-red-600 font-medium' : 'text-gray-500'}>
+          📅 {formatDueDate(task)}
+          {overdue && ' · Overdue'}
+          {task.recurrence && (
+            <span className="ml-2" title={describeRecurrence(task.recurrence)}>
+              🔁<span className="sr-only"> {describeRecurrence(task.recurrence)}</span>
+            </span>
+          )}
+        </span>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+          task.status === 'completed' ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'
+        }`}>
+          {task.status === 'completed' ? '✓ Done' : 'Pending'}
+        </span>
+      </div>
+
+      {/* Actions */}
+      <div className="flex gap-2">
+        {task.status === 'pending' ? (
+          <>
+            <Button size="sm" variant="success" onClick={onToggle} className="flex-1">
+              Complete
+            </Button>
+            <Button size="sm" variant="secondary" onClick={onEdit} className="flex-1">
+              Edit
+            </Button>
+          </>
+        ) : (
+          <Button size="sm" variant="secondary" onClick={onToggle} className="flex-1">
+            Reopen
+          </Button>
+        )}
+        <Button size="sm" variant="danger" onClick={onDelete}>
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+          </svg>
+        </Button>
+      </div>
+    </div>
+  );
+}
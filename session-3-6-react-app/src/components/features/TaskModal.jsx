@@ -10,21 +10,39 @@
 
 import { useState, useEffect } from 'react';
 import { useTasks } from '../../context/TaskContext';
+import { useProjects } from '../../context/useProjects';
 import Button from '../ui/Button';
+import SubtaskList from './SubtaskList';
+import TagPicker from './TagPicker';
+import RecurrenceEditor from './RecurrenceEditor';
+import { getAllTags } from '../../utils/tags';
 
-export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
+// `defaultProjectId` / `defaultDueDate` prefill a new task (e.g. from a
+// project's list or a calendar day)
+export default function TaskModal({ isOpen, onClose, taskToEdit = null, defaultProjectId = null, defaultDueDate = '' }) {
   // SESSION 4: Controlled form state
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     priority: 'medium',
-    dueDate: ''
+    dueDate: '',
+    dueTime: '',
+    projectId: '',
+    tags: [],
+    subtasks: [],
+    autoComplete: false,
+    recurrence: null
   });
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const { addTask, updateTask } = useTasks();
+  const { tasks, addTask, updateTask } = useTasks();
+  const { activeProjects, getProject } = useProjects();
+
+  // An archived project stays in the list for the task that is in it
+  const currentProject = getProject(formData.projectId);
+  const projectOptions = currentProject?.archived ? [...activeProjects, currentProject] : activeProjects;
 
   // SESSION 5: useEffect to populate form when editing
   useEffect(() => {
@@ -33,7 +51,13 @@ export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
         title: taskToEdit.title,
         description: taskToEdit.description,
         priority: taskToEdit.priority,
-        dueDate: taskToEdit.dueDate || ''
+        dueDate: taskToEdit.dueDate || '',
+        dueTime: taskToEdit.dueTime || '',
+        projectId: taskToEdit.projectId ?? '',
+        tags: taskToEdit.tags || [],
+        subtasks: taskToEdit.subtasks || [],
+        autoComplete: Boolean(taskToEdit.autoComplete),
+        recurrence: taskToEdit.recurrence ?? null
       });
     } else {
       // Reset form when creating new task
@@ -41,11 +65,17 @@ export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
         title: '',
         description: '',
         priority: 'medium',
-        dueDate: ''
+        dueDate: defaultDueDate,
+        dueTime: '',
+        projectId: defaultProjectId ?? '',
+        tags: [],
+        subtasks: [],
+        autoComplete: false,
+        recurrence: null
       });
     }
     setErrors({});
-  }, [taskToEdit, isOpen]);
+  }, [taskToEdit, isOpen, defaultProjectId, defaultDueDate]);
 
   // SESSION 4: Form validation
   const validate = () => {
@@ -89,14 +119,21 @@ export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
     // Simulate API call delay
     await new Promise(resolve => setTimeout(resolve, 500));
 
+    // '' in the select means "No project"; a time without a date is dropped
+    const values = {
+      ...formData,
+      projectId: formData.projectId || null,
+      dueTime: formData.dueDate ? formData.dueTime : ''
+    };
+
     if (taskToEdit) {
       updateTask(taskToEdit.id, {
-        ...formData,
+        ...values,
         updatedAt: new Date().toISOString()
       });
     } else {
       addTask({
-        ...formData,
+        ...values,
         status: 'pending',
         createdAt: new Date().toISOString()
       });
@@ -183,8 +220,8 @@ export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
               )}
             </div>
 
-            {/* Priority and Due Date Row */}
-            <div className="grid grid-cols-2 gap-4">
+            {/* Priority, Due Date and Due Time Row */}
+            <div className="grid grid-cols-3 gap-4">
               {/* Priority Select */}
               <div>
                 <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-1">
@@ -217,6 +254,86 @@ export default function TaskModal({ isOpen, onClose, taskToEdit = null }) {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
                 />
               </div>
+
+              {/* Due Time Input - optional, empty means all day */}
+              <div>
+                <label htmlFor="dueTime" className="block text-sm font-medium text-gray-700 mb-1">
+                  Due Time
+                </label>
+                <input
+                  type="time"
+                  id="dueTime"
+                  name="dueTime"
+                  value={formData.dueTime}
+                  onChange={handleChange}
+                  disabled={!formData.dueDate}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all disabled:opacity-50"
+                />
+              </div>
+            </div>
+
+            {/* Recurrence */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Repeat</span>
+              <RecurrenceEditor
+                value={formData.recurrence}
+                onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+                dueDate={formData.dueDate}
+              />
+            </div>
+
+            {/* Project */}
+            <div>
+              <label htmlFor="projectId" className="block text-sm font-medium text-gray-700 mb-1">
+                Project
+              </label>
+              <select
+                id="projectId"
+                name="projectId"
+                value={formData.projectId}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+              >
+                <option value="">No project</option>
+                {projectOptions.map(project => (
+                  <option key={project.id} value={project.id}>
+                    {project.name}{project.archived ? ' (archived)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Tags */}
+            <div>
+              <label htmlFor="tag-input" className="block text-sm font-medium text-gray-700 mb-1">
+                Tags
+              </label>
+              <TagPicker
+                tags={formData.tags}
+                onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                suggestions={getAllTags(tasks).map(tag => tag.name)}
+              />
+            </div>
+
+            {/* Checklist */}
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Subtasks</span>
+              <SubtaskList
+                subtasks={formData.subtasks}
+                onChange={(subtasks) => setFormData(prev => ({ ...prev, subtasks }))}
+              />
+              {formData.subtasks.length > 0 && (
+                <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="autoComplete"
+                    checked={formData.autoComplete}
+                    onChange={(e) => setFormData(prev => ({ ...prev, autoComplete: e.target.checked }))}
+                    className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+                  />
+                  Complete the task when all subtasks are done
+                </label>
+              )}
             </div>
 
             {/* SESSION 6: Form Footer with Buttons */}
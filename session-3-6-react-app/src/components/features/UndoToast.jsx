@@ -0,0 +1,49 @@
+/**
+ * UNDO TOAST (SESSIONS 4, 5 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 4: Reading undo/redo state from the task reducer
+ * - SESSION 5: Timers with effect cleanup, keyboard shortcut hook
+ * - SESSION 6: Feedback UI for destructive actions
+ *
+ * Mounted once at app level: shows "Undo" after a delete or
+ * clear-completed, and owns the Ctrl/Cmd + Z, Ctrl/Cmd + Shift + Z
+ * and Ctrl/Cmd + Y shortcuts.
+ */
+
+import { useState, useEffect } from 'react';
+import { useTasks } from '../../context/TaskContext';
+import useKeyboardShortcut from '../../hooks/useKeyboardShortcut';
+import Toast from '../ui/Toast';
+
+const TOAST_DURATION_MS = 6000;
+
+export default function UndoToast() {
+  const { lastChange, canUndo, canRedo, undo, redo } = useTasks();
+  const [dismissedChange, setDismissedChange] = useState(null);
+
+  useKeyboardShortcut('mod+z', undo, { enabled: canUndo });
+  useKeyboardShortcut('mod+shift+z', redo, { enabled: canRedo });
+  useKeyboardShortcut('mod+y', redo, { enabled: canRedo });
+
+  const isVisible = Boolean(lastChange?.destructive) && lastChange !== dismissedChange;
+
+  // SESSION 5: Auto-dismiss, restarting the timer for every new change
+  useEffect(() => {
+    if (!isVisible) return;
+
+    const timeoutId = setTimeout(() => setDismissedChange(lastChange), TOAST_DURATION_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isVisible, lastChange]);
+
+  if (!isVisible) return null;
+
+  return (
+    <Toast
+      message={lastChange.label}
+      actionLabel="Undo"
+      onAction={undo}
+      onDismiss={() => setDismissedChange(lastChange)}
+    />
+  );
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TaskProvider, useTasks } from '../../context/TaskContext';
+import UndoToast from './UndoToast';
+import { seedStoredTasks } from '../../test/seedTasks';
+
+// Minimal task list with delete buttons to drive the toast
+function TaskList() {
+  const { tasks, deleteTask } = useTasks();
+  return (
+    <ul>
+      {tasks.map(task => (
+        <li key={task.id}>
+          {task.title}
+          <button onClick={() => deleteTask(task.id)}>Delete {task.title}</button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const renderWithProvider = () => {
+  return render(
+    <TaskProvider>
+      <TaskList />
+      <UndoToast />
+    </TaskProvider>
+  );
+};
+
+describe('UndoToast (Sessions 4-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+  });
+
+  it('stays hidden until something destructive happens', () => {
+    renderWithProvider();
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('offers to undo a delete', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    await user.click(screen.getByRole('button', { name: /delete update api documentation/i }));
+    expect(screen.getByRole('status')).toHaveTextContent('Task deleted');
+    expect(screen.queryByText('Update API documentation')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /^undo$/i }));
+    expect(screen.getByText('Update API documentation')).toBeInTheDocument();
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('can be dismissed', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    await user.click(screen.getByRole('button', { name: /delete update api documentation/i }));
+    await user.click(screen.getByRole('button', { name: /dismiss notification/i }));
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('supports Ctrl+Z and Ctrl+Shift+Z', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    await user.click(screen.getByRole('button', { name: /delete update api documentation/i }));
+
+    await user.keyboard('{Control>}z{/Control}');
+    expect(screen.getByText('Update API documentation')).toBeInTheDocument();
+
+    await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+    expect(screen.queryByText('Update API documentation')).not.toBeInTheDocument();
+  });
+});
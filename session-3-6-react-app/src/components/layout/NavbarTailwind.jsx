@@ -3,20 +3,32 @@
  *
  * Demonstrates:
  * - SESSION 3: Component structure, props
- * - SESSION 5: React Router (Link, useLocation)
+ * - SESSION 5: React Router (Link, useLocation, useMatch, useNavigate)
+ * - SESSION 5: Project switcher fed by ProjectContext
  * - SESSION 6: Tailwind CSS styling, responsive design
  */
 
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useMatch, useNavigate } from 'react-router-dom';
+import { useProjects } from '../../context/useProjects';
+import { projectTasksPath } from '../../utils/projects';
 
 export default function NavbarTailwind() {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { activeProjects, getProject } = useProjects();
+
+  // The project whose tasks are on screen, if any
+  const projectMatch = useMatch('/projects/:projectId/tasks');
+  const currentProject = projectMatch ? getProject(projectMatch.params.projectId) : null;
 
   const isActive = (path) => location.pathname === path;
 
   const navLinks = [
     { path: '/', label: 'Dashboard' },
     { path: '/tasks', label: 'All Tasks' },
+    { path: '/board', label: 'Board' },
+    { path: '/calendar', label: 'Calendar' },
+    { path: '/projects', label: 'Projects' },
     { path: '/settings', label: 'Settings' },
   ];
 
@@ -48,6 +60,26 @@ export default function NavbarTailwind() {
             ))}
           </div>
 
+          {/* Project switcher */}
+          <div className="flex items-center">
+            <label htmlFor="project-switcher" className="sr-only">Switch project</label>
+            <select
+              id="project-switcher"
+              value={currentProject?.id ?? ''}
+              onChange={(e) => navigate(e.target.value ? projectTasksPath(e.target.value) : '/tasks')}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All projects</option>
+              {/* An archived project stays selectable while it is open */}
+              {currentProject?.archived && (
+                <option value={currentProject.id}>{currentProject.name} (archived)</option>
+              )}
+              {activeProjects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Mobile menu button */}
           <button className="md:hidden p-2 rounded-lg hover:bg-gray-100">
             <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
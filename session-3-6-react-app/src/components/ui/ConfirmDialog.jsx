@@ -0,0 +1,47 @@
+/**
+ * CONFIRM DIALOG COMPONENT (SESSION 3 & 6)
+ *
+ * Demonstrates:
+ * - Conditional rendering (returns null when closed)
+ * - Callback props for parent-controlled state
+ * - Tailwind CSS overlay styling
+ *
+ * Extra controls for the decision (e.g. radio options) can be passed as children.
+ */
+
+import Button from './Button';
+
+export default function ConfirmDialog({
+  isOpen,
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  confirmVariant = 'danger',
+  onConfirm,
+  onCancel,
+  children,
+}) {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl p-6 max-w-sm w-full shadow-2xl">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">
+          {title}
+        </h3>
+        <p className="text-gray-600 mb-6">
+          {message}
+        </p>
+        {children && <div className="mb-6">{children}</div>}
+        <div className="flex gap-3 justify-end">
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button variant={confirmVariant} onClick={onConfirm}>
+            {confirmLabel}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+/**
+ * INLINE EDIT COMPONENT (SESSIONS 3, 4 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: One component, several input types via props
+ * - SESSION 4: Controlled draft state, keyboard events, validation
+ * - SESSION 6: Tailwind CSS hover/focus affordances
+ *
+ * Shows the value as a button; clicking it swaps in an input. Enter (or
+ * blur) saves, Escape cancels. Textareas save with Ctrl/Cmd + Enter.
+ */
+
+import { useState } from 'react';
+
+const inputClasses = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+export default function InlineEdit({
+  value,
+  onSave,
+  label,
+  type = 'text',
+  options = [],
+  validate,
+  renderValue,
+  placeholder = 'Click to edit',
+  className = '',
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+
+  const startEditing = () => {
+    setDraft(value ?? '');
+    setError('');
+    setIsEditing(true);
+  };
+
+  const cancel = () => {
+    setIsEditing(false);
+    setError('');
+  };
+
+  const save = (nextValue = draft) => {
+    const validationError = validate ? validate(nextValue) : '';
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (nextValue !== (value ?? '')) {
+      onSave(nextValue);
+    }
+    setIsEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cancel();
+    } else if (e.key === 'Enter' && (type !== 'textarea' || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  if (!isEditing) {
+    const hasValue = value !== undefined && value !== null && value !== '';
+    return (
+      <button
+        type="button"
+        onClick={startEditing}
+        aria-label={`Edit ${label}`}
+        className={`w-full text-left rounded-lg px-2 py-1 -mx-2 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors ${className}`}
+      >
+        {hasValue
+          ? (renderValue ? renderValue(value) : value)
+          : <span className="text-gray-400 italic">{placeholder}</span>}
+      </button>
+    );
+  }
+
+  const commonProps = {
+    'aria-label': label,
+    value: draft,
+    autoFocus: true,
+    onKeyDown: handleKeyDown,
+    className: `${inputClasses} ${error ? 'border-red-500' : 'border-gray-300'}`,
+  };
+
+  return (
+    <div>
+      {type === 'textarea' && (
+        <textarea
+          {...commonProps}
+          rows={4}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={() => save()}
+        />
+      )}
+      {type === 'select' && (
+        // Selects commit as soon as an option is picked
+        <select
+          {...commonProps}
+          onChange={(e) => save(e.target.value)}
+          onBlur={cancel}
+        >
+          {options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )}
+      {(type === 'text' || type === 'date' || type === 'time') && (
+        <input
+          {...commonProps}
+          type={type}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={() => save()}
+        />
+      )}
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * TAG CHIP COMPONENT (SESSIONS 3 & 6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Small reusable component with an optional action (onRemove)
+ * - SESSION 5: Reading preferences from SettingsContext (tag colors)
+ * - SESSION 6: Tailwind classes picked from a lookup table
+ */
+
+import { useSettings } from '../../context/useSettings';
+import { TAG_COLORS, getTagColor } from '../../utils/tags';
+
+export default function TagChip({ name, onRemove, className = '' }) {
+  const { settings } = useSettings();
+  const color = TAG_COLORS[getTagColor(name, settings.tags.colors)];
+
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${color.chip} ${className}`}>
+      #{name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label={`Remove tag ${name}`}
+          className="rounded-full hover:bg-black/10 px-0.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * TOAST COMPONENT (SESSION 3 & 6)
+ *
+ * Demonstrates:
+ * - Optional action button via props
+ * - ARIA live region so screen readers announce the message
+ * - Tailwind CSS fixed positioning
+ */
+
+export default function Toast({ message, actionLabel, onAction, onDismiss }) {
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-900 text-white px-4 py-3 rounded-xl shadow-2xl"
+    >
+      <span className="text-sm">{message}</span>
+      {actionLabel && (
+        <button
+          type="button"
+          onClick={onAction}
+          className="text-sm font-semibold text-blue-300 hover:text-blue-200"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss notification"
+        className="text-gray-400 hover:text-white"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+/**
+ * COMMAND CONTEXT - Command Palette (SESSIONS 4 & 5)
+ *
+ * This demonstrates:
+ * - A registry in context: components add and remove entries over time
+ * - useCallback so registering does not re-run every consumer's effect
+ *
+ * Holds the registered commands and whether the palette is open. Use the
+ * hooks in commandRegistry.js to read it or to register commands.
+ */
+
+import { useState, useCallback } from 'react';
+import { CommandContext } from './commandRegistry';
+
+export function CommandProvider({ children }) {
+  // Registration key -> that component's commands, in registration order
+  const [sources, setSources] = useState(() => new Map());
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Returns the cleanup that removes these commands again
+  const registerCommands = useCallback((commands) => {
+    const key = Symbol('commands');
+    setSources(prev => new Map(prev).set(key, commands));
+    return () => setSources(prev => {
+      const next = new Map(prev);
+      next.delete(key);
+      return next;
+    });
+  }, []);
+
+  const openPalette = useCallback(() => setIsOpen(true), []);
+  const closePalette = useCallback(() => setIsOpen(false), []);
+
+  const value = {
+    commands: [...sources.values()].flat(),
+    registerCommands,
+    isOpen,
+    openPalette,
+    closePalette
+  };
+
+  return (
+    <CommandContext.Provider value={value}>
+      {children}
+    </CommandContext.Provider>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * PROJECT CONTEXT - Task Lists (SESSIONS 4 & 5)
+ *
+ * This demonstrates:
+ * - A third context next to TaskContext and SettingsContext
+ * - Lazy useState initialisation from localStorage
+ * - Persisting with useEffect, following other tabs via the storage event
+ *
+ * Projects only hold metadata ({ id, name, archived, createdAt }); a task
+ * belongs to a project through its `projectId`. Like settings, projects
+ * live in localStorage whichever backend stores the tasks. Read them with
+ * the useProjects hook (useProjects.js).
+ */
+
+import { useState, useEffect } from 'react';
+import { ProjectContext } from './useProjects';
+
+const PROJECTS_KEY = 'taskmaster-react-projects';
+
+function loadProjects() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROJECTS_KEY));
+    return Array.isArray(stored)
+      ? stored.filter(project => project && typeof project.id === 'string' && typeof project.name === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+const createProjectId = () => `proj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export function ProjectProvider({ children }) {
+  const [projects, setProjects] = useState(loadProjects);
+
+  useEffect(() => {
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+  }, [projects]);
+
+  // Another tab changed the project list
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === PROJECTS_KEY) setProjects(loadProjects());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const updateProject = (id, changes) => setProjects(prev => prev.map(project =>
+    project.id === id ? { ...project, ...changes } : project
+  ));
+
+  const value = {
+    projects,
+    activeProjects: projects.filter(project => !project.archived),
+    getProject: (id) => projects.find(project => project.id === id) ?? null,
+
+    // Returns the new project's id, e.g. to navigate to it
+    addProject: (name) => {
+      const project = { id: createProjectId(), name: name.trim(), archived: false, createdAt: new Date().toISOString() };
+      setProjects(prev => [...prev, project]);
+      return project.id;
+    },
+    renameProject: (id, name) => updateProject(id, { name: name.trim() }),
+    setProjectArchived: (id, archived) => updateProject(id, { archived }),
+    // Tasks are moved or deleted separately (see TaskContext)
+    deleteProject: (id) => setProjects(prev => prev.filter(project => project.id !== id))
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+}
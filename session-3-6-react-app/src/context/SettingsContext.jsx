@@ -0,0 +1,80 @@
+/**
+ * SETTINGS CONTEXT - App Preferences (SESSIONS 4 & 5)
+ *
+ * This demonstrates:
+ * - A second, independent context next to TaskContext
+ * - Lazy useState initialisation from localStorage
+ * - Persisting with useEffect
+ *
+ * Settings are device preferences (which storage backend to use, ...),
+ * so they always live in localStorage - even when tasks are on a server.
+ * Read them with the useSettings hook (useSettings.js).
+ */
+
+import { useState, useEffect } from 'react';
+import { DEFAULT_BOARD_COLUMNS } from '../utils/board';
+import { isValidStorageConfig } from '../services/storage';
+import { SettingsContext } from './useSettings';
+
+const SETTINGS_KEY = 'taskmaster-react-settings';
+
+const defaultSettings = {
+  storage: {
+    type: 'local',
+    restUrl: ''
+  },
+  tags: {
+    // tag name -> color key from TAG_COLORS (utils/tags)
+    colors: {}
+  },
+  board: {
+    // Workflow columns of the Kanban board (see utils/board)
+    columns: DEFAULT_BOARD_COLUMNS
+  },
+  reminders: {
+    // Browser notifications before tasks are due (see utils/reminders)
+    enabled: false,
+    leadMinutes: 60
+  }
+};
+
+// Merge stored settings over the defaults section by section, so settings
+// added in later versions get their default values. A storage section
+// that can't build an adapter (stale or hand-edited) falls back to
+// browser storage - otherwise TaskProvider would throw while rendering.
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    const settings = Object.keys(defaultSettings).reduce((acc, section) => {
+      acc[section] = { ...defaultSettings[section], ...stored[section] };
+      return acc;
+    }, {});
+    if (!isValidStorageConfig(settings.storage)) settings.storage = defaultSettings.storage;
+    return settings;
+  } catch {
+    return defaultSettings;
+  }
+}
+
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const value = {
+    settings,
+    // Shallow-merge values into one settings section, e.g. updateSettings('storage', { type: 'rest' })
+    updateSettings: (section, values) => setSettings(prev => ({
+      ...prev,
+      [section]: { ...prev[section], ...values }
+    }))
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
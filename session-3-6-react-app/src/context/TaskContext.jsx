@@ -7,7 +7,19 @@
  * - Custom context hook pattern
  */
 
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import { createContext, useContext, useReducer, useState, useEffect, useEffectEvent, useMemo, useRef } from 'react';
+import { createActivityEntry, appendActivity, diffTask } from '../utils/taskActivity';
+import { areAllSubtasksDone } from '../utils/subtasks';
+import { normalizeTag, normalizeTags, matchesTags, replaceTags } from '../utils/tags';
+import { createLocalStorageAdapter, runStorageCall } from '../services/storage';
+import { getSampleTasks } from '../data/sampleTasks';
+import { mergeTaskLists, isSameTaskList } from '../utils/taskSync';
+import { DEFAULT_BOARD_COLUMNS, countByKind, compareByOrder } from '../utils/board';
+import { createNextOccurrence } from '../utils/recurrence';
+import { getTasksByDueStatus } from '../utils/calendar';
+import { sortTasks, createComparator } from '../utils/sorting';
+import { filterTasksByQuery, getQueryWords } from '../utils/taskQuery';
+import { createSearchIndex } from '../utils/searchIndex';
 
 // Create context
 const TaskContext = createContext();
@@ -18,48 +30,194 @@ const initialState = {
   filters: {
     status: 'all',
     priority: 'all',
-    searchTerm: ''
+    searchTerm: '',
+    tags: [],
+    // 'any' - at least one of the selected tags, 'all' - every one of them
+    tagMatch: 'any',
+    // A project id from the route (/projects/:projectId/tasks), or 'all'
+    projectId: 'all'
   },
-  sortBy: 'date'
+  // A preset ('date', 'priority', ...), 'manual', 'relevance' or a spec such as
+  // 'priority:desc,title:asc' (see utils/sorting)
+  sortBy: 'date',
+  // Undo/redo stacks of task snapshots (see withUndoHistory below)
+  history: {
+    past: [],
+    future: [],
+    lastChange: null
+  }
 };
 
 // Action types (like constants in backend)
 const ACTION_TYPES = {
   SET_TASKS: 'SET_TASKS',
+  REPLACE_TASKS: 'REPLACE_TASKS',
+  IMPORT_TASKS: 'IMPORT_TASKS',
   ADD_TASK: 'ADD_TASK',
   UPDATE_TASK: 'UPDATE_TASK',
   DELETE_TASK: 'DELETE_TASK',
   TOGGLE_TASK: 'TOGGLE_TASK',
+  MOVE_TASK: 'MOVE_TASK',
+  UPDATE_TASKS: 'UPDATE_TASKS',
+  DELETE_TASKS: 'DELETE_TASKS',
+  ADD_TAGS: 'ADD_TAGS',
   SET_FILTER: 'SET_FILTER',
   SET_SORT: 'SET_SORT',
-  CLEAR_COMPLETED: 'CLEAR_COMPLETED'
+  RESET_FILTERS: 'RESET_FILTERS',
+  CLEAR_COMPLETED: 'CLEAR_COMPLETED',
+  RENAME_TAG: 'RENAME_TAG',
+  MOVE_PROJECT_TASKS: 'MOVE_PROJECT_TASKS',
+  DELETE_PROJECT_TASKS: 'DELETE_PROJECT_TASKS',
+  UNDO: 'UNDO',
+  REDO: 'REDO'
+};
+
+// Task mutations that go on the undo stack, with a label for the UI
+const UNDOABLE_ACTIONS = {
+  [ACTION_TYPES.ADD_TASK]: 'Task created',
+  [ACTION_TYPES.UPDATE_TASK]: 'Task updated',
+  [ACTION_TYPES.DELETE_TASK]: 'Task deleted',
+  [ACTION_TYPES.TOGGLE_TASK]: 'Task status changed',
+  [ACTION_TYPES.MOVE_TASK]: 'Task moved',
+  [ACTION_TYPES.UPDATE_TASKS]: 'Tasks updated',
+  [ACTION_TYPES.DELETE_TASKS]: 'Tasks deleted',
+  [ACTION_TYPES.ADD_TAGS]: 'Tags added',
+  [ACTION_TYPES.CLEAR_COMPLETED]: 'Completed tasks cleared',
+  [ACTION_TYPES.REPLACE_TASKS]: 'Tasks replaced',
+  [ACTION_TYPES.IMPORT_TASKS]: 'Tasks imported'
 };
 
+// Mutations that remove data - the UI offers an "Undo" toast for these
+const DESTRUCTIVE_ACTIONS = [
+  ACTION_TYPES.DELETE_TASK,
+  ACTION_TYPES.DELETE_TASKS,
+  ACTION_TYPES.CLEAR_COMPLETED,
+  ACTION_TYPES.REPLACE_TASKS
+];
+
+// Changes that make every earlier snapshot stale, so the history is
+// cleared: a fresh list from storage, the tasks of a project being
+// deleted (ProjectContext has no undo - restored tasks would point at a
+// project that no longer exists) and renamed tags (their colors move in
+// SettingsContext, which has no undo either)
+const HISTORY_RESET_ACTIONS = [
+  ACTION_TYPES.SET_TASKS,
+  ACTION_TYPES.RENAME_TAG,
+  ACTION_TYPES.MOVE_PROJECT_TASKS,
+  ACTION_TYPES.DELETE_PROJECT_TASKS
+];
+
+const HISTORY_LIMIT = 50;
+
+const countLabel = (ids) => `${ids.length} task${ids.length === 1 ? '' : 's'}`;
+
+// An auto-complete task completes itself when its last open subtask is
+// checked off (or auto-complete is switched on with everything done)
+function shouldAutoComplete(task, updates) {
+  const next = { ...task, ...updates };
+  if (!next.autoComplete || next.status === 'completed' || !areAllSubtasksDone(next.subtasks)) {
+    return false;
+  }
+  return !task.autoComplete || !areAllSubtasksDone(task.subtasks);
+}
+
+// Merge updates into a task, keeping timestamps and the activity log consistent
+function applyTaskUpdates(task, updates) {
+  if (shouldAutoComplete(task, updates)) {
+    updates = { ...updates, status: 'completed' };
+  }
+
+  const changes = diffTask(task, updates);
+  if (changes.length === 0) {
+    // Untracked edits (renaming or reordering subtasks) still count as updates
+    const isModified = Object.keys(updates).some(key =>
+      key !== 'updatedAt' && JSON.stringify(updates[key]) !== JSON.stringify(task[key])
+    );
+    return isModified
+      ? { ...task, ...updates, updatedAt: new Date().toISOString() }
+      : { ...task, ...updates };
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...task, ...updates, updatedAt: now };
+  let activity = task.activity;
+
+  // Status changes get their own completed/reopened entry
+  const statusChange = changes.find(change => change.field === 'status');
+  if (statusChange) {
+    const isCompleted = statusChange.to === 'completed';
+    updated.completedAt = isCompleted ? now : null;
+    activity = appendActivity(activity, createActivityEntry(isCompleted ? 'completed' : 'reopened'));
+  }
+
+  const fieldChanges = changes.filter(change => change.field !== 'status');
+  if (fieldChanges.length > 0) {
+    activity = appendActivity(activity, createActivityEntry('updated', fieldChanges));
+  }
+
+  return { ...updated, activity };
+}
+
+// Generate unique ID using timestamp + random component
+// (bumped past existing ids - imports add many tasks per millisecond)
+function createTaskId(tasks) {
+  let newId = Date.now() + Math.floor(Math.random() * 1000);
+  while (tasks.some(task => task.id === newId)) newId++;
+  return newId;
+}
+
+// Apply updates to one task. Completing a recurring task also adds its next
+// occurrence - only once, so reopening and completing it again adds no more.
+function updateTaskInList(tasks, id, getUpdates) {
+  const task = tasks.find(item => item.id === id);
+  if (!task) return tasks;
+
+  const updated = applyTaskUpdates(task, getUpdates(task));
+  const isCompletedNow = task.status !== 'completed' && updated.status === 'completed';
+  const next = isCompletedNow && updated.recurrence && !updated.nextOccurrenceId
+    ? createNextOccurrence(updated)
+    : null;
+
+  if (!next) return tasks.map(item => (item.id === id ? updated : item));
+
+  const nextId = createTaskId(tasks);
+  return [
+    ...tasks.map(item => (item.id === id ? { ...updated, nextOccurrenceId: nextId } : item)),
+    { ...next, id: nextId, activity: [createActivityEntry('created')] }
+  ];
+}
+
 // Reducer function (like a pure function that returns new state)
 function taskReducer(state, action) {
   switch (action.type) {
+    // SET_TASKS loads a list from storage, REPLACE_TASKS is a user action
+    // (e.g. "Reset workspace") and can be undone
     case ACTION_TYPES.SET_TASKS:
+    case ACTION_TYPES.REPLACE_TASKS:
       return {
         ...state,
         tasks: action.payload
       };
 
-    case ACTION_TYPES.ADD_TASK:
-      // Generate unique ID using timestamp + random component
-      const newId = Date.now() + Math.floor(Math.random() * 1000);
+    case ACTION_TYPES.ADD_TASK: {
+      // New tasks start pending; imported ones may arrive already completed
+      const newTask = {
+        ...action.payload,
+        id: createTaskId(state.tasks),
+        status: action.payload.status === 'completed' ? 'completed' : 'pending',
+        createdAt: action.payload.createdAt || new Date().toISOString(),
+        activity: [createActivityEntry('created')]
+      };
       return {
         ...state,
-        tasks: [...state.tasks, { ...action.payload, id: newId, status: 'pending' }]
+        tasks: [...state.tasks, newTask]
       };
+    }
 
     case ACTION_TYPES.UPDATE_TASK:
       return {
         ...state,
-        tasks: state.tasks.map(task =>
-          task.id === action.payload.id
-            ? { ...task, ...action.payload.updates }
-            : task
-        )
+        tasks: updateTaskInList(state.tasks, action.payload.id, () => action.payload.updates)
       };
 
     case ACTION_TYPES.DELETE_TASK:
@@ -71,16 +229,44 @@ function taskReducer(state, action) {
     case ACTION_TYPES.TOGGLE_TASK:
       return {
         ...state,
-        tasks: state.tasks.map(task =>
-          task.id === action.payload
-            ? {
-                ...task,
-                status: task.status === 'completed' ? 'pending' : 'completed',
-                completedAt: task.status === 'completed' ? null : new Date().toISOString()
-              }
-            : task
-        )
+        tasks: updateTaskInList(state.tasks, action.payload, task => ({
+          status: task.status === 'completed' ? 'pending' : 'completed'
+        }))
+      };
+
+    // payload: { id, column, status, order } - see getMoveUpdates (utils/board),
+    // or just { id, order } for the task list's manual sort
+    case ACTION_TYPES.MOVE_TASK: {
+      const { id, ...updates } = action.payload;
+      return {
+        ...state,
+        tasks: updateTaskInList(state.tasks, id, () => updates)
       };
+    }
+
+    // Bulk actions - one state update (and one save) for the whole
+    // selection. payload: { ids, updates }
+    case ACTION_TYPES.UPDATE_TASKS: {
+      const { ids, updates } = action.payload;
+      const tasks = ids.reduce((list, id) => updateTaskInList(list, id, () => updates), state.tasks);
+      return { ...state, tasks };
+    }
+
+    // payload: [...ids]
+    case ACTION_TYPES.DELETE_TASKS: {
+      const ids = new Set(action.payload);
+      const tasks = state.tasks.filter(task => !ids.has(task.id));
+      return tasks.length === state.tasks.length ? state : { ...state, tasks };
+    }
+
+    // payload: { ids, tags } - added to the tags each task already has
+    case ACTION_TYPES.ADD_TAGS: {
+      const { ids, tags } = action.payload;
+      const tasks = ids.reduce((list, id) => updateTaskInList(list, id, task => ({
+        tags: normalizeTags([...(task.tags || []), ...tags])
+      })), state.tasks);
+      return { ...state, tasks };
+    }
 
     case ACTION_TYPES.SET_FILTER:
       return {
@@ -97,99 +283,423 @@ function taskReducer(state, action) {
         sortBy: action.payload
       };
 
+    case ACTION_TYPES.RESET_FILTERS:
+      return {
+        ...state,
+        filters: initialState.filters,
+        sortBy: initialState.sortBy
+      };
+
+    // payload: optional project id - only clear that project's tasks
     case ACTION_TYPES.CLEAR_COMPLETED:
       return {
         ...state,
-        tasks: state.tasks.filter(task => task.status !== 'completed')
+        tasks: state.tasks.filter(task =>
+          task.status !== 'completed' || (action.payload && task.projectId !== action.payload)
+        )
       };
 
+    // payload: { from: [...names], to } - renaming onto a tag that is
+    // already in use merges the two
+    case ACTION_TYPES.RENAME_TAG: {
+      const { from, to } = action.payload;
+      let changed = false;
+      const tasks = state.tasks.map(task => {
+        if (!task.tags?.some(tag => from.includes(tag))) return task;
+        changed = true;
+        return applyTaskUpdates(task, { tags: replaceTags(task.tags, from, to) });
+      });
+
+      return changed ? { ...state, tasks } : state;
+    }
+
+    // payload: { from, to } - `to` is null for "No project"
+    case ACTION_TYPES.MOVE_PROJECT_TASKS: {
+      const { from, to } = action.payload;
+      if (!state.tasks.some(task => task.projectId === from)) return state;
+      return {
+        ...state,
+        tasks: state.tasks.map(task =>
+          task.projectId === from ? applyTaskUpdates(task, { projectId: to }) : task
+        )
+      };
+    }
+
+    case ACTION_TYPES.DELETE_PROJECT_TASKS: {
+      const tasks = state.tasks.filter(task => task.projectId !== action.payload);
+      return tasks.length === state.tasks.length ? state : { ...state, tasks };
+    }
+
+    // payload: { tasks, mode } - 'replace' swaps the whole list, 'merge'
+    // updates tasks with a matching id and adds the rest
+    case ACTION_TYPES.IMPORT_TASKS: {
+      const { tasks: imported, mode } = action.payload;
+      const current = mode === 'replace' ? [] : state.tasks;
+      const usedIds = new Set([...current, ...imported].map(task => task.id));
+      let nextId = Date.now();
+
+      const prepare = (task) => {
+        let id = task.id;
+        if (id === undefined) {
+          while (usedIds.has(nextId)) nextId++;
+          id = nextId;
+          usedIds.add(id);
+        }
+        return {
+          ...task,
+          id,
+          createdAt: task.createdAt || new Date().toISOString(),
+          activity: task.activity?.length ? task.activity : [createActivityEntry('created')]
+        };
+      };
+
+      const importedById = new Map(
+        imported.filter(task => task.id !== undefined).map(task => [task.id, task])
+      );
+      const merged = current.map(task => {
+        if (!importedById.has(task.id)) return task;
+        // Keep our own activity log - the change is recorded on top of it
+        const { activity: _activity, ...updates } = importedById.get(task.id);
+        return applyTaskUpdates(task, updates);
+      });
+      const currentIds = new Set(current.map(task => task.id));
+      const added = imported.filter(task => !currentIds.has(task.id)).map(prepare);
+
+      return {
+        ...state,
+        tasks: [...merged, ...added]
+      };
+    }
+
     default:
       return state;
   }
 }
 
-// Sample data (same as vanilla JS version)
-const getSampleTasks = () => [
-  {
-    id: 1,
-    title: 'Fix authentication bug in login flow',
-    description: 'Users are experiencing issues logging in with OAuth providers. Need to debug the callback handling.',
-    priority: 'high',
-    status: 'pending',
-    dueDate: '2024-12-25',
-    createdAt: new Date('2024-12-20').toISOString()
-  },
-  {
-    id: 2,
-    title: 'Update API documentation',
-    description: 'Add examples for the new endpoints and update the authentication section.',
-    priority: 'medium',
-    status: 'pending',
-    dueDate: '2024-12-28',
-    createdAt: new Date('2024-12-21').toISOString()
-  },
-  {
-    id: 3,
-    title: 'Refactor user service tests',
-    description: 'Clean up test code and add missing edge cases for better coverage.',
-    priority: 'low',
-    status: 'pending',
-    dueDate: '2025-01-05',
-    createdAt: new Date('2024-12-22').toISOString()
-  },
-  {
-    id: 4,
-    title: 'Implement user profile page',
-    description: 'Create responsive profile page with edit functionality and avatar upload.',
-    priority: 'high',
-    status: 'completed',
-    dueDate: '2024-12-20',
-    completedAt: new Date('2024-12-20').toISOString(),
-    createdAt: new Date('2024-12-15').toISOString()
-  }
-];
+// Higher-order reducer that adds undo/redo on top of taskReducer
+// (like wrapping a service in a transaction log). Each history entry is
+// the task list *before* a change plus a label describing that change.
+function withUndoHistory(reducer) {
+  return (state, action) => {
+    const { past, future } = state.history;
+
+    switch (action.type) {
+      case ACTION_TYPES.UNDO: {
+        if (past.length === 0) return state;
+        const previous = past[past.length - 1];
+        return {
+          ...state,
+          tasks: previous.tasks,
+          history: {
+            past: past.slice(0, -1),
+            future: [{ tasks: state.tasks, label: previous.label }, ...future],
+            lastChange: null
+          }
+        };
+      }
+
+      case ACTION_TYPES.REDO: {
+        if (future.length === 0) return state;
+        const next = future[0];
+        return {
+          ...state,
+          tasks: next.tasks,
+          history: {
+            past: [...past, { tasks: state.tasks, label: next.label }],
+            future: future.slice(1),
+            lastChange: null
+          }
+        };
+      }
+
+      default: {
+        const nextState = reducer(state, action);
+
+        if (HISTORY_RESET_ACTIONS.includes(action.type)) {
+          return { ...nextState, history: initialState.history };
+        }
+
+        const label = action.meta?.label ?? UNDOABLE_ACTIONS[action.type];
+        const destructive = action.meta?.destructive ?? DESTRUCTIVE_ACTIONS.includes(action.type);
+        if (!label || nextState.tasks === state.tasks) return nextState;
+
+        return {
+          ...nextState,
+          history: {
+            past: [...past, { tasks: state.tasks, label }].slice(-HISTORY_LIMIT),
+            future: [],
+            lastChange: { label, destructive }
+          }
+        };
+      }
+    }
+  };
+}
+
+const undoableTaskReducer = withUndoHistory(taskReducer);
+
+// Used when no `storage` prop is given - the original localStorage behaviour
+const defaultStorage = createLocalStorageAdapter();
+
+// Stop tracking deletes that storage has confirmed (the id is gone from
+// what was last saved or read), so long-lived tabs don't collect ids forever
+function forgetConfirmedDeletes(deletedIds, storedTasks) {
+  const storedIds = new Set(storedTasks.map(task => task.id));
+  deletedIds.forEach((_, id) => {
+    if (!storedIds.has(id)) deletedIds.delete(id);
+  });
+}
 
 // Provider component
-export function TaskProvider({ children }) {
-  const [state, dispatch] = useReducer(taskReducer, initialState);
+// `storage` is any adapter from services/storage (localStorage, IndexedDB, REST)
+// `columns` is the board workflow (utils/board) - it decides what counts as "in progress"
+export function TaskProvider({ children, storage = defaultStorage, columns = DEFAULT_BOARD_COLUMNS }) {
+  const [state, dispatch] = useReducer(undoableTaskReducer, initialState);
 
-  // Load tasks from localStorage on mount (SESSION 5 - useEffect)
-  useEffect(() => {
-    const stored = localStorage.getItem('taskmaster-react-tasks');
-    if (stored) {
-      dispatch({ type: ACTION_TYPES.SET_TASKS, payload: JSON.parse(stored) });
-    } else {
-      dispatch({ type: ACTION_TYPES.SET_TASKS, payload: getSampleTasks() });
+  // The task list as it currently exists in storage - lets the save effect
+  // skip writing back data it has just loaded
+  const persistedTasksRef = useRef(null);
+
+  // The adapter whose data is currently in state. Nothing is saved until
+  // a load has finished, so the empty initial state can't overwrite
+  // stored tasks (and an intentionally empty list is still saved).
+  const hydratedStorageRef = useRef(null);
+
+  // Ids deleted in this tab -> when, until storage confirms the delete.
+  // Stops a tab that hasn't seen the delete yet from bringing the task
+  // back with its next save.
+  const deletedTaskIdsRef = useRef(new Map());
+
+  // false until anything has been saved - "never used" rather than
+  // "every task was deleted"
+  const [isWorkspaceInitialized, setIsWorkspaceInitialized] = useState(false);
+
+  // Why the last load failed (corrupted data, unreachable server).
+  // While set, nothing is saved so the stored data can still be exported.
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+
+  // Full-text index for search, synced lazily the first time a search
+  // runs after the tasks change (only changed tasks are re-indexed)
+  const [searchIndex] = useState(createSearchIndex);
+
+  // Save tasks whenever they change (SESSION 5 - useEffect).
+  // An effect event, so switching adapters doesn't copy the old list over.
+  const persistTasks = useEffectEvent((tasks) => {
+    // initialState.tasks is the placeholder from before the first load
+    if (tasks === initialState.tasks || tasks === persistedTasksRef.current) return;
+    if (loadError || hydratedStorageRef.current !== storage) return;
+
+    const now = new Date().toISOString();
+    const remainingIds = new Set(tasks.map(task => task.id));
+    persistedTasksRef.current?.forEach(task => {
+      if (!remainingIds.has(task.id)) deletedTaskIdsRef.current.set(task.id, now);
+    });
+
+    runStorageCall(
+      () => storage.save(tasks),
+      () => {
+        persistedTasksRef.current = tasks;
+        forgetConfirmedDeletes(deletedTaskIdsRef.current, tasks);
+        setIsWorkspaceInitialized(true);
+      },
+      (error) => console.error('Failed to save tasks:', error)
+    );
+  });
+
+  // Another tab (or the server) saved: merge its list into ours task by
+  // task instead of letting one whole list overwrite the other
+  const mergeRemoteTasks = useEffectEvent((remoteTasks) => {
+    const merged = mergeTaskLists(state.tasks, remoteTasks, {
+      base: persistedTasksRef.current ?? [],
+      deleted: deletedTaskIdsRef.current
+    });
+
+    persistedTasksRef.current = remoteTasks;
+    forgetConfirmedDeletes(deletedTaskIdsRef.current, remoteTasks);
+    hydratedStorageRef.current = storage;
+    setIsWorkspaceInitialized(true);
+    setLoadError(null);
+
+    if (merged !== state.tasks) {
+      // Undo snapshots would bring back the other tab's old data
+      dispatch({ type: ACTION_TYPES.SET_TASKS, payload: merged });
+    } else if (!isSameTaskList(merged, remoteTasks)) {
+      // Nothing changed here, but storage is missing our newer edits.
+      // Compared by content: saving an unchanged list would notify the
+      // other tab, which would save it back, and so on.
+      persistTasks(merged);
     }
-  }, []);
+  });
 
-  // Save tasks to localStorage whenever they change (SESSION 5 - useEffect)
+  // Load tasks from the storage adapter (SESSION 5 - useEffect)
+  // and listen for changes made elsewhere (other tabs, the server)
   useEffect(() => {
-    if (state.tasks.length > 0) {
-      localStorage.setItem('taskmaster-react-tasks', JSON.stringify(state.tasks));
-    }
+    let isCancelled = false;
+
+    // `tasks` is null when the backend has never been written to
+    const applyStoredTasks = (tasks) => {
+      if (isCancelled) return;
+      const loadedTasks = tasks ?? [];
+      persistedTasksRef.current = loadedTasks;
+      forgetConfirmedDeletes(deletedTaskIdsRef.current, loadedTasks);
+      hydratedStorageRef.current = storage;
+      setIsWorkspaceInitialized(tasks !== null);
+      setLoadError(null);
+      dispatch({ type: ACTION_TYPES.SET_TASKS, payload: loadedTasks });
+    };
+
+    runStorageCall(
+      () => storage.load(),
+      applyStoredTasks,
+      (error) => {
+        if (isCancelled) return;
+        console.error('Failed to load tasks:', error);
+        setLoadError(error);
+      }
+    );
+
+    const unsubscribe = storage.subscribe((tasks) => {
+      if (tasks) mergeRemoteTasks(tasks);
+    });
+
+    return () => {
+      isCancelled = true;
+      unsubscribe();
+    };
+  }, [storage, loadAttempt]);
+
+  // Save tasks whenever they change
+  useEffect(() => {
+    persistTasks(state.tasks);
   }, [state.tasks]);
 
+  // Recovery from a failed load (see DataRecovery)
+  const retryLoad = () => setLoadAttempt(attempt => attempt + 1);
+
+  // Replace whatever is stored with `tasks` - e.g. the records that passed
+  // validation, or [] to start over. Written explicitly, since the save
+  // effect is paused while loadError is set.
+  const recoverWithTasks = (tasks) => {
+    runStorageCall(
+      () => storage.save(tasks),
+      () => {
+        persistedTasksRef.current = tasks;
+        forgetConfirmedDeletes(deletedTaskIdsRef.current, tasks);
+        hydratedStorageRef.current = storage;
+        setIsWorkspaceInitialized(true);
+        setLoadError(null);
+        dispatch({ type: ACTION_TYPES.SET_TASKS, payload: tasks });
+      },
+      (error) => {
+        console.error('Failed to save tasks:', error);
+        setLoadError(error);
+      }
+    );
+  };
+
+  // Action creators only depend on dispatch (which React keeps stable),
+  // so they are created once and can safely be used as effect dependencies
+  const actions = useMemo(() => ({
+    addTask: (task) => dispatch({ type: ACTION_TYPES.ADD_TASK, payload: task }),
+    updateTask: (id, updates) => dispatch({ type: ACTION_TYPES.UPDATE_TASK, payload: { id, updates } }),
+    deleteTask: (id) => dispatch({ type: ACTION_TYPES.DELETE_TASK, payload: id }),
+    toggleTask: (id) => dispatch({ type: ACTION_TYPES.TOGGLE_TASK, payload: id }),
+    moveTask: (id, { column, status, order }) => dispatch({
+      type: ACTION_TYPES.MOVE_TASK,
+      payload: { id, column, status, order }
+    }),
+    // Bulk actions - labelled with the number of tasks for the undo toast
+    updateTasks: (ids, updates) => dispatch({
+      type: ACTION_TYPES.UPDATE_TASKS,
+      payload: { ids, updates },
+      meta: { label: `${countLabel(ids)} updated` }
+    }),
+    deleteTasks: (ids) => dispatch({
+      type: ACTION_TYPES.DELETE_TASKS,
+      payload: ids,
+      meta: { label: `${countLabel(ids)} deleted` }
+    }),
+    addTagsToTasks: (ids, tags) => dispatch({
+      type: ACTION_TYPES.ADD_TAGS,
+      payload: { ids, tags: normalizeTags(tags) },
+      meta: { label: `Tags added to ${countLabel(ids)}` }
+    }),
+    reorderTask: (id, { order }) => dispatch({ type: ACTION_TYPES.MOVE_TASK, payload: { id, order } }),
+    setFilter: (filterType, value) => dispatch({ type: ACTION_TYPES.SET_FILTER, payload: { filterType, value } }),
+    setSort: (sortBy) => dispatch({ type: ACTION_TYPES.SET_SORT, payload: sortBy }),
+    resetFilters: () => dispatch({ type: ACTION_TYPES.RESET_FILTERS }),
+    clearCompleted: (projectId = null) => dispatch({ type: ACTION_TYPES.CLEAR_COMPLETED, payload: projectId }),
+    loadSampleData: () => dispatch({ type: ACTION_TYPES.REPLACE_TASKS, payload: getSampleTasks(), meta: { label: 'Sample data loaded' } }),
+    resetWorkspace: () => dispatch({ type: ACTION_TYPES.REPLACE_TASKS, payload: [], meta: { label: 'Workspace reset' } }),
+    importTasks: (tasks, mode = 'merge') => dispatch({
+      type: ACTION_TYPES.IMPORT_TASKS,
+      payload: { tasks, mode },
+      meta: {
+        label: `${tasks.length} task${tasks.length === 1 ? '' : 's'} imported`,
+        destructive: mode === 'replace'
+      }
+    }),
+    renameTag: (from, to) => dispatch({
+      type: ACTION_TYPES.RENAME_TAG,
+      payload: { from: [from], to: normalizeTag(to) }
+    }),
+    mergeTags: (tags, into) => dispatch({
+      type: ACTION_TYPES.RENAME_TAG,
+      payload: { from: tags, to: normalizeTag(into) }
+    }),
+    // Used when deleting a project - these two clear the undo history
+    moveProjectTasks: (fromProjectId, toProjectId = null) => dispatch({
+      type: ACTION_TYPES.MOVE_PROJECT_TASKS,
+      payload: { from: fromProjectId, to: toProjectId }
+    }),
+    deleteProjectTasks: (projectId) => dispatch({ type: ACTION_TYPES.DELETE_PROJECT_TASKS, payload: projectId }),
+    undo: () => dispatch({ type: ACTION_TYPES.UNDO }),
+    redo: () => dispatch({ type: ACTION_TYPES.REDO })
+  }), []);
+
+  // What the search words matched: relevance per task id and the indexed
+  // words to highlight. null when the search has no plain words.
+  const getSearchMatches = () => {
+    const words = getQueryWords(state.filters.searchTerm);
+    if (words.length === 0) return null;
+    searchIndex.sync(state.tasks);
+    return searchIndex.match(words.join(' '));
+  };
+
   // Helper functions (like service methods in backend)
   const value = {
     // State
     tasks: state.tasks,
     filters: state.filters,
     sortBy: state.sortBy,
+    columns,
+
+    // Undo/redo state
+    canUndo: state.history.past.length > 0,
+    canRedo: state.history.future.length > 0,
+    undoLabel: state.history.past.at(-1)?.label ?? null,
+    redoLabel: state.history.future[0]?.label ?? null,
+    lastChange: state.history.lastChange,
+
+    // Load failure & recovery
+    isWorkspaceInitialized,
+    loadError,
+    retryLoad,
+    recoverWithTasks,
 
     // Actions
-    addTask: (task) => dispatch({ type: ACTION_TYPES.ADD_TASK, payload: task }),
-    updateTask: (id, updates) => dispatch({ type: ACTION_TYPES.UPDATE_TASK, payload: { id, updates } }),
-    deleteTask: (id) => dispatch({ type: ACTION_TYPES.DELETE_TASK, payload: id }),
-    toggleTask: (id) => dispatch({ type: ACTION_TYPES.TOGGLE_TASK, payload: id }),
-    setFilter: (filterType, value) => dispatch({ type: ACTION_TYPES.SET_FILTER, payload: { filterType, value } }),
-    setSort: (sortBy) => dispatch({ type: ACTION_TYPES.SET_SORT, payload: sortBy }),
-    clearCompleted: () => dispatch({ type: ACTION_TYPES.CLEAR_COMPLETED }),
+    ...actions,
 
     // Computed values (like views/DTOs in backend)
     getFilteredTasks: () => {
       let result = [...state.tasks];
 
+      // Filter by project
+      if (state.filters.projectId !== 'all') {
+        result = result.filter(task => task.projectId === state.filters.projectId);
+      }
+
       // Filter by status
       if (state.filters.status !== 'all') {
         result = result.filter(task => task.status === state.filters.status);
@@ -200,43 +710,54 @@ export function TaskProvider({ children }) {
         result = result.filter(task => task.priority === state.filters.priority);
       }
 
-      // Filter by search term
-      if (state.filters.searchTerm) {
-        const search = state.filters.searchTerm.toLowerCase();
-        result = result.filter(task =>
-          task.title.toLowerCase().includes(search) ||
-          task.description.toLowerCase().includes(search)
-        );
+      // Filter by tags
+      if (state.filters.tags.length > 0) {
+        result = result.filter(task => matchesTags(task, state.filters.tags, state.filters.tagMatch));
       }
 
-      // Sort
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      switch (state.sortBy) {
-        case 'priority':
-          result.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
-          break;
-        case 'title':
-          result.sort((a, b) => a.title.localeCompare(b.title));
-          break;
-        case 'date':
-        default:
-          result.sort((a, b) => {
-            if (!a.dueDate) return 1;
-            if (!b.dueDate) return -1;
-            return new Date(a.dueDate) - new Date(b.dueDate);
-          });
+      // Filter by search query - priority:, due:<... terms (see utils/taskQuery)
+      // with plain words looked up in the typo-tolerant full-text index
+      if (state.filters.searchTerm) {
+        searchIndex.sync(state.tasks);
+        result = filterTasksByQuery(result, state.filters.searchTerm, new Date(), {
+          matchText: (task, word) => searchIndex.match(word).scores.has(task.id)
+        });
       }
 
-      return result;
+      // Sort - 'manual' is the dragged order (see utils/board), 'relevance'
+      // the best search matches first, anything else a preset name or
+      // multi-key spec for the shared sort engine
+      if (state.sortBy === 'manual') return result.sort(compareByOrder);
+      if (state.sortBy === 'relevance') {
+        const scores = getSearchMatches()?.scores ?? new Map();
+        const byDate = createComparator('date');
+        return result.sort((a, b) => (scores.get(b.id) ?? 0) - (scores.get(a.id) ?? 0) || byDate(a, b));
+      }
+      return sortTasks(result, state.sortBy);
     },
 
-    getStats: () => {
-      const stats = state.tasks.reduce((acc, task) => {
-        acc.total++;
-        if (task.status === 'completed') acc.completed++;
-        else acc.inProgress++;
-        return acc;
-      }, { total: 0, inProgress: 0, completed: 0 });
+    getSearchMatches,
+
+    // The dashboards' Recent Tasks: every task by due date, whatever the
+    // task list (or the project it last showed) is filtered to
+    getRecentTasks: (limit = 6) => sortTasks(state.tasks, 'date').slice(0, limit),
+
+    // Pending tasks by due date, soonest first ("this week" excludes today)
+    getOverdueTasks: () => getTasksByDueStatus(state.tasks, 'overdue'),
+    getDueTodayTasks: () => getTasksByDueStatus(state.tasks, 'today'),
+    getDueThisWeekTasks: () => getTasksByDueStatus(state.tasks, 'week'),
+
+    // Pass a project id for the stats of one project
+    getStats: (projectId = null) => {
+      const tasks = projectId ? state.tasks.filter(task => task.projectId === projectId) : state.tasks;
+      // "In progress" means on an active board column, not just "not completed"
+      const counts = countByKind(tasks, columns);
+      const stats = {
+        total: tasks.length,
+        todo: counts.todo,
+        inProgress: counts.active,
+        completed: counts.done
+      };
 
       stats.completionRate = stats.total > 0
         ? Math.round((stats.completed / stats.total) * 100)
@@ -1,12 +1,14 @@
-import { describe, it, expect, beforeEach } from "vitest";
-import { renderHook, act } from "@testing-library/react";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
 import { TaskProvider, useTasks } from "./TaskContext";
+import { seedStoredTasks } from "../test/seedTasks";
 
 describe("TaskContext (Session 4 & 5 - State Management)", () => {
 	const wrapper = ({ children }) => <TaskProvider>{children}</TaskProvider>;
 
 	beforeEach(() => {
 		localStorage.clear();
+		seedStoredTasks();
 	});
 
 	it("provides initial state", () => {
@@ -163,9 +165,11 @@ describe("TaskContext (Session 4 & 5 - State Management)", () => {
 		const stored = localStorage.getItem("taskmaster-react-tasks");
 		expect(stored).not.toBeNull();
 
+		// Saved inside the versioned envelope (services/storage/schema.js)
 		const parsed = JSON.parse(stored);
-		expect(Array.isArray(parsed)).toBe(true);
-		expect(parsed.some(t => t.title === "Persistent Task")).toBe(true);
+		expect(parsed.version).toBe(2);
+		expect(Array.isArray(parsed.tasks)).toBe(true);
+		expect(parsed.tasks.some(t => t.title === "Persistent Task")).toBe(true);
 	});
 
 	it("maintains immutable state updates", () => {
@@ -185,4 +189,850 @@ describe("TaskContext (Session 4 & 5 - State Management)", () => {
 		// But original tasks should be unchanged
 		expect(originalTasks.some(t => t.title === "New Task")).toBe(false);
 	});
+
+	it("records activity for creates, updates and status changes", () => {
+		const { result } = renderHook(() => useTasks(), { wrapper });
+
+		act(() => {
+			result.current.addTask({
+				title: "Tracked Task",
+				description: "",
+				priority: "low",
+			});
+		});
+		const taskId = result.current.tasks[4].id;
+
+		act(() => {
+			result.current.updateTask(taskId, { priority: "high" });
+			result.current.toggleTask(taskId);
+		});
+
+		const task = result.current.tasks.find(t => t.id === taskId);
+		expect(task.activity.map(entry => entry.type)).toEqual([
+			"created",
+			"updated",
+			"completed",
+		]);
+		expect(task.activity[1].changes).toEqual([
+			{ field: "priority", from: "low", to: "high" },
+		]);
+		expect(task.updatedAt).toBeDefined();
+		expect(task.completedAt).toBeDefined();
+	});
+
+	it("keeps completedAt in sync when status is updated directly", () => {
+		const { result } = renderHook(() => useTasks(), { wrapper });
+		const taskId = result.current.tasks[0].id;
+
+		act(() => {
+			result.current.updateTask(taskId, { status: "completed" });
+		});
+		expect(result.current.tasks[0].completedAt).toEqual(expect.any(String));
+
+		act(() => {
+			result.current.updateTask(taskId, { status: "pending" });
+		});
+		expect(result.current.tasks[0].completedAt).toBeNull();
+	});
+
+	describe("undo/redo history", () => {
+		it("undoes and redoes a delete", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			const taskId = result.current.tasks[0].id;
+
+			expect(result.current.canUndo).toBe(false);
+
+			act(() => {
+				result.current.deleteTask(taskId);
+			});
+			expect(result.current.canUndo).toBe(true);
+			expect(result.current.undoLabel).toBe("Task deleted");
+
+			act(() => {
+				result.current.undo();
+			});
+			expect(result.current.tasks.find(t => t.id === taskId)).toBeDefined();
+			expect(result.current.canRedo).toBe(true);
+
+			act(() => {
+				result.current.redo();
+			});
+			expect(result.current.tasks.find(t => t.id === taskId)).toBeUndefined();
+		});
+
+		it("covers add, update, toggle and clear completed", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			const original = result.current.tasks;
+			const taskId = original[0].id;
+
+			act(() => {
+				result.current.addTask({ title: "Undo me", description: "", priority: "low" });
+				result.current.updateTask(taskId, { title: "Changed" });
+				result.current.toggleTask(taskId);
+				result.current.clearCompleted();
+			});
+
+			act(() => {
+				result.current.undo();
+				result.current.undo();
+				result.current.undo();
+				result.current.undo();
+			});
+
+			expect(result.current.tasks).toEqual(original);
+			expect(result.current.canUndo).toBe(false);
+		});
+
+		it("clears the redo stack after a new change", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.deleteTask(result.current.tasks[0].id);
+			});
+			act(() => {
+				result.current.undo();
+			});
+			act(() => {
+				result.current.toggleTask(result.current.tasks[1].id);
+			});
+
+			expect(result.current.canRedo).toBe(false);
+		});
+
+		it("does not record filter or sort changes", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.setFilter("status", "completed");
+				result.current.setSort("title");
+			});
+
+			expect(result.current.canUndo).toBe(false);
+		});
+
+		it("flags destructive changes for the undo toast", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.toggleTask(result.current.tasks[0].id);
+			});
+			expect(result.current.lastChange.destructive).toBe(false);
+
+			act(() => {
+				result.current.clearCompleted();
+			});
+			expect(result.current.lastChange).toEqual({
+				label: "Completed tasks cleared",
+				destructive: true,
+			});
+		});
+	});
+
+	describe("storage adapters", () => {
+		// In-memory async adapter, like IndexedDB or a REST API
+		const createMemoryAdapter = (initialTasks) => {
+			let stored = initialTasks;
+			return {
+				load: vi.fn(() => Promise.resolve(stored)),
+				save: vi.fn(tasks => {
+					stored = tasks;
+					return Promise.resolve();
+				}),
+				subscribe: vi.fn(() => () => {}),
+			};
+		};
+
+		it("loads tasks from an async adapter passed as a prop", async () => {
+			const seeded = localStorage.getItem("taskmaster-react-tasks");
+			const storage = createMemoryAdapter([
+				{ id: 7, title: "From adapter", description: "", priority: "low", status: "pending" },
+			]);
+			const { result } = renderHook(() => useTasks(), {
+				wrapper: ({ children }) => <TaskProvider storage={storage}>{children}</TaskProvider>,
+			});
+
+			await waitFor(() => {
+				expect(result.current.tasks.map(t => t.title)).toEqual(["From adapter"]);
+			});
+			// Freshly loaded data is not written straight back
+			expect(storage.save).not.toHaveBeenCalled();
+			expect(localStorage.getItem("taskmaster-react-tasks")).toBe(seeded);
+		});
+
+		it("saves changes through the adapter", async () => {
+			const storage = createMemoryAdapter(null);
+			const { result } = renderHook(() => useTasks(), {
+				wrapper: ({ children }) => <TaskProvider storage={storage}>{children}</TaskProvider>,
+			});
+			await waitFor(() => expect(storage.load).toHaveBeenCalled());
+
+			act(() => {
+				result.current.addTask({ title: "Saved remotely", description: "", priority: "high" });
+			});
+
+			await waitFor(() => {
+				expect(storage.save).toHaveBeenLastCalledWith(
+					expect.arrayContaining([expect.objectContaining({ title: "Saved remotely" })])
+				);
+			});
+		});
+
+		it("applies changes reported by the adapter subscription", async () => {
+			const storage = createMemoryAdapter(null);
+			const { result } = renderHook(() => useTasks(), {
+				wrapper: ({ children }) => <TaskProvider storage={storage}>{children}</TaskProvider>,
+			});
+			await waitFor(() => expect(storage.subscribe).toHaveBeenCalled());
+
+			const listener = storage.subscribe.mock.calls[0][0];
+			act(() => {
+				listener([{ id: 9, title: "Changed elsewhere", description: "", priority: "low", status: "pending" }]);
+			});
+
+			expect(result.current.tasks.map(t => t.title)).toEqual(["Changed elsewhere"]);
+		});
+
+		describe("cross-tab sync", () => {
+			const storedTasks = [
+				{ id: 1, title: "One", description: "", priority: "low", status: "pending", createdAt: "2025-01-01T00:00:00.000Z" },
+				{ id: 2, title: "Two", description: "", priority: "low", status: "pending", createdAt: "2025-01-01T00:00:00.000Z" },
+			];
+
+			const renderWithStorage = async (storage) => {
+				const hook = renderHook(() => useTasks(), {
+					wrapper: ({ children }) => <TaskProvider storage={storage}>{children}</TaskProvider>,
+				});
+				await waitFor(() => expect(hook.result.current.tasks).toHaveLength(2));
+				return { ...hook, notify: storage.subscribe.mock.calls[0][0] };
+			};
+
+			it("merges another tab's edit with an unsaved local edit", async () => {
+				const storage = createMemoryAdapter(storedTasks);
+				// This tab's save is still in flight when the other tab writes
+				storage.save.mockImplementation(() => new Promise(() => {}));
+				const { result, notify } = await renderWithStorage(storage);
+
+				act(() => {
+					result.current.updateTask(1, { title: "One (this tab)" });
+				});
+				act(() => {
+					notify([storedTasks[0], { ...storedTasks[1], title: "Two (other tab)", updatedAt: "2025-01-02T00:00:00.000Z" }]);
+				});
+
+				expect(result.current.tasks.map(t => t.title)).toEqual(["One (this tab)", "Two (other tab)"]);
+				// The merged list is written back so the other tab gets our edit
+				await waitFor(() => {
+					expect(storage.save).toHaveBeenLastCalledWith([
+						expect.objectContaining({ title: "One (this tab)" }),
+						expect.objectContaining({ title: "Two (other tab)" }),
+					]);
+				});
+			});
+
+			it("keeps the newest version when both tabs edit the same task", async () => {
+				const storage = createMemoryAdapter(storedTasks);
+				const { result, notify } = await renderWithStorage(storage);
+
+				act(() => {
+					result.current.updateTask(1, { title: "Newer edit" });
+				});
+				act(() => {
+					notify([{ ...storedTasks[0], title: "Older edit", updatedAt: "2025-01-02T00:00:00.000Z" }, storedTasks[1]]);
+				});
+
+				expect(result.current.tasks[0].title).toBe("Newer edit");
+			});
+
+			it("keeps a delete that storage has not confirmed yet", async () => {
+				const storage = createMemoryAdapter(storedTasks);
+				storage.save.mockImplementation(() => new Promise(() => {}));
+				const { result, notify } = await renderWithStorage(storage);
+
+				act(() => {
+					result.current.deleteTask(1);
+				});
+				// The other tab saves before it has seen the delete
+				act(() => {
+					notify(structuredClone(storedTasks));
+				});
+
+				expect(result.current.tasks.map(t => t.title)).toEqual(["Two"]);
+			});
+
+			it("does not write back a list it just received", async () => {
+				const storage = createMemoryAdapter(storedTasks);
+				const { result, notify } = await renderWithStorage(storage);
+
+				// Fresh copies, as read from storage - never the objects in state
+				act(() => {
+					notify(structuredClone(storedTasks));
+				});
+				act(() => {
+					notify(structuredClone([storedTasks[0]]));
+				});
+
+				expect(result.current.tasks.map(t => t.title)).toEqual(["One"]);
+				expect(storage.save).not.toHaveBeenCalled();
+			});
+		});
+	});
+
+	describe("subtasks", () => {
+		const subtasks = [
+			{ id: "a", title: "Step A", done: true },
+			{ id: "b", title: "Step B", done: false },
+		];
+
+		it("only auto-completes tasks that opted in", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			const done = subtasks.map(subtask => ({ ...subtask, done: true }));
+
+			act(() => {
+				result.current.updateTask(1, { subtasks });
+				result.current.updateTask(2, { subtasks, autoComplete: true });
+			});
+			act(() => {
+				result.current.updateTask(1, { subtasks: done });
+				result.current.updateTask(2, { subtasks: done });
+			});
+
+			const [first, second] = result.current.tasks;
+			expect(first.status).toBe("pending");
+			expect(second.status).toBe("completed");
+			expect(second.completedAt).toBeTruthy();
+		});
+
+		it("does not re-complete a reopened task when a subtask is renamed", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			const done = subtasks.map(subtask => ({ ...subtask, done: true }));
+
+			act(() => {
+				result.current.updateTask(1, { subtasks: done, autoComplete: true });
+			});
+			expect(result.current.tasks[0].status).toBe("completed");
+
+			act(() => {
+				result.current.toggleTask(1);
+			});
+			act(() => {
+				result.current.updateTask(1, { subtasks: [{ ...done[0], title: "Renamed" }, done[1]] });
+			});
+
+			expect(result.current.tasks[0].status).toBe("pending");
+			expect(result.current.tasks[0].updatedAt).toBeTruthy();
+		});
+	});
+
+	describe("tags", () => {
+		const tagTasks = () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			act(() => {
+				result.current.updateTask(1, { tags: ["auth", "bug"] });
+				result.current.updateTask(2, { tags: ["docs"] });
+				result.current.updateTask(3, { tags: ["bug"] });
+			});
+			return result;
+		};
+
+		it("filters by tags with any/all matching", () => {
+			const result = tagTasks();
+
+			act(() => {
+				result.current.setFilter("tags", ["auth", "bug"]);
+			});
+			expect(result.current.getFilteredTasks().map(task => task.id).sort()).toEqual([1, 3]);
+
+			act(() => {
+				result.current.setFilter("tagMatch", "all");
+			});
+			expect(result.current.getFilteredTasks().map(task => task.id)).toEqual([1]);
+		});
+
+		it("renames a tag on every task, clearing the undo history", () => {
+			const result = tagTasks();
+
+			act(() => {
+				result.current.renameTag("bug", "Defect");
+			});
+
+			expect(result.current.tasks.find(task => task.id === 1).tags).toEqual(["auth", "defect"]);
+			expect(result.current.tasks.find(task => task.id === 3).tags).toEqual(["defect"]);
+			// Undo would bring the old name back without its color
+			expect(result.current.canUndo).toBe(false);
+		});
+
+		it("merges tags without duplicating them", () => {
+			const result = tagTasks();
+
+			act(() => {
+				result.current.mergeTags(["auth"], "bug");
+			});
+
+			expect(result.current.tasks.find(task => task.id === 1).tags).toEqual(["bug"]);
+			expect(result.current.canUndo).toBe(false);
+		});
+
+		it("records tag changes in the activity log", () => {
+			const result = tagTasks();
+			const lastEntry = result.current.tasks[0].activity.at(-1);
+
+			expect(lastEntry.changes).toEqual([{ field: "tags", from: "", to: "auth, bug" }]);
+		});
+	});
+
+	describe("projects", () => {
+		const assignProjects = () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			act(() => {
+				result.current.updateTask(1, { projectId: "web" });
+				result.current.updateTask(4, { projectId: "web" });
+				result.current.updateTask(2, { projectId: "docs" });
+			});
+			return result;
+		};
+
+		it("calculates stats for one project", () => {
+			const result = assignProjects();
+
+			expect(result.current.getStats("web")).toEqual({ total: 2, todo: 1, inProgress: 0, completed: 1, completionRate: 50 });
+			expect(result.current.getStats().total).toBe(4);
+		});
+
+		it("filters by project", () => {
+			const result = assignProjects();
+
+			act(() => {
+				result.current.setFilter("projectId", "web");
+			});
+
+			expect(result.current.getFilteredTasks().map(task => task.id).sort()).toEqual([1, 4]);
+			// The dashboards' recent tasks ignore the task list's filters
+			expect(result.current.getRecentTasks()).toHaveLength(4);
+			expect(result.current.getRecentTasks(2).map(task => task.id)).toEqual([4, 1]);
+		});
+
+		it("moves a project's tasks to another project or to no project", () => {
+			const result = assignProjects();
+
+			act(() => {
+				result.current.moveProjectTasks("web", "docs");
+			});
+			expect(result.current.getStats("docs").total).toBe(3);
+
+			act(() => {
+				result.current.moveProjectTasks("docs");
+			});
+			expect(result.current.tasks.every(task => task.projectId == null)).toBe(true);
+		});
+
+		it("deletes a project's tasks without leaving snapshots that point at the project", () => {
+			const result = assignProjects();
+
+			act(() => {
+				result.current.deleteProjectTasks("web");
+			});
+			expect(result.current.tasks.map(task => task.id)).toEqual([2, 3]);
+			expect(result.current.canUndo).toBe(false);
+			expect(result.current.lastChange).toBeNull();
+
+			act(() => {
+				result.current.undo();
+			});
+			expect(result.current.tasks.map(task => task.id)).toEqual([2, 3]);
+		});
+
+		it("clears completed tasks of one project only", () => {
+			const result = assignProjects();
+
+			act(() => {
+				result.current.updateTask(2, { status: "completed" });
+			});
+			act(() => {
+				result.current.clearCompleted("web");
+			});
+
+			expect(result.current.tasks.map(task => task.id)).toEqual([1, 2, 3]);
+		});
+	});
+
+	describe("board", () => {
+		it("moves a task to another column and position", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.moveTask(1, { column: "review", status: "pending", order: 5 });
+			});
+
+			expect(result.current.tasks.find(task => task.id === 1)).toMatchObject({ column: "review", order: 5 });
+			expect(result.current.undoLabel).toBe("Task moved");
+		});
+
+		it("completes a task dropped on the done column and reopens it when moved back", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.moveTask(1, { column: "done", status: "completed", order: 0 });
+			});
+			expect(result.current.tasks.find(task => task.id === 1).completedAt).toEqual(expect.any(String));
+
+			act(() => {
+				result.current.moveTask(1, { column: "backlog", status: "pending", order: 0 });
+			});
+			expect(result.current.tasks.find(task => task.id === 1)).toMatchObject({ status: "pending", completedAt: null });
+		});
+
+		it("counts only tasks in active columns as in progress", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			expect(result.current.getStats()).toMatchObject({ todo: 3, inProgress: 0, completed: 1 });
+
+			act(() => {
+				result.current.moveTask(1, { column: "in-progress", status: "pending", order: 0 });
+			});
+
+			expect(result.current.getStats()).toMatchObject({ todo: 2, inProgress: 1, completed: 1 });
+		});
+
+		it("sorts manually by order key, with new tasks last", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.setSort("manual");
+			});
+			// Never moved: creation order
+			expect(result.current.getFilteredTasks().map(task => task.id)).toEqual([4, 1, 2, 3]);
+
+			act(() => {
+				result.current.reorderTask(3, { order: 0 });
+				result.current.addTask({ title: "Newest", description: "", priority: "low" });
+			});
+
+			expect(result.current.getFilteredTasks().map(task => task.title)).toEqual([
+				"Refactor user service tests",
+				"Implement user profile page",
+				"Fix authentication bug in login flow",
+				"Update API documentation",
+				"Newest",
+			]);
+			expect(result.current.undoLabel).toBe("Task created");
+		});
+
+		it("uses the columns passed to the provider", () => {
+			const columns = [
+				{ id: "todo", name: "To Do", kind: "active" },
+				{ id: "done", name: "Done", kind: "done" },
+			];
+			const { result } = renderHook(() => useTasks(), {
+				wrapper: ({ children }) => <TaskProvider columns={columns}>{children}</TaskProvider>,
+			});
+
+			expect(result.current.columns).toBe(columns);
+			expect(result.current.getStats()).toMatchObject({ todo: 0, inProgress: 3 });
+		});
+	});
+
+	describe("recurring tasks", () => {
+		const weekly = { frequency: "weekly", interval: 1, weekdays: [3], monthDay: 1, ends: "after", count: 2, until: "", occurrence: 1 };
+
+		const makeRecurring = () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			act(() => {
+				result.current.updateTask(1, { recurrence: weekly });
+			});
+			return result;
+		};
+
+		it("adds the next occurrence when a recurring task is completed", () => {
+			const result = makeRecurring();
+
+			act(() => {
+				result.current.toggleTask(1);
+			});
+
+			const completed = result.current.tasks.find(task => task.id === 1);
+			const next = result.current.tasks.at(-1);
+			expect(result.current.tasks).toHaveLength(5);
+			expect(completed.nextOccurrenceId).toBe(next.id);
+			expect(next).toMatchObject({
+				title: "Fix authentication bug in login flow",
+				status: "pending",
+				dueDate: "2025-01-01",
+				recurrence: { ...weekly, occurrence: 2 },
+			});
+			expect(next.activity.map(entry => entry.type)).toEqual(["created"]);
+		});
+
+		it("adds it only once and undoes both changes together", () => {
+			const result = makeRecurring();
+
+			act(() => {
+				result.current.toggleTask(1);
+			});
+			act(() => {
+				result.current.toggleTask(1);
+			});
+			act(() => {
+				result.current.toggleTask(1);
+			});
+			expect(result.current.tasks).toHaveLength(5);
+
+			act(() => {
+				result.current.undo();
+				result.current.undo();
+				result.current.undo();
+			});
+			expect(result.current.tasks).toHaveLength(4);
+			expect(result.current.tasks[0].status).toBe("pending");
+		});
+
+		it("stops when the series has ended", () => {
+			const result = makeRecurring();
+			const nextId = () => result.current.tasks.at(-1).id;
+
+			act(() => {
+				result.current.toggleTask(1);
+			});
+			act(() => {
+				result.current.toggleTask(nextId());
+			});
+
+			expect(result.current.tasks).toHaveLength(5);
+		});
+
+		it("records rule changes in the activity log", () => {
+			const result = makeRecurring();
+
+			expect(result.current.tasks[0].activity.at(-1).changes).toEqual([
+				{ field: "recurrence", from: "Does not repeat", to: "Every week on Wed, 2 times" },
+			]);
+		});
+	});
+
+	describe("due dates", () => {
+		beforeEach(() => {
+			vi.useFakeTimers({ toFake: ["Date"] });
+			vi.setSystemTime(new Date(2024, 11, 25, 12, 0));
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it("selects overdue, due today and due this week tasks", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+			const ids = tasks => tasks.map(task => task.id);
+
+			act(() => {
+				result.current.updateTask(3, { dueDate: "2024-12-20" });
+			});
+
+			// Task 4 is also due on the 20th but already completed
+			expect(ids(result.current.getOverdueTasks())).toEqual([3]);
+			expect(ids(result.current.getDueTodayTasks())).toEqual([1]);
+			expect(ids(result.current.getDueThisWeekTasks())).toEqual([2]);
+		});
+
+		it("treats a due time earlier today as overdue", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.updateTask(1, { dueTime: "09:00" });
+			});
+
+			expect(result.current.getOverdueTasks().map(task => task.id)).toEqual([1]);
+			expect(result.current.getDueTodayTasks()).toEqual([]);
+		});
+
+		it("sorts by due date, then due time", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.updateTask(1, { dueTime: "10:00" });
+				result.current.updateTask(2, { dueDate: "2024-12-25", dueTime: "08:00" });
+				result.current.updateTask(3, { dueDate: "2024-12-25" });
+			});
+
+			// All-day task 3 first, then the timed ones
+			expect(result.current.getFilteredTasks().map(task => task.id)).toEqual([4, 3, 2, 1]);
+		});
+	});
+
+	describe("importing tasks", () => {
+		it("merges by id and adds new tasks with fresh ids", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.importTasks([
+					{ id: 1, title: "Renamed sample", description: "", priority: "high", status: "pending", dueDate: "" },
+					{ title: "Imported", description: "", priority: "low", status: "pending", dueDate: "" },
+				]);
+			});
+
+			const { tasks } = result.current;
+			expect(tasks).toHaveLength(5);
+			expect(tasks[0].title).toBe("Renamed sample");
+			expect(tasks[0].activity.at(-1).type).toBe("updated");
+			expect(tasks[4]).toMatchObject({ title: "Imported", activity: [expect.objectContaining({ type: "created" })] });
+			expect(new Set(tasks.map(t => t.id)).size).toBe(5);
+			expect(result.current.lastChange).toEqual({ label: "2 tasks imported", destructive: false });
+		});
+
+		it("replaces every task in one undoable step", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.importTasks([{ id: 9, title: "Only one", description: "", priority: "low", status: "pending", dueDate: "" }], "replace");
+			});
+			expect(result.current.tasks.map(t => t.title)).toEqual(["Only one"]);
+			expect(result.current.lastChange.destructive).toBe(true);
+
+			act(() => {
+				result.current.undo();
+			});
+			expect(result.current.tasks).toHaveLength(4);
+		});
+	});
+
+	describe("bulk actions", () => {
+		it("updates several tasks in one undoable step", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.updateTasks([1, 2], { status: "completed", priority: "low" });
+			});
+
+			const updated = result.current.tasks.filter(t => [1, 2].includes(t.id));
+			expect(updated.map(t => t.status)).toEqual(["completed", "completed"]);
+			expect(updated.map(t => t.priority)).toEqual(["low", "low"]);
+			expect(updated.every(t => t.completedAt)).toBe(true);
+			expect(result.current.lastChange).toEqual({ label: "2 tasks updated", destructive: false });
+
+			act(() => {
+				result.current.undo();
+			});
+			expect(result.current.tasks.find(t => t.id === 1).status).toBe("pending");
+			expect(result.current.tasks.find(t => t.id === 2).status).toBe("pending");
+			expect(result.current.canUndo).toBe(false);
+		});
+
+		it("deletes several tasks with a single save", async () => {
+			let stored = [
+				{ id: 1, title: "One", description: "", priority: "low", status: "pending" },
+				{ id: 2, title: "Two", description: "", priority: "low", status: "pending" },
+				{ id: 3, title: "Three", description: "", priority: "low", status: "pending" },
+			];
+			const storage = {
+				load: vi.fn(() => Promise.resolve(stored)),
+				save: vi.fn(tasks => {
+					stored = tasks;
+					return Promise.resolve();
+				}),
+				subscribe: () => () => {},
+			};
+			const { result } = renderHook(() => useTasks(), {
+				wrapper: ({ children }) => <TaskProvider storage={storage}>{children}</TaskProvider>,
+			});
+			await waitFor(() => expect(result.current.tasks).toHaveLength(3));
+
+			act(() => {
+				result.current.deleteTasks([1, 3]);
+			});
+
+			await waitFor(() => expect(stored.map(t => t.title)).toEqual(["Two"]));
+			expect(storage.save).toHaveBeenCalledTimes(1);
+			expect(result.current.lastChange).toEqual({ label: "2 tasks deleted", destructive: true });
+		});
+
+		it("adds tags to each task without duplicating existing ones", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.updateTask(1, { tags: ["auth"] });
+			});
+			act(() => {
+				result.current.addTagsToTasks([1, 2], ["Auth", "urgent"]);
+			});
+
+			expect(result.current.tasks.find(t => t.id === 1).tags).toEqual(["auth", "urgent"]);
+			expect(result.current.tasks.find(t => t.id === 2).tags).toEqual(["auth", "urgent"]);
+			expect(result.current.undoLabel).toBe("Tags added to 2 tasks");
+		});
+	});
+
+	describe("empty and uninitialized workspaces", () => {
+		beforeEach(() => {
+			localStorage.clear();
+		});
+
+		const storedTasks = () => JSON.parse(localStorage.getItem("taskmaster-react-tasks"))?.tasks ?? null;
+
+		it("starts empty instead of seeding sample data", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			expect(result.current.tasks).toEqual([]);
+			expect(result.current.isWorkspaceInitialized).toBe(false);
+			// Nothing is written until the user changes something
+			expect(localStorage.getItem("taskmaster-react-tasks")).toBeNull();
+		});
+
+		it("persists an empty list after the last task is deleted", () => {
+			const { result, unmount } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.addTask({ title: "Only task", description: "", priority: "low" });
+			});
+			expect(result.current.isWorkspaceInitialized).toBe(true);
+
+			act(() => {
+				result.current.deleteTask(result.current.tasks[0].id);
+			});
+			expect(storedTasks()).toEqual([]);
+
+			// A reload keeps the workspace empty
+			unmount();
+			const reloaded = renderHook(() => useTasks(), { wrapper });
+			expect(reloaded.result.current.tasks).toEqual([]);
+			expect(reloaded.result.current.isWorkspaceInitialized).toBe(true);
+		});
+
+		it("persists clearing every completed task", () => {
+			seedStoredTasks([{ id: 1, title: "Done", description: "", priority: "low", status: "completed" }]);
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.clearCompleted();
+			});
+
+			expect(storedTasks()).toEqual([]);
+		});
+
+		it("loads sample data on request, undoably", () => {
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.loadSampleData();
+			});
+			expect(result.current.tasks).toHaveLength(4);
+			expect(storedTasks()).toHaveLength(4);
+			expect(result.current.lastChange).toEqual({ label: "Sample data loaded", destructive: true });
+
+			act(() => {
+				result.current.undo();
+			});
+			expect(result.current.tasks).toEqual([]);
+			expect(storedTasks()).toEqual([]);
+		});
+
+		it("resets the workspace", () => {
+			seedStoredTasks();
+			const { result } = renderHook(() => useTasks(), { wrapper });
+
+			act(() => {
+				result.current.resetWorkspace();
+			});
+
+			expect(result.current.tasks).toEqual([]);
+			expect(storedTasks()).toEqual([]);
+			expect(result.current.undoLabel).toBe("Workspace reset");
+		});
+	});
 });
@@ -0,0 +1,38 @@
+/**
+ * COMMAND REGISTRY HOOKS (SESSION 5 - Context & Custom Hooks)
+ *
+ * The command palette lists whatever commands are registered right now.
+ * Any component can add its own while it is mounted:
+ *
+ *   const commands = useMemo(() => [
+ *     { id: 'task.complete', title: 'Complete this task', group: 'Task', run: () => toggleTask(id) },
+ *   ], [id, toggleTask]);
+ *   useRegisterCommands(commands);
+ *
+ * Command shape: { id, title, group, keywords?: string[], shortcut?: string, run }
+ *
+ * The provider lives in CommandContext.jsx; these hooks sit in a plain
+ * module so Fast Refresh can still hot-reload the provider.
+ */
+
+import { createContext, useContext, useEffect } from 'react';
+
+export const CommandContext = createContext();
+
+export function useCommands() {
+  const context = useContext(CommandContext);
+  if (!context) {
+    throw new Error('useCommands must be used within CommandProvider');
+  }
+  return context;
+}
+
+/**
+ * Register commands for as long as the calling component is mounted.
+ * Pass a memoized array - a new array re-registers every render.
+ * @param {Array} commands
+ */
+export function useRegisterCommands(commands) {
+  const { registerCommands } = useCommands();
+  useEffect(() => registerCommands(commands), [commands, registerCommands]);
+}
@@ -0,0 +1,19 @@
+/**
+ * useProjects HOOK (SESSIONS 4 & 5)
+ *
+ * Reads the projects provided by ProjectProvider (ProjectContext.jsx).
+ * The context and hook sit in this plain module so Fast Refresh can still
+ * hot-reload the provider.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const ProjectContext = createContext();
+
+export function useProjects() {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within ProjectProvider');
+  }
+  return context;
+}
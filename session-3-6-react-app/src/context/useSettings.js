@@ -0,0 +1,19 @@
+/**
+ * useSettings HOOK (SESSIONS 4 & 5)
+ *
+ * Reads the preferences provided by SettingsProvider (SettingsContext.jsx).
+ * The context and hook sit in this plain module so Fast Refresh can still
+ * hot-reload the provider.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const SettingsContext = createContext();
+
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within SettingsProvider');
+  }
+  return context;
+}
@@ -0,0 +1,46 @@
+/**
+ * SAMPLE TASKS
+ *
+ * Demo data (same as the vanilla JS version). Never seeded automatically -
+ * loaded on request from Settings ("Load sample data").
+ */
+
+export const getSampleTasks = () => [
+  {
+    id: 1,
+    title: 'Fix authentication bug in login flow',
+    description: 'Users are experiencing issues logging in with OAuth providers. Need to debug the callback handling.',
+    priority: 'high',
+    status: 'pending',
+    dueDate: '2024-12-25',
+    createdAt: new Date('2024-12-20').toISOString()
+  },
+  {
+    id: 2,
+    title: 'Update API documentation',
+    description: 'Add examples for the new endpoints and update the authentication section.',
+    priority: 'medium',
+    status: 'pending',
+    dueDate: '2024-12-28',
+    createdAt: new Date('2024-12-21').toISOString()
+  },
+  {
+    id: 3,
+    title: 'Refactor user service tests',
+    description: 'Clean up test code and add missing edge cases for better coverage.',
+    priority: 'low',
+    status: 'pending',
+    dueDate: '2025-01-05',
+    createdAt: new Date('2024-12-22').toISOString()
+  },
+  {
+    id: 4,
+    title: 'Implement user profile page',
+    description: 'Create responsive profile page with edit functionality and avatar upload.',
+    priority: 'high',
+    status: 'completed',
+    dueDate: '2024-12-20',
+    completedAt: new Date('2024-12-20').toISOString(),
+    createdAt: new Date('2024-12-15').toISOString()
+  }
+];
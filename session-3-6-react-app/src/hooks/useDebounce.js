@@ -0,0 +1,22 @@
+/**
+ * useDebounce HOOK (SESSION 5 - Custom Hooks)
+ *
+ * Returns `value` only after it has stopped changing for `delay` ms.
+ * Same idea as the search debouncing in the vanilla JS version, but
+ * packaged as a reusable hook with effect cleanup.
+ */
+
+import { useState, useEffect } from 'react';
+
+export default function useDebounce(value, delay = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedValue(value), delay);
+
+    // Cleanup: cancel the pending update if value changes again
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
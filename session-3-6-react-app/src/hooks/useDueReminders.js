@@ -0,0 +1,59 @@
+/**
+ * useDueReminders HOOK (SESSION 5 - Custom Hooks)
+ *
+ * Schedules a browser notification for every pending task, `leadMinutes`
+ * before it is due (see utils/reminders). Timers only run while the app is
+ * open and are rescheduled whenever the tasks or the settings change.
+ * A reminder whose time has passed (the app was closed, or the due time
+ * was moved closer) is shown right away, unless the task is already due.
+ * Each due time is reminded about once, however often the effect re-runs.
+ */
+
+import { useEffect, useRef } from 'react';
+import { getReminderTime, supportsNotifications } from '../utils/reminders';
+import { formatDueDate } from '../utils/dates';
+
+// setTimeout cannot wait longer than this (about 24.8 days) - later
+// reminders are picked up on a later visit
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function showReminder(task) {
+  new Notification('Task due soon', {
+    body: `${task.title} — due ${formatDueDate(task)}`,
+    tag: `task-${task.id}`,
+  });
+}
+
+/**
+ * @param {Array} tasks
+ * @param {{enabled: boolean, leadMinutes: number}} reminders - Settings section
+ */
+export function useDueReminders(tasks, { enabled, leadMinutes }) {
+  // Task id -> the due time it was last reminded about
+  const remindedRef = useRef(new Map());
+
+  useEffect(() => {
+    if (!enabled || !supportsNotifications() || Notification.permission !== 'granted') return;
+
+    const reminded = remindedRef.current;
+    const now = Date.now();
+    const timers = tasks.flatMap(task => {
+      const remindAt = getReminderTime(task, leadMinutes);
+      if (remindAt === null) return [];
+      const dueAt = remindAt + leadMinutes * 60 * 1000;
+      if (dueAt <= now || reminded.get(task.id) === dueAt || remindAt - now > MAX_TIMEOUT) return [];
+
+      const remind = () => {
+        reminded.set(task.id, dueAt);
+        showReminder(task);
+      };
+      if (remindAt <= now) {
+        remind();
+        return [];
+      }
+      return [setTimeout(remind, remindAt - now)];
+    });
+
+    return () => timers.forEach(clearTimeout);
+  }, [tasks, enabled, leadMinutes]);
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useDueReminders } from './useDueReminders';
+
+const tasks = [
+  { id: 1, title: 'Pay rent', status: 'pending', dueDate: '2025-01-10' },
+  { id: 2, title: 'Already done', status: 'completed', dueDate: '2025-01-10' },
+  { id: 3, title: 'Missed it', status: 'pending', dueDate: '2025-01-01' },
+];
+
+describe('useDueReminders', () => {
+  let NotificationMock;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2025, 0, 9, 12, 0));
+    NotificationMock = vi.fn();
+    NotificationMock.permission = 'granted';
+    vi.stubGlobal('Notification', NotificationMock);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('notifies the lead time before a pending task is due', () => {
+    renderHook(() => useDueReminders(tasks, { enabled: true, leadMinutes: 60 }));
+
+    vi.advanceTimersByTime(20 * 60 * 60 * 1000 - 1); // until 7:59:59.999 on the 10th
+    expect(NotificationMock).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+    expect(NotificationMock).toHaveBeenCalledWith('Task due soon', expect.objectContaining({ tag: 'task-1' }));
+  });
+
+  it('notifies right away when the reminder time has passed but the task is not due yet', () => {
+    const soon = { id: 4, title: 'Call back', status: 'pending', dueDate: '2025-01-09', dueTime: '12:30' };
+    const { rerender } = renderHook(
+      ({ current }) => useDueReminders(current, { enabled: true, leadMinutes: 60 }),
+      { initialProps: { current: [soon] } }
+    );
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+    expect(NotificationMock).toHaveBeenCalledWith('Task due soon', expect.objectContaining({ tag: 'task-4' }));
+
+    // Re-running the effect doesn't remind twice
+    rerender({ current: [{ ...soon }] });
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies when an edit moves the due time inside the lead time', () => {
+    const later = { id: 5, title: 'Send invoice', status: 'pending', dueDate: '2025-01-09', dueTime: '18:00' };
+    const { rerender } = renderHook(
+      ({ current }) => useDueReminders(current, { enabled: true, leadMinutes: 60 }),
+      { initialProps: { current: [later] } }
+    );
+    vi.advanceTimersByTime(10 * 60 * 1000);
+    expect(NotificationMock).not.toHaveBeenCalled();
+
+    rerender({ current: [{ ...later, dueTime: '12:40' }] });
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(8 * 60 * 60 * 1000);
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing when disabled or without permission', () => {
+    const { rerender, unmount } = renderHook(
+      ({ enabled }) => useDueReminders(tasks, { enabled, leadMinutes: 0 }),
+      { initialProps: { enabled: false } }
+    );
+    vi.advanceTimersByTime(2 * 24 * 60 * 60 * 1000);
+    expect(NotificationMock).not.toHaveBeenCalled();
+
+    NotificationMock.permission = 'denied';
+    rerender({ enabled: true });
+    vi.advanceTimersByTime(2 * 24 * 60 * 60 * 1000);
+    expect(NotificationMock).not.toHaveBeenCalled();
+    unmount();
+  });
+
+  it('cancels pending reminders on unmount', () => {
+    const { unmount } = renderHook(() => useDueReminders(tasks, { enabled: true, leadMinutes: 0 }));
+
+    unmount();
+    vi.advanceTimersByTime(2 * 24 * 60 * 60 * 1000);
+    expect(NotificationMock).not.toHaveBeenCalled();
+  });
+});
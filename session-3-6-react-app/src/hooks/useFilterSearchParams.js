@@ -0,0 +1,54 @@
+/**
+ * useFilterSearchParams HOOK (SESSION 5 - Custom Hooks & Routing)
+ *
+ * Makes the URL query string the source of truth for the task list's
+ * filters and sort order:
+ * - URL -> context: whenever the query string changes (links, reloads,
+ *   back/forward), the values are dispatched through SET_FILTER/SET_SORT
+ * - The project comes from the path (/projects/:projectId/tasks) and is
+ *   'all' on /tasks
+ * - UI -> URL: `updateFilters` writes a new history entry (or replaces
+ *   the current one) instead of touching the reducer directly
+ * - Leaving the page resets them, so the URL's filters don't keep
+ *   filtering other pages (the Dashboard's recent tasks)
+ */
+
+import { useEffect, useMemo } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { useTasks } from '../context/TaskContext';
+import { parseFilterParams, buildFilterParams } from '../utils/filterParams';
+
+export default function useFilterSearchParams() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { projectId = 'all' } = useParams();
+  const { setFilter, setSort, resetFilters } = useTasks();
+
+  const urlFilters = useMemo(() => parseFilterParams(searchParams), [searchParams]);
+
+  // Keep the reducer in step with the URL
+  useEffect(() => {
+    setFilter('status', urlFilters.status);
+    setFilter('priority', urlFilters.priority);
+    setFilter('searchTerm', urlFilters.searchTerm);
+    setFilter('tags', urlFilters.tags);
+    setFilter('tagMatch', urlFilters.tagMatch);
+    setSort(urlFilters.sortBy);
+  }, [urlFilters, setFilter, setSort]);
+
+  useEffect(() => {
+    setFilter('projectId', projectId);
+  }, [projectId, setFilter]);
+
+  useEffect(() => resetFilters, [resetFilters]);
+
+  /**
+   * Merge `changes` into the current filters and navigate to the result
+   * @param {Object} changes - e.g. { status: 'pending' }
+   * @param {{replace?: boolean}} options - replace instead of push
+   */
+  const updateFilters = (changes, { replace = false } = {}) => {
+    setSearchParams(buildFilterParams({ ...urlFilters, ...changes }), { replace });
+  };
+
+  return [urlFilters, updateFilters];
+}
@@ -0,0 +1,56 @@
+/**
+ * useKeyboardShortcut HOOK (SESSION 5 - Custom Hooks)
+ *
+ * Registers a global keydown listener for a shortcut such as 'mod+z' or
+ * 'mod+shift+z'. `mod` means Ctrl on Windows/Linux and Cmd on macOS,
+ * the same convention as the vanilla JS version's Ctrl/Cmd + K.
+ *
+ * Shortcuts are ignored while typing in inputs unless `allowInInputs`
+ * is set, so the browser's own text undo keeps working in form fields.
+ */
+
+import { useEffect, useEffectEvent } from 'react';
+
+/**
+ * Does the keyboard event match a shortcut string?
+ * @param {KeyboardEvent} event
+ * @param {string} shortcut - e.g. 'mod+shift+z', 'escape'
+ * @returns {boolean}
+ */
+export function matchesShortcut(event, shortcut) {
+  const parts = shortcut.toLowerCase().split('+');
+  const key = parts[parts.length - 1];
+  const modifiers = new Set(parts.slice(0, -1));
+
+  const wantsMod = modifiers.has('mod');
+  const hasMod = event.ctrlKey || event.metaKey;
+
+  return (
+    event.key.toLowerCase() === key &&
+    wantsMod === hasMod &&
+    modifiers.has('shift') === event.shiftKey &&
+    modifiers.has('alt') === event.altKey
+  );
+}
+
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+export default function useKeyboardShortcut(shortcut, callback, { enabled = true, allowInInputs = false } = {}) {
+  // Effect event: always calls the latest callback without re-subscribing
+  const onShortcut = useEffectEvent((event) => {
+    if (!allowInInputs && isEditableTarget(event.target)) return;
+    if (!matchesShortcut(event, shortcut)) return;
+
+    event.preventDefault();
+    callback(event);
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    document.addEventListener('keydown', onShortcut);
+    return () => document.removeEventListener('keydown', onShortcut);
+  }, [enabled]);
+}
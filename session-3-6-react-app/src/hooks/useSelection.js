@@ -0,0 +1,53 @@
+/**
+ * useSelection HOOK (SESSION 5 - Custom Hooks)
+ *
+ * Multi-select state for a list of task ids, in display order. A plain
+ * toggle adds or removes one id; a range toggle (shift-click) applies the
+ * same change to everything between the last toggled id and this one,
+ * like selecting rows in a mail client.
+ *
+ * Ids that are no longer visible (filtered out, deleted) drop out of the
+ * selection, so bulk actions only ever touch what is on screen and a
+ * cleared filter doesn't bring back rows that were selected before it.
+ */
+
+import { useState } from 'react';
+
+export default function useSelection(visibleIds) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+
+  const selectedIds = visibleIds.filter(id => selected.has(id));
+
+  // Adjusting state while rendering (not in an effect) so the pruned
+  // selection is what gets painted
+  if (selectedIds.length !== selected.size) {
+    setSelected(new Set(selectedIds));
+  }
+
+  const toggle = (id, { range = false } = {}) => {
+    const next = new Set(selectedIds);
+    const shouldSelect = !next.has(id);
+    const anchorIndex = visibleIds.indexOf(anchorId);
+    const index = visibleIds.indexOf(id);
+
+    const ids = range && anchorIndex !== -1
+      ? visibleIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+      : [id];
+    ids.forEach(item => (shouldSelect ? next.add(item) : next.delete(item)));
+
+    setSelected(next);
+    setAnchorId(id);
+  };
+
+  return {
+    selectedIds,
+    isSelected: (id) => selected.has(id),
+    toggle,
+    selectAll: () => setSelected(new Set(visibleIds)),
+    clear: () => {
+      setSelected(new Set());
+      setAnchorId(null);
+    }
+  };
+}
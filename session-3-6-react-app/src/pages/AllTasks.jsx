@@ -1,16 +1,398 @@
+/**
+ * ALL TASKS PAGE (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Composition of reusable cards, list rendering
+ * - SESSION 4: Filter/sort state living in global context (useReducer)
+ * - SESSION 4: Multi-select with a bulk action bar, drag and drop "Manual" sort
+ * - SESSION 5: Custom hooks (useTasks, useDebounce, useSelection), URL query parameters,
+ *   route parameters (/projects/:projectId/tasks shows one project)
+ * - SESSION 6: Tailwind CSS sidebar layout, empty states
+ */
+
+import { useState, useEffect, useEffectEvent } from 'react';
+import { Link, useParams } from 'react-router-dom';
 import { useTasks } from '../context/TaskContext';
+import { useProjects } from '../context/useProjects';
+import useDebounce from '../hooks/useDebounce';
+import useFilterSearchParams from '../hooks/useFilterSearchParams';
+import useSelection from '../hooks/useSelection';
+import { DEFAULT_FILTER_PARAMS } from '../utils/filterParams';
+import Button from '../components/ui/Button';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import TaskCard from '../components/features/TaskCard';
+import TaskModal from '../components/features/TaskModal';
+import BulkActionBar from '../components/features/BulkActionBar';
+import ReorderableTaskList from '../components/features/ReorderableTaskList';
+import SortControls from '../components/features/SortControls';
+import QuerySearchInput from '../components/features/QuerySearchInput';
+import ExportMenu from '../components/features/ExportMenu';
+import ImportTasksModal from '../components/features/ImportTasksModal';
+import TagChip from '../components/ui/TagChip';
+import { getAllTags } from '../utils/tags';
+import { getProjectTasks } from '../utils/projects';
+import { getReorderUpdates } from '../utils/board';
+
+// Same filter definitions as the vanilla JS sidebar
+const STATUS_FILTERS = [
+  { value: 'all', icon: '📋', label: 'All Tasks' },
+  { value: 'pending', icon: '⏰', label: 'Pending' },
+  { value: 'completed', icon: '✅', label: 'Completed' },
+];
+
+const PRIORITY_FILTERS = [
+  { value: 'all', dot: 'bg-gray-400', label: 'All Priorities' },
+  { value: 'high', dot: 'bg-red-500', label: 'High Priority' },
+  { value: 'medium', dot: 'bg-yellow-500', label: 'Medium Priority' },
+  { value: 'low', dot: 'bg-green-500', label: 'Low Priority' },
+];
+
+const TAG_MATCH_OPTIONS = [
+  { value: 'any', label: 'Any', description: 'Tasks with at least one selected tag' },
+  { value: 'all', label: 'All', description: 'Tasks with every selected tag' },
+];
+
+export default function AllTasks() {
+  const { tasks: allTasks, getFilteredTasks, getSearchMatches, getStats, toggleTask, deleteTask, clearCompleted, reorderTask } = useTasks();
+  const { getProject, setProjectArchived } = useProjects();
+
+  // SESSION 5: On /projects/:projectId/tasks everything is scoped to one project
+  const { projectId } = useParams();
+  const project = projectId ? getProject(projectId) : null;
+  const tasks = projectId ? getProjectTasks(allTasks, projectId) : allTasks;
+
+  // SESSION 5: Filters and sort live in the query string (?status=pending&q=auth)
+  const [filters, updateFilters] = useFilterSearchParams();
+
+  // SESSION 4: Local UI state
+  const [searchInput, setSearchInput] = useState(filters.searchTerm);
+  const [syncedSearchTerm, setSyncedSearchTerm] = useState(filters.searchTerm);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [taskToEdit, setTaskToEdit] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [isClearConfirmOpen, setIsClearConfirmOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
+  // Back/forward navigation can change the search term under us - mirror
+  // it into the input (adjusting state during render, no extra effect)
+  if (filters.searchTerm !== syncedSearchTerm) {
+    setSyncedSearchTerm(filters.searchTerm);
+    if (searchInput.trim() !== filters.searchTerm) {
+      setSearchInput(filters.searchTerm);
+    }
+  }
+
+  // SESSION 5: Only write the search term to the URL once typing pauses.
+  // Replacing (not pushing) keeps every pause out of the history stack.
+  const debouncedSearch = useDebounce(searchInput, 300);
+  const commitSearch = useEffectEvent((term) => {
+    if (term !== filters.searchTerm) {
+      updateFilters({ searchTerm: term }, { replace: true });
+    }
+  });
+  useEffect(() => {
+    commitSearch(debouncedSearch.trim());
+  }, [debouncedSearch]);
+
+  const filteredTasks = getFilteredTasks();
+  const searchMatches = getSearchMatches();
+  const selection = useSelection(filteredTasks.map(task => task.id));
+  const completedCount = tasks.filter(t => t.status === 'completed').length;
+  const hasActiveFilters = filters.status !== 'all' || filters.priority !== 'all' ||
+    filters.searchTerm !== '' || filters.tags.length > 0;
+  const allTags = getAllTags(tasks);
+
+  const countFor = (filterType, value) => value === 'all'
+    ? tasks.length
+    : tasks.filter(t => t[filterType] === value).length;
+
+  // SESSION 4: Event handlers
+  const handleNewTask = () => {
+    setTaskToEdit(null);
+    setIsModalOpen(true);
+  };
+
+  const handleEditTask = (task) => {
+    setTaskToEdit(task);
+    setIsModalOpen(true);
+  };
+
+  const handleDeleteTask = (taskId) => {
+    deleteTask(taskId);
+    setDeleteConfirm(null);
+  };
+
+  const handleClearCompleted = () => {
+    clearCompleted(projectId);
+    setIsClearConfirmOpen(false);
+  };
+
+  // Positions are among the visible tasks, so hidden ones keep their order
+  const handleReorder = (taskId, index) => {
+    reorderTask(taskId, getReorderUpdates(filteredTasks, taskId, index));
+  };
+
+  const handleToggleTag = (tag) => {
+    updateFilters({
+      tags: filters.tags.includes(tag)
+        ? filters.tags.filter(item => item !== tag)
+        : [...filters.tags, tag]
+    });
+  };
+
+  const handleResetFilters = () => {
+    setSearchInput('');
+    updateFilters({ ...DEFAULT_FILTER_PARAMS, sortBy: filters.sortBy });
+  };
+
+  if (projectId && !project) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="text-center">
+          <div className="text-6xl mb-4">🗂️</div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Project not found</h1>
+          <p className="text-gray-600 mb-6">It may have been deleted.</p>
+          <Link to="/projects" className="text-blue-600 hover:text-blue-700 font-medium">
+            ← Back to projects
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const projectStats = project ? getStats(project.id) : null;
 
-function AllTasks() {
-  const { getFilteredTasks } = useTasks();
-  const tasks = getFilteredTasks();
+  // SESSION 3: The same card in the plain grid and the manual order list
+  const renderCard = (task, dragHandle = null) => (
+    <TaskCard
+      key={task.id}
+      task={task}
+      onEdit={() => handleEditTask(task)}
+      onDelete={() => setDeleteConfirm(task.id)}
+      onToggle={() => toggleTask(task.id)}
+      isSelected={selection.isSelected(task.id)}
+      onSelect={(options) => selection.toggle(task.id, options)}
+      dragHandle={dragHandle}
+      highlightWords={searchMatches?.words}
+    />
+  );
 
   return (
-    <div className="page">
-      <h1>All Tasks</h1>
-      <p>This page will show all tasks with filters (SESSION 4 demo)</p>
-      <p>Total tasks: {tasks.length}</p>
+    <div className="min-h-screen bg-gray-50">
+      {/* Header Section */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">{project ? project.name : 'All Tasks'}</h1>
+              <p className="mt-1 text-gray-600">
+                Showing {filteredTasks.length} of {tasks.length} tasks
+                {projectStats && ` · ${projectStats.completed} completed · ${projectStats.completionRate}% done`}
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              <Button variant="secondary" size="lg" onClick={() => setIsImportOpen(true)}>
+                Import
+              </Button>
+              <ExportMenu allTasks={tasks} filteredTasks={filteredTasks} />
+              <Button onClick={handleNewTask} size="lg">
+                <span className="flex items-center gap-2">
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                  New Task
+                </span>
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {project?.archived && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-6">
+          <div className="flex items-center justify-between gap-4 bg-yellow-50 border border-yellow-200 rounded-xl px-4 py-3 text-sm text-yellow-800" role="status">
+            This project is archived. It is hidden from the project switcher.
+            <Button size="sm" variant="secondary" onClick={() => setProjectArchived(project.id, false)}>
+              Unarchive
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* SESSION 6: Filter Sidebar */}
+        <aside className="bg-white rounded-xl shadow-sm p-6 space-y-6 h-fit" aria-label="Task filters">
+          <FilterGroup title="Status">
+            {STATUS_FILTERS.map(filter => (
+              <FilterChip
+                key={filter.value}
+                isActive={filters.status === filter.value}
+                count={countFor('status', filter.value)}
+                onClick={() => updateFilters({ status: filter.value })}
+              >
+                <span>{filter.icon}</span>
+                {filter.label}
+              </FilterChip>
+            ))}
+          </FilterGroup>
+
+          <FilterGroup title="Priority">
+            {PRIORITY_FILTERS.map(filter => (
+              <FilterChip
+                key={filter.value}
+                isActive={filters.priority === filter.value}
+                count={countFor('priority', filter.value)}
+                onClick={() => updateFilters({ priority: filter.value })}
+              >
+                <span className={`w-2.5 h-2.5 rounded-full ${filter.dot}`} />
+                {filter.label}
+              </FilterChip>
+            ))}
+          </FilterGroup>
+
+          {allTags.length > 0 && (
+            <FilterGroup title="Tags">
+              {allTags.map(tag => (
+                <FilterChip
+                  key={tag.name}
+                  isActive={filters.tags.includes(tag.name)}
+                  count={tag.count}
+                  onClick={() => handleToggleTag(tag.name)}
+                >
+                  <TagChip name={tag.name} />
+                </FilterChip>
+              ))}
+              {filters.tags.length > 1 && (
+                <li className="flex items-center gap-2 pt-2 text-sm text-gray-600" role="group" aria-label="Tag matching">
+                  Match
+                  {TAG_MATCH_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      title={option.description}
+                      aria-pressed={filters.tagMatch === option.value}
+                      onClick={() => updateFilters({ tagMatch: option.value })}
+                      className={`px-2 py-0.5 rounded-md text-xs font-medium ${
+                        filters.tagMatch === option.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </li>
+              )}
+            </FilterGroup>
+          )}
+
+          <Button
+            variant="secondary"
+            size="sm"
+            className="w-full"
+            onClick={() => setIsClearConfirmOpen(true)}
+            disabled={completedCount === 0}
+          >
+            Clear Completed ({completedCount})
+          </Button>
+        </aside>
+
+        <section className="lg:col-span-3 space-y-6">
+          {/* Search & Sort Toolbar */}
+          <div className="bg-white rounded-xl shadow-sm p-4 flex flex-col gap-4">
+            <QuerySearchInput id="task-search" value={searchInput} onChange={setSearchInput} />
+            <SortControls value={filters.sortBy} onChange={(sortBy) => updateFilters({ sortBy })} />
+          </div>
+
+          <BulkActionBar
+            selectedIds={selection.selectedIds}
+            totalCount={filteredTasks.length}
+            onSelectAll={selection.selectAll}
+            onClear={selection.clear}
+          />
+
+          {/* SESSION 3: Conditional rendering */}
+          {filteredTasks.length === 0 ? (
+            <div className="bg-white rounded-xl shadow-sm text-center py-12">
+              <div className="text-6xl mb-4">{tasks.length === 0 ? '📝' : '🔍'}</div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                {tasks.length === 0 ? 'No tasks yet' : 'No tasks match your filters'}
+              </h3>
+              {tasks.length === 0 ? (
+                <Button onClick={handleNewTask}>Create Task</Button>
+              ) : (
+                hasActiveFilters && (
+                  <Button variant="outline" onClick={handleResetFilters}>Clear Filters</Button>
+                )
+              )}
+            </div>
+          ) : filters.sortBy === 'manual' ? (
+            <ReorderableTaskList tasks={filteredTasks} onMove={handleReorder} renderTask={renderCard} />
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {filteredTasks.map(task => renderCard(task))}
+            </div>
+          )}
+        </section>
+      </div>
+
+      {/* SESSION 4: Modal Component */}
+      <TaskModal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        taskToEdit={taskToEdit}
+        defaultProjectId={projectId}
+      />
+
+      {isImportOpen && <ImportTasksModal onClose={() => setIsImportOpen(false)} />}
+
+      <ConfirmDialog
+        isOpen={deleteConfirm !== null}
+        title="Delete Task?"
+        message="Are you sure you want to delete this task? You can undo this right after."
+        confirmLabel="Delete"
+        onConfirm={() => handleDeleteTask(deleteConfirm)}
+        onCancel={() => setDeleteConfirm(null)}
+      />
+
+      <ConfirmDialog
+        isOpen={isClearConfirmOpen}
+        title="Clear Completed Tasks?"
+        message={`This will remove ${completedCount} completed task${completedCount === 1 ? '' : 's'}.`}
+        confirmLabel="Clear"
+        onConfirm={handleClearCompleted}
+        onCancel={() => setIsClearConfirmOpen(false)}
+      />
+    </div>
+  );
+}
+
+// SESSION 3: Small presentational helpers for the sidebar
+function FilterGroup({ title, children }) {
+  return (
+    <div>
+      <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-3">{title}</h2>
+      <ul className="space-y-1">{children}</ul>
     </div>
   );
 }
 
-export default AllTasks;
+function FilterChip({ isActive, count, onClick, children }) {
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={onClick}
+        aria-pressed={isActive}
+        className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+          isActive ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+        }`}
+      >
+        {children}
+        <span className={`ml-auto px-2 py-0.5 rounded-full text-xs ${
+          isActive ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600'
+        }`}>
+          {count}
+        </span>
+      </button>
+    </li>
+  );
+}
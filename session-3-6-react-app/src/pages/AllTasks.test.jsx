@@ -0,0 +1,562 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, within, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route, useLocation, useNavigate } from 'react-router-dom';
+import { SettingsProvider } from '../context/SettingsContext';
+import { ProjectProvider } from '../context/ProjectContext';
+import { TaskProvider, useTasks } from '../context/TaskContext';
+import AllTasks from './AllTasks';
+import { seedStoredTasks } from '../test/seedTasks';
+import { getSampleTasks } from '../data/sampleTasks';
+import { downloadFile } from '../utils/download';
+
+vi.mock('../utils/download', () => ({ downloadFile: vi.fn() }));
+
+// Exposes the current query string and a Back button to the tests
+function LocationProbe() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  return (
+    <>
+      <output data-testid="location-search">{location.search}</output>
+      <button onClick={() => navigate(-1)}>History back</button>
+    </>
+  );
+}
+
+const renderWithProviders = (initialEntry = '/tasks') => {
+  return render(
+    <MemoryRouter initialEntries={[initialEntry]}>
+      <SettingsProvider>
+        <ProjectProvider>
+          <TaskProvider>
+            <Routes>
+              <Route path="/tasks" element={<AllTasks />} />
+              <Route path="/projects/:projectId/tasks" element={<AllTasks />} />
+            </Routes>
+            <LocationProbe />
+          </TaskProvider>
+        </ProjectProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+const getTaskTitles = () =>
+  screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent);
+
+describe('AllTasks Page (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+  });
+
+  it('lists every task by default', () => {
+    renderWithProviders();
+
+    expect(screen.getByRole('heading', { name: /all tasks/i, level: 1 })).toBeInTheDocument();
+    expect(screen.getByText(/showing 4 of 4 tasks/i)).toBeInTheDocument();
+    expect(getTaskTitles()).toHaveLength(4);
+  });
+
+  it('shows counts on the filter chips', () => {
+    renderWithProviders();
+    const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+    expect(within(sidebar).getByRole('button', { name: /pending/i })).toHaveTextContent('3');
+    expect(within(sidebar).getByRole('button', { name: /^✅ completed/i })).toHaveTextContent('1');
+    expect(within(sidebar).getByRole('button', { name: /high priority/i })).toHaveTextContent('2');
+  });
+
+  it('filters by status and priority', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+    const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+    await user.click(within(sidebar).getByRole('button', { name: /pending/i }));
+    expect(getTaskTitles()).toHaveLength(3);
+
+    await user.click(within(sidebar).getByRole('button', { name: /high priority/i }));
+    expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow']);
+    expect(within(sidebar).getByRole('button', { name: /high priority/i })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('debounces the search box', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.type(screen.getByLabelText(/search tasks/i), 'documentation');
+
+    // Still unfiltered straight after typing
+    expect(getTaskTitles()).toHaveLength(4);
+
+    await waitFor(() => {
+      expect(getTaskTitles()).toEqual(['Update API documentation']);
+    });
+  });
+
+  it('understands filter terms in the search box and hints at mistakes', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+    const search = screen.getByLabelText(/search tasks/i);
+
+    await user.type(search, 'priority:high -status:completed priority:urgent');
+
+    expect(search).toHaveAttribute('aria-invalid', 'true');
+    expect(search).toHaveAccessibleDescription(/priority: must be high, medium or low/i);
+    // The invalid term is skipped, the others still filter
+    await waitFor(() => {
+      expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow']);
+    });
+  });
+
+  it('finds misspelled words and highlights them', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.type(screen.getByLabelText(/search tasks/i), 'authentcation');
+
+    await waitFor(() => {
+      expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow', 'Update API documentation']);
+    });
+    // In the first title and the second description
+    const marks = screen.getAllByText(/^authentication$/i, { selector: 'mark' });
+    expect(marks).toHaveLength(2);
+  });
+
+  it('ranks search results with the best match sort', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.selectOptions(screen.getByLabelText(/sort by/i), 'relevance');
+    await user.type(screen.getByLabelText(/search tasks/i), 'user');
+
+    // Titles with "user" first (earlier due date breaks the tie), then "Users" in a description
+    await waitFor(() => {
+      expect(getTaskTitles()).toEqual([
+        'Implement user profile page',
+        'Refactor user service tests',
+        'Fix authentication bug in login flow',
+      ]);
+    });
+  });
+
+  it('sorts tasks with the sort selector', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.selectOptions(screen.getByLabelText(/sort by/i), 'title');
+
+    expect(getTaskTitles()).toEqual([
+      'Fix authentication bug in login flow',
+      'Implement user profile page',
+      'Refactor user service tests',
+      'Update API documentation',
+    ]);
+  });
+
+  it('builds a multi-key sort with direction toggles', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.selectOptions(screen.getByLabelText(/sort by/i), 'priority');
+    // Same priority: the earlier due date first
+    expect(getTaskTitles()).toEqual([
+      'Implement user profile page',
+      'Fix authentication bug in login flow',
+      'Update API documentation',
+      'Refactor user service tests',
+    ]);
+
+    const sortKeys = screen.getByRole('list', { name: 'Sort keys' });
+    await user.click(within(sortKeys).getByRole('button', { name: 'Priority descending' }));
+    await user.click(within(sortKeys).getByRole('button', { name: 'Remove Due date from the sort' }));
+    await user.selectOptions(screen.getByLabelText('Add a sort key'), 'createdAt');
+
+    expect(screen.getByTestId('location-search')).toHaveTextContent('?sort=priority%3Aasc%2Ctitle%3Aasc%2CcreatedAt%3Adesc');
+    expect(screen.getByLabelText(/sort by/i)).toHaveDisplayValue('Custom');
+    expect(getTaskTitles()).toEqual([
+      'Refactor user service tests',
+      'Update API documentation',
+      'Fix authentication bug in login flow',
+      'Implement user profile page',
+    ]);
+  });
+
+  it('can put tasks without a due date first', async () => {
+    seedStoredTasks(getSampleTasks().map(task => (task.id === 3 ? { ...task, dueDate: '' } : task)));
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    expect(getTaskTitles().at(-1)).toBe('Refactor user service tests');
+    await user.click(screen.getByRole('button', { name: 'Tasks without due date last' }));
+
+    expect(getTaskTitles()[0]).toBe('Refactor user service tests');
+  });
+
+  it('offers to clear filters when nothing matches', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+    const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+    await user.click(within(sidebar).getByRole('button', { name: /^✅ completed/i }));
+    await user.click(within(sidebar).getByRole('button', { name: /low priority/i }));
+
+    expect(screen.getByText(/no tasks match your filters/i)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /clear filters/i }));
+    expect(getTaskTitles()).toHaveLength(4);
+  });
+
+  it('completes and deletes tasks from the card actions', async () => {
+    const user = userEvent.setup();
+    renderWithProviders();
+
+    await user.click(screen.getAllByRole('button', { name: /^complete$/i })[0]);
+    expect(screen.getAllByRole('button', { name: /^reopen$/i })).toHaveLength(2);
+
+    const deleteButton = screen.getAllByRole('button').find(btn => btn.innerHTML.includes('M19 7l'));
+    await user.click(deleteButton);
+    await user.click(screen.getByRole('button', { name: /^delete$/i }));
+
+    expect(getTaskTitles()).toHaveLength(3);
+  });
+
+  describe('bulk actions', () => {
+    const storedTasks = () => JSON.parse(localStorage.getItem('taskmaster-react-tasks')).tasks;
+    const checkbox = (title) => screen.getByRole('checkbox', { name: `Select "${title}"` });
+
+    it('shift-click selects a range and completes it in one step', async () => {
+      const user = userEvent.setup();
+      renderWithProviders();
+
+      await user.click(checkbox('Fix authentication bug in login flow'));
+      await user.keyboard('{Shift>}');
+      await user.click(checkbox('Refactor user service tests'));
+      await user.keyboard('{/Shift}');
+
+      const toolbar = screen.getByRole('toolbar', { name: 'Bulk actions' });
+      expect(toolbar).toHaveTextContent('3 selected');
+      expect(checkbox('Update API documentation')).toBeChecked();
+
+      await user.click(within(toolbar).getByRole('button', { name: 'Complete' }));
+      expect(storedTasks().every(task => task.status === 'completed')).toBe(true);
+    });
+
+    it('sets priority, due date, tags and project on every selected task', async () => {
+      localStorage.setItem('taskmaster-react-projects', JSON.stringify([{ id: 'web', name: 'Website', archived: false }]));
+      const user = userEvent.setup();
+      renderWithProviders();
+
+      await user.click(checkbox('Update API documentation'));
+      await user.click(screen.getByRole('button', { name: 'Select all (4)' }));
+      const toolbar = screen.getByRole('toolbar', { name: 'Bulk actions' });
+      expect(toolbar).toHaveTextContent('4 selected');
+
+      await user.selectOptions(within(toolbar).getByLabelText('Set priority'), 'low');
+      await user.type(within(toolbar).getByLabelText('Due date for selected tasks'), '2025-02-01');
+      await user.click(within(toolbar).getByRole('button', { name: 'Set date' }));
+      await user.type(within(toolbar).getByLabelText('Tag for selected tasks'), 'Docs{Enter}');
+      await user.selectOptions(within(toolbar).getByLabelText('Move to project'), 'Website');
+
+      expect(storedTasks()).toEqual(getSampleTasks().map(() => expect.objectContaining({
+        priority: 'low',
+        dueDate: '2025-02-01',
+        tags: expect.arrayContaining(['docs']),
+        projectId: 'web',
+      })));
+    });
+
+    it('deletes the selection after confirming', async () => {
+      const user = userEvent.setup();
+      renderWithProviders();
+
+      await user.click(checkbox('Fix authentication bug in login flow'));
+      await user.click(checkbox('Update API documentation'));
+      const toolbar = screen.getByRole('toolbar', { name: 'Bulk actions' });
+      await user.click(within(toolbar).getByRole('button', { name: 'Delete' }));
+      const dialog = screen.getByRole('heading', { name: 'Delete 2 tasks?' }).parentElement;
+      await user.click(within(dialog).getByRole('button', { name: 'Delete' }));
+
+      expect(getTaskTitles()).toEqual(['Implement user profile page', 'Refactor user service tests']);
+      expect(screen.queryByRole('toolbar', { name: 'Bulk actions' })).not.toBeInTheDocument();
+    });
+
+    it('drops tasks hidden by a filter from the selection', async () => {
+      const user = userEvent.setup();
+      renderWithProviders();
+      const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+      await user.click(checkbox('Fix authentication bug in login flow'));
+      await user.click(checkbox('Implement user profile page'));
+      await user.click(within(sidebar).getByRole('button', { name: /^⏰ pending/i }));
+
+      expect(screen.getByRole('toolbar', { name: 'Bulk actions' })).toHaveTextContent('1 selected');
+
+      // Showing it again doesn't bring the old selection back
+      await user.click(within(sidebar).getByRole('button', { name: /^📋 all tasks/i }));
+      expect(checkbox('Implement user profile page')).not.toBeChecked();
+      expect(screen.getByRole('toolbar', { name: 'Bulk actions' })).toHaveTextContent('1 selected');
+    });
+  });
+
+  describe('manual order', () => {
+    const manualTitles = () => within(screen.getByRole('list', { name: 'Tasks in manual order' }))
+      .getAllByRole('heading', { level: 3 })
+      .map(heading => heading.textContent);
+    const handle = (title) => screen.getByRole('button', { name: `Move "${title}"` });
+    const card = (title) => handle(title).closest('li');
+    const dataTransfer = () => ({ setData: () => {}, effectAllowed: '', dropEffect: '' });
+
+    it('starts in creation order and reorders by dragging', () => {
+      renderWithProviders('/tasks?sort=manual');
+      expect(manualTitles()).toEqual([
+        'Implement user profile page',
+        'Fix authentication bug in login flow',
+        'Update API documentation',
+        'Refactor user service tests',
+      ]);
+
+      fireEvent.dragStart(card('Implement user profile page'), { dataTransfer: dataTransfer() });
+      fireEvent.dragOver(card('Update API documentation'), { dataTransfer: dataTransfer() });
+      fireEvent.drop(card('Update API documentation'), { dataTransfer: dataTransfer() });
+
+      expect(manualTitles()).toEqual([
+        'Fix authentication bug in login flow',
+        'Update API documentation',
+        'Implement user profile page',
+        'Refactor user service tests',
+      ]);
+      expect(screen.getByText('Moved "Implement user profile page" to position 3 of 4.')).toBeInTheDocument();
+    });
+
+    it('moves a card with the keyboard and persists the order', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/tasks?sort=manual');
+
+      handle('Refactor user service tests').focus();
+      await user.keyboard(' {ArrowUp}{ArrowUp}');
+      expect(screen.getByText('"Refactor user service tests": position 2 of 4.')).toBeInTheDocument();
+      await user.keyboard(' ');
+
+      expect(manualTitles()[1]).toBe('Refactor user service tests');
+      expect(handle('Refactor user service tests')).toHaveFocus();
+      const stored = JSON.parse(localStorage.getItem('taskmaster-react-tasks')).tasks;
+      expect(stored.find(task => task.id === 3).order).toEqual(expect.any(Number));
+    });
+
+    it('moves a card by touch with its handle', () => {
+      renderWithProviders('/tasks?sort=manual');
+      const target = card('Implement user profile page');
+      const elementFromPoint = vi.spyOn(document, 'elementFromPoint').mockReturnValue(target);
+
+      fireEvent.pointerDown(handle('Update API documentation'), { pointerType: 'touch', pointerId: 1 });
+      fireEvent.pointerMove(handle('Update API documentation'), { pointerType: 'touch', pointerId: 1 });
+      fireEvent.pointerUp(handle('Update API documentation'), { pointerType: 'touch', pointerId: 1 });
+      elementFromPoint.mockRestore();
+
+      expect(manualTitles()[0]).toBe('Update API documentation');
+    });
+
+    it('keeps hidden tasks in place when reordering a filtered list', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/tasks?sort=manual&status=pending');
+
+      handle('Refactor user service tests').focus();
+      await user.keyboard(' {ArrowUp}{ArrowUp} ');
+      await user.click(within(screen.getByRole('complementary', { name: /task filters/i }))
+        .getByRole('button', { name: /all tasks/i }));
+
+      expect(manualTitles()).toEqual([
+        'Implement user profile page',
+        'Refactor user service tests',
+        'Fix authentication bug in login flow',
+        'Update API documentation',
+      ]);
+    });
+  });
+
+  describe('export', () => {
+    beforeEach(() => {
+      downloadFile.mockClear();
+    });
+
+    it('exports the filtered view as CSV', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/tasks?priority=high');
+
+      await user.click(screen.getByRole('button', { name: /^export$/i }));
+      expect(screen.getByLabelText(/current view \(2\)/i)).toBeChecked();
+      await user.click(screen.getByRole('button', { name: /download csv/i }));
+
+      const [filename, content, type] = downloadFile.mock.calls[0];
+      expect(filename).toMatch(/^taskmaster-tasks-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(type).toBe('text/csv');
+      expect(content.split('\r\n')).toHaveLength(3); // header + 2 high priority tasks
+    });
+
+    it('exports every task as JSON', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/tasks?status=completed');
+
+      await user.click(screen.getByRole('button', { name: /^export$/i }));
+      await user.click(screen.getByLabelText(/all tasks \(4\)/i));
+      await user.click(screen.getByRole('button', { name: /download json/i }));
+
+      const [, content] = downloadFile.mock.calls[0];
+      expect(JSON.parse(content).tasks).toHaveLength(4);
+    });
+  });
+
+  describe('tag filter', () => {
+    beforeEach(() => {
+      seedStoredTasks(getSampleTasks().map((task, index) => ({
+        ...task,
+        tags: [['auth', 'bug'], ['docs'], ['bug'], []][index],
+      })));
+    });
+
+    it('shows tags on cards and filters by any or all selected tags', async () => {
+      const user = userEvent.setup();
+      renderWithProviders();
+      const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+      expect(screen.getAllByText('#bug').length).toBeGreaterThan(1);
+
+      await user.click(within(sidebar).getByRole('button', { name: /#auth/ }));
+      await user.click(within(sidebar).getByRole('button', { name: /#bug/ }));
+      expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow', 'Refactor user service tests']);
+
+      await user.click(within(sidebar).getByRole('button', { name: 'All' }));
+      expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow']);
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?tags=auth%2Cbug&tagMatch=all');
+    });
+
+    it('reads the tag filter from the query string', () => {
+      renderWithProviders('/tasks?tags=docs');
+
+      expect(getTaskTitles()).toEqual(['Update API documentation']);
+    });
+  });
+
+  describe('project view', () => {
+    beforeEach(() => {
+      localStorage.setItem('taskmaster-react-projects', JSON.stringify([
+        { id: 'web', name: 'Website', archived: false },
+        { id: 'old', name: 'Old stuff', archived: true },
+      ]));
+      seedStoredTasks(getSampleTasks().map(task => ({ ...task, projectId: task.id % 2 ? 'web' : null })));
+    });
+
+    it('shows only the project\'s tasks with its stats', async () => {
+      renderWithProviders('/projects/web/tasks');
+
+      expect(screen.getByRole('heading', { name: 'Website', level: 1 })).toBeInTheDocument();
+      await waitFor(() => {
+        expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow', 'Refactor user service tests']);
+      });
+      expect(screen.getByText(/showing 2 of 2 tasks · 0 completed · 0% done/i)).toBeInTheDocument();
+    });
+
+    it('creates new tasks in the current project', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/projects/web/tasks');
+
+      await user.click(screen.getByRole('button', { name: /new task/i }));
+      expect(screen.getByLabelText('Project')).toHaveValue('web');
+    });
+
+    it('offers to unarchive an archived project', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/projects/old/tasks');
+
+      await user.click(screen.getByRole('button', { name: /unarchive/i }));
+      expect(JSON.parse(localStorage.getItem('taskmaster-react-projects'))[1].archived).toBe(false);
+    });
+
+    it('explains when the project does not exist', () => {
+      renderWithProviders('/projects/missing/tasks');
+
+      expect(screen.getByRole('heading', { name: /project not found/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('URL-synchronized filters', () => {
+    it('reads filters and sort from the query string', () => {
+      renderWithProviders('/tasks?status=pending&priority=high&sort=title');
+      const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+      expect(getTaskTitles()).toEqual(['Fix authentication bug in login flow']);
+      expect(within(sidebar).getByRole('button', { name: /high priority/i })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByLabelText(/sort by/i)).toHaveValue('title');
+    });
+
+    it('stops filtering once the page is left', async () => {
+      function FilteredCount() {
+        const { getFilteredTasks, sortBy } = useTasks();
+        return <output data-testid="filtered-count">{getFilteredTasks().length} by {sortBy}</output>;
+      }
+      const user = userEvent.setup();
+      render(
+        <MemoryRouter initialEntries={['/tasks?status=completed&q=profile&sort=title']}>
+          <SettingsProvider>
+            <ProjectProvider>
+              <TaskProvider>
+                <Routes>
+                  <Route path="/tasks" element={<AllTasks />} />
+                  <Route path="/tasks/:id" element={<FilteredCount />} />
+                </Routes>
+              </TaskProvider>
+            </ProjectProvider>
+          </SettingsProvider>
+        </MemoryRouter>
+      );
+
+      await user.click(screen.getByRole('link', { name: 'Implement user profile page' }));
+
+      expect(screen.getByTestId('filtered-count')).toHaveTextContent('4 by date');
+    });
+
+    it('prefills the search box from ?q=', () => {
+      renderWithProviders('/tasks?q=profile');
+
+      expect(screen.getByLabelText(/search tasks/i)).toHaveValue('profile');
+      expect(getTaskTitles()).toEqual(['Implement user profile page']);
+    });
+
+    it('writes filter, sort and search changes to the URL', async () => {
+      const user = userEvent.setup();
+      renderWithProviders();
+      const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+      await user.click(within(sidebar).getByRole('button', { name: /pending/i }));
+      await user.selectOptions(screen.getByLabelText(/sort by/i), 'priority');
+      await user.type(screen.getByLabelText(/search tasks/i), 'auth');
+
+      await waitFor(() => {
+        expect(screen.getByTestId('location-search')).toHaveTextContent('?status=pending&q=auth&sort=priority');
+      });
+    });
+
+    it('restores the previous filters on back navigation', async () => {
+      const user = userEvent.setup();
+      renderWithProviders('/tasks?q=api');
+      const sidebar = screen.getByRole('complementary', { name: /task filters/i });
+
+      await user.click(within(sidebar).getByRole('button', { name: /^✅ completed/i }));
+      expect(screen.getByText(/no tasks match your filters/i)).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /history back/i }));
+
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?q=api');
+      expect(getTaskTitles()).toEqual(['Update API documentation']);
+    });
+
+    it('ignores unknown values', () => {
+      renderWithProviders('/tasks?status=archived&sort=random');
+
+      expect(getTaskTitles()).toHaveLength(4);
+      expect(screen.getByLabelText(/sort by/i)).toHaveValue('date');
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * BOARD PAGE - Kanban View (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Grouping a list into columns of composed cards
+ * - SESSION 4: HTML5 drag and drop events, keyboard event handling
+ * - SESSION 5: Dispatching moves through the task reducer (undoable)
+ * - SESSION 6: Tailwind CSS horizontal scrolling layout
+ *
+ * Cards can be dragged with the mouse, or moved with the keyboard: focus
+ * a card's handle, press Space to pick it up, use the arrow keys (left /
+ * right changes the column, up / down the position) and Space again to
+ * drop it. Escape cancels. Moves are announced to screen readers.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useTasks } from '../context/TaskContext';
+import TagChip from '../components/ui/TagChip';
+import { groupTasksByColumn, getMoveUpdates } from '../utils/board';
+import { isOverdue } from '../utils/calendar';
+import { formatDueDate } from '../utils/dates';
+
+const priorityStyles = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700',
+};
+
+const kindStyles = {
+  todo: 'border-gray-300',
+  active: 'border-blue-400',
+  done: 'border-green-400',
+};
+
+// The columns as they would look with `move` ({ id, columnId, index }) applied
+function applyPreview(groups, tasks, move) {
+  if (!move) return groups;
+  const task = tasks.find(item => item.id === move.id);
+  const preview = Object.fromEntries(Object.entries(groups).map(([columnId, list]) => [
+    columnId,
+    list.filter(item => item.id !== move.id),
+  ]));
+  preview[move.columnId].splice(move.index, 0, task);
+  return preview;
+}
+
+export default function Board() {
+  const { tasks, columns, moveTask } = useTasks();
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropColumnId, setDropColumnId] = useState(null);
+  // Keyboard move in progress: { id, columnId, index }
+  const [keyboardMove, setKeyboardMove] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  // Card handles by task id, so focus follows a card into another column
+  const handleRefs = useRef(new Map());
+  const focusIdRef = useRef(null);
+
+  useEffect(() => {
+    if (focusIdRef.current === null) return;
+    handleRefs.current.get(focusIdRef.current)?.focus();
+    focusIdRef.current = null;
+  });
+
+  const groups = groupTasksByColumn(tasks, columns);
+  const visibleGroups = applyPreview(groups, tasks, keyboardMove);
+
+  const columnName = (columnId) => columns.find(column => column.id === columnId).name;
+
+  // Where a card currently is, as { columnId, index } among the other cards
+  const findPosition = (id) => {
+    const columnId = Object.keys(groups).find(key => groups[key].some(task => task.id === id));
+    return { columnId, index: groups[columnId].findIndex(task => task.id === id) };
+  };
+
+  // Dispatches the move unless the card ends up where it started
+  const commitMove = (id, columnId, index) => {
+    const from = findPosition(id);
+    if (from.columnId === columnId && from.index === index) return false;
+    moveTask(id, getMoveUpdates(tasks, columns, id, columnId, index));
+    return true;
+  };
+
+  // ---- Mouse: HTML5 drag and drop ----
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDraggedId(task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropColumnId(null);
+  };
+
+  const handleDragOver = (e, columnId) => {
+    if (draggedId === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropColumnId !== columnId) setDropColumnId(columnId);
+  };
+
+  // `beforeId` is the card dropped on (the dragged card goes above it);
+  // dropping on the empty part of a column puts it last
+  const handleDrop = (e, columnId, beforeId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggedId === null) return;
+
+    const others = groups[columnId].filter(task => task.id !== draggedId);
+    const index = beforeId === null ? others.length : others.findIndex(task => task.id === beforeId);
+    const task = tasks.find(item => item.id === draggedId);
+    if (commitMove(draggedId, columnId, index)) {
+      setAnnouncement(`Moved "${task.title}" to ${columnName(columnId)}.`);
+    }
+    handleDragEnd();
+  };
+
+  // ---- Keyboard ----
+
+  // Number of cards in a column besides the one being moved
+  const countOthers = (columnId, id) => groups[columnId].filter(task => task.id !== id).length;
+
+  const describeMove = (task, move) =>
+    `"${task.title}": ${columnName(move.columnId)}, position ${move.index + 1} of ${countOthers(move.columnId, task.id) + 1}.`;
+
+  const handleKeyDown = (e, task) => {
+    const isSelectKey = e.key === ' ' || e.key === 'Enter';
+
+    if (!keyboardMove || keyboardMove.id !== task.id) {
+      if (!isSelectKey) return;
+      e.preventDefault();
+      setKeyboardMove({ id: task.id, ...findPosition(task.id) });
+      setAnnouncement(`Picked up "${task.title}". Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+      return;
+    }
+
+    let next = keyboardMove;
+    const columnIndex = columns.findIndex(column => column.id === keyboardMove.columnId);
+
+    if (isSelectKey) {
+      e.preventDefault();
+      const moved = commitMove(task.id, keyboardMove.columnId, keyboardMove.index);
+      setKeyboardMove(null);
+      focusIdRef.current = task.id;
+      setAnnouncement(moved
+        ? `Dropped "${task.title}" in ${columnName(keyboardMove.columnId)} at position ${keyboardMove.index + 1}.`
+        : `"${task.title}" was not moved.`);
+      return;
+    }
+
+    switch (e.key) {
+      case 'Escape':
+        setKeyboardMove(null);
+        focusIdRef.current = task.id;
+        setAnnouncement(`Move cancelled. "${task.title}" is back where it was.`);
+        return;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const target = columns[columnIndex + (e.key === 'ArrowLeft' ? -1 : 1)];
+        if (!target) return;
+        next = {
+          id: task.id,
+          columnId: target.id,
+          index: Math.min(keyboardMove.index, countOthers(target.id, task.id)),
+        };
+        break;
+      }
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        const index = keyboardMove.index + (e.key === 'ArrowUp' ? -1 : 1);
+        if (index < 0 || index > countOthers(keyboardMove.columnId, task.id)) return;
+        next = { ...keyboardMove, index };
+        break;
+      }
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    setKeyboardMove(next);
+    focusIdRef.current = task.id;
+    setAnnouncement(describeMove(task, next));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold text-gray-900">Board</h1>
+          <p className="mt-1 text-gray-600">
+            Drag cards between columns, or focus a card&apos;s handle and press Space to move it with the arrow keys.
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map(column => (
+            <section
+              key={column.id}
+              aria-labelledby={`column-${column.id}-heading`}
+              onDragOver={(e) => handleDragOver(e, column.id)}
+              onDrop={(e) => handleDrop(e, column.id)}
+              className={`flex-shrink-0 w-72 bg-gray-100 rounded-xl border-t-4 p-3 ${kindStyles[column.kind]} ${
+                dropColumnId === column.id ? 'ring-2 ring-blue-400' : ''
+              }`}
+            >
+              <h2 id={`column-${column.id}-heading`} className="flex items-center justify-between font-semibold text-gray-900 mb-3">
+                {column.name}
+                <span className="text-sm font-normal text-gray-500">{visibleGroups[column.id].length}</span>
+              </h2>
+              <ul className="space-y-3 min-h-[4rem]" aria-label={`${column.name} tasks`}>
+                {visibleGroups[column.id].map(task => (
+                  <BoardCard
+                    key={task.id}
+                    task={task}
+                    isDragging={draggedId === task.id}
+                    isPickedUp={keyboardMove?.id === task.id}
+                    handleRef={(node) => {
+                      if (node) handleRefs.current.set(task.id, node);
+                      else handleRefs.current.delete(task.id);
+                    }}
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                    onDragOver={(e) => handleDragOver(e, column.id)}
+                    onDrop={(e) => handleDrop(e, column.id, task.id)}
+                    onKeyDown={(e) => handleKeyDown(e, task)}
+                  />
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+      </div>
+
+      {/* Screen reader announcements for moves */}
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+    </div>
+  );
+}
+
+// SESSION 3: One card - the handle is the drag source and the keyboard control
+function BoardCard({ task, isDragging, isPickedUp, handleRef, onDragStart, onDragEnd, onDragOver, onDrop, onKeyDown }) {
+  return (
+    <li
+      draggable
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+      data-testid={`board-card-${task.id}`}
+      className={`bg-white rounded-lg shadow-sm p-3 cursor-grab ${isDragging ? 'opacity-50' : ''} ${
+        isPickedUp ? 'ring-2 ring-blue-500 shadow-lg' : ''
+      }`}
+    >
+      <div className="flex items-start gap-2">
+        <button
+          ref={handleRef}
+          type="button"
+          aria-label={`Move "${task.title}"`}
+          aria-pressed={isPickedUp}
+          onKeyDown={onKeyDown}
+          className="text-gray-400 hover:text-gray-600 px-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          ⠿
+        </button>
+        <div className="flex-1 min-w-0">
+          <Link
+            to={`/tasks/${task.id}`}
+            className={`block font-medium hover:text-blue-600 ${
+              task.status === 'completed' ? 'line-through text-gray-500' : 'text-gray-900'
+            }`}
+          >
+            {task.title}
+          </Link>
+          <div className="flex flex-wrap items-center gap-1.5 mt-2">
+            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${priorityStyles[task.priority]}`}>
+              {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)}
+            </span>
+            {task.tags?.map(tag => <TagChip key={tag} name={tag} />)}
+          </div>
+          {task.dueDate && (
+            <p className={`text-xs mt-2 ${isOverdue(task) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+              📅 {formatDueDate(task)}{isOverdue(task) && ' · Overdue'}
+            </p>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+}
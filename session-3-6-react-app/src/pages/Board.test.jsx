@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { SettingsProvider } from '../context/SettingsContext';
+import { TaskProvider } from '../context/TaskContext';
+import { seedStoredTasks } from '../test/seedTasks';
+import Board from './Board';
+
+const renderBoard = () => {
+  return render(
+    <MemoryRouter>
+      <SettingsProvider>
+        <TaskProvider>
+          <Board />
+        </TaskProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+const storedTasks = () => JSON.parse(localStorage.getItem('taskmaster-react-tasks')).tasks;
+const storedTask = (id) => storedTasks().find(task => task.id === id);
+
+const columnTitles = (name) =>
+  within(screen.getByRole('list', { name: `${name} tasks` }))
+    .queryAllByRole('link')
+    .map(link => link.textContent);
+
+const dataTransfer = () => ({ setData: () => {}, effectAllowed: '', dropEffect: '' });
+
+describe('Board Page (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+  });
+
+  it('shows tasks in their columns', () => {
+    renderBoard();
+
+    expect(screen.getAllByRole('heading', { level: 2 }).map(heading => heading.firstChild.textContent))
+      .toEqual(['Backlog', 'In Progress', 'Review', 'Done']);
+    expect(columnTitles('Backlog')).toEqual([
+      'Fix authentication bug in login flow',
+      'Update API documentation',
+      'Refactor user service tests',
+    ]);
+    expect(columnTitles('Done')).toEqual(['Implement user profile page']);
+  });
+
+  it('moves a card to another column by dragging', () => {
+    renderBoard();
+
+    fireEvent.dragStart(screen.getByTestId('board-card-2'), { dataTransfer: dataTransfer() });
+    fireEvent.dragOver(screen.getByRole('list', { name: 'Review tasks' }), { dataTransfer: dataTransfer() });
+    fireEvent.drop(screen.getByRole('list', { name: 'Review tasks' }), { dataTransfer: dataTransfer() });
+
+    expect(columnTitles('Review')).toEqual(['Update API documentation']);
+    expect(storedTask(2)).toMatchObject({ column: 'review', status: 'pending' });
+  });
+
+  it('completes a card dropped on Done, above the card it was dropped on', () => {
+    renderBoard();
+
+    fireEvent.dragStart(screen.getByTestId('board-card-1'), { dataTransfer: dataTransfer() });
+    fireEvent.drop(screen.getByTestId('board-card-4'), { dataTransfer: dataTransfer() });
+
+    expect(columnTitles('Done')).toEqual(['Fix authentication bug in login flow', 'Implement user profile page']);
+    expect(storedTask(1).status).toBe('completed');
+  });
+
+  it('moves a card with the keyboard and announces each step', async () => {
+    const user = userEvent.setup();
+    renderBoard();
+
+    screen.getByRole('button', { name: 'Move "Refactor user service tests"' }).focus();
+    await user.keyboard(' ');
+    expect(screen.getByRole('status')).toHaveTextContent(/picked up "refactor user service tests"/i);
+
+    await user.keyboard('{ArrowUp}{ArrowUp}');
+    expect(columnTitles('Backlog')[0]).toBe('Refactor user service tests');
+
+    await user.keyboard('{ArrowRight}');
+    expect(screen.getByRole('status')).toHaveTextContent('In Progress, position 1 of 1');
+    expect(screen.getByRole('button', { name: 'Move "Refactor user service tests"' })).toHaveFocus();
+
+    await user.keyboard(' ');
+    expect(columnTitles('In Progress')).toEqual(['Refactor user service tests']);
+    expect(storedTask(3).column).toBe('in-progress');
+    expect(screen.getByRole('status')).toHaveTextContent(/dropped/i);
+  });
+
+  it('puts the card back when a keyboard move is cancelled', async () => {
+    const user = userEvent.setup();
+    renderBoard();
+
+    screen.getByRole('button', { name: 'Move "Update API documentation"' }).focus();
+    await user.keyboard(' {ArrowRight}{ArrowRight}{Escape}');
+
+    expect(columnTitles('Backlog')).toContain('Update API documentation');
+    expect(columnTitles('Review')).toEqual([]);
+    expect(storedTask(2).column).toBeUndefined();
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * CALENDAR PAGE (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Rendering a grid from computed data, reusing TaskModal
+ * - SESSION 4: Drag and drop events, derived state (overdue)
+ * - SESSION 5: Updating tasks through the context
+ * - SESSION 6: Tailwind CSS grid layout
+ *
+ * Tasks sit on their due date in a month or week grid. Drag a task to
+ * another day to reschedule it (drop it on "No due date" to unschedule),
+ * or click a day to create a task due that day.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTasks } from '../context/TaskContext';
+import Button from '../components/ui/Button';
+import TaskModal from '../components/features/TaskModal';
+import { toDateKey, addDays, addMonths, formatTime } from '../utils/dates';
+import {
+  getWeekDays,
+  getMonthWeeks,
+  groupTasksByDueDate,
+  isOverdue,
+} from '../utils/calendar';
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+];
+
+const longDate = (date) => date.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+function getTitle(view, date) {
+  if (view === 'month') return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  const days = getWeekDays(date);
+  const format = (day) => day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return `${format(days[0])} – ${format(days[6])}, ${days[6].getFullYear()}`;
+}
+
+export default function Calendar() {
+  const { tasks, updateTask } = useTasks();
+  const [view, setView] = useState('month');
+  const [date, setDate] = useState(() => new Date());
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+  const [newTaskDate, setNewTaskDate] = useState(null);
+
+  const now = new Date();
+  const todayKey = toDateKey(now);
+  const tasksByDay = groupTasksByDueDate(tasks);
+  const unscheduled = tasks.filter(task => !task.dueDate && task.status !== 'completed');
+  const weeks = view === 'month' ? getMonthWeeks(date) : [getWeekDays(date)];
+
+  const step = (direction) => setDate(prev => (view === 'month' ? addMonths(prev, direction) : addDays(prev, 7 * direction)));
+
+  // ---- Drag to reschedule ----
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDraggedId(task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropKey(null);
+  };
+
+  const handleDragOver = (e, key) => {
+    if (draggedId === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropKey !== key) setDropKey(key);
+  };
+
+  // `dueDate` is '' to unschedule; a rescheduled task keeps its due time
+  const handleDrop = (e, dueDate) => {
+    e.preventDefault();
+    const task = tasks.find(item => item.id === draggedId);
+    if (task && (task.dueDate || '') !== dueDate) {
+      updateTask(task.id, dueDate ? { dueDate } : { dueDate, dueTime: '' });
+    }
+    handleDragEnd();
+  };
+
+  const taskChipProps = (task) => ({
+    task,
+    isOverdue: isOverdue(task, now),
+    isDragging: draggedId === task.id,
+    onDragStart: (e) => handleDragStart(e, task),
+    onDragEnd: handleDragEnd,
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Calendar</h1>
+            <p className="mt-1 text-gray-600">Drag tasks to reschedule them, or click a day to add one.</p>
+          </div>
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Calendar view">
+            {VIEWS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                aria-pressed={view === option.value}
+                onClick={() => setView(option.value)}
+                className={`px-4 py-2 text-sm font-medium ${
+                  view === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {/* Navigation */}
+        <div className="flex items-center gap-3">
+          <Button size="sm" variant="secondary" onClick={() => step(-1)} aria-label={`Previous ${view}`}>←</Button>
+          <Button size="sm" variant="secondary" onClick={() => setDate(new Date())}>Today</Button>
+          <Button size="sm" variant="secondary" onClick={() => step(1)} aria-label={`Next ${view}`}>→</Button>
+          <h2 className="text-xl font-semibold text-gray-900" aria-live="polite">{getTitle(view, date)}</h2>
+        </div>
+
+        {/* SESSION 6: Calendar grid */}
+        <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+          <div className="grid grid-cols-7 border-b border-gray-200 bg-gray-50">
+            {weeks[0].map(day => (
+              <div key={day.getDay()} className="px-2 py-2 text-xs font-semibold text-gray-500 uppercase text-center">
+                {day.toLocaleDateString(undefined, { weekday: 'short' })}
+              </div>
+            ))}
+          </div>
+          {weeks.map(week => (
+            <div key={toDateKey(week[0])} className="grid grid-cols-7 border-b border-gray-100 last:border-b-0">
+              {week.map(day => {
+                const key = toDateKey(day);
+                const dayTasks = tasksByDay[key] ?? [];
+                const isOutside = view === 'month' && day.getMonth() !== date.getMonth();
+                return (
+                  <div
+                    key={key}
+                    role="group"
+                    aria-label={longDate(day)}
+                    data-date={key}
+                    onClick={() => setNewTaskDate(key)}
+                    onDragOver={(e) => handleDragOver(e, key)}
+                    onDrop={(e) => handleDrop(e, key)}
+                    className={`border-r border-gray-100 last:border-r-0 p-1.5 cursor-pointer hover:bg-blue-50/50 ${
+                      view === 'month' ? 'min-h-[7rem]' : 'min-h-[20rem]'
+                    } ${isOutside ? 'bg-gray-50' : ''} ${dropKey === key ? 'ring-2 ring-inset ring-blue-400' : ''}`}
+                  >
+                    <div className="flex items-center justify-between mb-1">
+                      <span className={`text-sm w-7 h-7 flex items-center justify-center rounded-full ${
+                        key === todayKey ? 'bg-blue-600 text-white font-semibold' : isOutside ? 'text-gray-400' : 'text-gray-700'
+                      }`}>
+                        {day.getDate()}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setNewTaskDate(key);
+                        }}
+                        aria-label={`Add task on ${longDate(day)}`}
+                        className="text-gray-400 hover:text-blue-600 px-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        +
+                      </button>
+                    </div>
+                    <ul className="space-y-1">
+                      {dayTasks.map(task => (
+                        <li key={task.id}><CalendarTask {...taskChipProps(task)} /></li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        {/* Tasks without a due date can be dragged onto a day */}
+        <section
+          aria-labelledby="unscheduled-heading"
+          onDragOver={(e) => handleDragOver(e, 'unscheduled')}
+          onDrop={(e) => handleDrop(e, '')}
+          className={`bg-white rounded-xl shadow-sm p-4 ${dropKey === 'unscheduled' ? 'ring-2 ring-blue-400' : ''}`}
+        >
+          <h2 id="unscheduled-heading" className="text-sm font-semibold text-gray-900 mb-3">
+            No due date ({unscheduled.length})
+          </h2>
+          {unscheduled.length === 0 ? (
+            <p className="text-sm text-gray-500">Every open task is scheduled.</p>
+          ) : (
+            <ul className="flex flex-wrap gap-2">
+              {unscheduled.map(task => (
+                <li key={task.id}><CalendarTask {...taskChipProps(task)} /></li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+
+      <TaskModal
+        isOpen={newTaskDate !== null}
+        onClose={() => setNewTaskDate(null)}
+        defaultDueDate={newTaskDate ?? ''}
+      />
+    </div>
+  );
+}
+
+// SESSION 3: A draggable task chip linking to the detail page
+function CalendarTask({ task, isOverdue, isDragging, onDragStart, onDragEnd }) {
+  const styles = task.status === 'completed'
+    ? 'bg-gray-100 text-gray-500 line-through'
+    : isOverdue
+      ? 'bg-red-100 text-red-700 border border-red-300'
+      : 'bg-blue-50 text-blue-800';
+
+  return (
+    <Link
+      to={`/tasks/${task.id}`}
+      draggable
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onClick={(e) => e.stopPropagation()}
+      data-testid={`calendar-task-${task.id}`}
+      title={isOverdue ? 'Overdue' : undefined}
+      className={`block truncate rounded px-1.5 py-0.5 text-xs font-medium ${styles} ${isDragging ? 'opacity-50' : ''}`}
+    >
+      {isOverdue && <span className="sr-only">Overdue: </span>}
+      {task.dueTime && <span className="mr-1 opacity-75">{formatTime(task.dueTime)}</span>}
+      {task.title}
+    </Link>
+  );
+}
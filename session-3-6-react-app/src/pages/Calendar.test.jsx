@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { SettingsProvider } from '../context/SettingsContext';
+import { ProjectProvider } from '../context/ProjectContext';
+import { TaskProvider } from '../context/TaskContext';
+import { seedStoredTasks } from '../test/seedTasks';
+import Calendar from './Calendar';
+
+const renderCalendar = () => {
+  return render(
+    <MemoryRouter>
+      <SettingsProvider>
+        <ProjectProvider>
+          <TaskProvider>
+            <Calendar />
+          </TaskProvider>
+        </ProjectProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+const storedTask = (id) => JSON.parse(localStorage.getItem('taskmaster-react-tasks')).tasks.find(task => task.id === id);
+
+const getDay = (key) => document.querySelector(`[data-date="${key}"]`);
+
+const dataTransfer = () => ({ setData: () => {}, effectAllowed: '', dropEffect: '' });
+
+describe('Calendar Page (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+    // Only Date is faked, so user-event timers keep working
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 11, 26, 9, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('places tasks on their due date and highlights overdue ones', () => {
+    renderCalendar();
+
+    expect(screen.getByRole('heading', { name: /december 2024/i })).toBeInTheDocument();
+    expect(within(getDay('2024-12-28')).getByText('Update API documentation')).toBeInTheDocument();
+
+    // Pending and due yesterday - overdue; completed tasks never are
+    expect(screen.getByTestId('calendar-task-1')).toHaveTextContent('Overdue: Fix authentication bug in login flow');
+    expect(screen.getByTestId('calendar-task-4')).not.toHaveTextContent(/overdue/i);
+  });
+
+  it('switches between month and week views', async () => {
+    const user = userEvent.setup();
+    renderCalendar();
+
+    await user.click(screen.getByRole('button', { name: 'Week' }));
+    expect(screen.getByRole('heading', { name: /dec 22 – dec 28, 2024/i })).toBeInTheDocument();
+    expect(getDay('2024-12-21')).toBeNull();
+
+    await user.click(screen.getByRole('button', { name: 'Next week' }));
+    await user.click(screen.getByRole('button', { name: 'Next week' }));
+    expect(within(getDay('2025-01-05')).getByText('Refactor user service tests')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Month' }));
+    expect(screen.getByRole('heading', { name: /january 2025/i })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Today' }));
+    await user.click(screen.getByRole('button', { name: 'Previous month' }));
+    expect(screen.getByRole('heading', { name: /november 2024/i })).toBeInTheDocument();
+  });
+
+  it('reschedules a task by dragging it to another day', () => {
+    renderCalendar();
+
+    fireEvent.dragStart(screen.getByTestId('calendar-task-2'), { dataTransfer: dataTransfer() });
+    fireEvent.dragOver(getDay('2024-12-30'), { dataTransfer: dataTransfer() });
+    fireEvent.drop(getDay('2024-12-30'), { dataTransfer: dataTransfer() });
+
+    expect(within(getDay('2024-12-30')).getByText('Update API documentation')).toBeInTheDocument();
+    expect(storedTask(2).dueDate).toBe('2024-12-30');
+  });
+
+  it('unschedules a task dropped on "No due date"', () => {
+    renderCalendar();
+    const unscheduled = screen.getByRole('region', { name: /no due date/i });
+
+    fireEvent.dragStart(screen.getByTestId('calendar-task-2'), { dataTransfer: dataTransfer() });
+    fireEvent.drop(unscheduled, { dataTransfer: dataTransfer() });
+
+    expect(within(unscheduled).getByText('Update API documentation')).toBeInTheDocument();
+    expect(storedTask(2).dueDate).toBe('');
+  });
+
+  it('opens the task form prefilled with the clicked day', async () => {
+    const user = userEvent.setup();
+    renderCalendar();
+
+    await user.click(screen.getByRole('button', { name: /add task on .*december 31, 2024/i }));
+
+    expect(screen.getByRole('heading', { name: /create new task/i })).toBeInTheDocument();
+    expect(screen.getByLabelText('Due Date')).toHaveValue('2024-12-31');
+  });
+});
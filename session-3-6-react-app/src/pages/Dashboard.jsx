@@ -9,12 +9,13 @@
  */
 
 import { useTasks } from '../context/TaskContext';
+import { formatDueDate } from '../utils/dates';
 import './Dashboard.css';
 
 function Dashboard() {
-  const { getStats, getFilteredTasks } = useTasks();
+  const { getStats, getRecentTasks } = useTasks();
   const stats = getStats();
-  const recentTasks = getFilteredTasks().slice(0, 6);
+  const recentTasks = getRecentTasks();
 
   return (
     <div className="dashboard">
@@ -84,7 +85,7 @@ function TaskCard({ task }) {
       <h3>{task.title}</h3>
       <p className="task-description">{task.description}</p>
       <div className="task-meta">
-        <span>📅 {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date'}</span>
+        <span>📅 {formatDueDate(task)}</span>
         <span className={`status-badge ${task.status}`}>
           {task.status === 'completed' ? '✓ Completed' : 'Pending'}
         </span>
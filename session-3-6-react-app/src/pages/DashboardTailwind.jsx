@@ -3,20 +3,34 @@
  *
  * This demonstrates ALL concepts from the curriculum:
  * - SESSION 3: Components, Props, Composition, Lists
- * - SESSION 4: useState, Event Handling, Conditional Rendering
+ * - SESSION 4: useState, Event Handling, Conditional Rendering, multi-select
  * - SESSION 5: useEffect, Context API (via useTasks hook)
  * - SESSION 6: Tailwind CSS, Loading States, Animations
  */
 
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useTasks } from '../context/TaskContext';
 import Button from '../components/ui/Button';
 import TaskModal from '../components/features/TaskModal';
+import TaskCard from '../components/features/TaskCard';
+import BulkActionBar from '../components/features/BulkActionBar';
+import useSelection from '../hooks/useSelection';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import { formatDueDate } from '../utils/dates';
 
 export default function DashboardTailwind() {
   // SESSION 5: Custom hook for global state
-  const { getStats, getFilteredTasks, toggleTask, deleteTask } = useTasks();
+  const {
+    getStats,
+    getRecentTasks,
+    getOverdueTasks,
+    getDueTodayTasks,
+    getDueThisWeekTasks,
+    toggleTask,
+    deleteTask,
+    isWorkspaceInitialized
+  } = useTasks();
   const navigate = useNavigate();
 
   // SESSION 4: Local state for UI
@@ -25,7 +39,14 @@ export default function DashboardTailwind() {
   const [deleteConfirm, setDeleteConfirm] = useState(null);
 
   const stats = getStats();
-  const recentTasks = getFilteredTasks().slice(0, 6);
+  const recentTasks = getRecentTasks();
+  const selection = useSelection(recentTasks.map(task => task.id));
+  const overdueTasks = getOverdueTasks();
+  const attentionGroups = [
+    { id: 'overdue', title: 'Overdue', tasks: overdueTasks },
+    { id: 'today', title: 'Due today', tasks: getDueTodayTasks() },
+    { id: 'week', title: 'Due this week', tasks: getDueThisWeekTasks() },
+  ];
 
   // SESSION 4: Event handlers
   const handleNewTask = () => {
@@ -73,7 +94,7 @@ export default function DashboardTailwind() {
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* SESSION 6: Stats Cards with Tailwind */}
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
           <StatCard
             icon="📊"
             title="Total Tasks"
@@ -98,8 +119,17 @@ export default function DashboardTailwind() {
             value={`${stats.completionRate}%`}
             color="purple"
           />
+          <StatCard
+            icon="⏰"
+            title="Overdue"
+            value={overdueTasks.length}
+            color="red"
+          />
         </div>
 
+        {/* Tasks that are late or due soon */}
+        <NeedsAttention groups={attentionGroups} onToggle={handleToggleTask} />
+
         {/* Recent Tasks Section */}
         <div className="bg-white rounded-xl shadow-sm p-6">
           <div className="flex items-center justify-between mb-6">
@@ -126,19 +156,37 @@ export default function DashboardTailwind() {
               <Button onClick={handleNewTask}>
                 Create Task
               </Button>
+              {!isWorkspaceInitialized && (
+                <p className="text-sm text-gray-500 mt-4">
+                  Just looking around?{' '}
+                  <Link to="/settings" className="text-blue-600 hover:underline">
+                    Load sample data in Settings
+                  </Link>
+                </p>
+              )}
             </div>
           ) : (
             // SESSION 3: List rendering
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {recentTasks.map(task => (
-                <TaskCard
-                  key={task.id}
-                  task={task}
-                  onEdit={() => handleEditTask(task)}
-                  onDelete={() => setDeleteConfirm(task.id)}
-                  onToggle={() => handleToggleTask(task.id)}
-                />
-              ))}
+            <div className="space-y-4">
+              <BulkActionBar
+                selectedIds={selection.selectedIds}
+                totalCount={recentTasks.length}
+                onSelectAll={selection.selectAll}
+                onClear={selection.clear}
+              />
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {recentTasks.map(task => (
+                  <TaskCard
+                    key={task.id}
+                    task={task}
+                    onEdit={() => handleEditTask(task)}
+                    onDelete={() => setDeleteConfirm(task.id)}
+                    onToggle={() => handleToggleTask(task.id)}
+                    isSelected={selection.isSelected(task.id)}
+                    onSelect={(options) => selection.toggle(task.id, options)}
+                  />
+                ))}
+              </div>
             </div>
           )}
         </div>
@@ -152,33 +200,67 @@ export default function DashboardTailwind() {
       />
 
       {/* SESSION 6: Delete Confirmation Dialog */}
-      {deleteConfirm && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-xl p-6 max-w-sm w-full shadow-2xl">
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">
-              Delete Task?
-            </h3>
-            <p className="text-gray-600 mb-6">
-              Are you sure you want to delete this task? This action cannot be undone.
-            </p>
-            <div className="flex gap-3 justify-end">
-              <Button
-                variant="secondary"
-                onClick={() => setDeleteConfirm(null)}
-              >
-                Cancel
-              </Button>
-              <Button
-                variant="danger"
-                onClick={() => handleDeleteTask(deleteConfirm)}
-              >
-                Delete
-              </Button>
+      <ConfirmDialog
+        isOpen={deleteConfirm !== null}
+        title="Delete Task?"
+        message="Are you sure you want to delete this task? You can undo this right after."
+        confirmLabel="Delete"
+        onConfirm={() => handleDeleteTask(deleteConfirm)}
+        onCancel={() => setDeleteConfirm(null)}
+      />
+    </div>
+  );
+}
+
+// SESSION 3: Overdue, due today and due this week - empty groups are hidden
+function NeedsAttention({ groups, onToggle }) {
+  const visibleGroups = groups.filter(group => group.tasks.length > 0);
+
+  return (
+    <section className="bg-white rounded-xl shadow-sm p-6 mb-8" aria-labelledby="attention-heading">
+      <h2 id="attention-heading" className="text-2xl font-bold text-gray-900 mb-4">Needs attention</h2>
+      {visibleGroups.length === 0 ? (
+        <p className="text-gray-600">Nothing is overdue or due this week. 🎉</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {visibleGroups.map(group => (
+            <div key={group.id}>
+              <h3 className={`text-sm font-semibold uppercase tracking-wide mb-2 ${
+                group.id === 'overdue' ? 'text-red-600' : 'text-gray-500'
+              }`}>
+                {group.title} ({group.tasks.length})
+              </h3>
+              <ul className="space-y-2" aria-label={group.title}>
+                {group.tasks.map(task => (
+                  <li
+                    key={task.id}
+                    className={`flex items-center gap-2 rounded-lg border px-3 py-2 ${
+                      group.id === 'overdue' ? 'border-red-200 bg-red-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="flex-1 min-w-0">
+                      <Link to={`/tasks/${task.id}`} className="block truncate font-medium text-gray-900 hover:text-blue-600">
+                        {task.title}
+                      </Link>
+                      <p className={`text-xs ${group.id === 'overdue' ? 'text-red-600' : 'text-gray-500'}`}>
+                        📅 {formatDueDate(task)}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => onToggle(task.id)}
+                      aria-label={`Mark "${task.title}" done`}
+                      className="text-gray-400 hover:text-green-600 p-1 rounded focus:outline-none focus:ring-2 focus:ring-green-500"
+                    >
+                      ✓
+                    </button>
+                  </li>
+                ))}
+              </ul>
             </div>
-          </div>
+          ))}
         </div>
       )}
-    </div>
+    </section>
   );
 }
 
@@ -189,6 +271,7 @@ function StatCard({ icon, title, value, color }) {
     yellow: 'bg-yellow-50 text-yellow-700',
     green: 'bg-green-50 text-green-700',
     purple: 'bg-purple-50 text-purple-700',
+    red: 'bg-red-50 text-red-700',
   };
 
   return (
@@ -205,79 +288,3 @@ function StatCard({ icon, title, value, color }) {
     </div>
   );
 }
-
-// SESSION 3 & 6: Enhanced Task Card with Tailwind
-function TaskCard({ task, onEdit, onDelete, onToggle }) {
-  const priorityStyles = {
-    high: 'bg-red-100 text-red-700',
-    medium: 'bg-yellow-100 text-yellow-700',
-    low: 'bg-green-100 text-green-700',
-  };
-
-  return (
-    <div className={`bg-white border rounded-xl p-4 hover:shadow-lg transition-all ${
-      task.status === 'completed' ? 'opacity-60' : ''
-    }`}>
-      {/* Header */}
-      <div className="flex items-start justify-between mb-3">
-        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${priorityStyles[task.priority]}`}>
-          {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)}
-        </span>
-        <div className="relative group">
-          <button className="text-gray-400 hover:text-gray-600 p-1">
-            <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-              <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z" />
-            </svg>
-          </button>
-        </div>
-      </div>
-
-      {/* Title */}
-      <h3 className={`text-lg font-semibold mb-2 ${
-        task.status === 'completed' ? 'line-through text-gray-500' : 'text-gray-900'
-      }`}>
-        {task.title}
-      </h3>
-
-      {/* Description */}
-      <p className="text-gray-600 text-sm mb-4 line-clamp-2">
-        {task.description}
-      </p>
-
-      {/* Meta */}
-      <div className="flex items-center justify-between text-sm mb-4 pt-4 border-t">
-        <span className="text-gray-500">
-          📅 {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date'}
-        </span>
-        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-          task.status === 'completed' ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'
-        }`}>
-          {task.status === 'completed' ? '✓ Done' : 'Pending'}
-        </span>
-      </div>
-
-      {/* Actions */}
-      <div className="flex gap-2">
-        {task.status === 'pending' ? (
-          <>
-            <Button size="sm" variant="success" onClick={onToggle} className="flex-1">
-              Complete
-            </Button>
-            <Button size="sm" variant="secondary" onClick={onEdit} className="flex-1">
-              Edit
-            </Button>
-          </>
-        ) : (
-          <Button size="sm" variant="secondary" onClick={onToggle} className="flex-1">
-            Reopen
-          </Button>
-        )}
-        <Button size="sm" variant="danger" onClick={onDelete}>
-          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-          </svg>
-        </Button>
-      </div>
-    </div>
-  );
-}
@@ -1,14 +1,21 @@
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
 import { render, screen, within } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import { BrowserRouter } from "react-router-dom";
+import { SettingsProvider } from "../context/SettingsContext";
+import { ProjectProvider } from "../context/ProjectContext";
 import { TaskProvider } from "../context/TaskContext";
 import DashboardTailwind from "./DashboardTailwind";
+import { seedStoredTasks } from "../test/seedTasks";
 
 const renderWithProviders = component => {
 	return render(
 		<BrowserRouter>
-			<TaskProvider>{component}</TaskProvider>
+			<SettingsProvider>
+				<ProjectProvider>
+					<TaskProvider>{component}</TaskProvider>
+				</ProjectProvider>
+			</SettingsProvider>
 		</BrowserRouter>
 	);
 };
@@ -16,6 +23,7 @@ const renderWithProviders = component => {
 describe("DashboardTailwind Integration Tests (Sessions 3-6)", () => {
 	beforeEach(() => {
 		localStorage.clear();
+		seedStoredTasks();
 	});
 
 	it("renders dashboard heading", () => {
@@ -238,6 +246,14 @@ describe("DashboardTailwind Integration Tests (Sessions 3-6)", () => {
 		expect(screen.getByText(/create your first task/i)).toBeInTheDocument();
 	});
 
+	it("points a brand-new workspace to the sample data", () => {
+		localStorage.clear();
+		renderWithProviders(<DashboardTailwind />);
+
+		expect(screen.getByText(/no tasks yet/i)).toBeInTheDocument();
+		expect(screen.getByRole("link", { name: /load sample data/i })).toHaveAttribute("href", "/settings");
+	});
+
 	it("updates stats when tasks change", async () => {
 		const user = userEvent.setup();
 		renderWithProviders(<DashboardTailwind />);
@@ -283,4 +299,36 @@ describe("DashboardTailwind Integration Tests (Sessions 3-6)", () => {
 		// Tailwind classes should be in the DOM
 		expect(document.body.innerHTML).toContain("bg-gray-50");
 	});
+
+	describe("needs attention", () => {
+		beforeEach(() => {
+			vi.useFakeTimers({ toFake: ["Date"] });
+			vi.setSystemTime(new Date(2024, 11, 26, 9, 0));
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		it("shows overdue and upcoming tasks with an Overdue stat card", () => {
+			renderWithProviders(<DashboardTailwind />);
+
+			const section = screen.getByRole("region", { name: /needs attention/i });
+			expect(within(section).getByRole("list", { name: "Overdue" })).toHaveTextContent("Fix authentication bug in login flow");
+			expect(within(section).getByRole("list", { name: "Due this week" })).toHaveTextContent("Update API documentation");
+			expect(within(section).queryByRole("list", { name: "Due today" })).not.toBeInTheDocument();
+
+			const overdueCard = screen.getByText("Overdue", { selector: "p" }).parentElement;
+			expect(overdueCard).toHaveTextContent("1");
+		});
+
+		it("completes a task from the section", async () => {
+			const user = userEvent.setup();
+			renderWithProviders(<DashboardTailwind />);
+
+			await user.click(screen.getByRole("button", { name: /mark "fix authentication bug in login flow" done/i }));
+
+			expect(screen.queryByRole("list", { name: "Overdue" })).not.toBeInTheDocument();
+		});
+	});
 });
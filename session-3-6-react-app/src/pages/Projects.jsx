@@ -0,0 +1,211 @@
+/**
+ * PROJECTS PAGE (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Lists of composed rows, reusing InlineEdit and ConfirmDialog
+ * - SESSION 4: Form validation, a decision inside a confirmation dialog
+ * - SESSION 5: Two contexts working together (projects + tasks)
+ * - SESSION 6: Tailwind CSS card layout
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useProjects } from '../context/useProjects';
+import { useTasks } from '../context/TaskContext';
+import { validateProjectName, getProjectTasks, projectTasksPath } from '../utils/projects';
+import Button from '../components/ui/Button';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import InlineEdit from '../components/ui/InlineEdit';
+
+export default function Projects() {
+  const { projects, addProject, renameProject, setProjectArchived } = useProjects();
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+  const [projectToDelete, setProjectToDelete] = useState(null);
+
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationError = validateProjectName(newName, projects);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    addProject(newName);
+    setNewName('');
+  };
+
+  const rowProps = {
+    projects,
+    onRename: renameProject,
+    onArchive: setProjectArchived,
+    onDelete: setProjectToDelete,
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold text-gray-900">Projects</h1>
+          <p className="mt-1 text-gray-600">Group tasks into separate lists.</p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {/* SESSION 4: Create form */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm p-6">
+          <label htmlFor="project-name" className="block text-sm font-medium text-gray-700 mb-1">
+            New project
+          </label>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              id="project-name"
+              value={newName}
+              onChange={(e) => {
+                setNewName(e.target.value);
+                setError('');
+              }}
+              placeholder="e.g. Website relaunch"
+              className={`flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                error ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            <Button type="submit">Create Project</Button>
+          </div>
+          {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </form>
+
+        <section className="bg-white rounded-xl shadow-sm p-6" aria-labelledby="active-projects-heading">
+          <h2 id="active-projects-heading" className="text-lg font-semibold text-gray-900 mb-4">Active</h2>
+          {activeProjects.length === 0 ? (
+            <p className="text-sm text-gray-500">No projects yet. Tasks without a project stay in All Tasks.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {activeProjects.map(project => <ProjectRow key={project.id} project={project} {...rowProps} />)}
+            </ul>
+          )}
+        </section>
+
+        {archivedProjects.length > 0 && (
+          <section className="bg-white rounded-xl shadow-sm p-6" aria-labelledby="archived-projects-heading">
+            <h2 id="archived-projects-heading" className="text-lg font-semibold text-gray-900 mb-4">Archived</h2>
+            <ul className="divide-y divide-gray-100">
+              {archivedProjects.map(project => <ProjectRow key={project.id} project={project} {...rowProps} />)}
+            </ul>
+          </section>
+        )}
+      </div>
+
+      {projectToDelete && (
+        <DeleteProjectDialog project={projectToDelete} onClose={() => setProjectToDelete(null)} />
+      )}
+    </div>
+  );
+}
+
+// SESSION 3: One project with its stats and actions
+function ProjectRow({ project, projects, onRename, onArchive, onDelete }) {
+  const { getStats } = useTasks();
+  const stats = getStats(project.id);
+
+  return (
+    <li className="flex flex-wrap items-center gap-3 py-3">
+      <div className="flex-1 min-w-[10rem]">
+        <InlineEdit
+          label={`project "${project.name}"`}
+          value={project.name}
+          validate={(value) => validateProjectName(value, projects, project.id)}
+          onSave={(name) => onRename(project.id, name)}
+          className="font-medium text-gray-900"
+        />
+        <p className="text-xs text-gray-500">
+          {stats.completed} of {stats.total} task{stats.total === 1 ? '' : 's'} done · {stats.completionRate}%
+        </p>
+      </div>
+      <Link
+        to={projectTasksPath(project.id)}
+        className="text-sm font-medium text-blue-600 hover:text-blue-700"
+        aria-label={`View tasks in ${project.name}`}
+      >
+        View tasks
+      </Link>
+      <Button size="sm" variant="secondary" onClick={() => onArchive(project.id, !project.archived)}>
+        {project.archived ? 'Unarchive' : 'Archive'}
+      </Button>
+      <Button size="sm" variant="danger" onClick={() => onDelete(project)} aria-label={`Delete ${project.name}`}>
+        Delete
+      </Button>
+    </li>
+  );
+}
+
+// Deleting a project asks what happens to its tasks
+function DeleteProjectDialog({ project, onClose }) {
+  const { projects, deleteProject } = useProjects();
+  const { tasks, moveProjectTasks, deleteProjectTasks } = useTasks();
+  const [taskAction, setTaskAction] = useState('move');
+  const [targetId, setTargetId] = useState('');
+
+  const taskCount = getProjectTasks(tasks, project.id).length;
+  const otherProjects = projects.filter(other => other.id !== project.id && !other.archived);
+  const taskLabel = `${taskCount} task${taskCount === 1 ? '' : 's'}`;
+
+  const handleConfirm = () => {
+    if (taskAction === 'delete') deleteProjectTasks(project.id);
+    else moveProjectTasks(project.id, targetId || null);
+    deleteProject(project.id);
+    onClose();
+  };
+
+  return (
+    <ConfirmDialog
+      isOpen
+      title={`Delete "${project.name}"?`}
+      message={taskCount === 0
+        ? 'This project has no tasks.'
+        : `This project has ${taskLabel}. What should happen to them?`}
+      confirmLabel="Delete Project"
+      onConfirm={handleConfirm}
+      onCancel={onClose}
+    >
+      {taskCount > 0 && (
+        <fieldset className="space-y-3 text-sm text-gray-700">
+          <legend className="sr-only">Tasks in this project</legend>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="project-task-action"
+              checked={taskAction === 'move'}
+              onChange={() => setTaskAction('move')}
+            />
+            Move {taskLabel} to
+          </label>
+          <select
+            aria-label="Move tasks to"
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            disabled={taskAction !== 'move'}
+            className="ml-6 px-2 py-1 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            <option value="">No project</option>
+            {otherProjects.map(other => (
+              <option key={other.id} value={other.id}>{other.name}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="project-task-action"
+              checked={taskAction === 'delete'}
+              onChange={() => setTaskAction('delete')}
+            />
+            Delete {taskLabel}
+          </label>
+        </fieldset>
+      )}
+    </ConfirmDialog>
+  );
+}
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { ProjectProvider } from '../context/ProjectContext';
+import { TaskProvider, useTasks } from '../context/TaskContext';
+import { seedStoredTasks } from '../test/seedTasks';
+import NavbarTailwind from '../components/layout/NavbarTailwind';
+import Projects from './Projects';
+
+const PROJECTS_KEY = 'taskmaster-react-projects';
+
+function UndoButton() {
+  const { undo, canUndo } = useTasks();
+  return <button type="button" onClick={undo} disabled={!canUndo}>Undo</button>;
+}
+
+const renderProjects = () => {
+  return render(
+    <MemoryRouter initialEntries={['/projects']}>
+      <ProjectProvider>
+        <TaskProvider>
+          <NavbarTailwind />
+          <UndoButton />
+          <Routes>
+            <Route path="/projects" element={<Projects />} />
+            <Route path="/projects/:projectId/tasks" element={<h1>Project tasks</h1>} />
+          </Routes>
+        </TaskProvider>
+      </ProjectProvider>
+    </MemoryRouter>
+  );
+};
+
+const storedProjects = () => JSON.parse(localStorage.getItem(PROJECTS_KEY));
+const storedTasks = () => JSON.parse(localStorage.getItem('taskmaster-react-tasks')).tasks;
+
+const task = (id, projectId, status = 'pending') => ({ id, title: `Task ${id}`, description: '', priority: 'low', status, projectId });
+
+describe('Projects Page (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify([
+      { id: 'web', name: 'Website', archived: false },
+      { id: 'app', name: 'Mobile app', archived: false },
+    ]));
+    seedStoredTasks([task(1, 'web'), task(2, 'web', 'completed'), task(3, null)]);
+  });
+
+  it('lists projects with their stats', () => {
+    renderProjects();
+    const active = screen.getByRole('region', { name: 'Active' });
+
+    expect(within(active).getByText('1 of 2 tasks done · 50%')).toBeInTheDocument();
+    expect(within(active).getByText('0 of 0 tasks done · 0%')).toBeInTheDocument();
+  });
+
+  it('creates projects with unique names', async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.type(screen.getByLabelText('New project'), 'website');
+    await user.click(screen.getByRole('button', { name: /create project/i }));
+    expect(screen.getByText('A project named "website" already exists')).toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText('New project'));
+    await user.type(screen.getByLabelText('New project'), 'Marketing{Enter}');
+    expect(storedProjects().map(project => project.name)).toEqual(['Website', 'Mobile app', 'Marketing']);
+  });
+
+  it('renames and archives projects', async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.click(screen.getByRole('button', { name: 'Edit project "Website"' }));
+    await user.clear(screen.getByLabelText('project "Website"'));
+    await user.type(screen.getByLabelText('project "Website"'), 'Web{Enter}');
+    expect(storedProjects()[0].name).toBe('Web');
+
+    const active = screen.getByRole('region', { name: 'Active' });
+    await user.click(within(active).getAllByRole('button', { name: 'Archive' })[0]);
+
+    const archived = screen.getByRole('region', { name: 'Archived' });
+    expect(within(archived).getByText('Web')).toBeInTheDocument();
+    expect(screen.getByLabelText('Switch project')).not.toHaveTextContent('Web');
+  });
+
+  it('moves tasks to another project when deleting', async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.click(screen.getByRole('button', { name: 'Delete Website' }));
+    expect(screen.getByText('This project has 2 tasks. What should happen to them?')).toBeInTheDocument();
+    await user.selectOptions(screen.getByLabelText('Move tasks to'), 'app');
+    await user.click(screen.getByRole('button', { name: 'Delete Project' }));
+
+    expect(storedProjects().map(project => project.id)).toEqual(['app']);
+    expect(storedTasks().map(stored => stored.projectId)).toEqual(['app', 'app', null]);
+  });
+
+  it('can delete the tasks together with the project', async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.click(screen.getByRole('button', { name: 'Delete Website' }));
+    await user.click(screen.getByLabelText('Delete 2 tasks'));
+    await user.click(screen.getByRole('button', { name: 'Delete Project' }));
+
+    expect(storedTasks().map(stored => stored.id)).toEqual([3]);
+  });
+
+  it("can't undo back to tasks of a deleted project", async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.click(screen.getByRole('button', { name: 'Delete Website' }));
+    await user.click(screen.getByLabelText('Delete 2 tasks'));
+    await user.click(screen.getByRole('button', { name: 'Delete Project' }));
+
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+    expect(storedTasks().map(stored => stored.id)).toEqual([3]);
+    expect(storedProjects().map(project => project.id)).toEqual(['app']);
+  });
+
+  it('switches projects from the navbar', async () => {
+    const user = userEvent.setup();
+    renderProjects();
+
+    await user.selectOptions(screen.getByLabelText('Switch project'), 'app');
+
+    expect(screen.getByRole('heading', { name: 'Project tasks' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Switch project')).toHaveValue('app');
+  });
+});
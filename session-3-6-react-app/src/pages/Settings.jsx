@@ -1,10 +1,492 @@
-function Settings() {
+/**
+ * SETTINGS PAGE (SESSIONS 4-6)
+ *
+ * Demonstrates:
+ * - SESSION 4: Controlled form with radio buttons and validation
+ * - SESSION 5: Reading/writing a second context (useSettings)
+ * - SESSION 4: Dispatching workspace-wide actions (sample data, reset,
+ *   renaming and merging tags), editing the board workflow
+ * - SESSION 6: Tailwind CSS form layout
+ */
+
+import { useState } from 'react';
+import { useSettings } from '../context/useSettings';
+import { useTasks } from '../context/TaskContext';
+import { STORAGE_BACKENDS, isValidStorageConfig } from '../services/storage';
+import Button from '../components/ui/Button';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import InlineEdit from '../components/ui/InlineEdit';
+import TagChip from '../components/ui/TagChip';
+import { TAG_COLORS, getAllTags, getTagColor, normalizeTag } from '../utils/tags';
+import { REMINDER_LEAD_TIMES, supportsNotifications } from '../utils/reminders';
+import { COLUMN_KINDS, countByKind, createColumn, groupTasksByColumn, normalizeColumns, validateColumnName } from '../utils/board';
+
+export default function Settings() {
   return (
-    <div className="page">
-      <h1>Settings</h1>
-      <p>This page will show app settings (SESSION 4 demo with forms)</p>
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="mt-1 text-gray-600">Choose where TaskMaster keeps your data and manage your workspace.</p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <StorageSettings />
+        <TagSettings />
+        <BoardSettings />
+        <ReminderSettings />
+        <WorkspaceSettings />
+      </div>
     </div>
   );
 }
 
-export default Settings;
+// SESSION 3: Reusable card wrapper for each settings section
+function SettingsSection({ title, description, children }) {
+  return (
+    <section className="bg-white rounded-xl shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+      {description && <p className="text-sm text-gray-600 mt-1 mb-4">{description}</p>}
+      {children}
+    </section>
+  );
+}
+
+function StorageSettings() {
+  const { settings, updateSettings } = useSettings();
+
+  // SESSION 4: Form state starts from the saved settings
+  const [formData, setFormData] = useState(settings.storage);
+  const [error, setError] = useState('');
+  const [savedMessage, setSavedMessage] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+    setSavedMessage('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!isValidStorageConfig(formData)) {
+      setError('Enter a valid API URL, e.g. https://api.example.com');
+      return;
+    }
+
+    updateSettings('storage', formData);
+    setSavedMessage('Storage backend saved. Tasks are now loaded from the selected backend.');
+  };
+
+  return (
+    <SettingsSection
+      title="Storage"
+      description="Switching backends loads the tasks stored there. Existing tasks are not copied over."
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <fieldset className="space-y-2">
+          <legend className="sr-only">Storage backend</legend>
+          {STORAGE_BACKENDS.map(backend => (
+            <label key={backend.type} className="flex items-center gap-3 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="type"
+                value={backend.type}
+                checked={formData.type === backend.type}
+                onChange={handleChange}
+                className="text-blue-600 focus:ring-blue-500"
+              />
+              {backend.label}
+            </label>
+          ))}
+        </fieldset>
+
+        {formData.type === 'rest' && (
+          <div>
+            <label htmlFor="restUrl" className="block text-sm font-medium text-gray-700 mb-1">
+              API URL
+            </label>
+            <input
+              type="url"
+              id="restUrl"
+              name="restUrl"
+              value={formData.restUrl}
+              onChange={handleChange}
+              placeholder="https://api.example.com"
+              className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+                error ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Tasks are read with GET and written with PUT to <code>/tasks</code> under this URL.
+            </p>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {savedMessage && <p className="text-sm text-green-700" role="status">{savedMessage}</p>}
+
+        <div className="flex justify-end">
+          <Button type="submit">Save Storage Settings</Button>
+        </div>
+      </form>
+    </SettingsSection>
+  );
+}
+
+const validateTagName = (value) => (normalizeTag(value) ? '' : 'Tag name cannot be empty');
+
+function TagSettings() {
+  const { tasks, renameTag, mergeTags } = useTasks();
+  const { settings, updateSettings } = useSettings();
+  const colors = settings.tags.colors;
+  const tags = getAllTags(tasks);
+
+  // The color belongs to the name, so it moves when a tag is renamed and
+  // is dropped when a tag is merged into another one
+  const moveColor = (from, to) => {
+    const { [from]: color, ...rest } = colors;
+    const next = to && color && !rest[to] ? { ...rest, [to]: color } : rest;
+    updateSettings('tags', { colors: next });
+  };
+
+  const handleRename = (tag, value) => {
+    const name = normalizeTag(value);
+    if (name === tag) return;
+
+    if (tags.some(other => other.name === name)) {
+      mergeTags([tag], name);
+      moveColor(tag, null);
+    } else {
+      renameTag(tag, name);
+      moveColor(tag, name);
+    }
+  };
+
+  const handleMerge = (tag, into) => {
+    mergeTags([tag], into);
+    moveColor(tag, null);
+  };
+
+  return (
+    <SettingsSection
+      title="Tags"
+      description="Pick a color for each tag. Renaming a tag to one that already exists merges the two."
+    >
+      {tags.length === 0 ? (
+        <p className="text-sm text-gray-500">No tags yet - add them to tasks when creating or editing them.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100" aria-label="Tags">
+          {tags.map(tag => (
+            <li key={tag.name} className="flex flex-wrap items-center gap-3 py-3">
+              <TagChip name={tag.name} />
+              <div className="flex-1 min-w-[8rem] text-sm">
+                <InlineEdit
+                  label={`tag "${tag.name}"`}
+                  value={tag.name}
+                  validate={validateTagName}
+                  onSave={(value) => handleRename(tag.name, value)}
+                />
+              </div>
+              <span className="text-xs text-gray-500">
+                {tag.count} task{tag.count === 1 ? '' : 's'}
+              </span>
+              <select
+                aria-label={`Color for ${tag.name}`}
+                value={getTagColor(tag.name, colors)}
+                onChange={(e) => updateSettings('tags', { colors: { ...colors, [tag.name]: e.target.value } })}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.entries(TAG_COLORS).map(([key, color]) => (
+                  <option key={key} value={key}>{color.label}</option>
+                ))}
+              </select>
+              {tags.length > 1 && (
+                <select
+                  aria-label={`Merge ${tag.name} into`}
+                  value=""
+                  onChange={(e) => handleMerge(tag.name, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="" disabled>Merge into...</option>
+                  {tags.filter(other => other.name !== tag.name).map(other => (
+                    <option key={other.name} value={other.name}>#{other.name}</option>
+                  ))}
+                </select>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </SettingsSection>
+  );
+}
+
+// Open columns can be renamed, reordered, removed and marked as "to do" or
+// "in progress"; the Done column always stays last
+function BoardSettings() {
+  const { tasks } = useTasks();
+  const { settings, updateSettings } = useSettings();
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+
+  const columns = settings.board.columns;
+  const openColumns = columns.filter(column => column.kind !== 'done');
+  const groups = groupTasksByColumn(tasks, columns);
+  const counts = countByKind(tasks, columns);
+
+  const saveColumns = (next) => updateSettings('board', { columns: normalizeColumns(next) });
+
+  const updateColumn = (id, changes) => saveColumns(columns.map(column =>
+    column.id === id ? { ...column, ...changes } : column
+  ));
+
+  const moveColumn = (index, offset) => {
+    const next = [...openColumns];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    saveColumns([...next, ...columns.filter(column => column.kind === 'done')]);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const validationError = validateColumnName(newName, columns);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    saveColumns([...openColumns, createColumn(newName, columns), ...columns.filter(column => column.kind === 'done')]);
+    setNewName('');
+  };
+
+  return (
+    <SettingsSection
+      title="Board columns"
+      description={`The workflow of the board. Tasks in "in progress" columns count as In Progress (${counts.active} right now). Tasks in a removed column move to the first one.`}
+    >
+      <ul className="divide-y divide-gray-100" aria-label="Board columns">
+        {columns.map((column, index) => {
+          const isDone = column.kind === 'done';
+          const taskCount = groups[column.id].length;
+          return (
+            <li key={column.id} className="flex flex-wrap items-center gap-3 py-3">
+              <div className="flex-1 min-w-[8rem] text-sm">
+                <InlineEdit
+                  label={`column "${column.name}"`}
+                  value={column.name}
+                  validate={(value) => validateColumnName(value, columns, column.id)}
+                  onSave={(name) => updateColumn(column.id, { name: name.trim() })}
+                />
+              </div>
+              <span className="text-xs text-gray-500">
+                {taskCount} task{taskCount === 1 ? '' : 's'}
+              </span>
+              {isDone ? (
+                <span className="text-xs text-gray-500">Completed tasks</span>
+              ) : (
+                <>
+                  <select
+                    aria-label={`Type of ${column.name}`}
+                    value={column.kind}
+                    onChange={(e) => updateColumn(column.id, { kind: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                  >
+                    {COLUMN_KINDS.filter(kind => kind.value !== 'done').map(kind => (
+                      <option key={kind.value} value={kind.value}>{kind.label}</option>
+                    ))}
+                  </select>
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${column.name} left`}
+                  >
+                    ←
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === openColumns.length - 1}
+                    aria-label={`Move ${column.name} right`}
+                  >
+                    →
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="danger"
+                    onClick={() => saveColumns(columns.filter(other => other.id !== column.id))}
+                    disabled={openColumns.length === 1}
+                    aria-label={`Remove ${column.name}`}
+                  >
+                    Remove
+                  </Button>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleAdd} className="mt-4">
+        <label htmlFor="column-name" className="block text-sm font-medium text-gray-700 mb-1">
+          New column
+        </label>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            id="column-name"
+            value={newName}
+            onChange={(e) => {
+              setNewName(e.target.value);
+              setError('');
+            }}
+            placeholder="e.g. Testing"
+            className={`flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all ${
+              error ? 'border-red-500' : 'border-gray-300'
+            }`}
+          />
+          <Button type="submit" variant="outline">Add Column</Button>
+        </div>
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      </form>
+    </SettingsSection>
+  );
+}
+
+// Turning reminders on asks for the browser's notification permission first
+function ReminderSettings() {
+  const { settings, updateSettings } = useSettings();
+  const { enabled, leadMinutes } = settings.reminders;
+  const [permission, setPermission] = useState(() =>
+    supportsNotifications() ? Notification.permission : 'unsupported'
+  );
+
+  const handleToggle = async (checked) => {
+    if (!checked) {
+      updateSettings('reminders', { enabled: false });
+      return;
+    }
+    const result = permission === 'granted' ? permission : await Notification.requestPermission();
+    setPermission(result);
+    updateSettings('reminders', { enabled: result === 'granted' });
+  };
+
+  const isBlocked = permission === 'unsupported' || permission === 'denied';
+
+  return (
+    <SettingsSection
+      title="Reminders"
+      description="Get a browser notification before a task is due. Reminders only appear while TaskMaster is open."
+    >
+      <div className="space-y-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={enabled && permission === 'granted'}
+            disabled={isBlocked}
+            onChange={(e) => handleToggle(e.target.checked)}
+            className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+          />
+          Remind me before tasks are due
+        </label>
+        {permission === 'unsupported' && (
+          <p className="text-sm text-gray-500">This browser does not support notifications.</p>
+        )}
+        {permission === 'denied' && (
+          <p className="text-sm text-red-600">
+            Notifications are blocked for this site. Allow them in your browser settings to get reminders.
+          </p>
+        )}
+        <div>
+          <label htmlFor="reminder-lead" className="block text-sm font-medium text-gray-700 mb-1">
+            Remind me
+          </label>
+          <select
+            id="reminder-lead"
+            value={leadMinutes}
+            disabled={!enabled}
+            onChange={(e) => updateSettings('reminders', { leadMinutes: Number(e.target.value) })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {REMINDER_LEAD_TIMES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </SettingsSection>
+  );
+}
+
+// Confirmation copy for each workspace action
+const WORKSPACE_ACTIONS = {
+  sample: {
+    title: 'Load Sample Data',
+    message: 'Replace your current tasks with the sample tasks? You can undo this right after.',
+    confirmLabel: 'Load Sample Data',
+    confirmVariant: 'primary',
+  },
+  reset: {
+    title: 'Reset Workspace',
+    message: 'Delete every task and start with an empty workspace? You can undo this right after.',
+    confirmLabel: 'Reset Workspace',
+    confirmVariant: 'danger',
+  },
+};
+
+function WorkspaceSettings() {
+  const { tasks, loadError, loadSampleData, resetWorkspace } = useTasks();
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const runAction = (action) => {
+    if (action === 'sample') loadSampleData();
+    else resetWorkspace();
+  };
+
+  // Only ask when there is something to lose
+  const handleAction = (action) => {
+    if (tasks.length === 0) runAction(action);
+    else setPendingAction(action);
+  };
+
+  const handleConfirm = () => {
+    runAction(pendingAction);
+    setPendingAction(null);
+  };
+
+  return (
+    <SettingsSection
+      title="Workspace"
+      description="Try TaskMaster with example tasks, or clear everything and start fresh."
+    >
+      {loadError && (
+        <p className="text-sm text-red-600 mb-4">
+          Your tasks could not be loaded, so the workspace can't be changed right now.
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <Button variant="outline" onClick={() => handleAction('sample')} disabled={Boolean(loadError)}>
+          Load Sample Data
+        </Button>
+        <Button
+          variant="danger"
+          onClick={() => handleAction('reset')}
+          disabled={Boolean(loadError) || tasks.length === 0}
+        >
+          Reset Workspace
+        </Button>
+      </div>
+
+      <ConfirmDialog
+        isOpen={pendingAction !== null}
+        {...WORKSPACE_ACTIONS[pendingAction]}
+        onConfirm={handleConfirm}
+        onCancel={() => setPendingAction(null)}
+      />
+    </SettingsSection>
+  );
+}
@@ -0,0 +1,219 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { SettingsProvider } from '../context/SettingsContext';
+import { TaskProvider } from '../context/TaskContext';
+import { seedStoredTasks } from '../test/seedTasks';
+import Settings from './Settings';
+
+const renderSettings = () => {
+  return render(
+    <MemoryRouter>
+      <SettingsProvider>
+        <TaskProvider>
+          <Settings />
+        </TaskProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+const storedSettings = () => JSON.parse(localStorage.getItem('taskmaster-react-settings'));
+const storedTasks = () => JSON.parse(localStorage.getItem('taskmaster-react-tasks'))?.tasks ?? null;
+
+describe('Settings Page (Sessions 4-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('defaults to browser storage', () => {
+    renderSettings();
+    expect(screen.getByLabelText(/localstorage/i)).toBeChecked();
+  });
+
+  it('falls back to browser storage when the stored backend is unusable', () => {
+    localStorage.setItem('taskmaster-react-settings', JSON.stringify({
+      storage: { type: 'rest', restUrl: '' },
+      reminders: { leadMinutes: 180 },
+    }));
+    renderSettings();
+
+    expect(screen.getByLabelText(/localstorage/i)).toBeChecked();
+    expect(storedSettings().storage).toEqual({ type: 'local', restUrl: '' });
+    expect(storedSettings().reminders.leadMinutes).toBe(180);
+  });
+
+  it('requires a valid URL for the REST backend', async () => {
+    const user = userEvent.setup();
+    renderSettings();
+
+    await user.click(screen.getByLabelText(/rest api/i));
+    await user.click(screen.getByRole('button', { name: /save storage settings/i }));
+
+    expect(screen.getByText(/enter a valid api url/i)).toBeInTheDocument();
+    expect(storedSettings().storage.type).toBe('local');
+  });
+
+  it('saves the selected backend', async () => {
+    const user = userEvent.setup();
+    renderSettings();
+
+    await user.click(screen.getByLabelText(/rest api/i));
+    await user.type(screen.getByLabelText(/api url/i), 'https://api.example.com');
+    await user.click(screen.getByRole('button', { name: /save storage settings/i }));
+
+    expect(storedSettings().storage).toEqual({ type: 'rest', restUrl: 'https://api.example.com' });
+    expect(screen.getByRole('status')).toHaveTextContent(/storage backend saved/i);
+  });
+
+  describe('tags', () => {
+    const tagged = (tags) => ({ id: tags.join('-'), title: `Task ${tags.join(' ')}`, description: '', priority: 'low', status: 'pending', tags });
+
+    beforeEach(() => {
+      seedStoredTasks([tagged(['frontend', 'bug']), tagged(['ui'])]);
+    });
+
+    it('lists tags with their task counts', () => {
+      renderSettings();
+      const list = screen.getByRole('list', { name: 'Tags' });
+
+      expect(list).toHaveTextContent('#bug');
+      expect(list).toHaveTextContent('#frontend');
+      expect(list).toHaveTextContent('1 task');
+    });
+
+    it('renames a tag and keeps its color', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.selectOptions(screen.getByLabelText('Color for bug'), 'purple');
+      await user.click(screen.getByRole('button', { name: 'Edit tag "bug"' }));
+      await user.clear(screen.getByLabelText('tag "bug"'));
+      await user.type(screen.getByLabelText('tag "bug"'), 'Defect{Enter}');
+
+      expect(storedTasks()[0].tags).toEqual(['frontend', 'defect']);
+      expect(storedSettings().tags.colors).toEqual({ defect: 'purple' });
+    });
+
+    it('merges one tag into another', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.selectOptions(screen.getByLabelText('Merge frontend into'), 'ui');
+
+      expect(storedTasks().map(task => task.tags)).toEqual([['ui', 'bug'], ['ui']]);
+      expect(screen.queryByLabelText('Color for frontend')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('board columns', () => {
+    const columnNames = () => storedSettings().board.columns.map(column => column.name);
+
+    it('adds, reorders and removes columns, keeping Done last', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.type(screen.getByLabelText('New column'), 'Testing{Enter}');
+      expect(columnNames()).toEqual(['Backlog', 'In Progress', 'Review', 'Testing', 'Done']);
+
+      await user.click(screen.getByRole('button', { name: 'Move Testing left' }));
+      await user.click(screen.getByRole('button', { name: 'Remove Backlog' }));
+      expect(columnNames()).toEqual(['In Progress', 'Testing', 'Review', 'Done']);
+      expect(screen.queryByRole('button', { name: 'Remove Done' })).not.toBeInTheDocument();
+    });
+
+    it('renames columns and changes their type', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.click(screen.getByRole('button', { name: 'Edit column "Review"' }));
+      await user.clear(screen.getByLabelText('column "Review"'));
+      await user.type(screen.getByLabelText('column "Review"'), 'QA{Enter}');
+      await user.selectOptions(screen.getByLabelText('Type of QA'), 'todo');
+
+      expect(storedSettings().board.columns[2]).toEqual({ id: 'review', name: 'QA', kind: 'todo' });
+    });
+
+    it('rejects duplicate column names', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.type(screen.getByLabelText('New column'), 'review{Enter}');
+
+      expect(screen.getByText('A column named "review" already exists')).toBeInTheDocument();
+    });
+  });
+
+  describe('reminders', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const stubNotification = (permission, answer) => {
+      vi.stubGlobal('Notification', { permission, requestPermission: vi.fn().mockResolvedValue(answer) });
+    };
+
+    it('asks for permission before turning reminders on', async () => {
+      stubNotification('default', 'granted');
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.click(screen.getByLabelText(/remind me before tasks are due/i));
+      await user.selectOptions(screen.getByLabelText('Remind me'), '1 day before');
+
+      expect(Notification.requestPermission).toHaveBeenCalled();
+      expect(storedSettings().reminders).toEqual({ enabled: true, leadMinutes: 1440 });
+    });
+
+    it('stays off when notifications are blocked', async () => {
+      stubNotification('default', 'denied');
+      const user = userEvent.setup();
+      renderSettings();
+
+      await user.click(screen.getByLabelText(/remind me before tasks are due/i));
+
+      expect(screen.getByText(/notifications are blocked/i)).toBeInTheDocument();
+      expect(screen.getByLabelText(/remind me before tasks are due/i)).toBeDisabled();
+      expect(storedSettings().reminders.enabled).toBe(false);
+    });
+  });
+
+  describe('workspace', () => {
+    it('loads sample data into an empty workspace without asking', async () => {
+      const user = userEvent.setup();
+      renderSettings();
+
+      expect(screen.getByRole('button', { name: /reset workspace/i })).toBeDisabled();
+      await user.click(screen.getByRole('button', { name: /load sample data/i }));
+
+      expect(storedTasks()).toHaveLength(4);
+      expect(screen.queryByRole('heading', { name: /load sample data/i })).not.toBeInTheDocument();
+    });
+
+    it('asks before replacing existing tasks with sample data', async () => {
+      const user = userEvent.setup();
+      seedStoredTasks([{ id: 1, title: 'Mine', description: '', priority: 'low', status: 'pending' }]);
+      renderSettings();
+
+      await user.click(screen.getByRole('button', { name: /load sample data/i }));
+      await user.click(screen.getByRole('button', { name: /cancel/i }));
+      expect(storedTasks().map(task => task.title)).toEqual(['Mine']);
+
+      await user.click(screen.getByRole('button', { name: /load sample data/i }));
+      await user.click(screen.getAllByRole('button', { name: /load sample data/i }).at(-1));
+      expect(storedTasks()).toHaveLength(4);
+    });
+
+    it('resets the workspace to an empty, persisted list', async () => {
+      const user = userEvent.setup();
+      seedStoredTasks();
+      renderSettings();
+
+      await user.click(screen.getByRole('button', { name: /reset workspace/i }));
+      await user.click(screen.getAllByRole('button', { name: /reset workspace/i }).at(-1));
+
+      expect(storedTasks()).toEqual([]);
+    });
+  });
+});
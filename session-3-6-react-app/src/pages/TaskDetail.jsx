@@ -1,29 +1,345 @@
-import { useParams, useNavigate } from 'react-router-dom';
+/**
+ * TASK DETAIL PAGE (SESSIONS 3-6)
+ *
+ * Demonstrates:
+ * - SESSION 3: Composition (InlineEdit, ConfirmDialog, timeline items)
+ * - SESSION 4: Updating global state field by field
+ * - SESSION 5: useParams / useNavigate for deep links like /tasks/42
+ * - SESSION 6: Tailwind CSS two-column detail layout
+ */
+
+import { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useTasks } from '../context/TaskContext';
+import { useProjects } from '../context/useProjects';
+import { getTaskTimeline, describeChange } from '../utils/taskActivity';
+import Button from '../components/ui/Button';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import InlineEdit from '../components/ui/InlineEdit';
+import SubtaskList from '../components/features/SubtaskList';
+import TagPicker from '../components/features/TagPicker';
+import RecurrenceEditor from '../components/features/RecurrenceEditor';
+import { getAllTags } from '../utils/tags';
+import { getUpcomingDates } from '../utils/recurrence';
+import { toDateKey, formatDate, formatTime, formatDueDate } from '../utils/dates';
+
+const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+];
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'completed', label: 'Completed' },
+];
+
+const priorityStyles = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700',
+};
+
+const timelineIcons = {
+  created: '🆕',
+  updated: '✏️',
+  completed: '✅',
+  reopened: '↩️',
+};
+
+const timelineTitles = {
+  created: 'Task created',
+  updated: 'Task updated',
+  completed: 'Marked as completed',
+  reopened: 'Reopened',
+};
+
+// Same rules as the TaskModal form
+const validateTitle = (value) => {
+  if (!value.trim()) return 'Title is required';
+  if (value.trim().length < 3) return 'Title must be at least 3 characters';
+  return '';
+};
+
+const validateDescription = (value) =>
+  value && value.length < 10 ? 'Description must be at least 10 characters' : '';
 
-function TaskDetail() {
+const formatDateTime = (isoString) =>
+  isoString ? new Date(isoString).toLocaleString() : '—';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+export default function TaskDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { tasks } = useTasks();
+  const { tasks, updateTask, toggleTask, deleteTask } = useTasks();
+  const { activeProjects, getProject } = useProjects();
+  const [isDeleteConfirmOpen, setIsDeleteConfirmOpen] = useState(false);
 
-  const task = tasks.find(t => t.id === parseInt(id));
+  // Route params are strings; ids may be numbers or (imported, REST) strings
+  const task = tasks.find(t => String(t.id) === id);
 
   if (!task) {
     return (
-      <div className="page">
-        <h1>Task Not Found</h1>
-        <button onClick={() => navigate('/tasks')}>Back to Tasks</button>
+      <div className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <div className="text-6xl mb-4">🔍</div>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Task Not Found</h1>
+        <p className="text-gray-600 mb-6">It may have been deleted, or the link is wrong.</p>
+        <Button onClick={() => navigate('/tasks')}>Back to Tasks</Button>
       </div>
     );
   }
 
+  const isCompleted = task.status === 'completed';
+  const timeline = getTaskTimeline(task);
+
+  const handleDelete = () => {
+    deleteTask(task.id);
+    navigate('/tasks');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <Link to="/tasks" className="text-blue-600 hover:text-blue-700 font-medium text-sm">
+          ← Back to Tasks
+        </Link>
+
+        {/* Header */}
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${priorityStyles[task.priority]}`}>
+              {capitalize(task.priority)}
+            </span>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              isCompleted ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'
+            }`}>
+              {isCompleted ? '✓ Done' : 'Pending'}
+            </span>
+          </div>
+
+          <h1 className={`text-3xl font-bold ${isCompleted ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+            <InlineEdit
+              label="title"
+              value={task.title}
+              validate={validateTitle}
+              onSave={(title) => updateTask(task.id, { title: title.trim() })}
+            />
+          </h1>
+
+          <div className="mt-4 text-gray-700 whitespace-pre-line">
+            <InlineEdit
+              label="description"
+              type="textarea"
+              value={task.description}
+              validate={validateDescription}
+              placeholder="Add a description..."
+              onSave={(description) => updateTask(task.id, { description })}
+            />
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap gap-3 mt-6 pt-6 border-t">
+            <Button variant={isCompleted ? 'secondary' : 'success'} onClick={() => toggleTask(task.id)}>
+              {isCompleted ? 'Reopen' : 'Complete'}
+            </Button>
+            <Button variant="danger" onClick={() => setIsDeleteConfirmOpen(true)}>
+              Delete
+            </Button>
+          </div>
+        </div>
+
+        {/* Checklist */}
+        <section className="bg-white rounded-xl shadow-sm p-6" aria-labelledby="subtasks-heading">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 id="subtasks-heading" className="text-lg font-semibold text-gray-900">Subtasks</h2>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(task.autoComplete)}
+                onChange={(e) => updateTask(task.id, { autoComplete: e.target.checked })}
+                className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+              />
+              Complete the task when all subtasks are done
+            </label>
+          </div>
+          <SubtaskList
+            subtasks={task.subtasks}
+            onChange={(subtasks) => updateTask(task.id, { subtasks })}
+          />
+        </section>
+
+        {/* Recurrence and upcoming schedule */}
+        <section className="bg-white rounded-xl shadow-sm p-6" aria-labelledby="repeat-heading">
+          <h2 id="repeat-heading" className="text-lg font-semibold text-gray-900 mb-4">Repeat</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <RecurrenceEditor
+              idPrefix="task-recurrence"
+              value={task.recurrence ?? null}
+              onChange={(recurrence) => updateTask(task.id, { recurrence })}
+              dueDate={task.dueDate}
+            />
+            {task.recurrence && <UpcomingSchedule task={task} tasks={tasks} />}
+          </div>
+        </section>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Details */}
+          <section className="bg-white rounded-xl shadow-sm p-6 lg:col-span-1" aria-labelledby="details-heading">
+            <h2 id="details-heading" className="text-lg font-semibold text-gray-900 mb-4">Details</h2>
+            <dl className="space-y-4 text-sm">
+              <DetailRow term="Priority">
+                <InlineEdit
+                  label="priority"
+                  type="select"
+                  options={PRIORITY_OPTIONS}
+                  value={task.priority}
+                  renderValue={capitalize}
+                  onSave={(priority) => updateTask(task.id, { priority })}
+                />
+              </DetailRow>
+              <DetailRow term="Status">
+                <InlineEdit
+                  label="status"
+                  type="select"
+                  options={STATUS_OPTIONS}
+                  value={task.status}
+                  renderValue={capitalize}
+                  onSave={(status) => updateTask(task.id, { status })}
+                />
+              </DetailRow>
+              <DetailRow term="Due date">
+                <InlineEdit
+                  label="due date"
+                  type="date"
+                  value={task.dueDate}
+                  placeholder="No due date"
+                  renderValue={formatDate}
+                  onSave={(dueDate) => updateTask(task.id, dueDate ? { dueDate } : { dueDate, dueTime: '' })}
+                />
+              </DetailRow>
+              <DetailRow term="Due time">
+                {task.dueDate ? (
+                  <InlineEdit
+                    label="due time"
+                    type="time"
+                    value={task.dueTime}
+                    placeholder="All day"
+                    renderValue={formatTime}
+                    onSave={(dueTime) => updateTask(task.id, { dueTime })}
+                  />
+                ) : (
+                  <span className="text-gray-400 italic">Set a due date first</span>
+                )}
+              </DetailRow>
+              <DetailRow term="Project">
+                <InlineEdit
+                  label="project"
+                  type="select"
+                  options={[
+                    { value: '', label: 'No project' },
+                    ...activeProjects.map(project => ({ value: project.id, label: project.name })),
+                  ]}
+                  value={getProject(task.projectId) ? task.projectId : ''}
+                  placeholder="No project"
+                  renderValue={(projectId) => getProject(projectId).name}
+                  onSave={(projectId) => updateTask(task.id, { projectId: projectId || null })}
+                />
+              </DetailRow>
+              <DetailRow term="Tags">
+                <label htmlFor="task-tags" className="sr-only">Tags</label>
+                <TagPicker
+                  inputId="task-tags"
+                  tags={task.tags || []}
+                  onChange={(tags) => updateTask(task.id, { tags })}
+                  suggestions={getAllTags(tasks).map(tag => tag.name)}
+                />
+              </DetailRow>
+              <DetailRow term="Created">{formatDateTime(task.createdAt)}</DetailRow>
+              <DetailRow term="Last updated">{formatDateTime(task.updatedAt)}</DetailRow>
+              <DetailRow term="Completed">{formatDateTime(task.completedAt)}</DetailRow>
+            </dl>
+          </section>
+
+          {/* Activity Timeline */}
+          <section className="bg-white rounded-xl shadow-sm p-6 lg:col-span-2" aria-labelledby="activity-heading">
+            <h2 id="activity-heading" className="text-lg font-semibold text-gray-900 mb-4">Activity</h2>
+            {timeline.length === 0 ? (
+              <p className="text-gray-500 text-sm">No activity recorded yet.</p>
+            ) : (
+              <ol className="relative border-l border-gray-200 ml-3 space-y-6">
+                {timeline.map((entry, index) => (
+                  <li key={`${entry.at}-${index}`} className="ml-6">
+                    <span className="absolute -left-3 flex items-center justify-center w-6 h-6 bg-white rounded-full text-sm">
+                      {timelineIcons[entry.type]}
+                    </span>
+                    <p className="font-medium text-gray-900">{timelineTitles[entry.type]}</p>
+                    {entry.changes.length > 0 && (
+                      <ul className="text-sm text-gray-600 list-disc ml-4">
+                        {entry.changes.map(change => (
+                          <li key={change.field}>{describeChange(change)}</li>
+                        ))}
+                      </ul>
+                    )}
+                    <time dateTime={entry.at} className="text-xs text-gray-500">
+                      {formatDateTime(entry.at)}
+                    </time>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={isDeleteConfirmOpen}
+        title="Delete Task?"
+        message="Are you sure you want to delete this task? You can undo this right after."
+        confirmLabel="Delete"
+        onConfirm={handleDelete}
+        onCancel={() => setIsDeleteConfirmOpen(false)}
+      />
+    </div>
+  );
+}
+
+// The next due dates of a recurring task
+function UpcomingSchedule({ task, tasks }) {
+  const { recurrence } = task;
+  const upcoming = getUpcomingDates(recurrence, task.dueDate || toDateKey(new Date()), 5);
+  const nextTask = tasks.find(other => other.id === task.nextOccurrenceId);
+
   return (
-    <div className="page">
-      <h1>{task.title}</h1>
-      <p>{task.description}</p>
-      <button onClick={() => navigate('/tasks')}>Back</button>
+    <div className="text-sm">
+      <h3 className="font-medium text-gray-900 mb-2">Upcoming</h3>
+      <p className="text-gray-500 mb-2">
+        Occurrence {recurrence.occurrence}{recurrence.ends === 'after' ? ` of ${recurrence.count}` : ''}
+      </p>
+      {upcoming.length === 0 ? (
+        <p className="text-gray-500">This is the last occurrence.</p>
+      ) : (
+        <ol className="space-y-1 text-gray-700" aria-label="Upcoming occurrences">
+          {upcoming.map(date => (
+            <li key={date}>📅 {formatDueDate({ dueDate: date, dueTime: task.dueTime })}</li>
+          ))}
+        </ol>
+      )}
+      {nextTask && (
+        <Link to={`/tasks/${nextTask.id}`} className="inline-block mt-3 text-blue-600 hover:text-blue-700 font-medium">
+          Go to next occurrence →
+        </Link>
+      )}
     </div>
   );
 }
 
-export default TaskDetail;
+// SESSION 3: Label/value pair for the details list
+function DetailRow({ term, children }) {
+  return (
+    <div>
+      <dt className="text-gray-500 font-medium">{term}</dt>
+      <dd className="text-gray-900 mt-1">{children}</dd>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { SettingsProvider } from '../context/SettingsContext';
+import { ProjectProvider } from '../context/ProjectContext';
+import { TaskProvider } from '../context/TaskContext';
+import TaskDetail from './TaskDetail';
+import { seedStoredTasks } from '../test/seedTasks';
+import { getSampleTasks } from '../data/sampleTasks';
+import { formatDate, formatTime } from '../utils/dates';
+
+const renderAt = (path) => {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <SettingsProvider>
+        <ProjectProvider>
+          <TaskProvider>
+            <Routes>
+              <Route path="/tasks" element={<h1>Task list</h1>} />
+              <Route path="/tasks/:id" element={<TaskDetail />} />
+            </Routes>
+          </TaskProvider>
+        </ProjectProvider>
+      </SettingsProvider>
+    </MemoryRouter>
+  );
+};
+
+describe('TaskDetail Page (Sessions 3-6)', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    seedStoredTasks();
+  });
+
+  it('shows the task with its metadata', () => {
+    renderAt('/tasks/4');
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Implement user profile page');
+    expect(screen.getByText('Priority')).toBeInTheDocument();
+    expect(screen.getByText('Due date')).toBeInTheDocument();
+    expect(screen.getByText('Completed', { selector: 'dt' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /^reopen$/i })).toBeInTheDocument();
+  });
+
+  it('shows a not found state for unknown ids', () => {
+    renderAt('/tasks/999');
+    expect(screen.getByRole('heading', { name: /task not found/i })).toBeInTheDocument();
+  });
+
+  it('finds tasks with string ids', () => {
+    seedStoredTasks([{ ...getSampleTasks()[0], id: 'abc' }]);
+    renderAt('/tasks/abc');
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Fix authentication bug in login flow');
+  });
+
+  it('edits the title inline and records it in the timeline', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/1');
+
+    await user.click(screen.getByRole('button', { name: /edit title/i }));
+    const input = screen.getByRole('textbox', { name: 'title' });
+    await user.clear(input);
+    await user.type(input, 'Fix OAuth callback{Enter}');
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Fix OAuth callback');
+    expect(screen.getByText(/title changed from "fix authentication bug in login flow" to "fix oauth callback"/i))
+      .toBeInTheDocument();
+  });
+
+  it('sets a due time and records it in the timeline', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/1');
+
+    expect(screen.getByRole('button', { name: /edit due time/i })).toHaveTextContent('All day');
+    await user.click(screen.getByRole('button', { name: /edit due time/i }));
+    fireEvent.change(screen.getByLabelText('due time'), { target: { value: '14:30' } });
+    fireEvent.keyDown(screen.getByLabelText('due time'), { key: 'Enter' });
+
+    expect(screen.getByRole('button', { name: /edit due time/i })).toHaveTextContent(formatTime('14:30'));
+    expect(screen.getByText(/due time set to "14:30"/i)).toBeInTheDocument();
+  });
+
+  it('rejects an invalid title', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/1');
+
+    await user.click(screen.getByRole('button', { name: /edit title/i }));
+    await user.clear(screen.getByRole('textbox', { name: 'title' }));
+    await user.keyboard('{Enter}');
+
+    expect(screen.getByText('Title is required')).toBeInTheDocument();
+  });
+
+  it('cancels inline editing with Escape', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/2');
+
+    await user.click(screen.getByRole('button', { name: /edit title/i }));
+    await user.type(screen.getByRole('textbox', { name: 'title' }), ' draft{Escape}');
+
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Update API documentation');
+  });
+
+  it('changes priority from the details panel', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/3');
+
+    await user.click(screen.getByRole('button', { name: /edit priority/i }));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'priority' }), 'high');
+
+    expect(screen.getByRole('button', { name: /edit priority/i })).toHaveTextContent('High');
+    expect(screen.getByText(/priority changed from "low" to "high"/i)).toBeInTheDocument();
+  });
+
+  it('completes and reopens the task', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/1');
+
+    await user.click(screen.getByRole('button', { name: /^complete$/i }));
+    expect(screen.getByText('Marked as completed')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /^reopen$/i }));
+    expect(screen.getByText('Reopened')).toBeInTheDocument();
+  });
+
+  it('deletes the task and returns to the list', async () => {
+    const user = userEvent.setup();
+    renderAt('/tasks/2');
+
+    await user.click(screen.getByRole('button', { name: /^delete$/i }));
+    await user.click(screen.getAllByRole('button', { name: /^delete$/i }).at(-1));
+
+    expect(screen.getByRole('heading', { name: /task list/i })).toBeInTheDocument();
+  });
+
+  it('adds tags with autocomplete from tags already in use', async () => {
+    const user = userEvent.setup();
+    seedStoredTasks([
+      { id: 1, title: 'First task', priority: 'low', status: 'pending', tags: ['backend'] },
+      { id: 2, title: 'Second task', priority: 'low', status: 'pending' },
+    ]);
+    renderAt('/tasks/2');
+
+    await user.type(screen.getByRole('combobox', { name: 'Tags' }), 'back');
+    expect(screen.getByRole('option', { name: '#backend' })).toHaveAttribute('aria-selected', 'true');
+    await user.keyboard('{Enter}');
+    await user.type(screen.getByRole('combobox', { name: 'Tags' }), 'New Idea,');
+
+    expect(screen.getByText('#backend')).toBeInTheDocument();
+    expect(screen.getByText('#new-idea')).toBeInTheDocument();
+    expect(screen.getByText('Tags set to "backend"')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove tag new-idea' }));
+    expect(screen.queryByText('#new-idea')).not.toBeInTheDocument();
+  });
+
+  describe('subtasks', () => {
+    it('adds, checks off and reorders subtasks', async () => {
+      const user = userEvent.setup();
+      renderAt('/tasks/1');
+
+      await user.type(screen.getByLabelText(/add subtask/i), 'Reproduce the bug{Enter}');
+      await user.type(screen.getByLabelText(/add subtask/i), 'Write a test{Enter}');
+      expect(screen.getByText('0/2 done')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('checkbox', { name: 'Reproduce the bug' }));
+      expect(screen.getByText('1/2 done')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Move "Write a test" up' }));
+      const titles = screen.getAllByRole('button', { name: /^edit subtask/i }).map(button => button.textContent);
+      expect(titles).toEqual(['Write a test', 'Reproduce the bug']);
+
+      expect(screen.getByText('Checklist: 1/2 done')).toBeInTheDocument();
+    });
+
+    it('completes the task with the last subtask when auto-complete is on', async () => {
+      const user = userEvent.setup();
+      renderAt('/tasks/1');
+
+      await user.type(screen.getByLabelText(/add subtask/i), 'Only step{Enter}');
+      await user.click(screen.getByLabelText(/complete the task when all subtasks are done/i));
+      expect(screen.getByRole('button', { name: /^complete$/i })).toBeInTheDocument();
+
+      await user.click(screen.getByRole('checkbox', { name: 'Only step' }));
+      expect(screen.getByRole('button', { name: /^reopen$/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('recurrence', () => {
+    it('sets a weekly rule and shows the upcoming schedule', async () => {
+      const user = userEvent.setup();
+      renderAt('/tasks/1');
+
+      await user.selectOptions(screen.getByRole('combobox', { name: 'Repeat' }), 'weekly');
+      await user.click(screen.getByRole('button', { name: 'Fri' }));
+      await user.click(screen.getByLabelText('After'));
+
+      expect(screen.getByText(/🔁 every week on wed, fri, 10 times/i)).toBeInTheDocument();
+      const upcoming = screen.getByRole('list', { name: /upcoming occurrences/i });
+      expect(upcoming.children).toHaveLength(5);
+      expect(upcoming.children[0]).toHaveTextContent(formatDate('2024-12-27'));
+    });
+
+    it('links to the next occurrence once completed', async () => {
+      const user = userEvent.setup();
+      renderAt('/tasks/1');
+
+      await user.selectOptions(screen.getByRole('combobox', { name: 'Repeat' }), 'daily');
+      await user.click(screen.getByRole('button', { name: /^complete$/i }));
+
+      expect(screen.getByRole('link', { name: /go to next occurrence/i })).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * STORAGE ADAPTERS (like a repository layer in a backend)
+ *
+ * TaskProvider never talks to localStorage/IndexedDB/HTTP directly - it
+ * receives an adapter with this interface:
+ *
+ *   load()              -> tasks array, or null when nothing is stored yet
+ *   save(tasks)         -> persist the full task list
+ *   subscribe(listener) -> call listener(tasks) when the data changes
+ *                          somewhere else (another tab, the server);
+ *                          returns an unsubscribe function
+ *
+ * load() and save() may return a value directly (synchronous stores) or
+ * a Promise (IndexedDB, REST). Swapping backends means passing a
+ * different adapter - the context code stays the same.
+ *
+ * Every adapter stores the versioned envelope from ./schema.js and
+ * throws a StorageCorruptionError from load() for unreadable data.
+ */
+
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createRestAdapter } from './restAdapter';
+
+export { createLocalStorageAdapter, createIndexedDbAdapter, createRestAdapter };
+export { StorageCorruptionError } from './schema';
+
+// Backends offered in Settings
+export const STORAGE_BACKENDS = [
+  { type: 'local', label: 'Browser storage (localStorage)' },
+  { type: 'indexeddb', label: 'IndexedDB' },
+  { type: 'rest', label: 'REST API' },
+];
+
+// How often the REST adapter checks the server for changes from others
+const REST_POLL_INTERVAL_MS = 30000;
+
+/**
+ * Can createStorageAdapter build an adapter from these settings? A known
+ * backend, and for REST a URL that parses.
+ * @param {*} config
+ * @returns {boolean}
+ */
+export function isValidStorageConfig(config) {
+  if (!STORAGE_BACKENDS.some(backend => backend.type === config?.type)) return false;
+  if (config.type !== 'rest') return true;
+  try {
+    new URL(config.restUrl);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build an adapter from the storage settings
+ * @param {{type: string, restUrl?: string}} config
+ * @returns {Object} Storage adapter
+ */
+export function createStorageAdapter({ type = 'local', restUrl = '' } = {}) {
+  switch (type) {
+    case 'indexeddb':
+      return createIndexedDbAdapter();
+    case 'rest':
+      if (!restUrl) {
+        throw new Error('A REST storage backend needs an API URL');
+      }
+      return createRestAdapter({ baseUrl: restUrl, pollInterval: REST_POLL_INTERVAL_MS });
+    case 'local':
+    default:
+      return createLocalStorageAdapter();
+  }
+}
+
+/**
+ * Call fn() and hand its result to onResult, whether fn returned a plain
+ * value or a Promise. Errors (thrown or rejected) go to onError.
+ */
+export function runStorageCall(fn, onResult, onError) {
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    onError(error);
+    return;
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(onResult, onError);
+  } else {
+    onResult(result);
+  }
+}
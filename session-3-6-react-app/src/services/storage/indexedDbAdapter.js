@@ -0,0 +1,79 @@
+/**
+ * INDEXEDDB ADAPTER
+ *
+ * Stores the task list as a single record in an IndexedDB object store.
+ * IndexedDB has no equivalent of the `storage` event, so writes are
+ * announced to other tabs through a BroadcastChannel.
+ */
+
+import { decodeTasks, encodeTasks } from './schema';
+
+export const INDEXED_DB_NAME = 'taskmaster';
+const STORE_NAME = 'workspace';
+const RECORD_KEY = 'tasks';
+
+// Wrap an IDBRequest in a Promise (IndexedDB predates Promises)
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.dbName - Database name
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to window.indexedDB)
+ */
+export function createIndexedDbAdapter({ dbName = INDEXED_DB_NAME, indexedDB } = {}) {
+  const channelName = `${dbName}-changes`;
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = (indexedDB || window.indexedDB).open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await openDb();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return promisifyRequest(callback(store));
+  };
+
+  const load = async () => {
+    const stored = await withStore('readonly', store => store.get(RECORD_KEY));
+    return stored === undefined ? null : decodeTasks(stored);
+  };
+
+  return {
+    type: 'indexeddb',
+
+    load,
+
+    async save(tasks) {
+      await withStore('readwrite', store => store.put(encodeTasks(tasks), RECORD_KEY));
+
+      if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(channelName);
+        channel.postMessage({ type: 'saved' });
+        channel.close();
+      }
+    },
+
+    subscribe(listener) {
+      if (typeof BroadcastChannel === 'undefined') return () => {};
+
+      const channel = new BroadcastChannel(channelName);
+      channel.onmessage = async () => {
+        try {
+          listener(await load());
+        } catch (error) {
+          console.error('Ignoring tasks from another tab that could not be loaded:', error);
+        }
+      };
+      return () => channel.close();
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * LOCALSTORAGE ADAPTER
+ *
+ * The original persistence of the React app, moved behind the storage
+ * adapter interface (see ./index.js). localStorage is synchronous, so
+ * load() and save() return plain values instead of Promises - this keeps
+ * the first render free of a loading flash.
+ *
+ * When the React key is empty, tasks saved by the vanilla JS app (same
+ * origin, 'taskmaster-tasks' key) are picked up and migrated.
+ */
+
+import { decodeTasksFromJson, encodeTasks } from './schema';
+
+export const LOCAL_STORAGE_KEY = 'taskmaster-react-tasks';
+export const LEGACY_VANILLA_KEY = 'taskmaster-tasks';
+
+/**
+ * @param {Object} options
+ * @param {string} options.key - localStorage key holding the tasks
+ * @param {string} options.legacyKey - Key to import from when `key` is empty
+ * @param {Storage} options.storage - Storage implementation (defaults to window.localStorage)
+ */
+export function createLocalStorageAdapter({ key = LOCAL_STORAGE_KEY, legacyKey = LEGACY_VANILLA_KEY, storage } = {}) {
+  // Resolved lazily so the adapter can be created before the DOM exists
+  const getStorage = () => storage || window.localStorage;
+
+  return {
+    type: 'local',
+
+    load() {
+      const stored = getStorage().getItem(key) ?? (legacyKey && getStorage().getItem(legacyKey));
+      return stored ? decodeTasksFromJson(stored) : null;
+    },
+
+    save(tasks) {
+      getStorage().setItem(key, JSON.stringify(encodeTasks(tasks)));
+    },
+
+    // The `storage` event only fires in *other* tabs of the same origin
+    subscribe(listener) {
+      const handleStorage = (event) => {
+        if (event.key !== key || event.storageArea !== getStorage()) return;
+
+        try {
+          listener(event.newValue ? decodeTasksFromJson(event.newValue) : null);
+        } catch (error) {
+          console.error('Ignoring invalid tasks from another tab:', error);
+        }
+      };
+
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    },
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * REST ADAPTER
+ *
+ * Persists tasks to an HTTP backend:
+ *   GET  {baseUrl}/tasks -> 200 with the versioned envelope (see ./schema.js)
+ *                           or a bare JSON array, 404 when empty
+ *   PUT  {baseUrl}/tasks <- versioned envelope
+ *
+ * Same fetch + response.ok pattern as fetchTasksFromAPI() in the vanilla
+ * JS version. There are no push notifications over plain REST, so
+ * subscribe() polls when a `pollInterval` is given.
+ */
+
+import { decodeTasksFromJson, encodeTasks } from './schema';
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. 'https://api.example.com'
+ * @param {number} options.pollInterval - ms between change checks (0 = off)
+ * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+ */
+export function createRestAdapter({ baseUrl, pollInterval = 0, fetch: fetchImpl } = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/tasks`;
+
+  // Last payload read from or written to the server, so polling only
+  // reports changes made by someone else
+  let lastSeen = null;
+
+  // Looked up per call so test servers that patch global fetch are honoured
+  const request = (...args) => (fetchImpl || fetch)(...args);
+
+  const load = async () => {
+    const response = await request(url, { headers: { Accept: 'application/json' } });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const text = await response.text();
+    const tasks = decodeTasksFromJson(text);
+    lastSeen = JSON.stringify(tasks);
+    return tasks;
+  };
+
+  return {
+    type: 'rest',
+
+    load,
+
+    async save(tasks) {
+      const response = await request(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(encodeTasks(tasks)),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      lastSeen = JSON.stringify(tasks);
+    },
+
+    subscribe(listener) {
+      if (!pollInterval) return () => {};
+
+      const intervalId = setInterval(async () => {
+        try {
+          const previous = lastSeen;
+          const tasks = await load();
+          if (previous !== null && lastSeen !== previous) {
+            listener(tasks);
+          }
+        } catch (error) {
+          console.error('Failed to poll tasks:', error);
+        }
+      }, pollInterval);
+
+      return () => clearInterval(intervalId);
+    },
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * STORED DATA SCHEMA & MIGRATIONS (like database migrations in a backend)
+ *
+ * Everything the adapters write is wrapped in a versioned envelope:
+ *   { version: 2, savedAt: '2025-01-01T10:00:00.000Z', tasks: [...] }
+ *
+ * On load, older shapes are upgraded one version at a time by MIGRATIONS
+ * and every task record is validated. Data that cannot be repaired raises
+ * a StorageCorruptionError carrying the raw payload, so the UI can offer
+ * an export instead of crashing.
+ *
+ * Version history:
+ *   1 - bare array of tasks (original React app and the vanilla JS app)
+ *   2 - versioned envelope
+ */
+
+import { normalizeTags } from '../../utils/tags';
+import { normalizeRecurrence } from '../../utils/recurrence';
+import { DATE_ONLY_PATTERN, TIME_PATTERN } from '../../utils/dates';
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['pending', 'completed'];
+
+export class StorageCorruptionError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.raw - The stored payload, as text, for export
+   * @param {string[]} details.issues - Human readable problems found
+   * @param {Array} details.validTasks - Records that passed validation
+   */
+  constructor(message, { raw = '', issues = [], validTasks = [] } = {}) {
+    super(message);
+    this.name = 'StorageCorruptionError';
+    this.raw = raw;
+    this.issues = issues;
+    this.validTasks = validTasks;
+  }
+}
+
+// Each migration upgrades data from version N to N + 1
+const MIGRATIONS = {
+  1: (tasks) => ({ version: 2, tasks }),
+};
+
+const toRawText = (data) => (typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+
+function detectVersion(data) {
+  if (Array.isArray(data)) return 1;
+  if (data && typeof data === 'object' && Number.isInteger(data.version)) return data.version;
+  return null;
+}
+
+// Keep well-formed checklist items, dropping anything without a title
+const repairSubtasks = (subtasks) => subtasks
+  .filter(subtask => subtask && typeof subtask.title === 'string' && subtask.title.trim() !== '')
+  .map((subtask, index) => ({
+    id: typeof subtask.id === 'string' && subtask.id ? subtask.id : `st-${index + 1}`,
+    title: subtask.title,
+    done: subtask.done === true,
+  }));
+
+// The shape the task timeline renders (see utils/taskActivity)
+const isActivityEntry = (entry) => Boolean(entry) && typeof entry.type === 'string' &&
+  typeof entry.at === 'string' && Array.isArray(entry.changes);
+
+// Tags are plain names; anything else is dropped
+const repairTags = (tags) => normalizeTags(tags.filter(tag => typeof tag === 'string'));
+
+/**
+ * Repaired copies of the optional task fields present on `record`
+ * (absent ones stay absent). Shared with imports (utils/taskTransfer).
+ * @param {Object} record
+ * @returns {Object} Only the optional fields, e.g. { subtasks, tags }
+ */
+export function repairOptionalFields(record) {
+  return {
+    // A time only makes sense on a dated task
+    ...(record.dueTime !== undefined && {
+      dueTime: typeof record.dueTime === 'string' && TIME_PATTERN.test(record.dueTime) &&
+        DATE_ONLY_PATTERN.test(record.dueDate) ? record.dueTime : '',
+    }),
+    ...(record.subtasks !== undefined && {
+      subtasks: Array.isArray(record.subtasks) ? repairSubtasks(record.subtasks) : [],
+    }),
+    ...(record.projectId !== undefined && {
+      projectId: typeof record.projectId === 'string' && record.projectId ? record.projectId : null,
+    }),
+    ...(record.tags !== undefined && {
+      tags: Array.isArray(record.tags) ? repairTags(record.tags) : [],
+    }),
+    ...(record.recurrence !== undefined && { recurrence: normalizeRecurrence(record.recurrence) }),
+    // Board position (see utils/board) - null falls back to the first column / creation order
+    ...(record.column !== undefined && {
+      column: typeof record.column === 'string' && record.column ? record.column : null,
+    }),
+    ...(record.order !== undefined && { order: Number.isFinite(record.order) ? record.order : null }),
+    ...(record.activity !== undefined && {
+      activity: Array.isArray(record.activity)
+        ? record.activity.filter(isActivityEntry)
+        : [],
+    }),
+  };
+}
+
+/**
+ * Validate one stored task, repairing optional fields where possible
+ * @param {*} record - Stored task
+ * @returns {{task: Object}|{error: string}}
+ */
+export function validateTask(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'is not an object' };
+  }
+
+  const hasValidId = (typeof record.id === 'number' && Number.isFinite(record.id)) ||
+    (typeof record.id === 'string' && record.id.trim() !== '');
+  if (!hasValidId) {
+    return { error: 'has no valid id' };
+  }
+  if (typeof record.title !== 'string' || record.title.trim() === '') {
+    return { error: 'has no title' };
+  }
+
+  return {
+    task: {
+      ...record,
+      description: typeof record.description === 'string' ? record.description : '',
+      priority: PRIORITIES.includes(record.priority) ? record.priority : 'medium',
+      status: STATUSES.includes(record.status)
+        ? record.status
+        : (record.completedAt ? 'completed' : 'pending'),
+      dueDate: typeof record.dueDate === 'string' && DATE_ONLY_PATTERN.test(record.dueDate) ? record.dueDate : '',
+      activity: [],
+      ...repairOptionalFields(record),
+    },
+  };
+}
+
+/**
+ * Upgrade and validate stored data
+ * @param {*} data - Parsed stored value (any supported version)
+ * @param {string} rawText - Original text, for error reporting
+ * @returns {Array} Valid tasks
+ * @throws {StorageCorruptionError}
+ */
+export function decodeTasks(data, rawText = toRawText(data)) {
+  let version = detectVersion(data);
+  if (version === null) {
+    throw new StorageCorruptionError('Stored data is not in a recognised format', { raw: rawText });
+  }
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new StorageCorruptionError(
+      `Stored data was written by a newer version of TaskMaster (schema v${version})`,
+      { raw: rawText }
+    );
+  }
+
+  let upgraded = data;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    upgraded = MIGRATIONS[version](upgraded);
+    version = upgraded.version;
+  }
+
+  if (!Array.isArray(upgraded.tasks)) {
+    throw new StorageCorruptionError('Stored data has no task list', { raw: rawText });
+  }
+
+  const issues = [];
+  const validTasks = [];
+  const seenIds = new Set();
+
+  upgraded.tasks.forEach((record, index) => {
+    const { task, error } = validateTask(record);
+    if (error) {
+      issues.push(`Task #${index + 1} ${error}`);
+    } else if (seenIds.has(task.id)) {
+      issues.push(`Task #${index + 1} duplicates id ${task.id}`);
+    } else {
+      seenIds.add(task.id);
+      validTasks.push(task);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new StorageCorruptionError(
+      `${issues.length} stored task${issues.length === 1 ? ' is' : 's are'} invalid`,
+      { raw: rawText, issues, validTasks }
+    );
+  }
+
+  return validTasks;
+}
+
+/**
+ * Parse and decode stored JSON text
+ * @param {string} text
+ * @returns {Array} Valid tasks
+ * @throws {StorageCorruptionError}
+ */
+export function decodeTasksFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new StorageCorruptionError('Stored data is not valid JSON', { raw: text });
+  }
+  return decodeTasks(data, text);
+}
+
+/**
+ * Wrap tasks in the current envelope for saving
+ * @param {Array} tasks
+ * @returns {{version: number, savedAt: string, tasks: Array}}
+ */
+export function encodeTasks(tasks) {
+  return { version: CURRENT_SCHEMA_VERSION, savedAt: new Date().toISOString(), tasks };
+}
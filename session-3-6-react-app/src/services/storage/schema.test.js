@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  CURRENT_SCHEMA_VERSION,
+  StorageCorruptionError,
+  decodeTasks,
+  decodeTasksFromJson,
+  encodeTasks,
+  validateTask,
+} from './schema';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+
+const validTask = {
+  id: 1,
+  title: 'Migrate storage',
+  description: 'Wrap tasks in an envelope',
+  priority: 'high',
+  status: 'pending',
+  dueDate: '2025-01-15',
+  activity: [],
+};
+
+// Run fn and return the StorageCorruptionError it throws
+const catchCorruption = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(StorageCorruptionError);
+    return error;
+  }
+  throw new Error('Expected a StorageCorruptionError');
+};
+
+describe('Storage schema', () => {
+  describe('encodeTasks', () => {
+    it('wraps tasks in a versioned envelope', () => {
+      const envelope = encodeTasks([validTask]);
+
+      expect(envelope.version).toBe(CURRENT_SCHEMA_VERSION);
+      expect(envelope.tasks).toEqual([validTask]);
+      expect(Number.isNaN(Date.parse(envelope.savedAt))).toBe(false);
+    });
+  });
+
+  describe('decodeTasks', () => {
+    it('reads the current envelope', () => {
+      expect(decodeTasks(encodeTasks([validTask]))).toEqual([validTask]);
+    });
+
+    it('migrates a v1 bare array', () => {
+      expect(decodeTasks([validTask])).toEqual([validTask]);
+    });
+
+    it('repairs optional fields', () => {
+      const [task] = decodeTasks([{ id: 'a1', title: 'Legacy', priority: 'urgent', dueDate: '15/01/2025', completedAt: '2025-01-10T00:00:00.000Z' }]);
+
+      expect(task).toMatchObject({
+        id: 'a1',
+        description: '',
+        priority: 'medium',
+        status: 'completed',
+        dueDate: '',
+        activity: [],
+      });
+    });
+
+    it('keeps valid due times and drops those without a due date', () => {
+      const [timed, malformed, undated] = decodeTasks([
+        { id: 1, title: 'Timed', dueDate: '2025-01-15', dueTime: '14:30' },
+        { id: 2, title: 'Malformed', dueDate: '2025-01-15', dueTime: '2pm' },
+        { id: 3, title: 'Undated', dueDate: '', dueTime: '09:00' },
+      ]);
+
+      expect(timed.dueTime).toBe('14:30');
+      expect(malformed.dueTime).toBe('');
+      expect(undated.dueTime).toBe('');
+    });
+
+    it('reports invalid records and keeps the valid ones', () => {
+      const data = { version: 2, tasks: [validTask, { id: 2 }, 'nope', { ...validTask, title: 'Same id' }] };
+      const error = catchCorruption(() => decodeTasks(data));
+
+      expect(error.message).toBe('3 stored tasks are invalid');
+      expect(error.issues).toEqual([
+        'Task #2 has no title',
+        'Task #3 is not an object',
+        'Task #4 duplicates id 1',
+      ]);
+      expect(error.validTasks).toEqual([validTask]);
+      expect(JSON.parse(error.raw)).toEqual(data);
+    });
+
+    it('rejects data from a newer schema version', () => {
+      const error = catchCorruption(() => decodeTasks({ version: CURRENT_SCHEMA_VERSION + 1, tasks: [] }));
+      expect(error.message).toMatch(/newer version/);
+    });
+
+    it('rejects unrecognised shapes', () => {
+      catchCorruption(() => decodeTasks({ items: [] }));
+      catchCorruption(() => decodeTasks({ version: 2, tasks: 'none' }));
+    });
+  });
+
+  describe('decodeTasksFromJson', () => {
+    it('keeps the original text of unparsable data', () => {
+      const error = catchCorruption(() => decodeTasksFromJson('[{"id": 1,'));
+
+      expect(error.message).toMatch(/not valid JSON/);
+      expect(error.raw).toBe('[{"id": 1,');
+    });
+  });
+
+  describe('vanilla app import', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('migrates tasks saved by the vanilla JS app', () => {
+      localStorage.setItem('taskmaster-tasks', JSON.stringify([
+        { id: 1700000000000, title: 'From vanilla', description: '', priority: 'low', status: 'pending', dueDate: '', createdAt: '2025-01-01T00:00:00.000Z' },
+      ]));
+
+      const [task] = createLocalStorageAdapter().load();
+      expect(task).toMatchObject({ id: 1700000000000, title: 'From vanilla', activity: [] });
+    });
+  });
+
+  describe('validateTask', () => {
+    it('requires an id and a title', () => {
+      expect(validateTask({ title: 'No id' })).toEqual({ error: 'has no valid id' });
+      expect(validateTask({ id: 3, title: '   ' })).toEqual({ error: 'has no title' });
+      expect(validateTask(validTask)).toEqual({ task: validTask });
+    });
+  });
+});
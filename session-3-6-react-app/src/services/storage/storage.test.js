@@ -0,0 +1,191 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterAll, afterEach, beforeEach, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { setupServer } from 'msw/node';
+import {
+  createLocalStorageAdapter,
+  createIndexedDbAdapter,
+  createRestAdapter,
+  createStorageAdapter,
+  isValidStorageConfig,
+  runStorageCall,
+} from './index';
+
+const sampleTasks = [
+  { id: 1, title: 'Write adapter tests', description: '', priority: 'high', status: 'pending', dueDate: '', activity: [] },
+  { id: 2, title: 'Ship it', description: '', priority: 'low', status: 'completed', dueDate: '2025-01-10', activity: [] },
+];
+
+describe('Storage adapters', () => {
+  describe('localStorage adapter', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('returns null when nothing is stored', () => {
+      expect(createLocalStorageAdapter().load()).toBeNull();
+    });
+
+    it('saves and loads tasks synchronously', () => {
+      const adapter = createLocalStorageAdapter();
+      adapter.save(sampleTasks);
+
+      expect(adapter.load()).toEqual(sampleTasks);
+      expect(JSON.parse(localStorage.getItem('taskmaster-react-tasks'))).toMatchObject({ version: 2, tasks: sampleTasks });
+    });
+
+    it('notifies subscribers about storage events from other tabs', () => {
+      const adapter = createLocalStorageAdapter();
+      const listener = vi.fn();
+      const unsubscribe = adapter.subscribe(listener);
+
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'taskmaster-react-tasks',
+        newValue: JSON.stringify({ version: 2, tasks: sampleTasks }),
+        storageArea: localStorage,
+      }));
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'some-other-key',
+        newValue: '[]',
+        storageArea: localStorage,
+      }));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(sampleTasks);
+
+      unsubscribe();
+    });
+  });
+
+  describe('IndexedDB adapter', () => {
+    it('returns null for an empty database', async () => {
+      const adapter = createIndexedDbAdapter({ dbName: 'empty-db' });
+      await expect(adapter.load()).resolves.toBeNull();
+    });
+
+    it('saves and loads tasks', async () => {
+      const adapter = createIndexedDbAdapter({ dbName: 'roundtrip-db' });
+      await adapter.save(sampleTasks);
+
+      await expect(adapter.load()).resolves.toEqual(sampleTasks);
+      // A second adapter (e.g. after a reload) sees the same data
+      await expect(createIndexedDbAdapter({ dbName: 'roundtrip-db' }).load()).resolves.toEqual(sampleTasks);
+    });
+
+    it('logs instead of failing when a change from another tab cannot be handled', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const unsubscribe = createIndexedDbAdapter({ dbName: 'broadcast-db' }).subscribe(() => {
+        throw new Error('listener failed');
+      });
+
+      await createIndexedDbAdapter({ dbName: 'broadcast-db' }).save(sampleTasks);
+
+      await vi.waitFor(() => expect(consoleError).toHaveBeenCalledWith(
+        'Ignoring tasks from another tab that could not be loaded:',
+        expect.any(Error),
+      ));
+      unsubscribe();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('REST adapter (mock server)', () => {
+    const API_URL = 'http://localhost:4000/api';
+    let serverTasks = null;
+
+    const server = setupServer(
+      http.get(`${API_URL}/tasks`, () =>
+        serverTasks ? HttpResponse.json(serverTasks) : new HttpResponse(null, { status: 404 })
+      ),
+      http.put(`${API_URL}/tasks`, async ({ request }) => {
+        serverTasks = await request.json();
+        return new HttpResponse(null, { status: 204 });
+      })
+    );
+
+    beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+    afterEach(() => {
+      server.resetHandlers();
+      serverTasks = null;
+    });
+    afterAll(() => server.close());
+
+    it('treats a 404 as "nothing stored yet"', async () => {
+      await expect(createRestAdapter({ baseUrl: API_URL }).load()).resolves.toBeNull();
+    });
+
+    it('PUTs tasks and GETs them back', async () => {
+      const adapter = createRestAdapter({ baseUrl: `${API_URL}/` });
+      await adapter.save(sampleTasks);
+
+      expect(serverTasks).toMatchObject({ version: 2, tasks: sampleTasks });
+      await expect(adapter.load()).resolves.toEqual(sampleTasks);
+    });
+
+    it('rejects on server errors', async () => {
+      server.use(http.get(`${API_URL}/tasks`, () => new HttpResponse(null, { status: 500 })));
+
+      await expect(createRestAdapter({ baseUrl: API_URL }).load()).rejects.toThrow('HTTP error! status: 500');
+    });
+
+    it('polls for changes made by other clients', async () => {
+      vi.useFakeTimers();
+      try {
+        const adapter = createRestAdapter({ baseUrl: API_URL, pollInterval: 1000 });
+        serverTasks = sampleTasks;
+        await adapter.load();
+
+        const listener = vi.fn();
+        const unsubscribe = adapter.subscribe(listener);
+
+        // Unchanged data is not reported
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(listener).not.toHaveBeenCalled();
+
+        serverTasks = [sampleTasks[0]];
+        await vi.advanceTimersByTimeAsync(1000);
+        await vi.waitFor(() => expect(listener).toHaveBeenCalledWith([sampleTasks[0]]));
+
+        unsubscribe();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('createStorageAdapter', () => {
+    it('builds the adapter for each backend type', () => {
+      expect(createStorageAdapter({ type: 'local' }).type).toBe('local');
+      expect(createStorageAdapter({ type: 'indexeddb' }).type).toBe('indexeddb');
+      expect(createStorageAdapter({ type: 'rest', restUrl: 'http://localhost' }).type).toBe('rest');
+    });
+
+    it('requires a URL for the REST backend', () => {
+      expect(() => createStorageAdapter({ type: 'rest' })).toThrow(/API URL/);
+    });
+
+    it('tells which settings it can build an adapter from', () => {
+      expect(isValidStorageConfig({ type: 'indexeddb' })).toBe(true);
+      expect(isValidStorageConfig({ type: 'rest', restUrl: 'http://localhost' })).toBe(true);
+      expect(isValidStorageConfig({ type: 'rest', restUrl: '' })).toBe(false);
+      expect(isValidStorageConfig({ type: 'dropbox' })).toBe(false);
+      expect(isValidStorageConfig('local')).toBe(false);
+    });
+  });
+
+  describe('runStorageCall', () => {
+    it('handles plain values, promises and errors', async () => {
+      const onResult = vi.fn();
+      const onError = vi.fn();
+
+      runStorageCall(() => 'sync', onResult, onError);
+      expect(onResult).toHaveBeenCalledWith('sync');
+
+      runStorageCall(() => Promise.resolve('async'), onResult, onError);
+      await vi.waitFor(() => expect(onResult).toHaveBeenCalledWith('async'));
+
+      runStorageCall(() => { throw new Error('boom'); }, onResult, onError);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+    });
+  });
+});
@@ -0,0 +1,9 @@
+import { encodeTasks } from '../services/storage/schema';
+import { LOCAL_STORAGE_KEY } from '../services/storage/localStorageAdapter';
+import { getSampleTasks } from '../data/sampleTasks';
+
+// Store tasks the way the default (localStorage) adapter does, so a
+// TaskProvider rendered afterwards starts with them
+export function seedStoredTasks(tasks = getSampleTasks()) {
+  localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(encodeTasks(tasks)));
+}
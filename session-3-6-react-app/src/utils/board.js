@@ -0,0 +1,181 @@
+/**
+ * KANBAN BOARD HELPERS
+ *
+ * The workflow is a list of columns (configurable in Settings). Each has
+ * a kind: 'todo', 'active' (counted as "In Progress") or 'done'. There is
+ * always exactly one 'done' column, the last one.
+ *
+ * A task stores the id of its column in `column`. `status` stays the
+ * source of truth for completion: a completed task is always in the done
+ * column, and a pending task whose column is missing (never placed, or
+ * the column was removed) is in the first column.
+ *
+ * Cards are ordered by a fractional `order` key, so moving a card only
+ * changes that one task. Tasks that were never moved fall back to their
+ * creation time. The task list's "Manual" sort uses the same key, so a
+ * column shows its cards in the same order as the list.
+ */
+
+export const COLUMN_KINDS = [
+  { value: 'todo', label: 'To do' },
+  { value: 'active', label: 'In progress' },
+  { value: 'done', label: 'Done' },
+];
+
+export const DEFAULT_BOARD_COLUMNS = [
+  { id: 'backlog', name: 'Backlog', kind: 'todo' },
+  { id: 'in-progress', name: 'In Progress', kind: 'active' },
+  { id: 'review', name: 'Review', kind: 'active' },
+  { id: 'done', name: 'Done', kind: 'done' },
+];
+
+/**
+ * @param {Array} columns
+ * @returns {Object} The done column
+ */
+export const getDoneColumn = (columns) => columns.find(column => column.kind === 'done') ?? columns[columns.length - 1];
+
+/**
+ * Which column a task is shown in
+ * @param {Object} task
+ * @param {Array} columns
+ * @returns {Object} Column
+ */
+export function getTaskColumn(task, columns) {
+  const doneColumn = getDoneColumn(columns);
+  if (task.status === 'completed') return doneColumn;
+
+  const column = columns.find(item => item.id === task.column);
+  return column && column !== doneColumn ? column : columns[0];
+}
+
+/**
+ * Sort key of a card within its column
+ * @param {Object} task
+ * @returns {number}
+ */
+export const getOrderKey = (task) => task.order ?? (Date.parse(task.createdAt) || 0);
+
+/**
+ * Comparator for card order (the "Manual" sort)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export const compareByOrder = (a, b) => getOrderKey(a) - getOrderKey(b) || String(a.id).localeCompare(String(b.id));
+
+/**
+ * Tasks per column id, each list in card order
+ * @param {Array} tasks
+ * @param {Array} columns
+ * @returns {Object} column id -> tasks
+ */
+export function groupTasksByColumn(tasks, columns) {
+  const groups = Object.fromEntries(columns.map(column => [column.id, []]));
+  tasks.forEach(task => groups[getTaskColumn(task, columns).id].push(task));
+  Object.values(groups).forEach(list => list.sort(compareByOrder));
+  return groups;
+}
+
+/**
+ * Order key for a card placed between two others (either may be missing)
+ * @param {Object|undefined} before - Card that will be above
+ * @param {Object|undefined} after - Card that will be below
+ * @returns {number}
+ */
+export function orderBetween(before, after) {
+  if (before && after) return (getOrderKey(before) + getOrderKey(after)) / 2;
+  if (before) return getOrderKey(before) + 1;
+  if (after) return getOrderKey(after) - 1;
+  return 0;
+}
+
+/**
+ * Task updates that put a card at `index` in a column
+ * @param {Array} tasks - All tasks
+ * @param {Array} columns
+ * @param {*} taskId
+ * @param {string} columnId
+ * @param {number} index - Position among the column's other cards
+ * @returns {{column: string, status: string, order: number}}
+ */
+export function getMoveUpdates(tasks, columns, taskId, columnId, index) {
+  const column = columns.find(item => item.id === columnId);
+  const others = groupTasksByColumn(tasks.filter(task => task.id !== taskId), columns)[columnId];
+  const position = Math.max(0, Math.min(others.length, index));
+
+  return {
+    column: columnId,
+    status: column.kind === 'done' ? 'completed' : 'pending',
+    order: orderBetween(others[position - 1], others[position]),
+  };
+}
+
+/**
+ * Task updates that put a task at `index` in a manually sorted list.
+ * Only the visible neighbours are used, so tasks hidden by a filter keep
+ * their place relative to each other.
+ * @param {Array} tasks - The list as shown, in manual order
+ * @param {*} taskId
+ * @param {number} index - Position among the list's other tasks
+ * @returns {{order: number}}
+ */
+export function getReorderUpdates(tasks, taskId, index) {
+  const others = tasks.filter(task => task.id !== taskId);
+  const position = Math.max(0, Math.min(others.length, index));
+  return { order: orderBetween(others[position - 1], others[position]) };
+}
+
+/**
+ * Tasks counted per column kind (the stats cards use these)
+ * @param {Array} tasks
+ * @param {Array} columns
+ * @returns {{todo: number, active: number, done: number}}
+ */
+export function countByKind(tasks, columns) {
+  return tasks.reduce((counts, task) => {
+    counts[getTaskColumn(task, columns).kind]++;
+    return counts;
+  }, { todo: 0, active: 0, done: 0 });
+}
+
+/**
+ * Keep a user-edited workflow valid: at least one open column, and the
+ * done column last
+ * @param {Array} columns
+ * @returns {Array}
+ */
+export function normalizeColumns(columns) {
+  const open = columns.filter(column => column.kind !== 'done');
+  const done = columns.find(column => column.kind === 'done') ?? DEFAULT_BOARD_COLUMNS.at(-1);
+  return [...(open.length > 0 ? open : [DEFAULT_BOARD_COLUMNS[0]]), done];
+}
+
+/**
+ * Problem with a column name, or '' when it is fine
+ * @param {string} name
+ * @param {Array} columns
+ * @param {string} [ignoreId] - Column being renamed
+ * @returns {string}
+ */
+export function validateColumnName(name, columns, ignoreId = null) {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Column name is required';
+  const isTaken = columns.some(column =>
+    column.id !== ignoreId && column.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return isTaken ? `A column named "${trimmed}" already exists` : '';
+}
+
+/**
+ * New open column with an id derived from its name
+ * @param {string} name
+ * @param {Array} columns - Existing columns (the id must not clash)
+ * @returns {Object} Column
+ */
+export function createColumn(name, columns) {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'column';
+  let id = base;
+  for (let n = 2; columns.some(column => column.id === id); n++) id = `${base}-${n}`;
+  return { id, name: name.trim(), kind: 'active' };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_BOARD_COLUMNS,
+  getTaskColumn,
+  groupTasksByColumn,
+  orderBetween,
+  getMoveUpdates,
+  getReorderUpdates,
+  countByKind,
+  normalizeColumns,
+  validateColumnName,
+  createColumn,
+} from './board';
+
+const columns = DEFAULT_BOARD_COLUMNS;
+
+const tasks = [
+  { id: 1, status: 'pending', column: 'in-progress', order: 2 },
+  { id: 2, status: 'pending', column: 'in-progress', order: 1 },
+  { id: 3, status: 'pending', createdAt: '2025-01-01T00:00:00.000Z' },
+  { id: 4, status: 'completed', column: 'review' },
+  { id: 5, status: 'pending', column: 'removed-column', order: 0 },
+];
+
+describe('Board helpers', () => {
+  it('places tasks in their column, falling back to the first one', () => {
+    expect(getTaskColumn(tasks[0], columns).id).toBe('in-progress');
+    expect(getTaskColumn(tasks[2], columns).id).toBe('backlog');
+    expect(getTaskColumn(tasks[4], columns).id).toBe('backlog');
+  });
+
+  it('keeps completion and the done column in step', () => {
+    expect(getTaskColumn(tasks[3], columns).id).toBe('done');
+    expect(getTaskColumn({ status: 'pending', column: 'done' }, columns).id).toBe('backlog');
+  });
+
+  it('groups tasks by column in card order', () => {
+    const groups = groupTasksByColumn(tasks, columns);
+
+    expect(groups['in-progress'].map(task => task.id)).toEqual([2, 1]);
+    expect(groups.backlog.map(task => task.id)).toEqual([5, 3]);
+    expect(groups.review).toEqual([]);
+  });
+
+  it('computes order keys between neighbours', () => {
+    expect(orderBetween({ order: 1 }, { order: 2 })).toBe(1.5);
+    expect(orderBetween({ order: 1 })).toBe(2);
+    expect(orderBetween(undefined, { order: 1 })).toBe(0);
+    expect(orderBetween()).toBe(0);
+  });
+
+  it('computes the updates for a move', () => {
+    expect(getMoveUpdates(tasks, columns, 3, 'in-progress', 1)).toEqual({ column: 'in-progress', status: 'pending', order: 1.5 });
+    expect(getMoveUpdates(tasks, columns, 1, 'in-progress', 0)).toEqual({ column: 'in-progress', status: 'pending', order: 0 });
+    expect(getMoveUpdates(tasks, columns, 1, 'done', 99)).toMatchObject({ column: 'done', status: 'completed' });
+  });
+
+  it('computes the order key for a manual list position', () => {
+    const list = [{ id: 'a', order: 1 }, { id: 'b', order: 2 }, { id: 'c', order: 4 }];
+
+    expect(getReorderUpdates(list, 'a', 1)).toEqual({ order: 3 });
+    expect(getReorderUpdates(list, 'c', 0)).toEqual({ order: 0 });
+    expect(getReorderUpdates(list, 'a', 99)).toEqual({ order: 5 });
+  });
+
+  it('counts tasks by column kind', () => {
+    expect(countByKind(tasks, columns)).toEqual({ todo: 2, active: 2, done: 1 });
+  });
+
+  it('keeps an edited workflow valid', () => {
+    const done = columns[3];
+    expect(normalizeColumns([done, columns[1]])).toEqual([columns[1], done]);
+    expect(normalizeColumns([done])).toEqual([columns[0], done]);
+  });
+
+  it('validates and creates columns', () => {
+    expect(validateColumnName(' ', columns)).toBe('Column name is required');
+    expect(validateColumnName('review', columns)).toMatch(/already exists/);
+    expect(validateColumnName('Review', columns, 'review')).toBe('');
+
+    expect(createColumn(' QA Testing ', columns)).toEqual({ id: 'qa-testing', name: 'QA Testing', kind: 'active' });
+    expect(createColumn('Review!', columns).id).toBe('review-2');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * CALENDAR HELPERS
+ *
+ * Due dates are stored as date-only strings ('2025-01-31'). The calendar
+ * works with the same strings as day keys, built from *local* dates (see
+ * utils/dates), so a task due on the 31st shows on the 31st whatever the
+ * time zone. Weeks start on Sunday.
+ */
+
+import { toDateKey, parseDateKey, addDays, compareDueDates, getDueDateTime } from './dates';
+
+/**
+ * @param {Date} date
+ * @returns {Date} The Sunday starting that date's week
+ */
+export const startOfWeek = (date) => addDays(date, -date.getDay());
+
+/**
+ * The seven days of the week containing `date`
+ * @param {Date} date
+ * @returns {Date[]}
+ */
+export const getWeekDays = (date) => Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(date), i));
+
+/**
+ * Whole weeks covering the month of `date` (leading/trailing days of the
+ * neighbouring months included)
+ * @param {Date} date
+ * @returns {Date[][]} Weeks of seven days
+ */
+export function getMonthWeeks(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  const weeks = [];
+  for (let day = startOfWeek(first); day <= last; day = addDays(day, 7)) {
+    weeks.push(getWeekDays(day));
+  }
+  return weeks;
+}
+
+/**
+ * Tasks with a due date, by day key. Each day lists all-day tasks first,
+ * then timed ones in time order.
+ * @param {Array} tasks
+ * @returns {Object} 'YYYY-MM-DD' -> tasks
+ */
+export function groupTasksByDueDate(tasks) {
+  const groups = tasks.reduce((result, task) => {
+    if (task.dueDate) (result[task.dueDate] ??= []).push(task);
+    return result;
+  }, {});
+  Object.values(groups).forEach(group => group.sort(compareDueDates));
+  return groups;
+}
+
+/**
+ * A pending task whose due date (or due time, when set) has passed
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOverdue = (task, now = new Date()) => getDueStatus(task, now) === 'overdue';
+
+/**
+ * How soon a pending task is due: 'overdue', 'today', 'week' (within the
+ * six days after today) or null (completed, unscheduled or later). A task
+ * due at a time earlier today is already overdue.
+ * @param {Object} task
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+export function getDueStatus(task, now = new Date()) {
+  if (task.status === 'completed' || !task.dueDate) return null;
+  const todayKey = toDateKey(now);
+  if (task.dueDate < todayKey) return 'overdue';
+  if (task.dueDate === todayKey) return task.dueTime && getDueDateTime(task) < now ? 'overdue' : 'today';
+  return task.dueDate <= toDateKey(addDays(parseDateKey(todayKey), 6)) ? 'week' : null;
+}
+
+/**
+ * Pending tasks with the given due status, soonest first
+ * @param {Array} tasks
+ * @param {string} status - See getDueStatus
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+export function getTasksByDueStatus(tasks, status, now = new Date()) {
+  return tasks
+    .filter(task => getDueStatus(task, now) === status)
+    .sort(compareDueDates);
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { toDateKey } from './dates';
+import {
+  getWeekDays,
+  getMonthWeeks,
+  groupTasksByDueDate,
+  isOverdue,
+  getDueStatus,
+  getTasksByDueStatus,
+} from './calendar';
+
+describe('Calendar helpers', () => {
+  const now = new Date(2025, 0, 5, 12, 0);
+
+  it('builds the week from Sunday to Saturday', () => {
+    expect(getWeekDays(new Date(2025, 0, 8)).map(toDateKey)).toEqual([
+      '2025-01-05', '2025-01-06', '2025-01-07', '2025-01-08', '2025-01-09', '2025-01-10', '2025-01-11',
+    ]);
+  });
+
+  it('covers the whole month with full weeks', () => {
+    const weeks = getMonthWeeks(new Date(2025, 1, 10));
+
+    expect(weeks).toHaveLength(5);
+    expect(toDateKey(weeks[0][0])).toBe('2025-01-26');
+    expect(toDateKey(weeks[4][6])).toBe('2025-03-01');
+  });
+
+  it('groups tasks by due date, skipping unscheduled ones', () => {
+    const groups = groupTasksByDueDate([
+      { id: 1, dueDate: '2025-01-05' },
+      { id: 2, dueDate: '' },
+      { id: 3, dueDate: '2025-01-05' },
+    ]);
+
+    expect(groups).toEqual({ '2025-01-05': [{ id: 1, dueDate: '2025-01-05' }, { id: 3, dueDate: '2025-01-05' }] });
+  });
+
+  it('lists timed tasks after all-day ones, in time order', () => {
+    const groups = groupTasksByDueDate([
+      { id: 1, dueDate: '2025-01-05', dueTime: '15:00' },
+      { id: 2, dueDate: '2025-01-05', dueTime: '08:30' },
+      { id: 3, dueDate: '2025-01-05', dueTime: '' },
+    ]);
+
+    expect(groups['2025-01-05'].map(task => task.id)).toEqual([3, 2, 1]);
+  });
+
+  it('flags pending tasks due before today as overdue', () => {
+    expect(isOverdue({ status: 'pending', dueDate: '2025-01-04' }, now)).toBe(true);
+    expect(isOverdue({ status: 'pending', dueDate: '2025-01-05' }, now)).toBe(false);
+    expect(isOverdue({ status: 'completed', dueDate: '2025-01-04' }, now)).toBe(false);
+    expect(isOverdue({ status: 'pending', dueDate: '' }, now)).toBe(false);
+  });
+
+  it('classifies pending tasks by how soon they are due', () => {
+    const due = (dueDate, status = 'pending') => getDueStatus({ status, dueDate }, now);
+
+    expect(due('2025-01-04')).toBe('overdue');
+    expect(due('2025-01-05')).toBe('today');
+    expect(due('2025-01-11')).toBe('week');
+    expect(due('2025-01-12')).toBeNull();
+    expect(due('2025-01-04', 'completed')).toBeNull();
+  });
+
+  it('treats a due time earlier today as overdue', () => {
+    const due = (dueTime) => getDueStatus({ status: 'pending', dueDate: '2025-01-05', dueTime }, now);
+
+    expect(due('09:00')).toBe('overdue');
+    expect(due('17:00')).toBe('today');
+    expect(isOverdue({ status: 'pending', dueDate: '2025-01-06', dueTime: '09:00' }, now)).toBe(false);
+  });
+
+  it('selects tasks by due status, soonest first', () => {
+    const tasks = [
+      { id: 1, status: 'pending', dueDate: '2025-01-09' },
+      { id: 2, status: 'pending', dueDate: '2025-01-06' },
+      { id: 3, status: 'pending', dueDate: '2025-01-01' },
+    ];
+
+    expect(getTasksByDueStatus(tasks, 'week', now).map(task => task.id)).toEqual([2, 1]);
+    expect(getTasksByDueStatus(tasks, 'overdue', now).map(task => task.id)).toEqual([3]);
+  });
+});
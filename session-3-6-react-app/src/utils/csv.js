@@ -0,0 +1,82 @@
+/**
+ * CSV HELPERS (RFC 4180)
+ *
+ * Fields containing commas, quotes or line breaks are wrapped in double
+ * quotes, with inner quotes doubled: He said "hi" -> "He said ""hi"""
+ */
+
+const needsQuoting = (value) => /[",\r\n]/.test(value) || value.trim() !== value;
+
+/**
+ * Format one field
+ * @param {*} value - Converted to a string; null/undefined become ''
+ * @returns {string}
+ */
+export function formatCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return needsQuoting(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of fields
+ * @param {Array<Array>} rows - First row is usually the header
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(formatCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Parse CSV text into rows of string fields. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<string[]>}
+ * @throws {Error} When a quoted field is never closed
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unclosed quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
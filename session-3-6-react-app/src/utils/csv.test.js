@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { formatCsvField, toCsv, parseCsv } from './csv';
+
+describe('CSV helpers', () => {
+  it('quotes fields only when needed', () => {
+    expect(formatCsvField('plain')).toBe('plain');
+    expect(formatCsvField('a, b')).toBe('"a, b"');
+    expect(formatCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCsvField('two\nlines')).toBe('"two\nlines"');
+    expect(formatCsvField(null)).toBe('');
+    expect(formatCsvField(42)).toBe('42');
+  });
+
+  it('parses quoted fields, escaped quotes and line breaks', () => {
+    const text = 'title,notes\r\n"Fix, then ship","He said ""go""\nnow"\r\nPlain,\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['title', 'notes'],
+      ['Fix, then ship', 'He said "go"\nnow'],
+      ['Plain', ''],
+    ]);
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('round-trips through toCsv', () => {
+    const rows = [['id', 'title'], ['1', 'Comma, quote " and\nnewline']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('rejects an unclosed quote', () => {
+    expect(() => parseCsv('a,"b\n1,2')).toThrow(/unclosed/);
+  });
+});
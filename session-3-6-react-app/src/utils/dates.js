@@ -0,0 +1,110 @@
+/**
+ * DATE HELPERS
+ *
+ * Due dates are date-only strings ('2025-01-31') with an optional time of
+ * day in `dueTime` ('14:30', '' for none). Both are *local* calendar values:
+ * `new Date('2025-01-31')` parses as UTC midnight and shows the previous day
+ * west of UTC, so go through parseDateKey / getDueDateTime instead.
+ */
+
+export const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Short month, as on the vanilla app's task cards: "Jan 31, 2025"
+const DATE_FORMAT = { month: 'short', day: 'numeric', year: 'numeric' };
+const TIME_FORMAT = { hour: 'numeric', minute: '2-digit' };
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * @param {Date} date
+ * @returns {string} Local 'YYYY-MM-DD'
+ */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * @param {Date} date
+ * @returns {string} Local 'HH:MM'
+ */
+export const toTimeKey = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * @param {string} key - 'YYYY-MM-DD'
+ * @returns {Date} Local midnight of that day
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * @param {Date} date
+ * @param {number} days - May be negative
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Same day of the month, clamped to the target month's length
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+export function addMonths(date, months) {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * The moment a task is due: its due time, or the start of its due day
+ * @param {Object} task
+ * @returns {Date|null} Null without a due date
+ */
+export function getDueDateTime(task) {
+  if (!task.dueDate) return null;
+  const date = parseDateKey(task.dueDate);
+  if (task.dueTime) {
+    const [hours, minutes] = task.dueTime.split(':').map(Number);
+    date.setHours(hours, minutes);
+  }
+  return date;
+}
+
+/**
+ * Sort comparator, soonest first. Tasks without a due date go last; on the
+ * same day, all-day tasks come before timed ones.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareDueDates(a, b) {
+  if (!a.dueDate || !b.dueDate) return Number(!a.dueDate) - Number(!b.dueDate);
+  return a.dueDate.localeCompare(b.dueDate) || (a.dueTime || '').localeCompare(b.dueTime || '');
+}
+
+/**
+ * @param {string} key - 'YYYY-MM-DD'
+ * @returns {string} e.g. "Jan 31, 2025" in the user's locale
+ */
+export const formatDate = (key) => parseDateKey(key).toLocaleDateString(undefined, DATE_FORMAT);
+
+/**
+ * @param {string} time - 'HH:MM'
+ * @returns {string} e.g. "2:30 PM" in the user's locale
+ */
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, TIME_FORMAT);
+}
+
+/**
+ * A task's due date and time as shown on cards and lists
+ * @param {Object} task
+ * @param {string} [fallback] - Text for tasks without a due date
+ * @returns {string} e.g. "Jan 31, 2025, 2:30 PM"
+ */
+export function formatDueDate(task, fallback = 'No due date') {
+  if (!task.dueDate) return fallback;
+  return task.dueTime ? `${formatDate(task.dueDate)}, ${formatTime(task.dueTime)}` : formatDate(task.dueDate);
+}
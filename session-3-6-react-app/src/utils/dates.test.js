@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toDateKey,
+  parseDateKey,
+  addMonths,
+  getDueDateTime,
+  compareDueDates,
+  formatDate,
+  formatTime,
+  formatDueDate,
+} from './dates';
+
+describe('Date helpers', () => {
+  it('converts between local dates and day keys', () => {
+    expect(toDateKey(new Date(2025, 0, 5, 23, 30))).toBe('2025-01-05');
+    expect(parseDateKey('2025-01-05')).toEqual(new Date(2025, 0, 5));
+  });
+
+  it('adds months, clamping to the shorter month', () => {
+    expect(toDateKey(addMonths(new Date(2025, 0, 31), 1))).toBe('2025-02-28');
+    expect(toDateKey(addMonths(new Date(2025, 0, 15), -1))).toBe('2024-12-15');
+  });
+
+  it('reads due dates as local calendar days, with the optional time', () => {
+    expect(getDueDateTime({ dueDate: '2025-01-05' })).toEqual(new Date(2025, 0, 5));
+    expect(getDueDateTime({ dueDate: '2025-01-05', dueTime: '14:30' })).toEqual(new Date(2025, 0, 5, 14, 30));
+    expect(getDueDateTime({ dueDate: '' })).toBeNull();
+  });
+
+  it('sorts by due date and time, all-day first and unscheduled last', () => {
+    const tasks = [
+      { id: 1, dueDate: '' },
+      { id: 2, dueDate: '2025-01-05', dueTime: '14:30' },
+      { id: 3, dueDate: '2025-01-06' },
+      { id: 4, dueDate: '2025-01-05', dueTime: '09:00' },
+      { id: 5, dueDate: '2025-01-05' },
+    ];
+
+    expect([...tasks].sort(compareDueDates).map(task => task.id)).toEqual([5, 4, 2, 3, 1]);
+  });
+
+  it('formats the local day, not the UTC one', () => {
+    expect(formatDate('2025-01-01')).toBe(new Date(2025, 0, 1).toLocaleDateString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric',
+    }));
+    expect(formatDate('2025-01-01')).toMatch(/2025/);
+  });
+
+  it('adds the time to formatted due dates when there is one', () => {
+    const date = formatDate('2025-01-05');
+
+    expect(formatDueDate({ dueDate: '2025-01-05', dueTime: '' })).toBe(date);
+    expect(formatDueDate({ dueDate: '2025-01-05', dueTime: '14:30' })).toBe(`${date}, ${formatTime('14:30')}`);
+    expect(formatDueDate({ dueDate: '' })).toBe('No due date');
+    expect(formatDueDate({ dueDate: '' }, 'Someday')).toBe('Someday');
+  });
+});
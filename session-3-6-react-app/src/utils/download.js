@@ -0,0 +1,27 @@
+/**
+ * FILE DOWNLOAD HELPER
+ *
+ * Browsers have no "save file" API for generated content - the usual trick
+ * is a temporary object URL on an <a download> element that we click.
+ */
+
+/**
+ * Offer `content` to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} type - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoke on the next tick - some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,88 @@
+/**
+ * FILTER <-> URL QUERY PARAMETER MAPPING (SESSION 5 - Routing)
+ *
+ * Pure helpers that translate the TaskContext filter/sort state into
+ * query parameters and back, e.g.
+ *   ?status=pending&priority=high&q=auth&tags=backend,docs&tagMatch=all&sort=priority
+ * The sort is a preset name, 'manual', 'relevance' or a multi-key spec such as
+ * sort=priority:desc,title:asc (see utils/sorting).
+ *
+ * Default values are left out of the URL so that a plain `/tasks`
+ * means "no filters", and unknown values fall back to the default
+ * instead of producing an empty list.
+ */
+
+import { normalizeTags, TAG_MATCH_MODES } from './tags';
+import { SPECIAL_SORTS, isValidSort, parseSortSpec, formatSortSpec } from './sorting';
+
+// Query parameter name for each piece of state
+export const FILTER_PARAM_KEYS = {
+  status: 'status',
+  priority: 'priority',
+  searchTerm: 'q',
+  tags: 'tags',
+  tagMatch: 'tagMatch',
+  sortBy: 'sort',
+};
+
+export const DEFAULT_FILTER_PARAMS = {
+  status: 'all',
+  priority: 'all',
+  searchTerm: '',
+  tags: [],
+  tagMatch: 'any',
+  sortBy: 'date',
+};
+
+const ALLOWED_VALUES = {
+  status: ['all', 'pending', 'completed'],
+  priority: ['all', 'high', 'medium', 'low'],
+  tagMatch: TAG_MATCH_MODES,
+  sortBy: isValidSort,
+};
+
+// A list of values, or a function for open-ended ones like sort specs
+const isAllowed = (allowed, value) => (typeof allowed === 'function' ? allowed(value) : allowed.includes(value));
+
+/**
+ * Read filter state from URLSearchParams
+ * @param {URLSearchParams} searchParams
+ * @returns {{status: string, priority: string, searchTerm: string, tags: string[], tagMatch: string, sortBy: string}}
+ */
+export function parseFilterParams(searchParams) {
+  return Object.entries(FILTER_PARAM_KEYS).reduce((acc, [field, param]) => {
+    const raw = searchParams.get(param);
+    const allowed = ALLOWED_VALUES[field];
+
+    if (raw === null || (allowed && !isAllowed(allowed, raw))) {
+      acc[field] = DEFAULT_FILTER_PARAMS[field];
+    } else if (field === 'sortBy') {
+      // Written out specs that match a preset use its name
+      acc[field] = SPECIAL_SORTS.includes(raw) ? raw : formatSortSpec(parseSortSpec(raw));
+    } else if (field === 'tags') {
+      // Comma separated: ?tags=backend,docs
+      acc[field] = normalizeTags(raw.split(','));
+    } else {
+      acc[field] = field === 'searchTerm' ? raw.trim() : raw;
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Build URLSearchParams from filter state, omitting defaults
+ * @param {Object} filters - Any subset of the filter fields
+ * @returns {URLSearchParams}
+ */
+export function buildFilterParams(filters) {
+  const params = new URLSearchParams();
+
+  Object.entries(FILTER_PARAM_KEYS).forEach(([field, param]) => {
+    const value = field === 'tags' ? filters.tags?.join(',') : filters[field];
+    if (value !== undefined && value !== '' && value !== DEFAULT_FILTER_PARAMS[field]) {
+      params.set(param, value);
+    }
+  });
+
+  return params;
+}
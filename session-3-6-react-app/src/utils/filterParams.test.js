@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { parseFilterParams, buildFilterParams, DEFAULT_FILTER_PARAMS } from './filterParams';
+
+describe('filterParams (Session 5 - Routing)', () => {
+  it('returns defaults for an empty query string', () => {
+    expect(parseFilterParams(new URLSearchParams(''))).toEqual(DEFAULT_FILTER_PARAMS);
+  });
+
+  it('parses every supported parameter', () => {
+    const params = new URLSearchParams('status=pending&priority=high&q=auth&tags=backend,docs&tagMatch=all&sort=priority');
+
+    expect(parseFilterParams(params)).toEqual({
+      status: 'pending',
+      priority: 'high',
+      searchTerm: 'auth',
+      tags: ['backend', 'docs'],
+      tagMatch: 'all',
+      sortBy: 'priority',
+    });
+  });
+
+  it('falls back to defaults for unknown values', () => {
+    const params = new URLSearchParams('status=archived&priority=urgent&tagMatch=some&sort=random');
+
+    expect(parseFilterParams(params)).toEqual(DEFAULT_FILTER_PARAMS);
+  });
+
+  it('omits default values when building', () => {
+    expect(buildFilterParams(DEFAULT_FILTER_PARAMS).toString()).toBe('');
+    expect(buildFilterParams({ ...DEFAULT_FILTER_PARAMS, priority: 'low', searchTerm: 'api docs' }).toString())
+      .toBe('priority=low&q=api+docs');
+  });
+
+  it('normalizes tags and ignores empty entries', () => {
+    expect(parseFilterParams(new URLSearchParams('tags=Backend,,API Docs,backend')).tags)
+      .toEqual(['backend', 'api-docs']);
+    expect(buildFilterParams({ ...DEFAULT_FILTER_PARAMS, tags: ['a', 'b'] }).get('tags')).toBe('a,b');
+  });
+
+  it('accepts multi-key sort specs, using preset names where they match', () => {
+    expect(parseFilterParams(new URLSearchParams('sort=completedAt:asc,title:desc')).sortBy).toBe('completedAt:asc,title:desc');
+    expect(parseFilterParams(new URLSearchParams('sort=title:asc,dueDate:asc')).sortBy).toBe('title');
+    expect(parseFilterParams(new URLSearchParams('sort=manual')).sortBy).toBe('manual');
+    expect(parseFilterParams(new URLSearchParams('sort=title:sideways')).sortBy).toBe('date');
+  });
+
+  it('round-trips filters through the URL', () => {
+    const filters = { status: 'completed', priority: 'medium', searchTerm: 'login', tags: ['ui'], tagMatch: 'any', sortBy: 'title' };
+
+    expect(parseFilterParams(buildFilterParams(filters))).toEqual(filters);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * FUZZY MATCHING
+ *
+ * Subsequence matching as in editor command palettes: "atd" matches
+ * "All Tasks Dashboard" because a, t and d appear in that order. Matches
+ * score higher when the characters are consecutive or start words, so
+ * "set" ranks "Settings" above "Reset filters".
+ */
+
+const SCORE_MATCH = 1;
+const SCORE_CONSECUTIVE = 8;
+const SCORE_WORD_START = 8;
+const SCORE_TEXT_START = 4;
+const PENALTY_GAP = 0.5;
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/#.:]/.test(text[index - 1]);
+
+// Positions of `needle`'s characters in `haystack`, in order, or null.
+// With `preferWordStarts`, each character skips ahead to the next word
+// start when it cannot continue the previous match.
+function locate(needle, haystack, text, preferWordStarts) {
+  const indices = [];
+  let from = 0;
+  for (const char of needle) {
+    let index = -1;
+    for (let i = from; i < haystack.length; i++) {
+      if (haystack[i] !== char) continue;
+      if (index === -1) index = i;
+      if (!preferWordStarts || i === from || isWordStart(text, i)) {
+        index = i;
+        break;
+      }
+    }
+    if (index === -1) return null;
+    indices.push(index);
+    from = index + 1;
+  }
+  return indices;
+}
+
+/**
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} Matched character
+ *   positions for highlighting, or null when `query` is not a subsequence
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  // Jumping to word starts can use up characters a later one needed,
+  // so fall back to the earliest occurrences
+  const indices = locate(needle, haystack, text, true) ?? locate(needle, haystack, text, false);
+  if (!indices) return null;
+
+  let score = 0;
+  indices.forEach((index, i) => {
+    score += SCORE_MATCH;
+    if (i > 0 && index === indices[i - 1] + 1) score += SCORE_CONSECUTIVE;
+    if (isWordStart(text, index)) score += SCORE_WORD_START;
+    if (i > 0) score -= (index - indices[i - 1] - 1) * PENALTY_GAP;
+  });
+  if (indices[0] === 0) score += SCORE_TEXT_START;
+
+  return { score, indices };
+}
+
+/**
+ * Items matching `query`, best first (ties keep their original order)
+ * @param {Array} items
+ * @param {string} query
+ * @param {(item: *) => string} getText
+ * @returns {Array<{item: *, score: number, indices: number[]}>}
+ */
+export function fuzzyFilter(items, query, getText) {
+  return items
+    .map(item => ({ item, ...fuzzyMatch(query, getText(item)) }))
+    .filter(result => result.indices)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Split text into highlighted and plain parts for rendering
+ * @param {string} text
+ * @param {number[]} indices - From fuzzyMatch
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function splitMatches(text, indices) {
+  const matched = new Set(indices);
+  const parts = [];
+  for (let index = 0; index < text.length; index++) {
+    const match = matched.has(index);
+    const last = parts[parts.length - 1];
+    if (last && last.match === match) last.text += text[index];
+    else parts.push({ text: text[index], match });
+  }
+  return parts;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch, fuzzyFilter, splitMatches } from './fuzzy';
+
+describe('Fuzzy matching', () => {
+  it('matches characters in order, ignoring case and spaces', () => {
+    expect(fuzzyMatch('atk', 'All Tasks')).toMatchObject({ indices: [0, 4, 7] });
+    expect(fuzzyMatch('fix bug', 'Fix authentication bug')).not.toBeNull();
+    expect(fuzzyMatch('kta', 'All Tasks')).toBeNull();
+  });
+
+  it('matches everything for an empty query', () => {
+    expect(fuzzyMatch('', 'Anything')).toEqual({ score: 0, indices: [] });
+  });
+
+  it('prefers word starts but falls back to any occurrence', () => {
+    expect(fuzzyMatch('gs', 'Go to Settings').indices).toEqual([0, 6]);
+    expect(fuzzyMatch('ab', 'xaby a').indices).toEqual([1, 2]);
+  });
+
+  it('ranks consecutive and word-start matches first', () => {
+    const titles = ['Reset filters', 'Settings', 'Show pending tasks'];
+    expect(fuzzyFilter(titles, 'set', title => title).map(result => result.item)).toEqual([
+      'Settings', 'Reset filters', 'Show pending tasks',
+    ]);
+  });
+
+  it('splits text into highlighted parts', () => {
+    expect(splitMatches('Board', [0, 1])).toEqual([
+      { text: 'Bo', match: true },
+      { text: 'ard', match: false },
+    ]);
+  });
+});
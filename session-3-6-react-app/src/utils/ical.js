@@ -0,0 +1,239 @@
+/**
+ * ICALENDAR (.ics) HELPERS - RFC 5545
+ *
+ * Export: every task becomes a VTODO, which calendar clients (Apple
+ * Calendar/Reminders, Thunderbird, Outlook) show as a to-do with a due date.
+ * Import: VTODO and VEVENT items are turned into task fields for addTask -
+ * an event's start date becomes the task's due date.
+ *
+ * Due dates are date-only values (DUE;VALUE=DATE:20250131), matching the
+ * app's YYYY-MM-DD dueDate; tasks with a due time get a floating local
+ * DATE-TIME (DUE:20250131T143000). Timestamps (DTSTAMP, COMPLETED, ...)
+ * are UTC.
+ */
+
+import { toDateKey, toTimeKey } from './dates';
+
+const PRODUCT_ID = '-//TaskMaster//Tasks//EN';
+const UID_DOMAIN = 'taskmaster';
+const MAX_LINE_OCTETS = 75;
+
+// iCalendar PRIORITY is 1 (highest) - 9 (lowest), 0 = undefined
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+const icalPriorityToTask = (value) => {
+  const priority = Number(value);
+  if (priority >= 1 && priority <= 4) return 'high';
+  if (priority >= 6 && priority <= 9) return 'low';
+  return 'medium';
+};
+
+/**
+ * UID written for a task, so a re-import can recognise it
+ * @param {Object} task
+ * @returns {string}
+ */
+export const taskUid = (task) => `task-${task.id}@${UID_DOMAIN}`;
+
+// --- Writing -------------------------------------------------------------
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 2025-01-31T10:00:00.000Z -> 20250131T100000Z
+const formatUtc = (isoString) => new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 2025-01-31 -> 20250131
+const formatDate = (dateString) => dateString.replace(/-/g, '');
+
+// 2025-01-31 + 14:30 -> 20250131T143000
+const formatDateTime = (dateString, time) => `${formatDate(dateString)}T${time.replace(':', '')}00`;
+
+// Long lines are folded: CRLF followed by a space, at most 75 octets each
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function taskToVtodo(task, stamp) {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${taskUid(task)}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (task.createdAt) lines.push(`CREATED:${formatUtc(task.createdAt)}`);
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(task.updatedAt)}`);
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority] ?? 0}`);
+  if (task.dueDate) {
+    lines.push(task.dueTime
+      ? `DUE:${formatDateTime(task.dueDate, task.dueTime)}`
+      : `DUE;VALUE=DATE:${formatDate(task.dueDate)}`);
+  }
+
+  if (task.status === 'completed') {
+    lines.push('STATUS:COMPLETED');
+    if (task.completedAt) lines.push(`COMPLETED:${formatUtc(task.completedAt)}`);
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+
+  lines.push('END:VTODO');
+  return lines;
+}
+
+/**
+ * Build an iCalendar file with one VTODO per task
+ * @param {Array} tasks
+ * @param {Date} now - DTSTAMP for every item
+ * @returns {string}
+ */
+export function tasksToIcs(tasks, now = new Date()) {
+  const stamp = formatUtc(now.toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...tasks.flatMap(task => taskToVtodo(task, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// --- Reading -------------------------------------------------------------
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// NAME;PARAM=x:VALUE (a colon inside a quoted parameter doesn't end the name)
+function parseContentLine(line) {
+  const match = line.match(/^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!match) return null;
+  return { name: match[1].toUpperCase(), params: match[2].toUpperCase(), value: match[3] };
+}
+
+/**
+ * Read a DATE or DATE-TIME value as local dueDate / dueTime fields (no
+ * dueTime for a DATE). UTC times (trailing Z) are converted to local
+ * time; floating and TZID times keep their written date and time.
+ */
+function parseIcalDue(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return { dueDate: '' };
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) return { dueDate: `${year}-${month}-${day}` };
+  if (!utc) return { dueDate: `${year}-${month}-${day}`, dueTime: `${hours}:${minutes}` };
+
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return { dueDate: toDateKey(date), dueTime: toTimeKey(date) };
+}
+
+function parseIcalTimestamp(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)).toISOString();
+}
+
+function componentToTask(type, props) {
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+  if (!summary) return { task: null, errors: [`${type} has no SUMMARY (title)`] };
+
+  const due = props.DUE || (type === 'VEVENT' ? props.DTSTART : null);
+  const completedAt = props.COMPLETED ? parseIcalTimestamp(props.COMPLETED.value) : null;
+  const isCompleted = type === 'VTODO' &&
+    (props.STATUS?.value.toUpperCase() === 'COMPLETED' || Boolean(completedAt));
+
+  const task = {
+    title: summary,
+    description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : '',
+    priority: icalPriorityToTask(props.PRIORITY?.value),
+    status: isCompleted ? 'completed' : 'pending',
+    ...(due ? parseIcalDue(due.value) : { dueDate: '' }),
+  };
+  if (isCompleted) task.completedAt = completedAt || new Date().toISOString();
+
+  const createdAt = props.CREATED && parseIcalTimestamp(props.CREATED.value);
+  if (createdAt) task.createdAt = createdAt;
+
+  return { task, errors: [] };
+}
+
+/**
+ * Read VTODO and VEVENT items from an iCalendar file
+ * @param {string} text
+ * @returns {Array<{line: number, uid: string, task: Object|null, errors: string[]}>}
+ *   `line` is the item's position in the file (1-based)
+ * @throws {Error} When the text is not an iCalendar file
+ */
+export function parseIcs(text) {
+  // Unfold: a line break followed by a space or tab continues the line
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const items = [];
+  const stack = [];
+  let props = null;
+
+  lines.forEach(rawLine => {
+    const property = parseContentLine(rawLine.trim());
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      const component = property.value.trim().toUpperCase();
+      stack.push(component);
+      if (stack.length === 2 && (component === 'VTODO' || component === 'VEVENT')) {
+        props = {};
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (props && stack.length === 1) {
+        items.push({
+          line: items.length + 1,
+          uid: props.UID ? props.UID.value : '',
+          ...componentToTask(component, props),
+        });
+        props = null;
+      }
+      return;
+    }
+
+    // Only direct properties of the item - not of a nested VALARM
+    if (props && stack.length === 2 && !(property.name in props)) {
+      props[property.name] = property;
+    }
+  });
+
+  return items;
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { tasksToIcs, parseIcs, taskUid } from './ical';
+
+const tasks = [
+  {
+    id: 1,
+    title: 'Renew passport; bring photos, forms',
+    description: 'Line one\nLine two',
+    priority: 'high',
+    status: 'pending',
+    dueDate: '2025-03-15',
+    createdAt: '2025-01-01T09:30:00.000Z',
+  },
+  {
+    id: 2,
+    title: 'File taxes',
+    description: '',
+    priority: 'low',
+    status: 'completed',
+    dueDate: '',
+    completedAt: '2025-02-01T18:00:00.000Z',
+  },
+];
+
+const NOW = new Date('2025-02-10T12:00:00.000Z');
+
+describe('iCalendar helpers', () => {
+  describe('tasksToIcs', () => {
+    const ics = tasksToIcs(tasks, NOW);
+    const lines = ics.split('\r\n');
+
+    it('wraps VTODOs in a VCALENDAR with CRLF line endings', () => {
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('VERSION:2.0');
+      expect(lines.filter(line => line === 'BEGIN:VTODO')).toHaveLength(2);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('writes task fields as VTODO properties', () => {
+      expect(lines).toEqual(expect.arrayContaining([
+        'UID:task-1@taskmaster',
+        'DTSTAMP:20250210T120000Z',
+        'SUMMARY:Renew passport\\; bring photos\\, forms',
+        'DESCRIPTION:Line one\\nLine two',
+        'CREATED:20250101T093000Z',
+        'PRIORITY:1',
+        'DUE;VALUE=DATE:20250315',
+        'STATUS:NEEDS-ACTION',
+        'PRIORITY:9',
+        'STATUS:COMPLETED',
+        'COMPLETED:20250201T180000Z',
+      ]));
+    });
+
+    it('writes a due time as a floating local date-time', () => {
+      const timed = tasksToIcs([{ ...tasks[0], dueTime: '14:30' }], NOW).split('\r\n');
+
+      expect(timed).toContain('DUE:20250315T143000');
+      expect(parseIcs(timed.join('\r\n'))[0].task).toMatchObject({ dueDate: '2025-03-15', dueTime: '14:30' });
+    });
+
+    it('folds lines longer than 75 octets', () => {
+      const longTitle = 'ü'.repeat(100);
+      const folded = tasksToIcs([{ ...tasks[0], title: longTitle }], NOW).split('\r\n');
+
+      folded.forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+      expect(parseIcs(folded.join('\r\n'))[0].task.title).toBe(longTitle);
+    });
+  });
+
+  describe('parseIcs', () => {
+    it('reads its own export back', () => {
+      const items = parseIcs(tasksToIcs(tasks, NOW));
+
+      expect(items.map(item => item.uid)).toEqual([taskUid(tasks[0]), taskUid(tasks[1])]);
+      expect(items[0].task).toEqual({
+        title: tasks[0].title,
+        description: tasks[0].description,
+        priority: 'high',
+        status: 'pending',
+        dueDate: '2025-03-15',
+        createdAt: tasks[0].createdAt,
+      });
+      expect(items[1].task).toMatchObject({ status: 'completed', completedAt: '2025-02-01T18:00:00.000Z', dueDate: '' });
+    });
+
+    it('turns events into tasks due on their start date', () => {
+      const [item] = parseIcs([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:abc@example.com',
+        'SUMMARY:Team offsite',
+        'DTSTART;TZID=Europe/Berlin:20250420T090000',
+        'PRIORITY:5',
+        'BEGIN:VALARM',
+        'DESCRIPTION:Reminder',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\n'));
+
+      expect(item).toEqual({
+        line: 1,
+        uid: 'abc@example.com',
+        errors: [],
+        task: {
+          title: 'Team offsite', description: '', priority: 'medium', status: 'pending', dueDate: '2025-04-20', dueTime: '09:00',
+        },
+      });
+    });
+
+    it('reports items without a title and ignores other components', () => {
+      const items = parseIcs([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Berlin',
+        'END:VTIMEZONE',
+        'BEGIN:VTODO',
+        'DUE;VALUE=DATE:20250101',
+        'END:VTODO',
+        'END:VCALENDAR',
+      ].join('\r\n'));
+
+      expect(items).toEqual([{ line: 1, uid: '', task: null, errors: ['VTODO has no SUMMARY (title)'] }]);
+    });
+
+    it('rejects text that is not a calendar', () => {
+      expect(() => parseIcs('title,priority\nA,high')).toThrow(/not an icalendar/i);
+    });
+  });
+});
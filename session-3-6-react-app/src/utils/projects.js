@@ -0,0 +1,39 @@
+/**
+ * PROJECT HELPERS
+ *
+ * A task belongs to a project through `projectId`; tasks without one (or
+ * whose project was deleted) are "No project". Projects themselves are
+ * kept by ProjectContext.
+ */
+
+/**
+ * Problem with a project name, or '' when it is fine
+ * @param {string} name
+ * @param {Array} projects - Existing projects
+ * @param {string} [ignoreId] - Project being renamed
+ * @returns {string}
+ */
+export function validateProjectName(name, projects, ignoreId = null) {
+  const trimmed = name.trim();
+  if (!trimmed) return 'Project name is required';
+  const isTaken = projects.some(project =>
+    project.id !== ignoreId && project.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return isTaken ? `A project named "${trimmed}" already exists` : '';
+}
+
+/**
+ * @param {Array} tasks
+ * @param {string} projectId
+ * @returns {Array} Tasks in the project
+ */
+export function getProjectTasks(tasks, projectId) {
+  return tasks.filter(task => task.projectId === projectId);
+}
+
+/**
+ * Route of a project's task list
+ * @param {string} projectId
+ * @returns {string}
+ */
+export const projectTasksPath = (projectId) => `/projects/${encodeURIComponent(projectId)}/tasks`;
@@ -0,0 +1,189 @@
+/**
+ * QUICK ADD PARSER
+ *
+ * Turns a one-line description into task fields:
+ *
+ *   parseQuickAdd('Fix login bug tomorrow at 3pm !high #auth')
+ *   // { title: 'Fix login bug', dueDate: '2025-01-06', dueTime: '15:00',
+ *   //   priority: 'high', tags: ['auth'] }
+ *
+ * Recognised anywhere in the text (case-insensitive):
+ *   !high !medium !low    priority (also !h !m !l and !1 !2 !3)
+ *   #tag                  tags, normalized as in utils/tags
+ *   today, tomorrow       relative days
+ *   friday, next fri      the next such weekday after today
+ *   next week             the coming Monday
+ *   in 3 days / weeks / months
+ *   2025-01-31, jan 31, 31 jan (2025)
+ *   at 3pm, 3:30pm, 15:30, at 15, noon
+ *   (a bare hour needs am/pm below 7, so "Call mum at 1" is not 01:00)
+ *
+ * A date may be introduced by "on", "due" or "by". Only the first date and
+ * the first time are used; anything else stays in the title. A time
+ * without a date means today.
+ */
+
+import { toDateKey, parseDateKey, addDays, addMonths } from './dates';
+import { normalizeTags } from './tags';
+
+// "sun", "wed" and "sat" are ordinary words, so those days need their full name
+const WEEKDAYS = {
+  sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  saturday: 6,
+};
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11,
+};
+
+const PRIORITY_TOKENS = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low',
+};
+
+// Longest names first so "monday" is not read as "mon" + "day"
+const alternation = (names) => Object.keys(names).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY = alternation(WEEKDAYS);
+const MONTH = alternation(MONTHS);
+const LEAD = '(?:(?:on|due|by)\\s+)?';
+const YEAR = '(?:,?\\s+(\\d{4}))?';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// A real calendar day, or null for things like Feb 30
+function dayKey(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? toDateKey(date) : null;
+}
+
+// A month and day without a year: this year, or next year once it has passed
+function upcomingDayKey(today, month, day, year) {
+  if (year) return dayKey(Number(year), month, day);
+  const key = dayKey(today.getFullYear(), month, day);
+  return key && key < toDateKey(today) ? dayKey(today.getFullYear() + 1, month, day) : key;
+}
+
+// The first `weekday` strictly after `today`
+const nextWeekday = (today, weekday) => addDays(today, ((weekday - today.getDay() + 6) % 7) + 1);
+
+// Each rule: pattern -> resolve(match, today) returning a day key (or null)
+const DATE_RULES = [
+  {
+    pattern: new RegExp(`\\b${LEAD}(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'),
+    resolve: ([, year, month, day]) => dayKey(Number(year), Number(month) - 1, Number(day)),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}today\\b`, 'i'),
+    resolve: (match, today) => toDateKey(today),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}(?:tomorrow|tmrw)\\b`, 'i'),
+    resolve: (match, today) => toDateKey(addDays(today, 1)),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}next\\s+week\\b`, 'i'),
+    resolve: (match, today) => toDateKey(nextWeekday(today, 1)),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}in\\s+(\\d{1,3})\\s+(day|week|month)s?\\b`, 'i'),
+    resolve: ([, amount, unit], today) => {
+      const n = Number(amount);
+      if (unit.toLowerCase() === 'month') return toDateKey(addMonths(today, n));
+      return toDateKey(addDays(today, unit.toLowerCase() === 'week' ? n * 7 : n));
+    },
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}(?:next\\s+)?(${WEEKDAY})\\b`, 'i'),
+    resolve: ([, name], today) => toDateKey(nextWeekday(today, WEEKDAYS[name.toLowerCase()])),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b${YEAR}`, 'i'),
+    resolve: ([, month, day, year], today) => upcomingDayKey(today, MONTHS[month.toLowerCase()], Number(day), year),
+  },
+  {
+    pattern: new RegExp(`\\b${LEAD}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH})\\b${YEAR}`, 'i'),
+    resolve: ([, day, month, year], today) => upcomingDayKey(today, MONTHS[month.toLowerCase()], Number(day), year),
+  },
+];
+
+// Each rule: pattern -> resolve(match) returning 'HH:MM' (or null)
+const TIME_RULES = [
+  {
+    pattern: /\b(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s?(am|pm)\b/i,
+    resolve: ([, hours, minutes = '00', meridiem]) => {
+      const hour = Number(hours);
+      if (hour < 1 || hour > 12) return null;
+      const isPm = meridiem.toLowerCase() === 'pm';
+      return `${pad((hour % 12) + (isPm ? 12 : 0))}:${minutes}`;
+    },
+  },
+  {
+    pattern: /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/i,
+    resolve: ([, hours, minutes]) => `${pad(Number(hours))}:${minutes}`,
+  },
+  {
+    // "at 1" more likely means 1pm than 1am, so early hours need am/pm
+    pattern: /\bat\s+([01]?\d|2[0-3])\b/i,
+    resolve: ([, hours]) => (Number(hours) >= 7 ? `${pad(Number(hours))}:00` : null),
+  },
+  {
+    pattern: /\b(?:at\s+)?noon\b/i,
+    resolve: () => '12:00',
+  },
+];
+
+// First rule whose match resolves; the matched text is cut out of `text`
+function extract(text, rules, ...args) {
+  for (const { pattern, resolve } of rules) {
+    const match = text.match(pattern);
+    const value = match && resolve(match, ...args);
+    if (value) {
+      return { value, text: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}` };
+    }
+  }
+  return { value: '', text };
+}
+
+/**
+ * @param {string} input - e.g. "Fix login bug tomorrow !high #auth"
+ * @param {Date} [now] - Reference for relative dates
+ * @returns {{title: string, dueDate: string, dueTime: string, priority: string|null, tags: string[]}}
+ *   dueDate / dueTime are '' and priority is null when not given
+ */
+export function parseQuickAdd(input, now = new Date()) {
+  const today = parseDateKey(toDateKey(now));
+  let priority = null;
+  const tags = [];
+
+  let text = input
+    .replace(/(^|\s)!(\w+)(?=\s|$)/g, (token, space, name) => {
+      const value = PRIORITY_TOKENS[name.toLowerCase()];
+      if (!value) return token;
+      priority = value;
+      return space;
+    })
+    .replace(/(^|\s)#([\w-]+)(?=\s|$)/g, (token, space, name) => {
+      tags.push(name);
+      return space;
+    });
+
+  const time = extract(text, TIME_RULES);
+  const date = extract(time.text, DATE_RULES, today);
+  text = date.text;
+
+  return {
+    title: text.replace(/\s+/g, ' ').trim(),
+    dueDate: date.value || (time.value ? toDateKey(today) : ''),
+    dueTime: time.value,
+    priority,
+    tags: normalizeTags(tags),
+  };
+}
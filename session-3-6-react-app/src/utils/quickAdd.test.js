@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd } from './quickAdd';
+
+// A Sunday
+const NOW = new Date(2025, 0, 5, 10, 0);
+const parse = (text) => parseQuickAdd(text, NOW);
+
+describe('Quick add parser', () => {
+  it('reads title, due date, priority and tags', () => {
+    expect(parse('Fix login bug tomorrow !high #auth')).toEqual({
+      title: 'Fix login bug',
+      dueDate: '2025-01-06',
+      dueTime: '',
+      priority: 'high',
+      tags: ['auth'],
+    });
+  });
+
+  it('leaves plain text as the title', () => {
+    expect(parse('  Write   release notes ')).toEqual({
+      title: 'Write release notes', dueDate: '', dueTime: '', priority: null, tags: [],
+    });
+  });
+
+  it('accepts short priority tokens and keeps unknown ones in the title', () => {
+    expect(parse('Deploy !l').priority).toBe('low');
+    expect(parse('Deploy !2').priority).toBe('medium');
+    expect(parse('Say hello! !urgent')).toMatchObject({ title: 'Say hello! !urgent', priority: null });
+  });
+
+  it('normalizes and de-duplicates tags', () => {
+    expect(parse('Review #Backend #api-docs #backend').tags).toEqual(['backend', 'api-docs']);
+    expect(parse('Fix issue#12').title).toBe('Fix issue#12');
+  });
+
+  it('resolves relative days and weekdays', () => {
+    expect(parse('Standup today').dueDate).toBe('2025-01-05');
+    expect(parse('Plan sprint next week').dueDate).toBe('2025-01-06');
+    expect(parse('Pay rent in 3 days').dueDate).toBe('2025-01-08');
+    expect(parse('Renew in 2 weeks').dueDate).toBe('2025-01-19');
+    expect(parse('Invoice in 1 month').dueDate).toBe('2025-02-05');
+    expect(parse('Demo on friday')).toMatchObject({ title: 'Demo', dueDate: '2025-01-10' });
+    expect(parse('Retro next Sunday').dueDate).toBe('2025-01-12');
+  });
+
+  it('reads absolute dates, rolling past ones into next year', () => {
+    expect(parse('Taxes due 2025-04-15')).toMatchObject({ title: 'Taxes', dueDate: '2025-04-15' });
+    expect(parse('Party dec 31').dueDate).toBe('2025-12-31');
+    expect(parse('Party 1st jan').dueDate).toBe('2026-01-01');
+    expect(parse('Launch march 3, 2026').dueDate).toBe('2026-03-03');
+    expect(parse('Call by feb 30')).toMatchObject({ title: 'Call by feb 30', dueDate: '' });
+  });
+
+  it('reads due times, defaulting the date to today', () => {
+    expect(parse('Call Sam tomorrow at 3pm')).toMatchObject({ title: 'Call Sam', dueDate: '2025-01-06', dueTime: '15:00' });
+    expect(parse('Lunch noon').dueTime).toBe('12:00');
+    expect(parse('Sync 9:30am').dueTime).toBe('09:30');
+    expect(parse('Deploy at 17')).toMatchObject({ title: 'Deploy', dueDate: '2025-01-05', dueTime: '17:00' });
+    expect(parse('Report 12am').dueTime).toBe('00:00');
+  });
+
+  it('needs am/pm or minutes for early bare hours', () => {
+    expect(parse('Call mum at 1')).toMatchObject({ title: 'Call mum at 1', dueTime: '' });
+    expect(parse('Call mum at 1pm').dueTime).toBe('13:00');
+    expect(parse('Backup at 01:00').dueTime).toBe('01:00');
+    expect(parse('Standup at 9').dueTime).toBe('09:00');
+  });
+
+  it('only uses the first date and keeps ordinary words', () => {
+    expect(parse('Move monday meeting to friday')).toMatchObject({ title: 'Move meeting to friday', dueDate: '2025-01-06' });
+    expect(parse('Buy sun cream')).toMatchObject({ title: 'Buy sun cream', dueDate: '' });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * RECURRENCE HELPERS
+ *
+ * A recurring task carries a rule modelled on iCalendar's RRULE:
+ *
+ *   recurrence: {
+ *     frequency: 'daily' | 'weekly' | 'monthly',   // FREQ
+ *     interval: 2,          // INTERVAL - every 2 days / weeks / months
+ *     weekdays: [1, 3],     // BYDAY (weekly) - 0 = Sunday
+ *     monthDay: 15,         // BYMONTHDAY (monthly) - clamped to short months
+ *     ends: 'never' | 'after' | 'on',
+ *     count: 10,            // COUNT (ends 'after') - occurrences in total
+ *     until: '2025-06-30',  // UNTIL (ends 'on') - last possible due date
+ *     occurrence: 1,        // which occurrence this task is
+ *   }
+ *
+ * Completing a recurring task adds the next occurrence as a new task
+ * (see TaskContext). Dates are day keys as in utils/dates.
+ */
+
+import { toDateKey, parseDateKey, addDays, formatDate, DATE_ONLY_PATTERN } from './dates';
+import { startOfWeek } from './calendar';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+];
+
+export const RECURRENCE_ENDS = ['never', 'after', 'on'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fields a new occurrence does not inherit from the completed task
+const OCCURRENCE_RESET_FIELDS = ['id', 'activity', 'completedAt', 'updatedAt', 'column', 'order', 'nextOccurrenceId'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Rule with sensible defaults, anchored on the task's due date
+ * @param {string} frequency
+ * @param {string} [dateKey] - Due date (defaults to today)
+ * @returns {Object} Recurrence rule
+ */
+export function createRecurrence(frequency, dateKey = toDateKey(new Date())) {
+  const date = parseDateKey(dateKey);
+  return {
+    frequency,
+    interval: 1,
+    weekdays: [date.getDay()],
+    monthDay: date.getDate(),
+    ends: 'never',
+    count: 10,
+    until: '',
+    occurrence: 1,
+  };
+}
+
+/**
+ * Repair a stored rule, or null when it is unusable
+ * @param {*} rule
+ * @returns {Object|null}
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== 'object' || !RECURRENCE_FREQUENCIES.some(f => f.value === rule.frequency)) {
+    return null;
+  }
+
+  const weekdays = Array.isArray(rule.weekdays)
+    ? [...new Set(rule.weekdays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+    : [];
+  if (rule.frequency === 'weekly' && weekdays.length === 0) return null;
+
+  const until = typeof rule.until === 'string' && DATE_ONLY_PATTERN.test(rule.until) ? rule.until : '';
+  let ends = RECURRENCE_ENDS.includes(rule.ends) ? rule.ends : 'never';
+  if (ends === 'on' && !until) ends = 'never';
+
+  return {
+    frequency: rule.frequency,
+    interval: isPositiveInteger(rule.interval) ? rule.interval : 1,
+    weekdays,
+    monthDay: Number.isInteger(rule.monthDay) && rule.monthDay >= 1 && rule.monthDay <= 31 ? rule.monthDay : 1,
+    ends,
+    count: isPositiveInteger(rule.count) ? rule.count : 1,
+    until,
+    occurrence: isPositiveInteger(rule.occurrence) ? rule.occurrence : 1,
+  };
+}
+
+// Day `monthDay` of the month `months` after `date`, clamped to its length
+function monthDayAfter(date, months, monthDay) {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(monthDay, lastDay));
+}
+
+/**
+ * The date the rule produces after `fromKey`, ignoring end conditions
+ * @param {Object} rule
+ * @param {string} fromKey
+ * @returns {string}
+ */
+export function getNextDate(rule, fromKey) {
+  const from = parseDateKey(fromKey);
+
+  if (rule.frequency === 'daily') return toDateKey(addDays(from, rule.interval));
+
+  if (rule.frequency === 'weekly') {
+    const firstWeek = startOfWeek(from);
+    // A matching day always exists within interval + 1 weeks
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      const day = addDays(from, i);
+      const weeks = Math.round((startOfWeek(day) - firstWeek) / WEEK_MS);
+      if (weeks % rule.interval === 0 && rule.weekdays.includes(day.getDay())) return toDateKey(day);
+    }
+    return toDateKey(addDays(from, 7 * rule.interval));
+  }
+
+  const sameMonth = monthDayAfter(from, 0, rule.monthDay);
+  return toDateKey(sameMonth > from ? sameMonth : monthDayAfter(from, rule.interval, rule.monthDay));
+}
+
+// Whether occurrence number `occurrence`, due on `dateKey`, is still part of the series
+const isWithinEnd = (rule, dateKey, occurrence) =>
+  (rule.ends !== 'after' || occurrence <= rule.count) && (rule.ends !== 'on' || dateKey <= rule.until);
+
+/**
+ * Due dates of the next occurrences after the current one
+ * @param {Object} rule
+ * @param {string} fromKey - Due date of the current occurrence
+ * @param {number} [limit]
+ * @returns {string[]} Day keys (fewer than `limit` when the series ends)
+ */
+export function getUpcomingDates(rule, fromKey, limit = 5) {
+  const dates = [];
+  let dateKey = fromKey;
+  for (let occurrence = rule.occurrence + 1; dates.length < limit; occurrence++) {
+    dateKey = getNextDate(rule, dateKey);
+    if (!isWithinEnd(rule, dateKey, occurrence)) break;
+    dates.push(dateKey);
+  }
+  return dates;
+}
+
+/**
+ * The task that follows a completed recurring task, or null when the
+ * series has ended. Tasks without a due date continue from today.
+ * @param {Object} task
+ * @param {string} [todayKey]
+ * @returns {Object|null} New task (without id)
+ */
+export function createNextOccurrence(task, todayKey = toDateKey(new Date())) {
+  const [dueDate] = getUpcomingDates(task.recurrence, task.dueDate || todayKey, 1);
+  if (!dueDate) return null;
+
+  const next = {
+    ...task,
+    dueDate,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    recurrence: { ...task.recurrence, occurrence: task.recurrence.occurrence + 1 },
+  };
+  if (task.subtasks) next.subtasks = task.subtasks.map(subtask => ({ ...subtask, done: false }));
+  OCCURRENCE_RESET_FIELDS.forEach(field => delete next[field]);
+  return next;
+}
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+ * @param {Object|null} rule
+ * @returns {string}
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return 'Does not repeat';
+
+  const { unit } = RECURRENCE_FREQUENCIES.find(f => f.value === rule.frequency);
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  if (rule.frequency === 'weekly') text += ` on ${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  if (rule.frequency === 'monthly') text += ` on day ${rule.monthDay}`;
+
+  if (rule.ends === 'after') text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.ends === 'on') text += `, until ${formatDate(rule.until)}`;
+  return text;
+}
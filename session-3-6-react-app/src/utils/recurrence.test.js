@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createRecurrence,
+  normalizeRecurrence,
+  getNextDate,
+  getUpcomingDates,
+  createNextOccurrence,
+  describeRecurrence,
+} from './recurrence';
+
+const rule = (overrides) => ({ ...createRecurrence('daily', '2025-01-06'), ...overrides });
+
+describe('Recurrence helpers', () => {
+  it('anchors new rules on the due date', () => {
+    expect(createRecurrence('weekly', '2025-01-08')).toMatchObject({ weekdays: [3], monthDay: 8, ends: 'never', occurrence: 1 });
+  });
+
+  it('repeats every N days', () => {
+    expect(getNextDate(rule({ interval: 3 }), '2025-01-30')).toBe('2025-02-02');
+  });
+
+  it('repeats weekly on the chosen weekdays, skipping weeks by interval', () => {
+    const weekly = rule({ frequency: 'weekly', weekdays: [1, 4] }); // Mon, Thu
+
+    expect(getNextDate(weekly, '2025-01-06')).toBe('2025-01-09');
+    expect(getNextDate(weekly, '2025-01-09')).toBe('2025-01-13');
+    expect(getNextDate({ ...weekly, interval: 2 }, '2025-01-09')).toBe('2025-01-20');
+  });
+
+  it('repeats monthly on day N, clamped to short months', () => {
+    const monthly = rule({ frequency: 'monthly', monthDay: 31 });
+
+    expect(getNextDate(monthly, '2025-01-31')).toBe('2025-02-28');
+    expect(getNextDate(monthly, '2025-02-28')).toBe('2025-03-31');
+    expect(getNextDate({ ...monthly, monthDay: 15 }, '2025-01-10')).toBe('2025-01-15');
+    expect(getNextDate({ ...monthly, monthDay: 15, interval: 3 }, '2025-01-15')).toBe('2025-04-15');
+  });
+
+  it('stops after COUNT occurrences or after the UNTIL date', () => {
+    expect(getUpcomingDates(rule({ ends: 'after', count: 3 }), '2025-01-06')).toEqual(['2025-01-07', '2025-01-08']);
+    expect(getUpcomingDates(rule({ ends: 'after', count: 3, occurrence: 3 }), '2025-01-08')).toEqual([]);
+    expect(getUpcomingDates(rule({ interval: 7, ends: 'on', until: '2025-01-20' }), '2025-01-06')).toEqual(['2025-01-13', '2025-01-20']);
+    expect(getUpcomingDates(rule({}), '2025-01-06', 3)).toHaveLength(3);
+  });
+
+  it('creates the next occurrence as a fresh pending task', () => {
+    const task = {
+      id: 7,
+      title: 'Water plants',
+      status: 'completed',
+      completedAt: '2025-01-06T10:00:00.000Z',
+      dueDate: '2025-01-06',
+      column: 'done',
+      nextOccurrenceId: 8,
+      activity: [{ type: 'created' }],
+      subtasks: [{ id: 'a', title: 'Fern', done: true }],
+      recurrence: rule({ interval: 2 }),
+    };
+
+    const next = createNextOccurrence(task);
+
+    expect(next).toMatchObject({
+      title: 'Water plants',
+      status: 'pending',
+      dueDate: '2025-01-08',
+      subtasks: [{ id: 'a', title: 'Fern', done: false }],
+      recurrence: { occurrence: 2 },
+    });
+    ['id', 'completedAt', 'column', 'nextOccurrenceId', 'activity'].forEach(field => {
+      expect(next).not.toHaveProperty(field);
+    });
+  });
+
+  it('continues tasks without a due date from today and ends finished series', () => {
+    expect(createNextOccurrence({ title: 'A', recurrence: rule({}) }, '2025-03-01').dueDate).toBe('2025-03-02');
+    expect(createNextOccurrence({ title: 'A', dueDate: '2025-01-06', recurrence: rule({ ends: 'after', count: 1 }) })).toBeNull();
+  });
+
+  it('repairs stored rules', () => {
+    expect(normalizeRecurrence({ frequency: 'weekly', weekdays: [5, 1, 1, 9], interval: 0, ends: 'on' })).toEqual({
+      frequency: 'weekly',
+      interval: 1,
+      weekdays: [1, 5],
+      monthDay: 1,
+      ends: 'never',
+      count: 1,
+      until: '',
+      occurrence: 1,
+    });
+    expect(normalizeRecurrence({ frequency: 'weekly', weekdays: [] })).toBeNull();
+    expect(normalizeRecurrence({ frequency: 'yearly' })).toBeNull();
+    expect(normalizeRecurrence('daily')).toBeNull();
+  });
+
+  it('describes rules', () => {
+    expect(describeRecurrence(null)).toBe('Does not repeat');
+    expect(describeRecurrence(rule({}))).toBe('Every day');
+    expect(describeRecurrence(rule({ frequency: 'weekly', interval: 2, weekdays: [1, 4], ends: 'after', count: 5 })))
+      .toBe('Every 2 weeks on Mon, Thu, 5 times');
+    expect(describeRecurrence(rule({ frequency: 'monthly', monthDay: 15 }))).toBe('Every month on day 15');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * DUE DATE REMINDERS
+ *
+ * Reminders are browser notifications shown a configurable time before a
+ * pending task is due (see useDueReminders). A task without a due time
+ * counts as due at REMINDER_HOUR on its due date.
+ */
+
+import { getDueDateTime } from './dates';
+
+export const REMINDER_HOUR = 9;
+
+export const REMINDER_LEAD_TIMES = [
+  { value: 0, label: 'When the task is due' },
+  { value: 60, label: '1 hour before' },
+  { value: 3 * 60, label: '3 hours before' },
+  { value: 24 * 60, label: '1 day before' },
+  { value: 2 * 24 * 60, label: '2 days before' },
+];
+
+/**
+ * Is the Notification API available in this browser?
+ * @returns {boolean}
+ */
+export const supportsNotifications = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * When to remind about a task, or null when it needs no reminder
+ * @param {Object} task
+ * @param {number} leadMinutes
+ * @returns {number|null} Timestamp in ms
+ */
+export function getReminderTime(task, leadMinutes) {
+  if (task.status === 'completed' || !task.dueDate) return null;
+  const due = getDueDateTime(task);
+  if (!task.dueTime) due.setHours(REMINDER_HOUR);
+  return due.getTime() - leadMinutes * 60 * 1000;
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { getReminderTime } from './reminders';
+
+describe('Reminder helpers', () => {
+  it('reminds before 9:00 on the due date', () => {
+    const task = { status: 'pending', dueDate: '2025-01-10' };
+
+    expect(getReminderTime(task, 0)).toBe(new Date(2025, 0, 10, 9, 0).getTime());
+    expect(getReminderTime(task, 24 * 60)).toBe(new Date(2025, 0, 9, 9, 0).getTime());
+  });
+
+  it('reminds before the due time when one is set', () => {
+    const task = { status: 'pending', dueDate: '2025-01-10', dueTime: '14:30' };
+
+    expect(getReminderTime(task, 0)).toBe(new Date(2025, 0, 10, 14, 30).getTime());
+    expect(getReminderTime(task, 60)).toBe(new Date(2025, 0, 10, 13, 30).getTime());
+  });
+
+  it('skips completed and unscheduled tasks', () => {
+    expect(getReminderTime({ status: 'completed', dueDate: '2025-01-10' }, 60)).toBeNull();
+    expect(getReminderTime({ status: 'pending', dueDate: '' }, 60)).toBeNull();
+  });
+});
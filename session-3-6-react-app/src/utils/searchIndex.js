@@ -0,0 +1,285 @@
+/**
+ * FULL-TEXT SEARCH INDEX
+ *
+ * An inverted index over each task's title, description, tags and
+ * subtask titles: every word points at the tasks containing it, weighted
+ * by where it appears (a title hit counts more than a description hit).
+ *
+ * A search word matches indexed words that are:
+ * - the same ("login")
+ * - longer, starting with it - so results show up while typing ("auth")
+ * - a typo or two away ("authentcation"); words of 4+ letters allow
+ *   one edit, 8+ letters two, counting a swapped pair as one edit
+ * Closer matches and rarer words score higher. Every word of the search
+ * must match for a task to be found.
+ *
+ * Updates are incremental: sync() re-indexes only the tasks whose object
+ * changed (tasks are replaced, never mutated - see TaskContext), so
+ * editing one task out of 10,000 touches one task's words.
+ */
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, subtasks: 1, description: 1 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.75, typo: 0.5 };
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase without accents, so "Café" is found by "cafe"
+const foldWord = (word) => word.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+
+/**
+ * Split text into index words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (String(text ?? '').match(WORD_PATTERN) ?? []).map(foldWord);
+
+// Each word of the task with the summed weight of the fields it is in
+function getTaskWords(task) {
+  const fields = {
+    title: task.title,
+    description: task.description,
+    tags: (task.tags || []).join(' '),
+    subtasks: (task.subtasks || []).map(subtask => subtask.title).join(' '),
+  };
+  const words = new Map();
+  Object.entries(fields).forEach(([field, text]) => {
+    new Set(tokenize(text)).forEach(word => {
+      words.set(word, (words.get(word) ?? 0) + FIELD_WEIGHTS[field]);
+    });
+  });
+  return words;
+}
+
+// Edits a search word of this length may be away from an indexed word
+const maxEditsFor = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// Last row of the edit distance table between `a` and the first `columns`
+// letters of `b` (optimal string alignment: Levenshtein plus swaps of
+// neighbouring letters), or null as soon as every entry must exceed `max`
+function lastDistanceRow(a, b, max, columns = b.length) {
+  // Three rows reused in turn - this runs for every indexed word on a search
+  let beforePrevious = new Array(columns + 1);
+  let previous = new Array(columns + 1);
+  let current = new Array(columns + 1);
+  for (let j = 0; j <= columns; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= columns; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current[j] = distance;
+      if (distance < rowMin) rowMin = distance;
+    }
+    if (rowMin > max) return null;
+    [beforePrevious, previous, current] = [previous, current, beforePrevious];
+  }
+  return previous;
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit.
+ * Gives up early once it must exceed `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max]
+ * @returns {number} The distance, or Infinity when above `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  const row = lastDistanceRow(a, b, max);
+  return row && row[b.length] <= max ? row[b.length] : Infinity;
+}
+
+// Fewest edits from `searchWord` to `word` or to any start of it (typing
+// "authentcat" on the way to "authentication"), or Infinity above `max`
+function typoDistance(searchWord, word, max) {
+  if (word.length < searchWord.length - max) return Infinity;
+  const columns = Math.min(word.length, searchWord.length + max);
+  const row = lastDistanceRow(searchWord, word, max, columns);
+  if (!row) return Infinity;
+  // The whole word, or a start of it at least as long as the search word
+  // (shorter starts would let "oauth" match "auth...")
+  const wholeWord = word.length <= columns ? row[word.length] : Infinity;
+  const distance = Math.min(wholeWord, ...row.slice(searchWord.length));
+  return distance <= max ? distance : Infinity;
+}
+
+// How well an indexed word matches a search word, 0 for not at all
+function matchQuality(searchWord, word) {
+  if (word === searchWord) return MATCH_QUALITY.exact;
+  if (word.startsWith(searchWord)) return MATCH_QUALITY.prefix;
+  const maxEdits = maxEditsFor(searchWord.length);
+  if (maxEdits === 0) return 0;
+  const distance = typoDistance(searchWord, word, maxEdits);
+  return distance === Infinity ? 0 : MATCH_QUALITY.typo / distance;
+}
+
+// Search words whose expansions are kept (the last few typed)
+const MAX_CACHED_EXPANSIONS = 50;
+
+/**
+ * @returns {{
+ *   sync: (tasks: Array) => number,
+ *   add: (task: Object) => void,
+ *   remove: (id: number) => void,
+ *   match: (text: string) => {scores: Map<number, number>, words: Set<string>},
+ *   search: (text: string) => Array<{id: number, score: number}>,
+ *   size: () => number
+ * }}
+ */
+export function createSearchIndex() {
+  // id -> { task, words: Map(word -> weight) }
+  const entries = new Map();
+  // word -> Map(id -> weight)
+  const postings = new Map();
+  // Search word -> Map(indexed word -> match quality). Scanning every
+  // indexed word is the slow part of a search, so these are kept across
+  // changes and only the words entering or leaving the index are checked.
+  const expansions = new Map();
+  // Search text -> match() result; cleared on every change
+  let matches = new Map();
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.words.forEach((_, word) => {
+      const posting = postings.get(word);
+      posting.delete(id);
+      if (posting.size === 0) {
+        postings.delete(word);
+        expansions.forEach(found => found.delete(word));
+      }
+    });
+    entries.delete(id);
+    matches = new Map();
+  }
+
+  function add(task) {
+    remove(task.id);
+    const words = getTaskWords(task);
+    words.forEach((weight, word) => {
+      if (!postings.has(word)) {
+        postings.set(word, new Map());
+        expansions.forEach((found, searchWord) => {
+          const quality = matchQuality(searchWord, word);
+          if (quality > 0) found.set(word, quality);
+        });
+      }
+      postings.get(word).set(task.id, weight);
+    });
+    entries.set(task.id, { task, words });
+    matches = new Map();
+  }
+
+  /**
+   * Bring the index in line with `tasks`, re-indexing changed tasks only
+   * @returns {number} How many tasks were added, updated or removed
+   */
+  function sync(tasks) {
+    let changes = 0;
+    const ids = new Set();
+    tasks.forEach(task => {
+      ids.add(task.id);
+      if (entries.get(task.id)?.task !== task) {
+        add(task);
+        changes++;
+      }
+    });
+    [...entries.keys()].forEach(id => {
+      if (!ids.has(id)) {
+        remove(id);
+        changes++;
+      }
+    });
+    return changes;
+  }
+
+  // Indexed words a search word matches, with how well: Map(word -> quality)
+  function expand(searchWord) {
+    if (expansions.has(searchWord)) return expansions.get(searchWord);
+
+    const found = new Map();
+    postings.forEach((_, word) => {
+      const quality = matchQuality(searchWord, word);
+      if (quality > 0) found.set(word, quality);
+    });
+
+    if (expansions.size >= MAX_CACHED_EXPANSIONS) {
+      expansions.delete(expansions.keys().next().value);
+    }
+    expansions.set(searchWord, found);
+    return found;
+  }
+
+  /**
+   * Tasks containing every word of `text`, with relevance scores and the
+   * indexed words that matched (for highlighting)
+   * @param {string} text
+   * @returns {{scores: Map<number, number>, words: Set<string>}}
+   */
+  function match(text) {
+    if (matches.has(text)) return matches.get(text);
+
+    let scores = null;
+    const matchedWords = new Set();
+    new Set(tokenize(text)).forEach(searchWord => {
+      const wordScores = new Map();
+      expand(searchWord).forEach((quality, word) => {
+        const posting = postings.get(word);
+        // Rarer words say more about a task
+        const rarity = Math.log(1 + entries.size / posting.size);
+        matchedWords.add(word);
+        posting.forEach((weight, id) => {
+          wordScores.set(id, Math.max(wordScores.get(id) ?? 0, quality * weight * rarity));
+        });
+      });
+
+      if (scores === null) {
+        scores = wordScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (wordScores.has(id)) combined.set(id, score + wordScores.get(id));
+      });
+      scores = combined;
+    });
+
+    const result = { scores: scores ?? new Map(), words: matchedWords };
+    matches.set(text, result);
+    return result;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<{id: number, score: number}>} Best match first
+   */
+  function search(text) {
+    return [...match(text).scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return { sync, add, remove, match, search, size: () => entries.size };
+}
+
+/**
+ * Positions of the characters in `text` that belong to matched words,
+ * for splitMatches (utils/fuzzy)
+ * @param {string} text
+ * @param {Set<string>} words - From match()
+ * @returns {number[]}
+ */
+export function getHighlightIndices(text, words) {
+  const indices = [];
+  if (!text || !words?.size) return indices;
+  for (const found of text.matchAll(WORD_PATTERN)) {
+    if (!words.has(foldWord(found[0]))) continue;
+    for (let offset = 0; offset < found[0].length; offset++) indices.push(found.index + offset);
+  }
+  return indices;
+}
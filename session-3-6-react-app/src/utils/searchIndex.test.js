@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { createSearchIndex, editDistance, tokenize, getHighlightIndices } from './searchIndex';
+
+const tasks = [
+  { id: 1, title: 'Fix authentication bug', description: 'OAuth callback fails', tags: ['backend'], subtasks: [] },
+  { id: 2, title: 'Update API documentation', description: 'Explain the authentication section', tags: ['docs'], subtasks: [] },
+  { id: 3, title: 'Plan the release', description: '', tags: [], subtasks: [{ id: 1, title: 'Write the changelog', done: false }] },
+];
+
+const createIndex = (list = tasks) => {
+  const index = createSearchIndex();
+  index.sync(list);
+  return index;
+};
+
+const ids = (index, text) => index.search(text).map(result => result.id);
+
+describe('searchIndex', () => {
+  it('splits text into lowercase words without accents', () => {
+    expect(tokenize('Café-API v2, déjà vu!')).toEqual(['cafe', 'api', 'v2', 'deja', 'vu']);
+  });
+
+  it('measures edit distance with swaps as one edit', () => {
+    expect(editDistance('authentcation', 'authentication')).toBe(1);
+    expect(editDistance('teh', 'the')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('kitten', 'sitting', 2)).toBe(Infinity);
+  });
+
+  it('finds words with typos, prefixes and in every field', () => {
+    const index = createIndex();
+
+    expect(ids(index, 'authentcation')).toEqual([1, 2]);
+    // A typo while still typing the word
+    expect(ids(index, 'authentcat')).toEqual([1, 2]);
+    expect(ids(index, 'docu')).toEqual([2]);
+    expect(ids(index, 'backend')).toEqual([1]);
+    expect(ids(index, 'changelog')).toEqual([3]);
+    // Every word must match
+    expect(ids(index, 'authentication oauth')).toEqual([1]);
+    // Short words must be exact or a prefix
+    expect(ids(index, 'bag')).toEqual([]);
+  });
+
+  it('ranks title matches and closer matches higher', () => {
+    const index = createIndex([
+      ...tasks,
+      { id: 4, title: 'Authorization rules', description: '', tags: [] },
+      { id: 5, title: 'Auth token refresh', description: '', tags: [] },
+    ]);
+
+    // Title hit beats a description hit
+    expect(ids(index, 'authentication')).toEqual([1, 2]);
+    // The exact word beats longer words starting with it
+    expect(ids(index, 'auth')[0]).toBe(5);
+    // One letter away
+    expect(ids(index, 'authorisation')).toEqual([4]);
+    expect(ids(index, 'token')).toEqual([5]);
+  });
+
+  it('re-indexes only tasks that changed', () => {
+    const list = Array.from({ length: 10000 }, (_, i) => ({
+      id: i + 1,
+      title: `Task ${i} about ${['billing', 'search', 'export', 'login'][i % 4]}`,
+      description: `Ticket number ${i}`,
+      tags: [`team-${i % 10}`],
+    }));
+    const index = createIndex(list);
+    expect(index.search('serch')).toHaveLength(2500);
+
+    const updated = list.map(task => (task.id === 5 ? { ...task, title: 'Renamed to payments' } : task));
+    expect(index.sync(updated)).toBe(1);
+    expect(ids(index, 'payments')).toEqual([5]);
+
+    expect(index.sync(updated.slice(1))).toBe(1);
+    expect(index.size()).toBe(9999);
+    expect(ids(index, 'ticket')).not.toContain(1);
+  });
+
+  it('marks the characters of matched words', () => {
+    const { words } = createIndex().match('authentcation fix');
+    const text = 'Fix Authentication, quickly';
+
+    expect(getHighlightIndices(text, words)).toEqual([
+      0, 1, 2,
+      ...Array.from({ length: 14 }, (_, i) => 4 + i),
+    ]);
+    expect(getHighlightIndices(text, new Set())).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * TASK SORTING (SESSION 4)
+ *
+ * The multi-key sort engine is shared with the vanilla JS app, which has
+ * no build step - so it lives in /shared as a plain script that sets
+ * globalThis.TaskSort (see the comment there). This module loads it and
+ * re-exports it so the rest of the app can import it like any other util.
+ */
+
+import '../../../shared/taskSort.js';
+
+export const {
+  SORT_KEYS,
+  SORT_PRESETS,
+  parseSortSpec,
+  formatSortSpec,
+  createComparator,
+  sortTasks,
+} = globalThis.TaskSort;
+
+// Task list sorts outside the engine: 'manual' is the dragged order (see
+// utils/board), 'relevance' ranks search results (see utils/searchIndex)
+export const SPECIAL_SORTS = ['manual', 'relevance'];
+
+/**
+ * Is `value` something the task list can sort by?
+ * @param {string} value - A preset name, one of SPECIAL_SORTS or a spec string
+ * @returns {boolean}
+ */
+export const isValidSort = (value) => SPECIAL_SORTS.includes(value) || parseSortSpec(value) !== null;
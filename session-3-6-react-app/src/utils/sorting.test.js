@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { parseSortSpec, formatSortSpec, sortTasks, isValidSort } from './sorting';
+
+const tasks = [
+  { id: 1, title: 'Beta', priority: 'high', dueDate: '2025-01-10', createdAt: '2025-01-01T09:00:00.000Z' },
+  { id: 2, title: 'alpha', priority: 'low', dueDate: '', createdAt: '2025-01-03T09:00:00.000Z' },
+  { id: 3, title: 'Gamma', priority: 'high', dueDate: '2025-01-05', dueTime: '14:00', createdAt: '2025-01-02T09:00:00.000Z' },
+  { id: 4, title: 'Delta', priority: 'medium', dueDate: '2025-01-05', completedAt: '2025-01-04T09:00:00.000Z' },
+];
+
+const ids = (list) => list.map(task => task.id);
+
+describe('sorting (shared sort engine)', () => {
+  it('parses specs and preset names', () => {
+    expect(parseSortSpec('priority:desc,title')).toEqual([
+      { key: 'priority', direction: 'desc', empty: 'last' },
+      { key: 'title', direction: 'asc', empty: 'last' },
+    ]);
+    expect(parseSortSpec('dueDate:asc:empty-first')[0].empty).toBe('first');
+    expect(parseSortSpec('priority')).toEqual(parseSortSpec('priority:desc,dueDate:asc,title:asc'));
+  });
+
+  it('rejects unknown keys, directions and repeated keys', () => {
+    expect(parseSortSpec('random')).toBeNull();
+    expect(parseSortSpec('title:up')).toBeNull();
+    expect(parseSortSpec('title,title:desc')).toBeNull();
+    expect(isValidSort('manual')).toBe(true);
+    expect(isValidSort('relevance')).toBe(true);
+    expect(isValidSort('')).toBe(false);
+  });
+
+  it('formats specs back, using the preset name when one matches', () => {
+    expect(formatSortSpec(parseSortSpec('completedAt:asc:empty-first'))).toBe('completedAt:asc:empty-first');
+    expect(formatSortSpec(parseSortSpec('title:asc,dueDate:asc'))).toBe('title');
+  });
+
+  it('breaks ties with the following keys', () => {
+    // Both high priority: the earlier due date wins
+    expect(ids(sortTasks(tasks, 'priority'))).toEqual([3, 1, 4, 2]);
+    // Same day: all-day Delta before Gamma at 14:00
+    expect(ids(sortTasks(tasks, 'date'))).toEqual([4, 3, 1, 2]);
+  });
+
+  it('keeps tasks without a value last in either direction unless asked otherwise', () => {
+    expect(ids(sortTasks(tasks, 'dueDate:desc'))).toEqual([1, 3, 4, 2]);
+    expect(ids(sortTasks(tasks, 'dueDate:asc:empty-first,title'))).toEqual([2, 4, 3, 1]);
+    expect(ids(sortTasks(tasks, 'completedAt:desc,createdAt:asc'))).toEqual([4, 1, 3, 2]);
+  });
+
+  it('compares titles case-insensitively and leaves the input untouched', () => {
+    const copy = [...tasks];
+    expect(ids(sortTasks(tasks, 'title'))).toEqual([2, 1, 4, 3]);
+    expect(tasks).toEqual(copy);
+  });
+});
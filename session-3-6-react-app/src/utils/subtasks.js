@@ -0,0 +1,70 @@
+/**
+ * SUBTASK HELPERS
+ *
+ * A task may hold an ordered checklist: `subtasks: [{ id, title, done }]`.
+ * With `autoComplete: true` the task completes itself once every subtask
+ * is checked off (see applyTaskUpdates in TaskContext).
+ *
+ * All helpers return new arrays - subtasks are updated immutably like
+ * everything else in the reducer.
+ */
+
+/**
+ * @param {string} title
+ * @returns {{id: string, title: string, done: boolean}}
+ */
+export function createSubtask(title) {
+  return {
+    id: `st-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: title.trim(),
+    done: false,
+  };
+}
+
+/**
+ * @param {Object} task
+ * @returns {{done: number, total: number}}
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  return {
+    done: subtasks.filter(subtask => subtask.done).length,
+    total: subtasks.length,
+  };
+}
+
+/**
+ * True when there is at least one subtask and all of them are done
+ * @param {Array} subtasks
+ * @returns {boolean}
+ */
+export function areAllSubtasksDone(subtasks = []) {
+  return subtasks.length > 0 && subtasks.every(subtask => subtask.done);
+}
+
+/**
+ * @param {Array} subtasks
+ * @param {string} id
+ * @param {Object} changes - e.g. { done: true } or { title: 'New title' }
+ * @returns {Array}
+ */
+export function updateSubtask(subtasks, id, changes) {
+  return subtasks.map(subtask => (subtask.id === id ? { ...subtask, ...changes } : subtask));
+}
+
+/**
+ * Move the subtask at `from` to position `to` (clamped to the list)
+ * @param {Array} subtasks
+ * @param {number} from
+ * @param {number} to
+ * @returns {Array}
+ */
+export function moveSubtask(subtasks, from, to) {
+  const target = Math.max(0, Math.min(subtasks.length - 1, to));
+  if (from === target) return subtasks;
+
+  const next = [...subtasks];
+  const [moved] = next.splice(from, 1);
+  next.splice(target, 0, moved);
+  return next;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSubtask,
+  getSubtaskProgress,
+  areAllSubtasksDone,
+  updateSubtask,
+  moveSubtask,
+} from './subtasks';
+
+const list = [
+  { id: 'a', title: 'A', done: true },
+  { id: 'b', title: 'B', done: false },
+  { id: 'c', title: 'C', done: false },
+];
+
+describe('Subtask helpers', () => {
+  it('creates open subtasks with unique ids', () => {
+    const first = createSubtask('  Draft outline ');
+    const second = createSubtask('Review');
+
+    expect(first).toMatchObject({ title: 'Draft outline', done: false });
+    expect(first.id).not.toBe(second.id);
+  });
+
+  it('reports progress', () => {
+    expect(getSubtaskProgress({ subtasks: list })).toEqual({ done: 1, total: 3 });
+    expect(getSubtaskProgress({})).toEqual({ done: 0, total: 0 });
+  });
+
+  it('needs at least one subtask to be all done', () => {
+    expect(areAllSubtasksDone([])).toBe(false);
+    expect(areAllSubtasksDone(list)).toBe(false);
+    expect(areAllSubtasksDone(list.map(s => ({ ...s, done: true })))).toBe(true);
+  });
+
+  it('updates one subtask immutably', () => {
+    const updated = updateSubtask(list, 'b', { done: true });
+
+    expect(updated[1].done).toBe(true);
+    expect(list[1].done).toBe(false);
+    expect(updated[0]).toBe(list[0]);
+  });
+
+  it('moves subtasks within bounds', () => {
+    expect(moveSubtask(list, 0, 2).map(s => s.id)).toEqual(['b', 'c', 'a']);
+    expect(moveSubtask(list, 2, 1).map(s => s.id)).toEqual(['a', 'c', 'b']);
+    expect(moveSubtask(list, 0, -1)).toBe(list);
+  });
+});
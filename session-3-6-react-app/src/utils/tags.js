@@ -0,0 +1,100 @@
+/**
+ * TAG HELPERS
+ *
+ * Tasks carry free-form labels: `tags: ['backend', 'auth']`. Tag names
+ * are normalized (trimmed, lower case, spaces become dashes) so "API Docs"
+ * and "api-docs" are the same tag and can be written in a URL.
+ *
+ * Colors are a user preference stored in settings (tag name -> color key);
+ * tags without a chosen color get a stable one derived from their name.
+ */
+
+// Color keys -> Tailwind classes (spelled out so Tailwind keeps them)
+export const TAG_COLORS = {
+  gray: { label: 'Gray', chip: 'bg-gray-100 text-gray-700', swatch: 'bg-gray-400' },
+  red: { label: 'Red', chip: 'bg-red-100 text-red-700', swatch: 'bg-red-500' },
+  orange: { label: 'Orange', chip: 'bg-orange-100 text-orange-700', swatch: 'bg-orange-500' },
+  yellow: { label: 'Yellow', chip: 'bg-yellow-100 text-yellow-800', swatch: 'bg-yellow-400' },
+  green: { label: 'Green', chip: 'bg-green-100 text-green-700', swatch: 'bg-green-500' },
+  teal: { label: 'Teal', chip: 'bg-teal-100 text-teal-700', swatch: 'bg-teal-500' },
+  blue: { label: 'Blue', chip: 'bg-blue-100 text-blue-700', swatch: 'bg-blue-500' },
+  indigo: { label: 'Indigo', chip: 'bg-indigo-100 text-indigo-700', swatch: 'bg-indigo-500' },
+  purple: { label: 'Purple', chip: 'bg-purple-100 text-purple-700', swatch: 'bg-purple-500' },
+  pink: { label: 'Pink', chip: 'bg-pink-100 text-pink-700', swatch: 'bg-pink-500' },
+};
+
+export const TAG_MATCH_MODES = ['any', 'all'];
+
+/**
+ * @param {string} name
+ * @returns {string} e.g. '  API Docs ' -> 'api-docs'
+ */
+export function normalizeTag(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Normalize a list of tags, dropping empty names and duplicates
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(tags = []) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Every tag in use with the number of tasks carrying it, sorted by name
+ * @param {Array} tasks
+ * @returns {Array<{name: string, count: number}>}
+ */
+export function getAllTags(tasks) {
+  const counts = new Map();
+  tasks.forEach(task => {
+    (task.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Does a task carry `tags`? 'any' needs one of them, 'all' needs every one.
+ * An empty tag list matches every task.
+ * @param {Object} task
+ * @param {Array<string>} tags
+ * @param {'any'|'all'} match
+ * @returns {boolean}
+ */
+export function matchesTags(task, tags, match = 'any') {
+  if (tags.length === 0) return true;
+  const taskTags = task.tags || [];
+  return match === 'all'
+    ? tags.every(tag => taskTags.includes(tag))
+    : tags.some(tag => taskTags.includes(tag));
+}
+
+/**
+ * Replace every tag in `from` with `to` - when the task already has `to`,
+ * they are merged into one
+ * @param {Array<string>} tags
+ * @param {Array<string>} from
+ * @param {string} to
+ * @returns {Array<string>}
+ */
+export function replaceTags(tags, from, to) {
+  return normalizeTags(tags.map(tag => (from.includes(tag) ? to : tag)));
+}
+
+/**
+ * Color key for a tag: the user's choice, or a stable default
+ * @param {string} name
+ * @param {Object} colors - tag name -> color key (from settings)
+ * @returns {string}
+ */
+export function getTagColor(name, colors = {}) {
+  if (TAG_COLORS[colors[name]]) return colors[name];
+
+  const keys = Object.keys(TAG_COLORS);
+  const hash = [...name].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return keys[hash % keys.length];
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TAG_COLORS,
+  normalizeTag,
+  normalizeTags,
+  getAllTags,
+  matchesTags,
+  replaceTags,
+  getTagColor,
+} from './tags';
+
+describe('Tag helpers', () => {
+  it('normalizes names', () => {
+    expect(normalizeTag('  API   Docs ')).toBe('api-docs');
+    expect(normalizeTags(['UI', 'ui', ' ', 'Bug'])).toEqual(['ui', 'bug']);
+  });
+
+  it('counts tags across tasks, sorted by name', () => {
+    const tasks = [{ tags: ['ui', 'bug'] }, { tags: ['bug'] }, {}];
+    expect(getAllTags(tasks)).toEqual([
+      { name: 'bug', count: 2 },
+      { name: 'ui', count: 1 },
+    ]);
+  });
+
+  it('matches any or all of the selected tags', () => {
+    const task = { tags: ['ui', 'bug'] };
+
+    expect(matchesTags(task, [])).toBe(true);
+    expect(matchesTags(task, ['bug', 'docs'], 'any')).toBe(true);
+    expect(matchesTags(task, ['bug', 'docs'], 'all')).toBe(false);
+    expect(matchesTags(task, ['bug', 'ui'], 'all')).toBe(true);
+    expect(matchesTags({}, ['ui'])).toBe(false);
+  });
+
+  it('replaces tags and merges duplicates', () => {
+    expect(replaceTags(['frontend', 'ui'], ['frontend'], 'ui')).toEqual(['ui']);
+    expect(replaceTags(['a', 'b'], ['a'], 'c')).toEqual(['c', 'b']);
+  });
+
+  it('uses the chosen color or a stable default', () => {
+    expect(getTagColor('ui', { ui: 'pink' })).toBe('pink');
+    expect(getTagColor('ui', { ui: 'not-a-color' })).toBe(getTagColor('ui'));
+    expect(Object.keys(TAG_COLORS)).toContain(getTagColor('anything'));
+  });
+});
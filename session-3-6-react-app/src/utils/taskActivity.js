@@ -0,0 +1,110 @@
+/**
+ * TASK ACTIVITY HELPERS
+ *
+ * Every task carries an `activity` array - an append-only log of what
+ * happened to it (think audit table in a backend). The reducer appends
+ * entries; the detail page turns them into a timeline.
+ *
+ * Entry shape: { type: 'created' | 'updated' | 'completed' | 'reopened',
+ *                at: ISO string, changes: [{ field, from, to }] }
+ */
+
+import { describeRecurrence } from './recurrence';
+
+// Fields whose changes are recorded in the activity log
+export const TRACKED_FIELDS = ['title', 'description', 'priority', 'status', 'dueDate', 'dueTime', 'subtasks', 'tags', 'recurrence'];
+
+export const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  status: 'Status',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  subtasks: 'Checklist',
+  tags: 'Tags',
+  recurrence: 'Repeat',
+};
+
+// Fields logged as a short summary instead of a full copy of the value
+const SUMMARIZED_FIELDS = {
+  subtasks: (subtasks) => (subtasks?.length
+    ? `${subtasks.filter(subtask => subtask.done).length}/${subtasks.length}`
+    : ''),
+  tags: (tags) => (tags || []).join(', '),
+  // The occurrence counter changes with every repeat - only the rule matters
+  recurrence: (rule) => describeRecurrence(rule ?? null),
+};
+
+const summarize = (field, value) => (SUMMARIZED_FIELDS[field] ? SUMMARIZED_FIELDS[field](value) : value ?? '');
+
+// Keep the log bounded so localStorage doesn't grow forever
+export const MAX_ACTIVITY_ENTRIES = 100;
+
+/**
+ * Create a new activity entry stamped with the current time
+ * @param {string} type - Entry type
+ * @param {Array} changes - Field changes for 'updated' entries
+ * @returns {Object} Activity entry
+ */
+export function createActivityEntry(type, changes = []) {
+  return { type, at: new Date().toISOString(), changes };
+}
+
+/**
+ * Append an entry to a task's log, dropping the oldest when over the limit
+ * @param {Array|undefined} activity - Existing log
+ * @param {Object} entry - Entry to append
+ * @returns {Array} New log
+ */
+export function appendActivity(activity = [], entry) {
+  return [...activity, entry].slice(-MAX_ACTIVITY_ENTRIES);
+}
+
+/**
+ * List tracked fields that `updates` would actually change
+ * @param {Object} task - Current task
+ * @param {Object} updates - Partial task
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function diffTask(task, updates) {
+  return TRACKED_FIELDS
+    .filter(field => field in updates)
+    .map(field => ({ field, from: summarize(field, task[field]), to: summarize(field, updates[field]) }))
+    .filter(change => change.from !== change.to);
+}
+
+/**
+ * Build a chronological timeline for a task. Tasks created before activity
+ * tracking existed get synthetic entries from their timestamps.
+ * @param {Object} task
+ * @returns {Array} Activity entries, oldest first
+ */
+export function getTaskTimeline(task) {
+  const entries = [...(task.activity || [])];
+
+  if (task.createdAt && !entries.some(entry => entry.type === 'created')) {
+    entries.push({ type: 'created', at: task.createdAt, changes: [] });
+  }
+  if (task.completedAt && !entries.some(entry => entry.type === 'completed')) {
+    entries.push({ type: 'completed', at: task.completedAt, changes: [] });
+  }
+
+  return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Human readable sentence for a single field change
+ * @param {{field: string, from: *, to: *}} change
+ * @returns {string}
+ */
+export function describeChange({ field, from, to }) {
+  const label = FIELD_LABELS[field] || field;
+
+  // Long text fields would make the timeline unreadable
+  if (field === 'description') return `${label} updated`;
+  if (field === 'subtasks') return to ? `${label}: ${to} done` : `${label} removed`;
+  if (!from) return `${label} set to "${to}"`;
+  if (!to) return `${label} cleared`;
+  return `${label} changed from "${from}" to "${to}"`;
+}
@@ -0,0 +1,289 @@
+/**
+ * TASK SEARCH QUERY LANGUAGE
+ *
+ * The search box understands filters as well as words:
+ *
+ *   priority:high status:pending due:<2025-01-01 tag:auth "exact phrase" -excluded
+ *
+ * Terms are separated by spaces and must all match:
+ *   word                  title, description or a tag contains it
+ *   "exact phrase"        title or description contains the phrase
+ *   -term                 excludes matching tasks (works with any term)
+ *   priority:high         high, medium or low
+ *   status:pending        pending or completed
+ *   tag:auth              has the tag (normalized as in utils/tags)
+ *   title:"login flow"    only the title contains it
+ *   due:2025-01-01        due that day; also <, <=, > and >= before the date,
+ *                         and today, tomorrow, yesterday or none (no due date)
+ *   created:>=2024-12-01  created on or after that day (same date forms)
+ *
+ * Plain words are matched as substrings unless the caller passes its own
+ * `matchText` - TaskContext uses the fuzzy full-text index (utils/searchIndex).
+ *
+ * parseQuery never throws: a term it can't read is reported in `errors`
+ * (with its position, for hints in the search box) and left out of the
+ * filter, so the rest of the query still works. `tokens` covers every
+ * term for syntax highlighting.
+ */
+
+import { DATE_ONLY_PATTERN, toDateKey, addDays, parseDateKey } from './dates';
+import { normalizeTag } from './tags';
+
+const includesText = (text, search) => (text || '').toLowerCase().includes(search);
+
+const dateFieldMatcher = (getKey) => (task, { op, value }) => {
+  const key = getKey(task);
+  if (value === 'none') return !key;
+  if (!key) return false;
+  switch (op) {
+    case '<': return key < value;
+    case '<=': return key <= value;
+    case '>': return key > value;
+    case '>=': return key >= value;
+    default: return key === value;
+  }
+};
+
+// Each field: the values it accepts (a list, or 'date' / 'text') and how a task matches
+const FIELDS = {
+  priority: {
+    values: ['high', 'medium', 'low'],
+    matches: (task, { value }) => task.priority === value,
+  },
+  status: {
+    values: ['pending', 'completed'],
+    matches: (task, { value }) => task.status === value,
+  },
+  tag: {
+    values: 'text',
+    matches: (task, { value }) => (task.tags || []).includes(normalizeTag(value)),
+  },
+  title: {
+    values: 'text',
+    matches: (task, { value }) => includesText(task.title, value.toLowerCase()),
+  },
+  due: {
+    values: 'date',
+    matches: dateFieldMatcher(task => task.dueDate || null),
+  },
+  created: {
+    values: 'date',
+    matches: dateFieldMatcher(task => (task.createdAt ? toDateKey(new Date(task.createdAt)) : null)),
+  },
+};
+
+export const QUERY_FIELDS = Object.keys(FIELDS);
+
+const RELATIVE_DAYS = { yesterday: -1, today: 0, tomorrow: 1 };
+const DATE_OPERATOR = /^(<=|>=|<|>|=)?(.*)$/;
+const FIELD_PREFIX = /^([a-z]+):/i;
+// Words without a letter or digit ("-", "#") can't match anything useful
+const SEARCHABLE_WORD = /[\p{L}\p{N}]/u;
+
+const listWords = (words) => `${words.slice(0, -1).join(', ')} or ${words.at(-1)}`;
+
+// A valid calendar day key, or null
+function readDate(text, now) {
+  const word = text.toLowerCase();
+  if (word in RELATIVE_DAYS) return toDateKey(addDays(now, RELATIVE_DAYS[word]));
+  if (!DATE_ONLY_PATTERN.test(text)) return null;
+  return toDateKey(parseDateKey(text)) === text ? text : null;
+}
+
+// Reads a quoted string starting at `start` (on the opening quote)
+function readQuoted(input, start) {
+  const close = input.indexOf('"', start + 1);
+  return close === -1
+    ? { text: input.slice(start + 1), end: input.length, isClosed: false }
+    : { text: input.slice(start + 1, close), end: close + 1, isClosed: true };
+}
+
+// Reads a bare word starting at `start`
+function readWord(input, start) {
+  let end = start;
+  while (end < input.length && !/\s/.test(input[end])) end++;
+  return { text: input.slice(start, end), end, isClosed: true };
+}
+
+const readValue = (input, start) => (input[start] === '"' ? readQuoted(input, start) : readWord(input, start));
+
+/**
+ * Turn a field term's raw value into a filter node, or an error message
+ * @returns {{node?: Object, error?: string}}
+ */
+function buildFieldNode(field, raw, now) {
+  const definition = FIELDS[field];
+  if (!raw) return { error: `${field}: needs a value` };
+
+  if (definition.values === 'date') {
+    const [, op = '=', text] = raw.match(DATE_OPERATOR);
+    if (text.toLowerCase() === 'none') {
+      return op === '='
+        ? { node: { type: 'field', field, op, value: 'none' } }
+        : { error: `${field}:none can't be compared - use ${field}:none on its own` };
+    }
+    const value = readDate(text, now);
+    return value
+      ? { node: { type: 'field', field, op, value } }
+      : { error: `${field}: needs a date like 2025-01-31, today or tomorrow (optionally after <, <=, > or >=)` };
+  }
+
+  if (Array.isArray(definition.values)) {
+    const value = raw.toLowerCase();
+    return definition.values.includes(value)
+      ? { node: { type: 'field', field, op: '=', value } }
+      : { error: `${field}: must be ${listWords(definition.values)}` };
+  }
+
+  return { node: { type: 'field', field, op: '=', value: raw } };
+}
+
+/**
+ * @param {string} input - What was typed in the search box
+ * @param {Date} [now] - For today / tomorrow / yesterday
+ * @returns {{
+ *   ast: {type: 'and', terms: Array},
+ *   errors: Array<{message: string, start: number, end: number}>,
+ *   tokens: Array<{kind: string, start: number, end: number}>
+ * }} `kind` is one of negation, field, operator, value, phrase, text or error
+ */
+export function parseQuery(input, now = new Date()) {
+  const terms = [];
+  const errors = [];
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    // A lone "-" is read as a word (and then dropped)
+    const isNegated = input[index] === '-' && index + 1 < input.length && !/\s/.test(input[index + 1]);
+    if (isNegated) index++;
+
+    const termStart = index;
+    const termTokens = isNegated ? [{ kind: 'negation', start, end: termStart }] : [];
+    const fieldMatch = input.slice(termStart).match(FIELD_PREFIX);
+    let node = null;
+    let error = null;
+
+    if (fieldMatch) {
+      const field = fieldMatch[1].toLowerCase();
+      const valueStart = termStart + fieldMatch[0].length;
+      const value = readValue(input, valueStart);
+      index = value.end;
+
+      if (!FIELDS[field]) {
+        error = `Unknown filter "${field}:" - try ${listWords(QUERY_FIELDS.map(name => `${name}:`))}`;
+      } else if (!value.isClosed) {
+        error = 'Missing closing quote';
+      } else {
+        ({ node, error } = buildFieldNode(field, value.text, now));
+        const operator = FIELDS[field].values === 'date' ? value.text.match(DATE_OPERATOR)[1] ?? '' : '';
+        termTokens.push({ kind: 'field', start: termStart, end: valueStart });
+        if (operator) termTokens.push({ kind: 'operator', start: valueStart, end: valueStart + operator.length });
+        termTokens.push({ kind: 'value', start: valueStart + operator.length, end: index });
+      }
+    } else if (input[termStart] === '"') {
+      const phrase = readQuoted(input, termStart);
+      index = phrase.end;
+      if (!phrase.isClosed) {
+        error = 'Missing closing quote';
+      } else if (phrase.text.trim()) {
+        node = { type: 'phrase', value: phrase.text.toLowerCase() };
+        termTokens.push({ kind: 'phrase', start: termStart, end: index });
+      }
+    } else {
+      const word = readWord(input, termStart);
+      index = word.end;
+      if (SEARCHABLE_WORD.test(word.text)) {
+        node = { type: 'text', value: word.text.toLowerCase() };
+        termTokens.push({ kind: 'text', start: termStart, end: index });
+      }
+    }
+
+    if (error) {
+      errors.push({ message: error, start, end: index });
+      tokens.push({ kind: 'error', start, end: index });
+    } else if (node) {
+      terms.push(isNegated ? { type: 'not', term: node } : node);
+      tokens.push(...termTokens);
+    }
+  }
+
+  return { ast: { type: 'and', terms }, errors, tokens };
+}
+
+const matchesWordAnywhere = (task, value) => includesText(task.title, value) ||
+  includesText(task.description, value) ||
+  (task.tags || []).some(tag => tag.includes(value));
+
+/**
+ * Does the task match a node from parseQuery's AST?
+ * @param {Object} task
+ * @param {Object} node
+ * @param {{matchText?: (task: Object, value: string) => boolean}} [options]
+ * @returns {boolean}
+ */
+export function matchesQuery(task, node, { matchText = matchesWordAnywhere } = {}) {
+  switch (node.type) {
+    case 'and':
+      return node.terms.every(term => matchesQuery(task, term, { matchText }));
+    case 'not':
+      return !matchesQuery(task, node.term, { matchText });
+    case 'phrase':
+      return includesText(task.title, node.value) || includesText(task.description, node.value);
+    case 'text':
+      return matchText(task, node.value);
+    case 'field':
+      return FIELDS[node.field].matches(task, node);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Tasks matching a search query (invalid terms are ignored)
+ * @param {Array} tasks
+ * @param {string} query
+ * @param {Date} [now]
+ * @param {Object} [options] - See matchesQuery
+ * @returns {Array}
+ */
+export function filterTasksByQuery(tasks, query, now = new Date(), options = {}) {
+  const { ast } = parseQuery(query, now);
+  return ast.terms.length === 0 ? tasks : tasks.filter(task => matchesQuery(task, ast, options));
+}
+
+/**
+ * The plain words a query looks for (not excluded ones) - what results
+ * are ranked and highlighted by
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function getQueryWords(query) {
+  return parseQuery(query).ast.terms
+    .filter(term => term.type === 'text')
+    .map(term => term.value);
+}
+
+/**
+ * Split the query into highlighted parts for rendering
+ * @param {string} input
+ * @param {Array} tokens - From parseQuery
+ * @returns {Array<{text: string, kind: string|null}>} kind null for spaces
+ */
+export function splitQueryTokens(input, tokens) {
+  const parts = [];
+  let index = 0;
+  [...tokens].sort((a, b) => a.start - b.start).forEach(token => {
+    if (token.start > index) parts.push({ text: input.slice(index, token.start), kind: null });
+    parts.push({ text: input.slice(token.start, token.end), kind: token.kind });
+    index = token.end;
+  });
+  if (index < input.length) parts.push({ text: input.slice(index), kind: null });
+  return parts;
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, filterTasksByQuery, splitQueryTokens } from './taskQuery';
+
+// Fixed "today" so relative dates are stable
+const NOW = new Date(2025, 0, 10, 12);
+
+const tasks = [
+  { id: 1, title: 'Fix login bug', description: 'OAuth callback fails', priority: 'high', status: 'pending', dueDate: '2025-01-08', tags: ['auth', 'bug'], createdAt: '2025-01-01T09:00:00' },
+  { id: 2, title: 'Write docs', description: 'Explain the login flow', priority: 'medium', status: 'pending', dueDate: '2025-01-10', tags: ['docs'], createdAt: '2025-01-05T09:00:00' },
+  { id: 3, title: 'Clean up tests', description: '', priority: 'low', status: 'completed', dueDate: '', tags: [], createdAt: '2025-01-09T09:00:00' },
+];
+
+const ids = (query) => filterTasksByQuery(tasks, query, NOW).map(task => task.id);
+
+describe('taskQuery', () => {
+  it('parses terms into an AST', () => {
+    const { ast, errors } = parseQuery('priority:HIGH due:<2025-01-01 "exact phrase" -tag:auth word', NOW);
+
+    expect(errors).toEqual([]);
+    expect(ast).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'field', field: 'priority', op: '=', value: 'high' },
+        { type: 'field', field: 'due', op: '<', value: '2025-01-01' },
+        { type: 'phrase', value: 'exact phrase' },
+        { type: 'not', term: { type: 'field', field: 'tag', op: '=', value: 'auth' } },
+        { type: 'text', value: 'word' },
+      ],
+    });
+  });
+
+  it('matches words, phrases and tags across fields', () => {
+    expect(ids('login')).toEqual([1, 2]);
+    expect(ids('"login flow"')).toEqual([2]);
+    expect(ids('title:login')).toEqual([1]);
+    expect(ids('docs')).toEqual([2]);
+    expect(ids('login -bug')).toEqual([2]);
+  });
+
+  it('ignores words without letters or digits while typing', () => {
+    expect(parseQuery('auth -', NOW).ast.terms).toEqual([{ type: 'text', value: 'auth' }]);
+    expect(ids('auth -')).toEqual([1]);
+    expect(ids('login #')).toEqual([1, 2]);
+    expect(ids('login -#')).toEqual([1, 2]);
+  });
+
+  it('filters by priority, status and tag', () => {
+    expect(ids('priority:high')).toEqual([1]);
+    expect(ids('status:pending -priority:medium')).toEqual([1]);
+    expect(ids('tag:Auth')).toEqual([1]);
+  });
+
+  it('compares dates, including relative ones and none', () => {
+    expect(ids('due:<today')).toEqual([1]);
+    expect(ids('due:<=2025-01-10')).toEqual([1, 2]);
+    expect(ids('due:none')).toEqual([3]);
+    expect(ids('-due:none due:>yesterday')).toEqual([2]);
+    expect(ids('created:>=2025-01-05')).toEqual([2, 3]);
+  });
+
+  it('reports invalid terms with their position and skips them', () => {
+    const query = 'login priority:urgent foo:bar due:2025-02-30 "open';
+    const { errors } = parseQuery(query, NOW);
+
+    expect(errors.map(error => query.slice(error.start, error.end))).toEqual([
+      'priority:urgent', 'foo:bar', 'due:2025-02-30', '"open',
+    ]);
+    expect(errors[0].message).toBe('priority: must be high, medium or low');
+    expect(errors[1].message).toMatch(/unknown filter "foo:"/i);
+    expect(ids(query)).toEqual([1, 2]);
+  });
+
+  it('splits the query into highlighted parts', () => {
+    const query = '-due:<=today  bad:x';
+    const parts = splitQueryTokens(query, parseQuery(query, NOW).tokens);
+
+    expect(parts).toEqual([
+      { text: '-', kind: 'negation' },
+      { text: 'due:', kind: 'field' },
+      { text: '<=', kind: 'operator' },
+      { text: 'today', kind: 'value' },
+      { text: '  ', kind: null },
+      { text: 'bad:x', kind: 'error' },
+    ]);
+    expect(parts.map(part => part.text).join('')).toBe(query);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * TASK SYNC - merging task lists changed in two places
+ *
+ * When another tab (or the server) saves, this tab may have edits of its
+ * own that aren't in storage yet. Instead of one whole list replacing the
+ * other, the lists are merged task by task:
+ *
+ * - a task changed on both sides keeps the version with the newest
+ *   `updatedAt` (falling back to `createdAt`)
+ * - a task added on either side is kept
+ * - a task deleted on one side stays deleted, unless the other side
+ *   edited it after the delete was based on
+ *
+ * `base` is the list both sides last agreed on (what this tab last read
+ * from or wrote to storage) - it tells "deleted over there" apart from
+ * "added over here".
+ */
+
+// Newest-change timestamp of a task, comparable as a string
+const versionOf = (task) => task.updatedAt || task.createdAt || '';
+
+const isSameTask = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Pick the winner of a conflicting edit. Ties are broken on content so
+// that every tab resolves the same conflict the same way.
+function pickNewer(local, remote) {
+  const localVersion = versionOf(local);
+  const remoteVersion = versionOf(remote);
+  if (localVersion !== remoteVersion) {
+    return localVersion > remoteVersion ? local : remote;
+  }
+  return JSON.stringify(local) > JSON.stringify(remote) ? local : remote;
+}
+
+/**
+ * Do two lists hold the same tasks in the same order? Compared by content -
+ * a list read from storage never shares objects with the one in state.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+export const isSameTaskList = (a, b) => a === b ||
+  (a.length === b.length && a.every((task, index) => isSameTask(task, b[index])));
+
+/**
+ * Merge a task list saved elsewhere into the local one
+ * @param {Array} local - Tasks in this tab's state
+ * @param {Array} remote - Tasks just read from storage
+ * @param {Object} options
+ * @param {Array} options.base - Tasks this tab last synced with storage
+ * @param {Map} options.deleted - Ids deleted in this tab -> ISO time of the delete
+ * @returns {Array} Merged tasks - `local` or `remote` itself when the merge
+ *   has the same content, so callers can detect a no-op by identity
+ */
+export function mergeTaskLists(local, remote, { base = [], deleted = new Map() } = {}) {
+  const localById = new Map(local.map(task => [task.id, task]));
+  const remoteIds = new Set(remote.map(task => task.id));
+  const baseById = new Map(base.map(task => [task.id, task]));
+
+  const merged = [];
+
+  // Remote order first - it's what every other tab sees
+  remote.forEach(remoteTask => {
+    const localTask = localById.get(remoteTask.id);
+
+    if (localTask) {
+      merged.push(isSameTask(localTask, remoteTask) ? localTask : pickNewer(localTask, remoteTask));
+      return;
+    }
+
+    // Missing here: deleted in this tab, or added elsewhere
+    const baseTask = baseById.get(remoteTask.id);
+    const deletedAt = deleted.get(remoteTask.id) ?? (baseTask && versionOf(baseTask));
+    if (deletedAt === undefined || versionOf(remoteTask) > deletedAt) {
+      merged.push(remoteTask);
+    }
+  });
+
+  // Tasks only this tab has: added here, or deleted elsewhere
+  local.forEach(localTask => {
+    if (remoteIds.has(localTask.id)) return;
+
+    const baseTask = baseById.get(localTask.id);
+    if (!baseTask || versionOf(localTask) > versionOf(baseTask)) {
+      merged.push(localTask);
+    }
+  });
+
+  if (isSameTaskList(merged, local)) return local;
+  if (isSameTaskList(merged, remote)) return remote;
+  return merged;
+}
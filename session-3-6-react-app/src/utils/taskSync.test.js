@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { mergeTaskLists, isSameTaskList } from './taskSync';
+
+const task = (id, title, updatedAt) => ({
+  id,
+  title,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  ...(updatedAt && { updatedAt }),
+});
+
+const titles = (tasks) => tasks.map(t => t.title);
+
+describe('mergeTaskLists', () => {
+  const base = [task(1, 'One'), task(2, 'Two')];
+
+  it('returns the local list itself when nothing changed', () => {
+    const local = [...base];
+    const remote = base.map(t => ({ ...t }));
+
+    expect(mergeTaskLists(local, remote, { base })).toBe(local);
+  });
+
+  it('returns the remote list itself when only the other side changed', () => {
+    const remote = [task(1, 'One (remote)', '2025-01-02T00:00:00.000Z'), base[1]];
+
+    expect(mergeTaskLists(base, remote, { base })).toBe(remote);
+  });
+
+  it('compares by content, not by object identity', () => {
+    // Task 2 deleted in the other tab, the rest read back as copies
+    const remote = structuredClone([base[0]]);
+
+    expect(mergeTaskLists(base, remote, { base })).toBe(remote);
+    expect(isSameTaskList(base, structuredClone(base))).toBe(true);
+    expect(isSameTaskList(base, [...base].reverse())).toBe(false);
+  });
+
+  it('keeps edits to different tasks from both sides', () => {
+    const local = [task(1, 'One (local)', '2025-01-02T00:00:00.000Z'), base[1]];
+    const remote = [base[0], task(2, 'Two (remote)', '2025-01-03T00:00:00.000Z')];
+
+    expect(titles(mergeTaskLists(local, remote, { base }))).toEqual(['One (local)', 'Two (remote)']);
+  });
+
+  it('resolves edits to the same task by updatedAt', () => {
+    const local = [task(1, 'Older', '2025-01-02T00:00:00.000Z'), base[1]];
+    const remote = [task(1, 'Newer', '2025-01-03T00:00:00.000Z'), base[1]];
+
+    expect(titles(mergeTaskLists(local, remote, { base }))).toEqual(['Newer', 'Two']);
+    expect(titles(mergeTaskLists(remote, local, { base }))).toEqual(['Newer', 'Two']);
+  });
+
+  it('resolves ties the same way in every tab', () => {
+    const a = [task(1, 'A', '2025-01-02T00:00:00.000Z')];
+    const b = [task(1, 'B', '2025-01-02T00:00:00.000Z')];
+
+    expect(mergeTaskLists(a, b)).toEqual(mergeTaskLists(b, a));
+  });
+
+  it('keeps tasks added on either side', () => {
+    const local = [...base, task(3, 'Local new')];
+    const remote = [...base, task(4, 'Remote new')];
+
+    expect(titles(mergeTaskLists(local, remote, { base }))).toEqual(['One', 'Two', 'Remote new', 'Local new']);
+  });
+
+  it('applies deletions from either side', () => {
+    expect(titles(mergeTaskLists([base[0]], base, { base }))).toEqual(['One']);
+    expect(titles(mergeTaskLists(base, [base[1]], { base }))).toEqual(['Two']);
+  });
+
+  it('keeps a task edited after the other side deleted it', () => {
+    const local = [task(1, 'Edited', '2025-01-02T00:00:00.000Z'), base[1]];
+
+    expect(titles(mergeTaskLists(local, [base[1]], { base }))).toEqual(['Two', 'Edited']);
+  });
+
+  it('does not resurrect tasks deleted here and already saved', () => {
+    const deleted = new Map([[2, '2025-01-05T00:00:00.000Z']]);
+
+    // The other tab hadn't seen the delete when it saved
+    const merged = mergeTaskLists([base[0]], base, { base: [base[0]], deleted });
+    expect(titles(merged)).toEqual(['One']);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * TASK IMPORT / EXPORT
+ *
+ * Export writes JSON (the same versioned envelope the storage adapters
+ * use, so nothing is lost) or CSV (for spreadsheets). Import reads either
+ * back into rows of { line, task, errors } for the import preview - rows
+ * with errors are shown to the user and skipped.
+ */
+
+import { toCsv, parseCsv } from './csv';
+import { CURRENT_SCHEMA_VERSION, encodeTasks, repairOptionalFields } from '../services/storage/schema';
+import { normalizeTags } from './tags';
+import { DATE_ONLY_PATTERN, TIME_PATTERN } from './dates';
+import { tasksToIcs } from './ical';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['pending', 'completed'];
+
+// Columns written to CSV exports
+export const CSV_EXPORT_COLUMNS = ['id', 'title', 'description', 'priority', 'status', 'dueDate', 'dueTime', 'tags', 'createdAt', 'updatedAt', 'completedAt'];
+
+// Task fields a CSV column can be mapped to, with header names we recognise
+export const IMPORT_FIELDS = [
+  { field: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'task', 'summary', 'subject'] },
+  { field: 'description', label: 'Description', aliases: ['description', 'notes', 'details', 'body'] },
+  { field: 'priority', label: 'Priority', aliases: ['priority', 'importance'] },
+  { field: 'status', label: 'Status', aliases: ['status', 'state'] },
+  { field: 'dueDate', label: 'Due date', aliases: ['duedate', 'due', 'deadline'] },
+  { field: 'dueTime', label: 'Due time', aliases: ['duetime', 'time'] },
+  { field: 'tags', label: 'Tags', aliases: ['tags', 'labels', 'categories'] },
+  { field: 'id', label: 'ID', aliases: ['id'] },
+];
+
+/**
+ * @param {Array} tasks
+ * @returns {string} Pretty-printed JSON envelope
+ */
+export function tasksToJson(tasks) {
+  return JSON.stringify(encodeTasks(tasks), null, 2);
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, so
+// "=HYPERLINK(...)" in a title is exported as text: '=HYPERLINK(...)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * @param {Array} tasks
+ * @returns {string} CSV with a header row
+ */
+export function tasksToCsv(tasks) {
+  return toCsv([
+    CSV_EXPORT_COLUMNS,
+    ...tasks.map(task => CSV_EXPORT_COLUMNS.map(column => escapeFormula(
+      column === 'tags' ? (task.tags || []).join(', ') : task[column] ?? ''
+    ))),
+  ]);
+}
+
+// Download formats offered by the export menu and the command palette
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', description: 'Full backup, re-importable', type: 'application/json', serialize: tasksToJson },
+  { value: 'csv', label: 'CSV', description: 'For spreadsheets', type: 'text/csv', serialize: tasksToCsv },
+  { value: 'ics', label: 'iCalendar (.ics)', description: 'To-dos with due dates for calendar apps', type: 'text/calendar', serialize: tasksToIcs },
+];
+
+/**
+ * @param {string} extension - 'json' | 'csv' | ...
+ * @param {Date} date
+ * @returns {string} e.g. taskmaster-tasks-2025-01-31.csv
+ */
+export function exportFilename(extension, date = new Date()) {
+  return `taskmaster-tasks-${date.toISOString().slice(0, 10)}.${extension}`;
+}
+
+// CSV ids arrive as text - "12" should still match task 12
+const normalizeId = (id) => {
+  if (typeof id === 'string' && /^\d+$/.test(id.trim())) return Number(id);
+  return typeof id === 'string' ? id.trim() : id;
+};
+
+const normalizeText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Imported fields besides the ones checked below - repaired like stored
+// data (see storage/schema). Any other key in the file is left out.
+const OPTIONAL_FIELDS = ['subtasks', 'recurrence', 'activity', 'column', 'order', 'projectId'];
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt', 'completedAt'];
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// A list from JSON, or "backend, docs" (commas or semicolons) from CSV
+const parseTagList = (value) => normalizeTags(
+  Array.isArray(value) ? value.map(String) : normalizeText(value).split(/[,;]/)
+);
+
+/**
+ * Validate one imported record. Unlike stored data, nothing is repaired
+ * silently - anything we'd have to guess at is reported instead.
+ * @param {Object} record - Field values (from JSON or mapped CSV columns)
+ * @returns {{task: Object|null, errors: string[]}}
+ */
+export function validateImportRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { task: null, errors: ['Not a task object'] };
+  }
+
+  const errors = [];
+  const title = normalizeText(record.title);
+  const priority = normalizeText(record.priority).toLowerCase() || 'medium';
+  const status = normalizeText(record.status).toLowerCase() || 'pending';
+  const dueDate = normalizeText(record.dueDate);
+  const dueTime = normalizeText(record.dueTime);
+  const id = normalizeId(record.id);
+
+  if (title === '') errors.push('Title is required');
+  if (!PRIORITIES.includes(priority)) errors.push(`Priority "${record.priority}" must be high, medium or low`);
+  if (!STATUSES.includes(status)) errors.push(`Status "${record.status}" must be pending or completed`);
+  if (dueDate && !DATE_ONLY_PATTERN.test(dueDate)) errors.push(`Due date "${dueDate}" must be YYYY-MM-DD`);
+  if (dueTime && !TIME_PATTERN.test(dueTime)) errors.push(`Due time "${dueTime}" must be HH:MM (24-hour)`);
+  else if (dueTime && !dueDate) errors.push('Due time needs a due date');
+
+  if (errors.length > 0) return { task: null, errors };
+
+  const optional = Object.fromEntries(
+    OPTIONAL_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+  );
+  const task = {
+    title,
+    description: normalizeText(record.description),
+    priority,
+    status,
+    dueDate,
+    ...repairOptionalFields(optional),
+  };
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (isTimestamp(record[field])) task[field] = record[field];
+  });
+  if (typeof record.autoComplete === 'boolean') task.autoComplete = record.autoComplete;
+  if (record.dueTime !== undefined) task.dueTime = dueTime;
+  if (record.tags !== undefined) task.tags = parseTagList(record.tags);
+  if (typeof id === 'number' ? Number.isFinite(id) : typeof id === 'string' && id !== '') task.id = id;
+
+  return { task, errors: [] };
+}
+
+// Flag rows that reuse an id from an earlier row in the same file
+function flagDuplicateIds(rows) {
+  const seen = new Set();
+  return rows.map(row => {
+    if (!row.task || row.task.id === undefined) return row;
+    if (seen.has(row.task.id)) {
+      return { ...row, task: null, errors: [`Duplicate id ${row.task.id}`] };
+    }
+    seen.add(row.task.id);
+    return row;
+  });
+}
+
+/**
+ * Read a JSON export (envelope) or a plain array of tasks
+ * @param {string} text
+ * @returns {Array<{line: number, task: Object|null, errors: string[]}>}
+ * @throws {Error} When the file isn't JSON or holds no task list
+ */
+export function readJsonImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const records = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(records)) {
+    throw new Error('No task list found in this file');
+  }
+  if (data.version > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This file was exported by a newer version of TaskMaster');
+  }
+
+  return flagDuplicateIds(records.map((record, index) => ({
+    line: index + 1,
+    ...validateImportRecord(record),
+  })));
+}
+
+/**
+ * Split CSV text into a header row and data rows
+ * @param {string} text
+ * @returns {{headers: string[], records: string[][]}}
+ * @throws {Error} When the file is empty or malformed
+ */
+export function readCsvImport(text) {
+  const [headers, ...records] = parseCsv(text);
+  if (!headers) {
+    throw new Error('The CSV file is empty');
+  }
+  return { headers: headers.map(header => header.trim()), records };
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Match CSV headers to task fields by name
+ * @param {string[]} headers
+ * @returns {Object} field -> column index, or -1 when unmapped
+ */
+export function guessCsvMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(IMPORT_FIELDS.map(({ field, aliases }) => [
+    field,
+    normalized.findIndex(header => aliases.includes(header)),
+  ]));
+}
+
+/**
+ * Turn CSV rows into validated import rows using a column mapping
+ * @param {string[][]} records - Data rows (header excluded)
+ * @param {Object} mapping - field -> column index (-1 to skip)
+ * @returns {Array<{line: number, task: Object|null, errors: string[]}>}
+ */
+export function mapCsvRecords(records, mapping) {
+  return flagDuplicateIds(records.map((record, index) => {
+    const values = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (column >= 0) values[field] = record[column] ?? '';
+    });
+
+    // Line numbers as a spreadsheet shows them (header is line 1)
+    return { line: index + 2, ...validateImportRecord(values) };
+  }));
+}
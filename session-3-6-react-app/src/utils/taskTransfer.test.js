@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tasksToJson,
+  tasksToCsv,
+  exportFilename,
+  validateImportRecord,
+  readJsonImport,
+  readCsvImport,
+  guessCsvMapping,
+  mapCsvRecords,
+} from './taskTransfer';
+import { parseCsv } from './csv';
+
+const tasks = [
+  { id: 1, title: 'Write docs', description: 'Usage, examples', priority: 'high', status: 'pending', dueDate: '2025-02-01', createdAt: '2025-01-01T00:00:00.000Z', activity: [] },
+  { id: 2, title: 'Ship', description: '', priority: 'low', status: 'completed', dueDate: '', createdAt: '2025-01-02T00:00:00.000Z', activity: [] },
+];
+
+describe('Task import/export', () => {
+  describe('export', () => {
+    it('writes JSON in the storage envelope', () => {
+      const data = JSON.parse(tasksToJson(tasks));
+      expect(data.version).toBe(2);
+      expect(data.tasks).toEqual(tasks);
+    });
+
+    it('writes CSV with a header row', () => {
+      const [header, first] = parseCsv(tasksToCsv(tasks));
+      expect(header.slice(0, 6)).toEqual(['id', 'title', 'description', 'priority', 'status', 'dueDate']);
+      expect(first.slice(0, 3)).toEqual(['1', 'Write docs', 'Usage, examples']);
+    });
+
+    it('exports cells that start like a formula as text', () => {
+      const csv = tasksToCsv([{ ...tasks[0], title: '=HYPERLINK("x")', description: '-1 day', tags: ['@team'] }]);
+      const [, first] = parseCsv(csv);
+
+      expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+      expect(first.slice(0, 3)).toEqual(['1', "'=HYPERLINK(\"x\")", "'-1 day"]);
+      expect(first[7]).toBe("'@team");
+    });
+
+        it('names files by date', () => {
+      expect(exportFilename('csv', new Date('2025-03-04T12:00:00Z'))).toBe('taskmaster-tasks-2025-03-04.csv');
+    });
+  });
+
+  describe('validateImportRecord', () => {
+    it('normalizes values and fills defaults', () => {
+      expect(validateImportRecord({ id: '12', title: '  Call Bob ', priority: 'HIGH' }).task).toEqual({
+        id: 12,
+        title: 'Call Bob',
+        description: '',
+        priority: 'high',
+        status: 'pending',
+        dueDate: '',
+      });
+    });
+
+    it('keeps only known fields and repairs badly shaped ones', () => {
+      const { task } = validateImportRecord({
+        id: { nested: true },
+        title: 'A',
+        subtasks: [{ id: 'a', title: 'Step', done: true }, { done: false }],
+        recurrence: 'weekly',
+        activity: 'none',
+        column: 42,
+        projectId: 'web',
+        createdAt: '2025-01-01T09:00:00.000Z',
+        updatedAt: 'yesterday',
+        isAdmin: true,
+      });
+
+      expect(task).toEqual({
+        title: 'A',
+        description: '',
+        priority: 'medium',
+        status: 'pending',
+        dueDate: '',
+        subtasks: [{ id: 'a', title: 'Step', done: true }],
+        recurrence: null,
+        activity: [],
+        column: null,
+        projectId: 'web',
+        createdAt: '2025-01-01T09:00:00.000Z',
+      });
+    });
+
+    it('reads tags from a list or a comma separated cell', () => {
+      expect(validateImportRecord({ title: 'A', tags: ['Backend', 'docs'] }).task.tags).toEqual(['backend', 'docs']);
+      expect(validateImportRecord({ title: 'A', tags: 'API Docs; backend, ' }).task.tags).toEqual(['api-docs', 'backend']);
+      expect(validateImportRecord({ title: 'A' }).task).not.toHaveProperty('tags');
+    });
+
+    it('reports every problem with the row', () => {
+      expect(validateImportRecord({ title: '', priority: 'urgent', status: 'doing', dueDate: '01/02/2025' }).errors).toEqual([
+        'Title is required',
+        'Priority "urgent" must be high, medium or low',
+        'Status "doing" must be pending or completed',
+        'Due date "01/02/2025" must be YYYY-MM-DD',
+      ]);
+    });
+
+    it('accepts 24-hour due times on dated tasks only', () => {
+      expect(validateImportRecord({ title: 'A', dueDate: '2025-01-10', dueTime: '14:30' }).task.dueTime).toBe('14:30');
+      expect(validateImportRecord({ title: 'A', dueDate: '2025-01-10', dueTime: '2pm' }).errors)
+        .toEqual(['Due time "2pm" must be HH:MM (24-hour)']);
+      expect(validateImportRecord({ title: 'A', dueTime: '14:30' }).errors).toEqual(['Due time needs a due date']);
+    });
+  });
+
+  describe('JSON import', () => {
+    it('reads its own export back', () => {
+      const rows = readJsonImport(tasksToJson(tasks));
+      expect(rows.map(row => row.task)).toEqual(tasks);
+    });
+
+    it('accepts a bare array and flags invalid rows and duplicate ids', () => {
+      const rows = readJsonImport(JSON.stringify([{ id: 1, title: 'A' }, { id: 1, title: 'B' }, 'x']));
+
+      expect(rows[0].errors).toEqual([]);
+      expect(rows[1]).toMatchObject({ line: 2, task: null, errors: ['Duplicate id 1'] });
+      expect(rows[2]).toMatchObject({ line: 3, task: null, errors: ['Not a task object'] });
+    });
+
+    it('rejects files without tasks', () => {
+      expect(() => readJsonImport('nope')).toThrow(/not valid JSON/);
+      expect(() => readJsonImport('{"items": []}')).toThrow(/No task list/);
+      expect(() => readJsonImport('{"version": 99, "tasks": []}')).toThrow(/newer version/);
+    });
+  });
+
+  describe('CSV import', () => {
+    const text = 'Name,Notes,Deadline,Importance\nBuy milk,,2025-01-10,low\n,Missing title,,high\n';
+
+    it('guesses the column mapping from headers', () => {
+      const { headers } = readCsvImport(text);
+      expect(guessCsvMapping(headers)).toEqual({
+        title: 0,
+        description: 1,
+        priority: 3,
+        status: -1,
+        dueDate: 2,
+        dueTime: -1,
+        tags: -1,
+        id: -1,
+      });
+    });
+
+    it('maps and validates rows with spreadsheet line numbers', () => {
+      const { headers, records } = readCsvImport(text);
+      const rows = mapCsvRecords(records, guessCsvMapping(headers));
+
+      expect(rows[0]).toMatchObject({ line: 2, task: { title: 'Buy milk', dueDate: '2025-01-10', priority: 'low' } });
+      expect(rows[1]).toMatchObject({ line: 3, task: null, errors: ['Title is required'] });
+    });
+
+    it('rejects an empty file', () => {
+      expect(() => readCsvImport('')).toThrow(/empty/);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * TASK SORT ENGINE (SESSIONS 2 & 4)
+ *
+ * One multi-key sort shared by both apps:
+ * - session-2-vanilla-js loads it with a plain <script> tag (it works
+ *   when index.html is opened straight from disk) and uses window.TaskSort
+ * - session-3-6-react-app imports it through src/utils/sorting.js
+ *
+ * That is why this is a classic script that puts one object on
+ * globalThis rather than an ES module with exports.
+ *
+ * A sort spec is a list of keys with a direction, compared in order:
+ *   [{ key: 'priority', direction: 'desc' }, { key: 'dueDate', direction: 'asc' }]
+ * and its URL form is "priority:desc,dueDate:asc". Tasks without a value
+ * for a key (no due date, never completed) go last unless the key says
+ * `empty: 'first'` ("dueDate:asc:empty-first").
+ */
+
+globalThis.TaskSort = (function () {
+    'use strict';
+
+    const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+    const toTime = (value) => (value ? Date.parse(value) || null : null);
+
+    // Every key a spec can use: how to read the value and which
+    // direction it sorts in when first picked
+    const SORT_KEYS = {
+        dueDate: {
+            label: 'Due date',
+            defaultDirection: 'asc',
+            // All-day ("2024-12-25T") sorts before timed ("2024-12-25T09:00")
+            getValue: (task) => (task.dueDate ? `${task.dueDate}T${task.dueTime || ''}` : null)
+        },
+        priority: {
+            label: 'Priority',
+            defaultDirection: 'desc',
+            getValue: (task) => PRIORITY_RANK[task.priority] ?? null
+        },
+        title: {
+            label: 'Title',
+            defaultDirection: 'asc',
+            getValue: (task) => task.title || null
+        },
+        createdAt: {
+            label: 'Created',
+            defaultDirection: 'desc',
+            getValue: (task) => toTime(task.createdAt)
+        },
+        updatedAt: {
+            label: 'Updated',
+            defaultDirection: 'desc',
+            getValue: (task) => toTime(task.updatedAt)
+        },
+        completedAt: {
+            label: 'Completed',
+            defaultDirection: 'desc',
+            getValue: (task) => toTime(task.completedAt)
+        }
+    };
+
+    // Named specs - the values the sort dropdowns offer, with tie-breakers
+    // so equal tasks don't end up in arbitrary order
+    const SORT_PRESETS = {
+        date: 'dueDate:asc,priority:desc,title:asc',
+        priority: 'priority:desc,dueDate:asc,title:asc',
+        title: 'title:asc,dueDate:asc',
+        created: 'createdAt:desc,title:asc',
+        updated: 'updatedAt:desc,title:asc',
+        completed: 'completedAt:desc,title:asc'
+    };
+
+    const DIRECTIONS = ['asc', 'desc'];
+
+    /**
+     * Read a spec from its string form or a preset name
+     * @param {string} value - e.g. 'priority' or 'priority:desc,title:asc'
+     * @returns {Array<{key: string, direction: string, empty: string}>|null}
+     *   null when the string is not a valid spec
+     */
+    function parseSortSpec(value) {
+        if (typeof value !== 'string' || !value) return null;
+        const source = SORT_PRESETS[value] ?? value;
+        const spec = [];
+
+        for (const part of source.split(',')) {
+            const [key, direction = SORT_KEYS[key]?.defaultDirection, empty = 'empty-last'] = part.trim().split(':');
+            if (!SORT_KEYS[key] || !DIRECTIONS.includes(direction)) return null;
+            if (empty !== 'empty-last' && empty !== 'empty-first') return null;
+            // A repeated key could never decide anything
+            if (spec.some(item => item.key === key)) return null;
+            spec.push({ key, direction, empty: empty === 'empty-first' ? 'first' : 'last' });
+        }
+        return spec;
+    }
+
+    /**
+     * String form of a spec - the preset name when it matches one
+     * @param {Array} spec
+     * @returns {string}
+     */
+    function formatSortSpec(spec) {
+        const value = spec
+            .map(({ key, direction, empty }) => `${key}:${direction}${empty === 'first' ? ':empty-first' : ''}`)
+            .join(',');
+        const preset = Object.keys(SORT_PRESETS).find(name => SORT_PRESETS[name] === value);
+        return preset ?? value;
+    }
+
+    const compareValues = (a, b) => (typeof a === 'string'
+        ? a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+        : a - b);
+
+    /**
+     * Comparator for Array.sort
+     * @param {Array|string} spec - Spec, its string form or a preset name
+     * @returns {(a: Object, b: Object) => number}
+     */
+    function createComparator(spec) {
+        const keys = typeof spec === 'string' ? parseSortSpec(spec) ?? parseSortSpec('date') : spec;
+
+        return (a, b) => {
+            for (const { key, direction, empty } of keys) {
+                const valueA = SORT_KEYS[key].getValue(a);
+                const valueB = SORT_KEYS[key].getValue(b);
+
+                // Missing values ignore the direction - "empty last" stays last
+                if (valueA === null || valueB === null) {
+                    if (valueA === valueB) continue;
+                    const missingFirst = (valueA === null ? -1 : 1);
+                    return empty === 'first' ? missingFirst : -missingFirst;
+                }
+
+                const result = compareValues(valueA, valueB);
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Sorted copy of `tasks` (stable - full ties keep their original order)
+     * @param {Array} tasks
+     * @param {Array|string} spec
+     * @returns {Array}
+     */
+    function sortTasks(tasks, spec) {
+        return [...tasks].sort(createComparator(spec));
+    }
+
+    return { SORT_KEYS, SORT_PRESETS, parseSortSpec, formatSortSpec, createComparator, sortTasks };
+})();